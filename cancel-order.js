@@ -1,30 +1,14 @@
-const { ClobClient } = require("@polymarket/clob-client");
-const { Wallet } = require("ethers");
-const fs = require("fs");
-const path = require("path");
-
-const HOST = "https://clob.polymarket.com";
-const CHAIN_ID = 137;
-
-function loadPrivateKey() {
-  const secretsPath = path.join(process.env.HOME, ".config/clawd/secrets.env");
-  const content = fs.readFileSync(secretsPath, "utf8");
-  const match = content.match(/POLYMARKET_PRIVATE_KEY="?(0x[a-fA-F0-9]+)"?/);
-  return match[1];
-}
+require("dotenv").config();
+const { createExchange } = require("./src/exchange");
 
 async function main() {
-  const wallet = new Wallet(loadPrivateKey());
-  console.log(`Wallet: ${wallet.address}`);
-  
-  const tempClient = new ClobClient(HOST, CHAIN_ID, wallet);
-  const apiCreds = await tempClient.createOrDeriveApiKey();
-  
-  const client = new ClobClient(HOST, CHAIN_ID, wallet, apiCreds, 0, wallet.address);
+  const exchange = createExchange();
+  await exchange.connect();
+  console.log(`Wallet: ${exchange.address}`);
   
   // Get open orders
   console.log("\n📋 Fetching open orders...\n");
-  const orders = await client.getOpenOrders();
+  const orders = await exchange.getOpenOrders();
   
   if (!orders || orders.length === 0) {
     console.log("No open orders found");
@@ -36,8 +20,8 @@ async function main() {
     console.log(`  ID: ${order.id}`);
     console.log(`  Side: ${order.side}`);
     console.log(`  Price: ${order.price}`);
-    console.log(`  Size: ${order.original_size}`);
-    console.log(`  Filled: ${order.size_matched || 0}`);
+    console.log(`  Size: ${order.size}`);
+    console.log(`  Filled: ${order.filled || 0}`);
     console.log("");
   }
   
@@ -46,7 +30,7 @@ async function main() {
     console.log("🗑️ Cancelling all orders...\n");
     for (const order of orders) {
       try {
-        const result = await client.cancelOrder({ orderID: order.id });
+        const result = await exchange.cancel(order.id);
         console.log(`Cancelled ${order.id}: ${JSON.stringify(result)}`);
       } catch (e) {
         console.log(`Failed to cancel ${order.id}: ${e.message}`);
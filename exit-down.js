@@ -1,29 +1,13 @@
-const { ClobClient } = require("@polymarket/clob-client");
-const { Wallet } = require("ethers");
-const fs = require("fs");
-const path = require("path");
-
-const HOST = "https://clob.polymarket.com";
-const CHAIN_ID = 137;
-
-function loadPrivateKey() {
-  const secretsPath = path.join(process.env.HOME, ".config/clawd/secrets.env");
-  const content = fs.readFileSync(secretsPath, "utf8");
-  const match = content.match(/POLYMARKET_PRIVATE_KEY="?(0x[a-fA-F0-9]+)"?/);
-  return match[1];
-}
+require("dotenv").config();
+const { createExchange } = require("./src/exchange");
 
 async function main() {
-  const wallet = new Wallet(loadPrivateKey());
-  console.log(`Wallet: ${wallet.address}\n`);
-  
-  const tempClient = new ClobClient(HOST, CHAIN_ID, wallet);
-  const apiCreds = await tempClient.createOrDeriveApiKey();
-  const client = new ClobClient(HOST, CHAIN_ID, wallet, apiCreds, 0, wallet.address);
+  const exchange = createExchange();
+  await exchange.connect();
+  console.log(`Wallet: ${exchange.address}\n`);
   
   // Get current positions
-  const resp = await fetch(`https://data-api.polymarket.com/positions?user=${wallet.address}`);
-  const positions = await resp.json();
+  const positions = await exchange.getPositions();
   
   // Find DOWN position
   const downPos = positions.find(p => 
@@ -35,10 +19,10 @@ async function main() {
     console.log("❌ No DOWN position found");
     
     // Check open orders
-    const orders = await client.getOpenOrders();
+    const orders = await exchange.getOpenOrders();
     console.log(`\n📋 Open orders: ${orders?.length || 0}`);
     for (const o of (orders || [])) {
-      console.log(`   ${o.side} ${o.original_size} @ ${o.price}`);
+      console.log(`   ${o.side} ${o.size} @ ${o.price}`);
     }
     return;
   }
@@ -48,14 +32,11 @@ async function main() {
   console.log(`   Value: $${downPos.currentValue.toFixed(2)}`);
   console.log(`   Current price: ${(downPos.curPrice * 100).toFixed(1)}%`);
   
-  // DOWN token for Jan 31
-  const DOWN_TOKEN = "51320713513210947924498084352927832634689106458328255635947801346339223679051";
-  
   // Sell at current price
   console.log(`\n📤 Selling ${downPos.size} DOWN @ ${downPos.curPrice}`);
   
-  const order = await client.createAndPostOrder({
-    tokenID: DOWN_TOKEN,
+  const order = await exchange.placeOrder({
+    tokenId: downPos.tokenId,
     side: "SELL",
     price: downPos.curPrice,
     size: Math.floor(downPos.size),
@@ -1,25 +1,10 @@
-const { ClobClient } = require("@polymarket/clob-client");
-const { Wallet } = require("ethers");
-const fs = require("fs");
-const path = require("path");
-
-const HOST = "https://clob.polymarket.com";
-const CHAIN_ID = 137;
-
-function loadPrivateKey() {
-  const secretsPath = path.join(process.env.HOME, ".config/clawd/secrets.env");
-  const content = fs.readFileSync(secretsPath, "utf8");
-  const match = content.match(/POLYMARKET_PRIVATE_KEY="?(0x[a-fA-F0-9]+)"?/);
-  return match[1];
-}
+require("dotenv").config();
+const { createExchange } = require("./src/exchange");
 
 async function main() {
-  const wallet = new Wallet(loadPrivateKey());
-  console.log(`Wallet: ${wallet.address}`);
-  
-  const tempClient = new ClobClient(HOST, CHAIN_ID, wallet);
-  const apiCreds = await tempClient.createOrDeriveApiKey();
-  const client = new ClobClient(HOST, CHAIN_ID, wallet, apiCreds, 0, wallet.address);
+  const exchange = createExchange();
+  await exchange.connect();
+  console.log(`Wallet: ${exchange.address}`);
   
   // UP token ID for Jan 31 market
   const UP_TOKEN = "104654371106328340370851190866138578890372380489856819236186101949732258611553";
@@ -35,8 +20,8 @@ async function main() {
   console.log(`📦 Selling 83 UP shares @ ${upPrice}`);
   
   // Place SELL order
-  const order = await client.createAndPostOrder({
-    tokenID: UP_TOKEN,
+  const order = await exchange.placeOrder({
+    tokenId: UP_TOKEN,
     side: "SELL",
     price: upPrice,
     size: 83,
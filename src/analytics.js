@@ -0,0 +1,356 @@
+/**
+ * PERFORMANCE ANALYTICS
+ *
+ * Source unique des métriques de performance - arène, ensemble, dashboard,
+ * CLI (perf/analytics), optimize-tp et backtest lisent les mêmes chiffres.
+ *
+ * À partir des trades (data/paper-trades.json), une courbe d'equity par
+ * stratégie et pour tout le portefeuille:
+ *   equity = ANALYTICS.INITIAL_CAPITAL
+ *          + PnL réalisé à la clôture de chaque trade (closedAt)
+ *          + PnL latent des trades ouverts au dernier point, chacun au prix de
+ *            son marché (PriceProvider); prix stale ou absent signalé
+ *            (staleMarks / unpricedMarks, un trade sans prix reste à l'entrée)
+ *
+ * Métriques:
+ * - Sharpe / Sortino annualisés sur la courbe rééchantillonnée à pas fixe
+ *   (RESAMPLE_MINUTES): chaque heure pèse pareil, quel que soit le nombre
+ *   de trades → pondéré par le temps et non par trade
+ * - Calmar: rendement annualisé / max drawdown %
+ * - Max drawdown ($, %) et sa durée (pic → retour au pic, ou fin de période)
+ * - Profit factor, expectancy ($ par trade fermé), win rate
+ * - Exposure: part de la période avec au moins une position ouverte
+ * - Turnover: notionnel échangé (entrées + sorties) / capital
+ *
+ *   node src/index.js analytics --since 7d [--export]
+ */
+
+const config = require("./config");
+const PaperTrader = require("./paper-trader");
+const PriceProvider = require("./price-provider");
+const { openDocument } = require("./storage");
+
+const HOUR_MS = 60 * 60 * 1000;
+const YEAR_MS = 365 * 24 * HOUR_MS;
+const MAX_SAMPLES = 10000; // Au-delà, le pas de rééchantillonnage est élargi
+const ANALYTICS_FILE = "analytics.json"; // Lu par dashboard.html
+
+/**
+ * Max drawdown ($ et %) depuis le plus haut de la courbe d'equity, et la plus
+ * longue période passée sous un pic (ms)
+ * @param {object[]} curve - [{ timestamp, equity }] triée par timestamp
+ */
+function drawdown(curve) {
+  let peak = -Infinity;
+  let peakAt = null;
+  let underwater = false;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  let maxDrawdownDuration = 0;
+
+  for (const { timestamp, equity } of curve) {
+    if (equity >= peak) {
+      if (underwater) maxDrawdownDuration = Math.max(maxDrawdownDuration, timestamp - peakAt);
+      peak = equity;
+      peakAt = timestamp;
+      underwater = false;
+      continue;
+    }
+
+    underwater = true;
+    const dd = peak - equity;
+    if (dd > maxDrawdown) {
+      maxDrawdown = dd;
+      maxDrawdownPct = peak > 0 ? dd / peak : 0;
+    }
+  }
+
+  // Pas encore revenu au pic: la durée court jusqu'au dernier point
+  if (underwater) {
+    maxDrawdownDuration = Math.max(maxDrawdownDuration, curve[curve.length - 1].timestamp - peakAt);
+  }
+
+  return { maxDrawdown, maxDrawdownPct, maxDrawdownDuration };
+}
+
+/**
+ * Sharpe et Sortino annualisés des rendements par step d'une courbe à pas
+ * régulier (0 si moins de 3 points ou dénominateur nul)
+ */
+function returnRatios(curve) {
+  if (curve.length < 3) return { sharpe: 0, sortino: 0 };
+
+  const returns = [];
+  for (let i = 1; i < curve.length; i++) {
+    const prev = curve[i - 1].equity;
+    returns.push(prev > 0 ? (curve[i].equity - prev) / prev : 0);
+  }
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+  const stdDev = Math.sqrt(variance);
+  const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(Math.min(r, 0), 2), 0) / returns.length);
+
+  const stepMs = (curve[curve.length - 1].timestamp - curve[0].timestamp) / (curve.length - 1);
+  const annualize = stepMs > 0 ? Math.sqrt(YEAR_MS / stepMs) : 0;
+
+  return {
+    sharpe: stdDev > 0 ? (mean / stdDev) * annualize : 0,
+    sortino: downside > 0 ? (mean / downside) * annualize : 0,
+  };
+}
+
+/**
+ * Courbe en escalier → un point tous les stepMs entre from et to
+ * (equity du dernier événement <= t)
+ */
+function resample(curve, stepMs, from, to) {
+  const points = [];
+  let i = 0;
+  let equity = curve[0].equity;
+
+  for (let t = from; ; t += stepMs) {
+    const at = Math.min(t, to);
+    while (i < curve.length && curve[i].timestamp <= at) {
+      equity = curve[i].equity;
+      i++;
+    }
+    points.push({ timestamp: at, equity });
+    if (at >= to) break;
+  }
+
+  return points;
+}
+
+/**
+ * Durée cumulée de l'union d'intervalles [start, end]
+ */
+function coveredTime(intervals) {
+  let total = 0;
+  let cursor = -Infinity;
+
+  for (const [start, end] of intervals.sort((a, b) => a[0] - b[0])) {
+    const from = Math.max(start, cursor);
+    if (end > from) {
+      total += end - from;
+      cursor = end;
+    }
+  }
+
+  return total;
+}
+
+class PerformanceAnalytics {
+  /**
+   * @param {object} options
+   * @param {PaperTrader} options.paper - Défaut: PaperTrader sur data/paper-trades.json
+   * @param {object[]} options.trades - Trades à analyser (défaut: ceux du paper trader)
+   * @param {PriceProvider} options.prices - Prix du mark-to-market (défaut: recorder; null = prix d'entrée)
+   * @param {object} options.settings - Défaut: config.ANALYTICS
+   * @param {Function} options.now - Horloge (backtest, tests)
+   */
+  constructor(options = {}) {
+    this.paper = options.paper || new PaperTrader({ persist: !options.trades });
+    this.trades = options.trades || null;
+    this.prices = options.prices === undefined ? new PriceProvider() : options.prices;
+    this.settings = options.settings || config.ANALYTICS;
+    this.now = options.now || Date.now;
+  }
+
+  /**
+   * Métriques par stratégie et pour le portefeuille
+   * @param {object} options
+   * @param {number} options.from - Trades entrés depuis (ms); défaut: premier trade
+   * @param {string[]} options.strategies - Stratégies retenues (nom complet ou court)
+   * @param {Function} options.filter - Filtre supplémentaire sur les trades (ex: t => t.isReal)
+   */
+  report(options = {}) {
+    const trades = (this.trades || this.paper.data.trades).filter(trade => {
+      if (options.from && trade.timestamp < options.from) return false;
+      if (options.strategies?.length && !options.strategies.some(s => s === trade.strategy || s === this.paper.strategyKey(trade))) return false;
+      return !options.filter || options.filter(trade);
+    });
+
+    const to = this.now();
+    const from = options.from || (trades.length ? Math.min(...trades.map(t => t.timestamp)) : to);
+
+    const byStrategy = {};
+    for (const trade of trades) {
+      const key = this.paper.strategyKey(trade);
+      (byStrategy[key] = byStrategy[key] || []).push(trade);
+    }
+
+    const strategies = {};
+    for (const [name, group] of Object.entries(byStrategy)) {
+      strategies[name] = this.metrics(group, { from, to });
+    }
+
+    return {
+      generatedAt: to,
+      period: { from, to },
+      initialCapital: this.settings.INITIAL_CAPITAL,
+      portfolio: this.metrics(trades, { from, to }),
+      strategies,
+    };
+  }
+
+  /**
+   * Métriques d'un ensemble de trades sur [from, to]
+   */
+  metrics(trades, { from, to }) {
+    const capital = this.settings.INITIAL_CAPITAL;
+    const closed = trades.filter(t => t.status === "closed");
+    const open = trades.filter(t => t.status !== "closed");
+
+    const pnls = closed.map(t => t.pnl || 0);
+    const wins = pnls.filter(p => p > 0);
+    const losses = pnls.filter(p => p < 0);
+    const grossProfit = wins.reduce((a, b) => a + b, 0);
+    const grossLoss = -losses.reduce((a, b) => a + b, 0);
+    const realizedPnL = grossProfit - grossLoss;
+    const marks = open.map(t => this.mark(t));
+    const openPnL = marks.reduce((sum, m) => sum + m.pnl, 0);
+    const pnl = realizedPnL + openPnL;
+
+    const equityCurve = this.equityCurve(closed, { from, to, finalEquity: capital + pnl });
+    const periodMs = to - from;
+    const { maxDrawdown, maxDrawdownPct, maxDrawdownDuration } = drawdown(equityCurve);
+    const annualReturn = periodMs > 0 ? (pnl / capital) * (YEAR_MS / periodMs) : 0;
+
+    const exposed = coveredTime(trades.map(t => [
+      Math.max(t.timestamp, from),
+      Math.min(t.status === "closed" ? t.closedAt || t.timestamp : to, to),
+    ]));
+    const traded = trades.reduce((sum, t) => sum + t.size + (t.status === "closed" && t.exitPrice != null ? this.paper.tradeShares(t) * t.exitPrice : 0), 0);
+
+    return {
+      trades: trades.length,
+      openTrades: open.length,
+      closedTrades: closed.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: closed.length > 0 ? wins.length / closed.length : 0,
+      realizedPnL,
+      openPnL,
+      staleMarks: marks.filter(m => m.stale).length,
+      unpricedMarks: marks.filter(m => !m.priced).length,
+      pnl,
+      returnPct: pnl / capital,
+      grossProfit,
+      grossLoss,
+      // Aucune perte: Infinity s'il y a des gains (sérialisé null en JSON)
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? Infinity : 0,
+      expectancy: closed.length > 0 ? realizedPnL / closed.length : 0,
+      avgWin: wins.length > 0 ? grossProfit / wins.length : 0,
+      avgLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+      ...returnRatios(this.sample(equityCurve, from, to)),
+      calmar: maxDrawdownPct > 0 ? annualReturn / maxDrawdownPct : 0,
+      maxDrawdown,
+      maxDrawdownPct,
+      maxDrawdownDuration,
+      exposure: periodMs > 0 ? exposed / periodMs : 0,
+      turnover: traded / capital,
+      equityCurve,
+    };
+  }
+
+  /**
+   * PnL latent d'un trade ouvert au prix de son marché / outcome
+   * @returns {{ pnl: number, priced: boolean, stale: boolean }}
+   */
+  mark(trade) {
+    const prices = this.prices?.get(trade.market) || null;
+    const side = trade.action === "BUY_UP" ? "up" : "down";
+    const priced = typeof (trade.outcomeId ? prices?.outcomes?.[trade.outcomeId] : prices)?.[side] === "number";
+    return {
+      pnl: this.paper.calculateMtmPnL(trade, priced ? prices : null),
+      priced,
+      stale: priced && prices.stale,
+    };
+  }
+
+  /**
+   * Courbe d'equity en escalier: capital au début, un point par clôture,
+   * puis l'equity mark-to-market à la fin
+   * (anciens trades sans closedAt: réalisés à leur entrée)
+   */
+  equityCurve(closedTrades, { from, to, finalEquity }) {
+    const capital = this.settings.INITIAL_CAPITAL;
+    const curve = [{ timestamp: from, equity: capital }];
+    let equity = capital;
+
+    const sorted = [...closedTrades].sort((a, b) => (a.closedAt || a.timestamp) - (b.closedAt || b.timestamp));
+    for (const trade of sorted) {
+      equity += trade.pnl || 0;
+      curve.push({ timestamp: Math.min(Math.max(trade.closedAt || trade.timestamp, from), to), equity });
+    }
+
+    curve.push({ timestamp: to, equity: finalEquity });
+    return curve;
+  }
+
+  /**
+   * Rééchantillonne la courbe à RESAMPLE_MINUTES (pas élargi au-delà de MAX_SAMPLES points)
+   */
+  sample(curve, from, to) {
+    if (to <= from) return [];
+    const stepMs = Math.max(this.settings.RESAMPLE_MINUTES * 60 * 1000, (to - from) / MAX_SAMPLES);
+    return resample(curve, stepMs, from, to);
+  }
+
+  /**
+   * Écrit data/analytics.json pour le dashboard: un rapport par vue
+   * (all / real / paper, comme les modes du dashboard)
+   */
+  export(options = {}) {
+    const doc = openDocument(ANALYTICS_FILE);
+    const reports = {
+      all: this.report(options),
+      real: this.report({ ...options, filter: t => t.isReal }),
+      paper: this.report({ ...options, filter: t => !t.isReal }),
+    };
+    doc.save({ generatedAt: this.now(), ...reports });
+    return doc.file;
+  }
+
+  /**
+   * Tableau par stratégie (trié par PnL) + ligne portefeuille
+   */
+  static printReport(report) {
+    const hours = (report.period.to - report.period.from) / HOUR_MS;
+    const money = v => `${v >= 0 ? "+" : "-"}$${Math.abs(v).toFixed(2)}`;
+    const ratio = v => (v === Infinity ? "∞" : v.toFixed(2));
+    const duration = ms => (ms >= 24 * HOUR_MS ? `${(ms / (24 * HOUR_MS)).toFixed(1)}d` : `${(ms / HOUR_MS).toFixed(1)}h`);
+
+    console.log("\n" + "═".repeat(124));
+    console.log(`📊 PERFORMANCE ANALYTICS (${hours.toFixed(0)}h, capital $${report.initialCapital} per book)`);
+    console.log("═".repeat(124));
+    console.log("\n Stratégie            | Trades | Win% |      PnL | Sharpe | Sortino | Calmar |  MaxDD | DD time | PF    | Expect. | Expo | Turn.");
+    console.log("─".repeat(124));
+
+    const line = (name, s) => console.log(
+      ` ${name.substring(0, 20).padEnd(20)} | ${String(s.trades).padStart(6)} | ${(s.winRate * 100).toFixed(0).padStart(3)}% | ${money(s.pnl).padStart(8)} | ${ratio(s.sharpe).padStart(6)} | ${ratio(s.sortino).padStart(7)} | ${ratio(s.calmar).padStart(6)} | ${`${(s.maxDrawdownPct * 100).toFixed(1)}%`.padStart(6)} | ${duration(s.maxDrawdownDuration).padStart(7)} | ${ratio(s.profitFactor).padEnd(5)} | ${money(s.expectancy).padStart(7)} | ${`${(s.exposure * 100).toFixed(0)}%`.padStart(4)} | ${s.turnover.toFixed(2)}x`
+    );
+
+    const sorted = Object.entries(report.strategies).sort((a, b) => b[1].pnl - a[1].pnl);
+    if (sorted.length === 0) {
+      console.log("   Aucun trade sur la période.");
+    }
+    for (const [name, s] of sorted) line(name, s);
+
+    console.log("─".repeat(124));
+    line("PORTFOLIO", report.portfolio);
+
+    const { staleMarks, unpricedMarks } = report.portfolio;
+    if (staleMarks > 0 || unpricedMarks > 0) {
+      console.log(`⚠️  Open PnL: ${staleMarks} trade(s) marked at stale prices, ${unpricedMarks} without a price (valued at entry)`);
+    }
+    console.log("═".repeat(124));
+  }
+}
+
+module.exports = PerformanceAnalytics;
+module.exports.drawdown = drawdown;
+module.exports.returnRatios = returnRatios;
+module.exports.resample = resample;
+module.exports.ANALYTICS_FILE = ANALYTICS_FILE;
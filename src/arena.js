@@ -4,8 +4,10 @@
  * Système de compétition entre stratégies:
  * - Le champion trade en réel (wallet)
  * - Les challengers tradent en paper
- * - Comparaison sur PnL glissant 24-48h
- * - Promotion si challenger > champion 3 fois consécutives
+ * - Comparaison sur les trades fermés des dernières 48h (src/promotion.js):
+ *   échantillon minimum + test de supériorité (bootstrap ou bayésien)
+ * - Promotion après 3 victoires significatives sur des échantillons différents
+ * - Rétrogradation d'un champion qui perd de façon significative
  */
 
 const fs = require("fs");
@@ -15,26 +17,74 @@ const PaperTrader = require("./paper-trader");
 const tradeValidator = require("./trade-validator");
 const RiskManager = require("./risk-manager");
 const EnsembleAllocator = require("./ensemble");
-
-const ARENA_STATE_FILE = path.join(__dirname, "../data/arena-state.json");
+const { fetchBook } = require("./lib/gamma");
+const { outcomeView, resolveOutcome, tradableOutcomes, marketPrices: buildMarketPrices } = require("./lib/outcomes");
+const { ADAPTERS, selectAdapter, normalizeResult } = require("./strategy-result");
+const PromotionPolicy = require("./promotion");
+const PriceProvider = require("./price-provider");
+const Portfolio = require("./portfolio");
+const SignalAggregator = require("./signals");
+const { categoryOf } = require("./signal-providers");
+const { openDocument } = require("./storage");
+
+const ARENA_STATE_FILE = "arena-state.json";
 const ACTIVE_MARKETS_FILE = path.join(__dirname, "../data/active-markets.json");
 const STRATEGIES_DIR = path.join(__dirname, "strategies");
 
 // Files to skip when loading strategies dynamically
 const SKIP_FILES = ["TEMPLATE.js", "creative.js"];
-const COMPARISON_WINDOW_HOURS = 48; // Fenêtre glissante pour comparaison
-const WINS_FOR_PROMOTION = 3; // Victoires consécutives requises
+const PROMOTION = config.ARENA_PROMOTION;
+
+// v1: preuves des victoires en cours, type des entrées de promotionHistory
+const ARENA_SCHEMA = {
+  version: 1,
+  migrations: {
+    1: state => {
+      state.challengerEvidence = state.challengerEvidence || {};
+      for (const entry of state.promotionHistory || []) entry.type = entry.type || "promotion";
+      return state;
+    },
+  },
+};
 
 class StrategyArena {
-  constructor() {
-    this.paper = new PaperTrader();
-    this.riskManager = new RiskManager(this.paper);
-    this.ensemble = new EnsembleAllocator();
+  /**
+   * @param {object} options
+   * @param {PaperTrader} options.paper - Paper trader à utiliser (ex: en mémoire pour le backtest)
+   * @param {PromotionPolicy} options.policy - Règles de promotion (défaut: config.ARENA_PROMOTION)
+   * @param {PriceProvider} options.prices - Prix de marché pour le mark-to-market (défaut: live + recorder)
+   * @param {SignalAggregator} options.signals - Signaux whale de chaque marché analysé
+   * @param {Portfolio} options.portfolio - Equity des books paper (défaut: au prix de this.prices, un book par stratégie chargée)
+   */
+  constructor(options = {}) {
+    this.paper = options.paper || new PaperTrader();
+    this.prices = options.prices || new PriceProvider();
+    this.portfolio = options.portfolio || new Portfolio({
+      paper: this.paper,
+      prices: this.prices,
+      books: () => Object.keys(this.strategies || {}),
+    });
+    this.riskManager = new RiskManager(this.paper, { portfolio: this.portfolio });
+    this.ensemble = new EnsembleAllocator({ prices: this.prices });
+    this.policy = options.policy || new PromotionPolicy();
+    this.signals = options.signals || new SignalAggregator();
     this.state = this.loadState();
     this.activeMarkets = this.loadActiveMarkets();
     this.strategies = this.loadStrategies();
   }
 
+  /**
+   * Relit l'état disque (marchés actifs, état de l'arène, trades paper)
+   * entre deux cycles d'un process long (daemon) - d'autres commandes
+   * peuvent l'avoir modifié entre-temps
+   */
+  refresh() {
+    this.state = this.loadState();
+    this.activeMarkets = this.loadActiveMarkets();
+    this.ensemble.state = this.ensemble.loadState();
+    if (this.paper.persist) this.paper.data = this.paper.load();
+  }
+
   /**
    * Load active markets configuration
    */
@@ -83,25 +133,23 @@ class StrategyArena {
 
   loadState() {
     try {
-      if (fs.existsSync(ARENA_STATE_FILE)) {
-        return JSON.parse(fs.readFileSync(ARENA_STATE_FILE, "utf8"));
-      }
+      const state = openDocument(ARENA_STATE_FILE, ARENA_SCHEMA).load();
+      if (state) return state;
     } catch (e) {
       console.error("Failed to load arena state:", e.message);
     }
     return {
       champion: "baseline",
       challengerWins: {},
+      challengerEvidence: {},
       promotionHistory: [],
       lastUpdate: Date.now(),
     };
   }
 
   saveState() {
-    const dir = path.dirname(ARENA_STATE_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
     this.state.lastUpdate = Date.now();
-    fs.writeFileSync(ARENA_STATE_FILE, JSON.stringify(this.state, null, 2));
+    openDocument(ARENA_STATE_FILE, ARENA_SCHEMA).save(this.state);
   }
 
   /**
@@ -121,7 +169,8 @@ class StrategyArena {
       try {
         const filePath = path.join(STRATEGIES_DIR, file);
         const Strategy = require(filePath);
-        const instance = new Strategy();
+        // Classe, ou objet littéral (weather_arbitrage)
+        const instance = typeof Strategy === "function" ? new Strategy() : Strategy;
         
         // Validate strategy interface
         if (!instance.name || typeof instance.analyze !== "function") {
@@ -129,15 +178,13 @@ class StrategyArena {
           continue;
         }
         
-        strategies[instance.name] = {
-          name: instance.name,
-          instance,
-          analyze: async (marketSlug, marketData, signals) => {
-            return instance.analyze(marketSlug);
-          },
-        };
+        // Adapter du format de résultat (throw si schemaVersion inconnue)
+        const adapter = selectAdapter(instance);
+        strategies[instance.name] = this.wrapStrategy(instance.name, instance, adapter,
+          (marketSlug, marketData, signals) => ADAPTERS[adapter].call(instance, marketSlug, marketData, signals,
+            { capital: this.portfolio.equity(instance.name) }));
         
-        console.log(`   Loaded: ${instance.name}`);
+        console.log(`   Loaded: ${instance.name}${adapter !== "native" ? ` (${adapter} adapter)` : ""}`);
       } catch (e) {
         // Dependency missing or syntax error - skip strategy
         console.warn(`   Skip ${file}: ${e.message}`);
@@ -160,17 +207,14 @@ class StrategyArena {
       
       for (const v of variants) {
         if (typeof creative[v.method] === "function") {
-          strategies[v.name] = {
-            name: v.name,
-            instance: creative,
-            analyze: async (marketSlug, marketData, signals) => {
+          strategies[v.name] = this.wrapStrategy(v.name, creative, "recommendation",
+            (marketSlug, marketData, signals) => {
               creative.currentVariant = v.name;
               const args = [];
               if (v.needsSignals) args.push(signals);
               if (v.needsMarket) args.push(marketData);
               return creative[v.method](...args);
-            },
-          };
+            });
           console.log(`   Loaded: ${v.name} (creative variant)`);
         }
       }
@@ -183,6 +227,36 @@ class StrategyArena {
     return strategies;
   }
 
+  /**
+   * Signaux de base avec les signaux qui dépendent du marché (whale, flux...)
+   * recalculés pour le marché / outcome analysé
+   */
+  async signalsFor(marketData, signals) {
+    if (!signals || !marketData) return signals;
+    return { ...signals, ...await this.signals.getMarketSignals(marketData) };
+  }
+
+  /**
+   * Entrée de l'arène pour une stratégie: analyze() retourne toujours un
+   * résultat au schéma v1 (voir strategy-result.js). Une stratégie qui
+   * déclare `indicators` (ex: ["ema", "bollinger"]) les reçoit calculés sur
+   * le marché analysé dans signals.indicators.
+   */
+  wrapStrategy(name, instance, adapter, call) {
+    return {
+      name,
+      instance,
+      adapter,
+      analyze: async (marketSlug, marketData, signals) => {
+        if (Array.isArray(instance.indicators) && marketData) {
+          signals = { ...signals, indicators: await this.signals.getIndicators(marketData, instance.indicators) };
+        }
+        const raw = await call(marketSlug, marketData, signals);
+        return normalizeResult(raw, adapter, { strategy: name, marketSlug, marketData, instance });
+      },
+    };
+  }
+
   /**
    * Exécute un cycle de compétition complet
    * Chaque stratégie analyse TOUS les marchés actifs et trade sur celui avec le meilleur signal
@@ -217,15 +291,26 @@ class StrategyArena {
     const allMarkets = Object.keys(marketCache);
     console.log(`\n📊 ${allMarkets.length} marchés disponibles pour analyse\n`);
 
+    // Prix live de chaque marché pour valoriser les trades ouverts (performances, ensemble)
+    for (const [slug, data] of Object.entries(marketCache)) {
+      if (data) this.prices.update(slug, data);
+    }
+
     // 0. CHECK TAKE PROFITS - Fermer les positions qui ont atteint leur cible
+    // Carnets des tokens détenus (trades ouverts) pour simuler les sorties
+    const books = {};
+    for (const trade of this.paper.getOpenTrades()) {
+      const data = marketCache[trade.market];
+      if (!data) continue;
+      const view = outcomeView(data, trade.outcomeId);
+      const tokenId = trade.action === "BUY_UP" ? view.upToken : view.downToken;
+      if (tokenId && !(tokenId in books)) books[tokenId] = await fetchBook(tokenId);
+    }
     const marketPrices = {};
     for (const [slug, data] of Object.entries(marketCache)) {
-      marketPrices[slug] = {
-        upPrice: data.upPrice,
-        downPrice: data.downPrice,
-      };
+      marketPrices[slug] = buildMarketPrices(data, books);
     }
-    const closedByTP = this.paper.checkTakeProfits(marketPrices);
+    const closedByTP = this.paper.checkTakeProfits(marketPrices, { rulesFor: trade => this.exitRulesFor(trade) });
     if (closedByTP.length > 0) {
       console.log(`\n✅ ${closedByTP.length} position(s) fermée(s) avec Take Profit!\n`);
     }
@@ -237,65 +322,7 @@ class StrategyArena {
     // 2. Analyser chaque stratégie sur TOUS les marchés, garder le meilleur signal
     const results = {};
     for (const [name, strategy] of Object.entries(this.strategies)) {
-      try {
-        let bestResult = null;
-        let bestScore = -Infinity;
-        let bestMarketSlug = null;
-        let allAnalyses = [];
-        
-        // Analyze ALL markets for this strategy
-        for (const marketSlug of allMarkets) {
-          const marketData = marketCache[marketSlug];
-          
-          try {
-            const result = await strategy.analyze(marketSlug, marketData, signals);
-            const absScore = Math.abs(result.score || 0);
-            
-            allAnalyses.push({
-              market: marketSlug.substring(0, 25),
-              score: result.score,
-              action: result.recommendation?.action || "HOLD",
-            });
-            
-            // Keep the best signal (highest absolute score = strongest conviction)
-            if (absScore > bestScore && result.recommendation?.action !== "HOLD") {
-              bestScore = absScore;
-              bestResult = result;
-              bestMarketSlug = marketSlug;
-            }
-          } catch (e) {
-            // Skip failed analysis for this market
-          }
-        }
-        
-        // If no actionable signal found, use default market with HOLD
-        if (!bestResult) {
-          bestResult = { score: 0, recommendation: { action: "HOLD" } };
-          bestMarketSlug = defaultMarketSlug;
-        }
-        
-        results[name] = {
-          ...bestResult,
-          strategy: name,
-          marketSlug: bestMarketSlug,
-          marketData: marketCache[bestMarketSlug],
-          allAnalyses, // Include all market analyses for debugging
-        };
-        
-        // Log with market selection info
-        const actionStr = bestResult.recommendation?.action || "HOLD";
-        const marketShort = bestMarketSlug.split('-').slice(0, 3).join('-');
-        const scoreStr = (bestResult.score * 100).toFixed(1);
-        
-        if (actionStr !== "HOLD") {
-          console.log(`📊 ${name.padEnd(22)} → ${actionStr.padEnd(8)} on ${marketShort} (score: ${scoreStr}%)`);
-        } else {
-          console.log(`📊 ${name.padEnd(22)} → HOLD (no signal across ${allMarkets.length} markets)`);
-        }
-      } catch (e) {
-        console.error(`   Error in ${name}: ${e.message}`);
-        results[name] = { strategy: name, score: 0, recommendation: { action: "HOLD" }, marketSlug: defaultMarketSlug };
-      }
+      results[name] = await this.analyzeStrategy(name, strategy, marketCache, signals, defaultMarketSlug);
     }
     
     // 3. Exécuter les trades - ENSEMBLE MODE
@@ -312,8 +339,16 @@ class StrategyArena {
     console.log("🛡️  RISK MANAGEMENT CHECK");
     console.log("─".repeat(60));
     const riskStatus = this.riskManager.getStatus();
-    console.log(`   Portfolio: $${riskStatus.portfolio.toFixed(2)}`);
-    console.log(`   Open trades: ${riskStatus.openTrades}`);
+    const wallet = realTrader?.portfolio ? await realTrader.portfolio.refresh() : null;
+    // PAPER_ONLY: l'execution guard refuserait tout ordre réel (sauf sur l'exchange simulé)
+    const sendsReal = Boolean(realTrader) && (!config.PAPER_ONLY || realTrader.exchange?.name === "simulated");
+    console.log(`   Paper books: $${riskStatus.portfolio.toFixed(2)} (${Object.keys(riskStatus.books).length} books)`);
+    if (wallet) {
+      console.log(`   Wallet: $${wallet.equity.toFixed(2)} ($${wallet.cash.toFixed(2)} USDC.e available)`);
+    }
+    console.log(`   Open trades: ${riskStatus.openTrades} ($${riskStatus.grossExposure.toFixed(2)} gross)`);
+    const groups = Object.entries(riskStatus.groupExposures).map(([g, v]) => `${g} $${v.toFixed(0)}`);
+    if (groups.length > 0) console.log(`   Correlated: ${groups.join(", ")}`);
     console.log(`   Mode: ${useEnsemble ? "ENSEMBLE" : "CHAMPION"}`);
 
     for (const [name, result] of Object.entries(results)) {
@@ -321,8 +356,17 @@ class StrategyArena {
       const stratMarketData = result.marketData || defaultMarketData;
       const stratMarketSlug = result.marketSlug || defaultMarketSlug;
 
+      if (action === "EXIT" && !result.skipped) {
+        await this.exitPositions(name, result, stratMarketSlug, stratMarketData);
+        continue;
+      }
+
       if (action && action !== "HOLD" && !result.skipped) {
         const price = action === "BUY_UP" ? stratMarketData.upPrice : stratMarketData.downPrice;
+        const tokenId = action === "BUY_UP" ? stratMarketData.upToken : stratMarketData.downToken;
+        const outcomeId = resolveOutcome(stratMarketData);
+        const outcomeName = stratMarketData.outcomeName || null;
+        const category = categoryOf(stratMarketData);
 
         // Valider le trade avant exécution (trade-validator)
         const validation = tradeValidator.validate(result, stratMarketData);
@@ -335,8 +379,11 @@ class StrategyArena {
         const riskValidation = this.riskManager.validate({
           strategy: name,
           marketSlug: stratMarketSlug,
+          outcomeId,
           action,
+          category,
           confidence: result.confidence || 0.5,
+          sizing: await this.sizingRequest(result, stratMarketData, price),
         });
 
         if (!riskValidation.valid) {
@@ -351,7 +398,7 @@ class StrategyArena {
         if (useEnsemble) {
           // Ensemble mode: check allocation for this strategy
           const ensembleAlloc = this.ensemble.getAllocation(name, riskValidation.size);
-          canTradeReal = ensembleAlloc.canTrade && realTrader;
+          canTradeReal = ensembleAlloc.canTrade && sendsReal;
           tradeSize = ensembleAlloc.size;
           
           if (ensembleAlloc.allocation > 0) {
@@ -359,44 +406,91 @@ class StrategyArena {
           }
         } else {
           // Champion mode: only champion trades real
-          canTradeReal = (name === championName) && realTrader;
+          canTradeReal = (name === championName) && sendsReal;
         }
         
+        if (result.sizing) {
+          console.log(`   📐 [${name}] Sizing: ${riskValidation.sizing.details}`);
+        }
         if (riskValidation.adjusted) {
           console.log(`   ℹ️  [${name}] ${riskValidation.adjustReason}`);
         }
 
-        if (canTradeReal && tradeSize >= 1) {
+        // La stratégie peut demander moins que le sizing du risk manager
+        if (result.sizeHint && result.sizeHint < tradeSize) {
+          console.log(`   ℹ️  [${name}] Size capped by strategy hint: $${result.sizeHint.toFixed(2)}`);
+          tradeSize = result.sizeHint;
+        }
+
+        // Taille du trade réel: plafonnée au solde du wallet et aux limites du
+        // portefeuille réel. Sans ordre réel, le trade paper garde sa taille.
+        let realSize = tradeSize;
+        if (canTradeReal) {
+          const walletCash = realTrader.portfolio?.available();
+          if (walletCash !== null && walletCash !== undefined && realSize > walletCash) {
+            console.log(`   ℹ️  [${name}] Size capped by wallet balance: $${walletCash.toFixed(2)}`);
+            realSize = Math.max(0, walletCash);
+          }
+
+          if (realSize >= 1) {
+            const real = this.riskManager.validateReal({ marketSlug: stratMarketSlug, outcomeId, action, category },
+              realSize, realTrader.portfolio?.wallet(), realTrader.positions);
+            if (!real.valid) {
+              console.log(`   ⛔ [${name}] Real trade skipped: ${real.reason}`);
+              canTradeReal = false;
+            } else if (real.size < realSize) {
+              console.log(`   ℹ️  [${name}] ${real.adjustReason} (wallet)`);
+              realSize = real.size;
+            }
+          }
+          if (realSize < 1) canTradeReal = false;
+        }
+
+        if (canTradeReal) {
           // Trade RÉEL (ensemble ou champion)
+          tradeSize = realSize;
           const modeLabel = useEnsemble ? "ENSEMBLE" : "CHAMPION";
           console.log(`\n💰 ${modeLabel} ${name} - REAL TRADE: ${action} $${tradeSize.toFixed(2)}`);
-          const tokenId = action === "BUY_UP" ? stratMarketData.upToken : stratMarketData.downToken;
+          const book = tokenId ? await fetchBook(tokenId) : null;
           const order = await realTrader.placeOrder(tokenId, action === "BUY_UP" ? "UP" : "DOWN", price, tradeSize, stratMarketSlug);
+          // Le snapshot du wallet (en cache) doit voir cet ordre pour les suivants du cycle
+          if (order?.success) realTrader.portfolio?.reserve(tradeSize);
           
           this.paper.logTrade({
             strategy: name,
             isReal: false,  // ALL PAPER until explicit go-live
             market: stratMarketSlug,
+            outcomeId,
+            outcomeName,
+            category,
             action,
             entryPrice: price,
             size: tradeSize,
             score: result.score,
             confidence: result.confidence,
             reason: result.reason || result.recommendation?.reason,
+            exitPlan: result.exitPlan,
+            book,
           });
         } else if (tradeSize >= 1) {
           // Trade PAPER
           console.log(`\n📝 PAPER ${name}: ${action} $${tradeSize.toFixed(2)}`);
+          const book = tokenId ? await fetchBook(tokenId) : null;
           this.paper.logTrade({
             strategy: name,
             isReal: false,
             market: stratMarketSlug,
+            outcomeId,
+            outcomeName,
+            category,
             action,
             entryPrice: price,
             size: tradeSize,
             score: result.score,
             confidence: result.confidence,
             reason: result.reason || result.recommendation?.reason,
+            exitPlan: result.exitPlan,
+            book,
           });
         }
       }
@@ -409,106 +503,306 @@ class StrategyArena {
   }
 
   /**
-   * Calcule la taille de position (simplifié)
+   * Action EXIT: ferme les trades paper ouverts de la stratégie sur le
+   * marché/outcome visé, au prix courant de leur côté
+   */
+  async exitPositions(name, result, marketSlug, marketData) {
+    const outcomeId = resolveOutcome(marketData);
+    const trades = this.paper.getOpenTrades()
+      .filter(t => t.strategy === name && t.market === marketSlug && (t.outcomeId || null) === outcomeId);
+
+    if (trades.length === 0) return [];
+
+    console.log(`\n🚪 ${name}: EXIT ${trades.length} position(s) on ${marketSlug.substring(0, 30)} - ${result.reason}`);
+    const closed = [];
+    for (const trade of trades) {
+      const isUp = trade.action === "BUY_UP";
+      const price = isUp ? marketData.upPrice : marketData.downPrice;
+      const tokenId = isUp ? marketData.upToken : marketData.downToken;
+      const book = tokenId ? await fetchBook(tokenId) : null;
+      const exited = this.paper.exitTrade(trade, price, `STRATEGY_EXIT (${result.reason})`, book);
+      if (exited) closed.push(exited);
+    }
+    if (closed.length > 0) this.paper.save();
+    return closed;
+  }
+
+  /**
+   * Analyse une stratégie sur tous les marchés du cache et garde le meilleur signal
+   * (score absolu le plus fort parmi les signaux non-HOLD).
+   * Utilisé par runCompetition et par le moteur de backtest.
    */
-  calculatePositionSize(result, marketData) {
-    const baseSize = config.MAX_POSITION_SIZE;
-    const confidence = result.confidence || 0.5;
-    return Math.min(baseSize, baseSize * confidence);
+  async analyzeStrategy(name, strategy, marketCache, signals, defaultMarketSlug) {
+    const allMarkets = Object.keys(marketCache);
+
+    try {
+      let bestResult = null;
+      let bestScore = -Infinity;
+      let bestMarketSlug = null;
+      let bestMarketData = null;
+      let allAnalyses = [];
+      
+      // Analyze ALL markets for this strategy
+      // Multi-outcome events: each leading outcome is analyzed as its own YES/NO market
+      for (const marketSlug of allMarkets) {
+        const market = marketCache[marketSlug];
+        const outcomes = tradableOutcomes(market);
+        const views = outcomes.length > 0 ? outcomes.map(o => outcomeView(market, o.id)) : [market];
+
+        for (const marketData of views) {
+          try {
+            const result = await strategy.analyze(marketSlug, marketData, await this.signalsFor(marketData, signals));
+            const absScore = Math.abs(result.score || 0);
+            
+            allAnalyses.push({
+              market: marketSlug.substring(0, 25),
+              outcome: marketData.outcomeName,
+              score: result.score,
+              action: result.recommendation?.action || "HOLD",
+            });
+            
+            // Keep the best signal (highest absolute score = strongest conviction)
+            if (absScore > bestScore && result.recommendation?.action !== "HOLD") {
+              bestScore = absScore;
+              bestResult = result;
+              bestMarketSlug = marketSlug;
+              // La stratégie peut viser un autre outcome que la vue analysée
+              bestMarketData = result.outcomeId && result.outcomeId !== marketData.outcomeId
+                ? outcomeView(market, result.outcomeId)
+                : marketData;
+            }
+          } catch (e) {
+            // Skip failed analysis for this market
+          }
+        }
+      }
+      
+      // If no actionable signal found, use default market with HOLD
+      if (!bestResult) {
+        bestResult = { score: 0, recommendation: { action: "HOLD" } };
+        bestMarketSlug = defaultMarketSlug;
+        bestMarketData = marketCache[defaultMarketSlug];
+      }
+      
+      // Log with market selection info
+      const actionStr = bestResult.recommendation?.action || "HOLD";
+      const marketShort = bestMarketSlug.split('-').slice(0, 3).join('-')
+        + (bestMarketData?.outcomeName ? ` [${bestMarketData.outcomeName}]` : "");
+      const scoreStr = (bestResult.score * 100).toFixed(1);
+      
+      if (actionStr !== "HOLD") {
+        console.log(`📊 ${name.padEnd(22)} → ${actionStr.padEnd(8)} on ${marketShort} (score: ${scoreStr}%)`);
+      } else {
+        console.log(`📊 ${name.padEnd(22)} → HOLD (no signal across ${allMarkets.length} markets)`);
+      }
+
+      return {
+        ...bestResult,
+        strategy: name,
+        marketSlug: bestMarketSlug,
+        marketData: bestMarketData,
+        allAnalyses, // Include all market analyses for debugging
+      };
+    } catch (e) {
+      console.error(`   Error in ${name}: ${e.message}`);
+      return { strategy: name, score: 0, recommendation: { action: "HOLD" }, marketSlug: defaultMarketSlug };
+    }
   }
 
   /**
-   * Compare les performances et gère les promotions
+   * Règles de sortie custom de la stratégie d'un trade (instance.exitRules, src/exit-rules.js)
+   */
+  exitRulesFor(trade) {
+    const strategy = this.strategies[this.paper.strategyKey(trade)];
+    return strategy?.instance?.exitRules || [];
+  }
+
+  /**
+   * Requête de sizing d'un résultat (src/sizing.js): modèle demandé par la
+   * stratégie + prix du côté acheté, stop du plan de sortie et, pour le
+   * modèle volatility, ATR relatif du marché analysé
+   */
+  async sizingRequest(result, marketData, price) {
+    const request = { price, stopLossPct: result.exitPlan?.stopLossPct, ...result.sizing };
+    if (request.model === "volatility" && request.volatility === undefined) {
+      const { values } = await this.signals.getIndicators(marketData, ["atr"]);
+      request.volatility = values.atr?.value?.relative;
+    }
+    return request;
+  }
+
+  /**
+   * PnL des trades fermés par stratégie sur la fenêtre de comparaison (date de
+   * fermeture; date d'ouverture pour les anciens trades sans closedAt)
+   * @returns {{ [strategy]: { pnls: number[], lastClose: number } }}
+   */
+  closedSamples() {
+    const windowStart = Date.now() - PROMOTION.WINDOW_HOURS * 60 * 60 * 1000;
+    const samples = {};
+
+    for (const trade of this.paper.data.trades) {
+      if (trade.status !== "closed") continue;
+      const closedAt = trade.closedAt ?? trade.timestamp;
+      if (closedAt < windowStart) continue;
+      const name = this.paper.strategyKey(trade);
+      const sample = samples[name] = samples[name] || { pnls: [], lastClose: 0 };
+      sample.pnls.push(trade.pnl || 0);
+      sample.lastClose = Math.max(sample.lastClose, closedAt);
+    }
+
+    return samples;
+  }
+
+  /**
+   * Compare les performances et gère promotions / rétrogradations
+   * (règles et tests statistiques: src/promotion.js)
    */
   async compareAndPromote(marketData) {
     console.log("\n" + "─".repeat(60));
     console.log("📈 PERFORMANCE COMPARISON");
     console.log("─".repeat(60));
 
-    // Calculer le PnL sur la fenêtre glissante
-    const performances = this.paper.getPerformanceWindow(COMPARISON_WINDOW_HOURS);
+    // Calculer le PnL sur la fenêtre glissante (trades ouverts au prix de leur marché)
+    const performances = this.paper.getPerformanceWindow(PROMOTION.WINDOW_HOURS, this.prices);
     
     // Afficher les performances
     const sorted = Object.entries(performances)
       .sort((a, b) => b[1].pnl - a[1].pnl);
 
-    console.log(`\n Stratégie         | Trades | PnL (${COMPARISON_WINDOW_HOURS}h)`);
-    console.log("─".repeat(50));
+    console.log(`\n Stratégie         | Trades | PnL (${PROMOTION.WINDOW_HOURS}h) | Sharpe |  MaxDD`);
+    console.log("─".repeat(60));
 
     for (const [name, stats] of sorted) {
       const isChampion = name === this.state.champion;
       const emoji = isChampion ? "👑" : "  ";
       const pnlStr = stats.pnl >= 0 ? `+$${stats.pnl.toFixed(2)}` : `-$${Math.abs(stats.pnl).toFixed(2)}`;
-      console.log(`${emoji} ${name.padEnd(18)} |   ${stats.trades.toString().padStart(3)}  | ${pnlStr.padStart(10)}`);
+      const markFlag = stats.staleMarks + stats.unpricedMarks > 0 ? " ⚠️" : "";
+      console.log(`${emoji} ${name.padEnd(18)} |   ${stats.trades.toString().padStart(3)}  | ${pnlStr.padStart(10)} | ${stats.sharpe.toFixed(2).padStart(6)} | ${`${(stats.maxDrawdownPct * 100).toFixed(1)}%`.padStart(6)}${markFlag}`);
+    }
+    const unmarked = sorted.filter(([, stats]) => stats.staleMarks + stats.unpricedMarks > 0);
+    if (unmarked.length > 0) {
+      console.log(`⚠️  Prix périmés ou absents pour des trades ouverts: ${unmarked.map(([name]) => name).join(", ")}`);
     }
 
-    // Trouver le meilleur challenger
-    // CONDITIONS POUR UNE VICTOIRE:
-    // 1. PnL challenger > PnL champion
-    // 2. PnL challenger > 0 (doit être profitable)
-    // 3. Edge minimum de $1 vs champion
-    const MIN_EDGE_FOR_WIN = 1.0; // $1 minimum edge
-    const championPnL = performances[this.state.champion]?.pnl || 0;
-    let bestChallenger = null;
-    let bestChallengerPnL = championPnL;
-
-    for (const [name, stats] of sorted) {
-      if (name !== this.state.champion && 
-          stats.pnl > bestChallengerPnL &&
-          stats.pnl > 0 &&  // Must be profitable
-          (stats.pnl - championPnL) >= MIN_EDGE_FOR_WIN) {  // Min $1 edge
-        bestChallenger = name;
-        bestChallengerPnL = stats.pnl;
+    const champion = this.state.champion;
+    const samples = this.closedSamples();
+    const championPnls = samples[champion]?.pnls || [];
+
+    // 1. Rétrogradation d'un champion qui perd de façon significative
+    const demotion = this.policy.checkDemotion(championPnls, performances[champion]);
+    if (demotion.demote) {
+      const replacement = this.bestReplacement(samples, champion);
+      if (replacement.name !== champion) {
+        console.log(`\n📉 ${champion} rétrogradé: ${demotion.reason}`);
+        await this.changeChampion(replacement.name, "demotion", demotion.reason, { demotion, replacement: replacement.evidence });
+        return;
       }
+      console.log(`\n⚠️  ${champion} devrait être rétrogradé (${demotion.reason}) mais aucun remplaçant`);
     }
 
-    // Gérer les victoires consécutives
-    if (bestChallenger) {
-      this.state.challengerWins[bestChallenger] = (this.state.challengerWins[bestChallenger] || 0) + 1;
-      console.log(`\n🔥 ${bestChallenger} surpasse le champion! (${this.state.challengerWins[bestChallenger]}/${WINS_FOR_PROMOTION} victoires)`);
-
-      // Reset les autres challengers
-      for (const name of Object.keys(this.state.challengerWins)) {
-        if (name !== bestChallenger) {
-          this.state.challengerWins[name] = 0;
-        }
+    // 2. Meilleur challenger significativement supérieur au champion
+    let best = null;
+    for (const [name, sample] of Object.entries(samples)) {
+      if (name === champion) continue;
+      const evidence = this.policy.compare(championPnls, sample.pnls);
+      if (evidence.significant && (!best || evidence.probability > best.evidence.probability ||
+          (evidence.probability === best.evidence.probability && evidence.meanDiff > best.evidence.meanDiff))) {
+        best = { name, evidence, lastClose: Math.max(sample.lastClose, samples[champion]?.lastClose || 0) };
       }
+    }
 
-      // Vérifier si promotion
-      if (this.state.challengerWins[bestChallenger] >= WINS_FOR_PROMOTION) {
-        await this.promote(bestChallenger);
-      }
-    } else {
+    if (!best) {
       // Champion reste en tête - reset tous les challengers
-      console.log(`\n👑 ${this.state.champion} reste champion!`);
+      console.log(`\n👑 ${champion} reste champion!`);
       this.state.challengerWins = {};
+      this.state.challengerEvidence = {};
+      this.saveState();
+      return;
+    }
+
+    // Une victoire ne compte que sur un échantillon différent de la précédente
+    const previous = this.state.challengerEvidence[best.name];
+    if (previous && previous.lastClose >= best.lastClose) {
+      console.log(`\n⏸️  ${best.name} toujours devant (${best.evidence.reason}) - aucun nouveau trade fermé, victoire non comptée`);
+    } else {
+      this.state.challengerWins[best.name] = (this.state.challengerWins[best.name] || 0) + 1;
+      this.state.challengerEvidence[best.name] = { lastClose: best.lastClose, ...best.evidence };
+      console.log(`\n🔥 ${best.name} surpasse le champion! ${best.evidence.reason} (${this.state.challengerWins[best.name]}/${PROMOTION.CONFIRMATIONS} victoires)`);
+    }
+
+    // Reset les autres challengers
+    for (const name of Object.keys(this.state.challengerWins)) {
+      if (name !== best.name) {
+        this.state.challengerWins[name] = 0;
+        delete this.state.challengerEvidence[name];
+      }
+    }
+
+    // Vérifier si promotion
+    if (this.state.challengerWins[best.name] >= PROMOTION.CONFIRMATIONS) {
+      await this.promote(best.name, best.evidence);
+      return;
     }
 
     this.saveState();
   }
 
+  /**
+   * Remplaçant d'un champion rétrogradé: challenger avec un PnL moyen
+   * significativement positif (testé contre zéro), sinon DEMOTION.FALLBACK
+   */
+  bestReplacement(samples, champion) {
+    let best = null;
+    for (const [name, sample] of Object.entries(samples)) {
+      if (name === champion) continue;
+      const evidence = this.policy.compare([], sample.pnls);
+      if (evidence.significant && (!best || evidence.probability > best.evidence.probability)) {
+        best = { name, evidence };
+      }
+    }
+    return best || { name: PROMOTION.DEMOTION.FALLBACK, evidence: null };
+  }
+
   /**
    * Promeut un challenger en nouveau champion
+   * @param {object} evidence - Preuves du test de supériorité (src/promotion.js)
    */
-  async promote(newChampion) {
+  async promote(newChampion, evidence = null) {
+    const reason = `${PROMOTION.CONFIRMATIONS} victoires significatives${evidence ? ` (${evidence.reason})` : ""}`;
+    await this.changeChampion(newChampion, "promotion", reason, evidence);
+  }
+
+  /**
+   * Change de champion et enregistre la décision et ses preuves dans promotionHistory
+   * @param {string} type - "promotion" | "demotion"
+   */
+  async changeChampion(newChampion, type, reason, evidence) {
     const oldChampion = this.state.champion;
     
     console.log("\n" + "═".repeat(60));
-    console.log(`🎉 PROMOTION! ${newChampion} devient le nouveau champion!`);
-    console.log(`   ${oldChampion} → challenger`);
+    if (type === "demotion") {
+      console.log(`📉 RÉTROGRADATION! ${oldChampion} → ${newChampion}`);
+    } else {
+      console.log(`🎉 PROMOTION! ${newChampion} devient le nouveau champion!`);
+      console.log(`   ${oldChampion} → challenger`);
+    }
+    console.log(`   ${reason}`);
     console.log("═".repeat(60));
 
     // Enregistrer l'historique
     this.state.promotionHistory.push({
       timestamp: Date.now(),
+      type,
       oldChampion,
       newChampion,
-      reason: `${WINS_FOR_PROMOTION} victoires consécutives`,
+      reason,
+      evidence,
     });
 
     // Changer de champion
     this.state.champion = newChampion;
     this.state.challengerWins = {};
+    this.state.challengerEvidence = {};
 
     this.saveState();
   }
@@ -526,7 +820,8 @@ class StrategyArena {
       console.log("\n🔥 Challengers en progression:");
       for (const [name, wins] of Object.entries(this.state.challengerWins)) {
         if (wins > 0) {
-          console.log(`   ${name}: ${wins}/${WINS_FOR_PROMOTION} victoires`);
+          const evidence = this.state.challengerEvidence[name];
+          console.log(`   ${name}: ${wins}/${PROMOTION.CONFIRMATIONS} victoires${evidence ? ` - ${evidence.reason}` : ""}`);
         }
       }
     }
@@ -535,20 +830,20 @@ class StrategyArena {
       console.log("\n📜 Historique des promotions:");
       for (const p of this.state.promotionHistory.slice(-5)) {
         const date = new Date(p.timestamp).toLocaleString();
-        console.log(`   ${date}: ${p.oldChampion} → ${p.newChampion}`);
+        console.log(`   ${date}: ${p.type === "demotion" ? "📉" : "🎉"} ${p.oldChampion} → ${p.newChampion} (${p.reason})`);
       }
     }
 
     // Performances actuelles
-    const performances = this.paper.getPerformanceWindow(COMPARISON_WINDOW_HOURS);
+    const performances = this.paper.getPerformanceWindow(PROMOTION.WINDOW_HOURS, this.prices);
     if (Object.keys(performances).length > 0) {
-      console.log(`\n📊 Performances (${COMPARISON_WINDOW_HOURS}h):`);
+      console.log(`\n📊 Performances (${PROMOTION.WINDOW_HOURS}h):`);
       const sorted = Object.entries(performances).sort((a, b) => b[1].pnl - a[1].pnl);
       for (const [name, stats] of sorted) {
         const isChampion = name === this.state.champion;
         const emoji = isChampion ? "👑" : "  ";
         const pnlStr = stats.pnl >= 0 ? `+$${stats.pnl.toFixed(2)}` : `-$${Math.abs(stats.pnl).toFixed(2)}`;
-        console.log(`   ${emoji} ${name}: ${pnlStr} (${stats.trades} trades)`);
+        console.log(`   ${emoji} ${name}: ${pnlStr} (${stats.trades} trades, Sharpe ${stats.sharpe.toFixed(2)}, max DD ${(stats.maxDrawdownPct * 100).toFixed(1)}%)`);
       }
     }
 
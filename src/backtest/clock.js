@@ -0,0 +1,64 @@
+/**
+ * SIMULATED CLOCK
+ *
+ * Pins Date.now() and `new Date()` to a simulated time during a backtest replay.
+ * PaperTrader, RiskManager and the strategies all read the current time directly
+ * (trade timestamps, cooldowns, history windows, hours to expiry), so pinning it
+ * is what makes a replayed cycle behave like the live cycle did at that moment.
+ * Dates built from an explicit value are left untouched.
+ */
+
+class SimulatedClock {
+  constructor(start = 0) {
+    this.time = start;
+    this.realNow = null;
+    this.RealDate = null;
+  }
+
+  /**
+   * Replace Date.now() and the no-argument Date constructor with the simulated time
+   */
+  install() {
+    if (this.realNow) return;
+    const RealDate = Date;
+    const clock = this;
+    this.RealDate = RealDate;
+    this.realNow = RealDate.now;
+    RealDate.now = () => this.time;
+
+    // Proxy: statics (parse, UTC, now) and instanceof keep working
+    global.Date = new Proxy(RealDate, {
+      construct(target, args, newTarget) {
+        return Reflect.construct(target, args.length > 0 ? args : [clock.time], newTarget);
+      },
+      apply() {
+        return new RealDate(clock.time).toString();
+      },
+    });
+  }
+
+  /**
+   * Restore the real Date
+   */
+  uninstall() {
+    if (!this.realNow) return;
+    this.RealDate.now = this.realNow;
+    global.Date = this.RealDate;
+    this.realNow = null;
+    this.RealDate = null;
+  }
+
+  set(timestamp) {
+    this.time = timestamp;
+  }
+
+  advance(ms) {
+    this.time += ms;
+  }
+
+  now() {
+    return this.time;
+  }
+}
+
+module.exports = SimulatedClock;
@@ -0,0 +1,428 @@
+/**
+ * BACKTEST ENGINE
+ *
+ * Rejoue une série de snapshots de marché enregistrés à travers toutes les
+ * stratégies de l'arène (StrategyArena.loadStrategies) avec une horloge simulée.
+ * Chaque stratégie trade dans son propre book paper (en mémoire), avec les
+ * mêmes règles que l'arène: trade-validator, risk manager, take profit/stop loss.
+ *
+ * Produit par stratégie: PnL, win rate, max drawdown, Sharpe et Sortino
+ * annualisés calculés sur la courbe d'equity (capital initial + PnL réalisé
+ * + MtM), avec les mêmes formules que src/analytics.js.
+ *
+ * Format des snapshots (JSON Lines, un snapshot par ligne):
+ * {
+ *   "timestamp": 1767225600000,
+ *   "markets": {
+ *     "<slug>": {
+ *       title, slug, endDate, upPrice, downPrice, upToken, downToken,
+ *       liquidity, volume, conditionId,
+ *       books: { "<tokenId>": { bids: [{price, size}], asks: [...] } },
+ *       negRisk, outcomes: [{ id, name, yesPrice, noPrice, yesToken, noToken }],  // multi-outcome
+ *       closed: false, outcome: "UP" | "DOWN" | "<outcome id>"    // si le marché est résolu
+ *     }
+ *   },
+ *   "whales": { "<address>": [ data-api positions ] },
+ *   "activity": { "<conditionId>": [ data-api activity ] }
+ * }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const PaperTrader = require("../paper-trader");
+const RiskManager = require("../risk-manager");
+const StrategyArena = require("../arena");
+const tradeValidator = require("../trade-validator");
+const SimulatedClock = require("./clock");
+const ReplayTransport = require("./replay");
+const config = require("../config");
+const { resolveOutcome, marketPrices: buildMarketPrices } = require("../lib/outcomes");
+const { categoryOf } = require("../signal-providers");
+const { drawdown, returnRatios } = require("../analytics");
+
+const BACKTEST_DIR = path.join(__dirname, "../../data/backtest");
+const DEFAULT_SNAPSHOTS_FILE = path.join(BACKTEST_DIR, "snapshots.jsonl");
+const INITIAL_CAPITAL = config.ANALYTICS.INITIAL_CAPITAL; // Même base que RiskManager et src/analytics.js
+
+/**
+ * Charge les snapshots d'un fichier JSON Lines, triés par timestamp
+ * @param {string} file
+ * @param {object} range - { from, to } en ms (optionnel)
+ */
+function loadSnapshots(file = DEFAULT_SNAPSHOTS_FILE, range = {}) {
+  const lines = fs.readFileSync(file, "utf8").split("\n").filter(l => l.trim());
+  const snapshots = [];
+
+  for (const [i, line] of lines.entries()) {
+    try {
+      snapshots.push(JSON.parse(line));
+    } catch (e) {
+      console.warn(`   Skip snapshot line ${i + 1}: ${e.message}`);
+    }
+  }
+
+  return snapshots
+    .filter(s => (!range.from || s.timestamp >= range.from) && (!range.to || s.timestamp <= range.to))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Construit des snapshots à partir du store du recorder (data/history/)
+ * Les points sont regroupés par cycle d'enregistrement; un marché sans point
+ * dans un cycle garde son dernier état connu.
+ * @param {TimeSeriesStore} store
+ * @param {object} options - { from, to, markets: [slugs], intervalMs }
+ */
+function loadSnapshotsFromStore(store, options = {}) {
+  const intervalMs = options.intervalMs || config.RECORDER.INTERVAL_SECONDS * 1000;
+  const slugs = options.markets || store.markets();
+  const points = [];
+
+  for (const slug of slugs) {
+    for (const point of store.query(slug, { from: options.from || 0, to: options.to || Infinity })) {
+      points.push({ ...point, slug });
+    }
+  }
+  points.sort((a, b) => a.timestamp - b.timestamp);
+
+  const snapshots = [];
+  const state = {};
+  let bucket = null;
+
+  for (const point of points) {
+    const key = Math.floor(point.timestamp / intervalMs);
+    if (key !== bucket) {
+      snapshots.push({ timestamp: point.timestamp, markets: {} });
+      bucket = key;
+    }
+    state[point.slug] = point;
+    const snapshot = snapshots[snapshots.length - 1];
+    snapshot.timestamp = point.timestamp;
+    snapshot.markets = { ...state };
+  }
+
+  return snapshots;
+}
+
+/**
+ * { upPrice, downPrice, outcomes } → format attendu par calculateMtmPnL ({ up, down, outcomes })
+ */
+function toMtmPrices(prices) {
+  const outcomes = {};
+  for (const [id, o] of Object.entries(prices.outcomes || {})) {
+    outcomes[id] = { up: o.upPrice, down: o.downPrice };
+  }
+  return { up: prices.upPrice, down: prices.downPrice, outcomes };
+}
+
+class BacktestEngine {
+  /**
+   * @param {array} snapshots - Snapshots triés par timestamp
+   * @param {object} options
+   * @param {string[]} options.strategies - Limiter à ces stratégies (défaut: toutes)
+   * @param {string} options.defaultMarket - Marché utilisé pour les signaux de base
+   * @param {boolean} options.verbose - Garder les logs des stratégies
+   */
+  constructor(snapshots, options = {}) {
+    this.snapshots = snapshots;
+    this.only = options.strategies || null;
+    this.defaultMarket = options.defaultMarket || null;
+    this.verbose = options.verbose || false;
+    this.clock = new SimulatedClock();
+    this.replay = new ReplayTransport();
+    this.books = {};
+    this.equity = {};
+  }
+
+  /**
+   * Rejoue tous les snapshots et retourne le rapport
+   */
+  async run() {
+    if (this.snapshots.length === 0) {
+      throw new Error("No snapshots to replay");
+    }
+
+    const restoreLogs = this.verbose ? () => {} : this.muteLogs();
+    this.clock.set(this.snapshots[0].timestamp);
+    this.clock.install();
+    this.replay.setSnapshot(this.snapshots[0]);
+    this.replay.install();
+
+    try {
+      const arena = new StrategyArena({ paper: new PaperTrader({ persist: false }) });
+      arena.signals.rateLimitMs = 0;
+      const strategies = Object.entries(arena.strategies)
+        .filter(([name]) => !this.only || this.only.includes(name));
+
+      for (const [name, strategy] of strategies) {
+        this.prepareInstance(strategy.instance);
+        const paper = new PaperTrader({ persist: false });
+        this.books[name] = { paper, risk: new RiskManager(paper) };
+        this.equity[name] = [];
+      }
+
+      for (const snapshot of this.snapshots) {
+        await this.step(arena, strategies, snapshot);
+      }
+    } finally {
+      this.replay.uninstall();
+      this.clock.uninstall();
+      restoreLogs();
+    }
+
+    return this.buildReport();
+  }
+
+  /**
+   * Strategies persist their own state files; a replay must never touch
+   * live state, so every save*() is disabled on the replayed instances.
+   */
+  prepareInstance(instance) {
+    let proto = instance;
+    while (proto && proto !== Object.prototype) {
+      for (const key of Object.getOwnPropertyNames(proto)) {
+        if (/^save/.test(key) && typeof instance[key] === "function") {
+          instance[key] = () => {};
+        }
+      }
+      proto = Object.getPrototypeOf(proto);
+    }
+
+    // No need to rate-limit calls answered from the snapshot
+    if (instance.signals?.rateLimitMs) instance.signals.rateLimitMs = 0;
+  }
+
+  muteLogs() {
+    const { log, warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+    return () => Object.assign(console, { log, warn, error });
+  }
+
+  /**
+   * Un cycle d'arène au temps du snapshot
+   */
+  async step(arena, strategies, snapshot) {
+    this.clock.set(snapshot.timestamp);
+    this.replay.setSnapshot(snapshot);
+
+    const markets = snapshot.markets || {};
+    const marketCache = {};
+    const marketPrices = {};
+    for (const [slug, market] of Object.entries(markets)) {
+      marketPrices[slug] = buildMarketPrices(market, market.books || {});
+      if (!market.closed) marketCache[slug] = market;
+    }
+
+    // Marchés résolus: régler les trades ouverts à 1/0
+    for (const [slug, market] of Object.entries(markets)) {
+      if (!market.closed || !market.outcome) continue;
+      for (const { paper } of Object.values(this.books)) {
+        if (paper.getOpenTrades().some(t => t.market === slug)) {
+          paper.closeMarket(slug, market.outcome, {});
+        }
+      }
+    }
+
+    for (const [name, { paper }] of Object.entries(this.books)) {
+      paper.checkTakeProfits(marketPrices, { rulesFor: () => arena.strategies[name]?.instance?.exitRules || [] });
+    }
+
+    const slugs = Object.keys(marketCache);
+    if (slugs.length > 0) {
+      const defaultSlug = marketCache[this.defaultMarket] ? this.defaultMarket : slugs[0];
+      const signals = await this.getBaselineSignals(arena, defaultSlug, marketCache[defaultSlug]);
+
+      for (const [name, strategy] of strategies) {
+        const result = await arena.analyzeStrategy(name, strategy, marketCache, signals, defaultSlug);
+        await this.execute(arena, name, result);
+      }
+    }
+
+    this.recordEquity(snapshot.timestamp, marketPrices);
+  }
+
+  async getBaselineSignals(arena, slug, marketData) {
+    const baseline = arena.strategies.baseline;
+    if (!baseline) return {};
+    try {
+      const result = await baseline.analyze(slug, marketData, null);
+      return result.signals || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Applique les mêmes gates que l'arène puis logge le trade paper
+   */
+  async execute(arena, name, result) {
+    const action = result.recommendation?.action;
+    if (!["BUY_UP", "BUY_DOWN", "EXIT"].includes(action) || result.skipped || !result.marketData) return;
+
+    const { paper, risk } = this.books[name];
+    const market = result.marketData;
+
+    if (action === "EXIT") {
+      const outcomeId = resolveOutcome(market);
+      for (const trade of paper.getOpenTrades()) {
+        if (trade.market !== result.marketSlug || (trade.outcomeId || null) !== outcomeId) continue;
+        const isUp = trade.action === "BUY_UP";
+        const tokenId = isUp ? market.upToken : market.downToken;
+        paper.exitTrade(trade, isUp ? market.upPrice : market.downPrice, `STRATEGY_EXIT (${result.reason})`, market.books?.[tokenId]);
+      }
+      return;
+    }
+
+    const price = action === "BUY_UP" ? market.upPrice : market.downPrice;
+    const tokenId = action === "BUY_UP" ? market.upToken : market.downToken;
+    const outcomeId = resolveOutcome(market);
+
+    const validation = tradeValidator.validate(result, market);
+    if (!validation.valid) return;
+
+    const riskValidation = risk.validate({
+      strategy: name,
+      marketSlug: result.marketSlug,
+      outcomeId,
+      action,
+      category: categoryOf(market),
+      confidence: result.confidence || 0.5,
+      sizing: await arena.sizingRequest(result, market, price),
+    });
+    if (!riskValidation.valid) return;
+
+    paper.logTrade({
+      strategy: name,
+      isReal: false,
+      market: result.marketSlug,
+      outcomeId,
+      outcomeName: market.outcomeName || null,
+      category: categoryOf(market),
+      action,
+      entryPrice: price,
+      size: result.sizeHint ? Math.min(riskValidation.size, result.sizeHint) : riskValidation.size,
+      score: result.score,
+      confidence: result.confidence,
+      reason: result.reason || result.recommendation?.reason,
+      exitPlan: result.exitPlan,
+      book: market.books?.[tokenId],
+    });
+  }
+
+  recordEquity(timestamp, marketPrices) {
+    for (const [name, { paper }] of Object.entries(this.books)) {
+      let pnl = 0;
+      for (const trade of paper.data.trades) {
+        const prices = marketPrices[trade.market];
+        pnl += paper.calculateMtmPnL(trade, prices ? toMtmPrices(prices) : null);
+      }
+      this.equity[name].push({ timestamp, equity: INITIAL_CAPITAL + pnl });
+    }
+  }
+
+  /**
+   * Max drawdown ($, % et durée) depuis le plus haut de la courbe d'equity
+   */
+  computeDrawdown(curve) {
+    return curve.length ? drawdown(curve) : { maxDrawdown: 0, maxDrawdownPct: 0, maxDrawdownDuration: 0 };
+  }
+
+  /**
+   * Sharpe annualisé des rendements par step de la courbe d'equity
+   * (mêmes formules que src/analytics.js)
+   */
+  computeSharpe(curve) {
+    return returnRatios(curve).sharpe;
+  }
+
+  buildReport() {
+    const strategies = {};
+
+    for (const [name, { paper }] of Object.entries(this.books)) {
+      const trades = paper.data.trades;
+      const closed = trades.filter(t => t.status === "closed");
+      const wins = closed.filter(t => t.pnl > 0).length;
+      const realizedPnL = closed.reduce((sum, t) => sum + (t.pnl || 0), 0);
+      const curve = this.equity[name];
+      const finalEquity = curve.length ? curve[curve.length - 1].equity : INITIAL_CAPITAL;
+
+      strategies[name] = {
+        trades: trades.length,
+        closedTrades: closed.length,
+        openTrades: trades.length - closed.length,
+        wins,
+        winRate: closed.length > 0 ? wins / closed.length : 0,
+        realizedPnL,
+        openPnL: finalEquity - INITIAL_CAPITAL - realizedPnL,
+        pnl: finalEquity - INITIAL_CAPITAL,
+        ...this.computeDrawdown(curve),
+        ...returnRatios(curve),
+        equityCurve: curve,
+      };
+    }
+
+    const first = this.snapshots[0];
+    const last = this.snapshots[this.snapshots.length - 1];
+
+    return {
+      generatedAt: Date.now(),
+      period: { from: first.timestamp, to: last.timestamp },
+      snapshots: this.snapshots.length,
+      initialCapital: INITIAL_CAPITAL,
+      strategies,
+      replayMisses: this.replay.misses,
+    };
+  }
+
+  /**
+   * Affiche le rapport trié par PnL
+   */
+  static printReport(report) {
+    const from = new Date(report.period.from).toLocaleString();
+    const to = new Date(report.period.to).toLocaleString();
+
+    console.log("\n" + "═".repeat(60));
+    console.log("🧪 BACKTEST REPORT");
+    console.log("═".repeat(60));
+    console.log(`   Période: ${from} → ${to}`);
+    console.log(`   Snapshots: ${report.snapshots} | Capital initial: $${report.initialCapital}`);
+
+    console.log("\n Stratégie            | Trades | Win% |      PnL |   MaxDD | Sharpe");
+    console.log("─".repeat(70));
+
+    const sorted = Object.entries(report.strategies).sort((a, b) => b[1].pnl - a[1].pnl);
+    for (const [name, s] of sorted) {
+      const pnlStr = s.pnl >= 0 ? `+$${s.pnl.toFixed(2)}` : `-$${Math.abs(s.pnl).toFixed(2)}`;
+      console.log(
+        ` ${name.padEnd(20)} |   ${String(s.trades).padStart(3)}  | ${(s.winRate * 100).toFixed(0).padStart(3)}% | ${pnlStr.padStart(8)} | ${(s.maxDrawdownPct * 100).toFixed(1).padStart(6)}% | ${s.sharpe.toFixed(2).padStart(6)}`
+      );
+    }
+
+    const misses = Object.entries(report.replayMisses);
+    if (misses.length > 0) {
+      console.log("\n⚠️  Données non enregistrées (réponse 503 pendant le replay):");
+      for (const [url, count] of misses) {
+        console.log(`   ${url}: ${count}x`);
+      }
+    }
+
+    console.log("═".repeat(60));
+  }
+
+  /**
+   * Sauvegarde le rapport JSON dans data/backtest/
+   */
+  static saveReport(report) {
+    if (!fs.existsSync(BACKTEST_DIR)) fs.mkdirSync(BACKTEST_DIR, { recursive: true });
+    const file = path.join(BACKTEST_DIR, `report-${new Date(report.generatedAt).toISOString().replace(/[:.]/g, "-")}.json`);
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return file;
+  }
+}
+
+module.exports = {
+  BacktestEngine,
+  loadSnapshots,
+  loadSnapshotsFromStore,
+  DEFAULT_SNAPSHOTS_FILE,
+};
@@ -0,0 +1,136 @@
+/**
+ * REPLAY TRANSPORT
+ *
+ * Remplace fetch() pendant un backtest et répond aux appels Polymarket
+ * à partir du snapshot courant au lieu du réseau:
+ * - Gamma   /events?slug=, /markets?slug=  → markets du snapshot
+ * - CLOB    /book?token_id=                → carnets enregistrés
+ * - Data    /positions?user=, /activity?market= → whales / activity
+ *
+ * Tout le reste (CLOB /prices-history, Fear & Greed, gas...) n'a pas été enregistré:
+ * on répond 503 et les stratégies retombent sur leurs valeurs par défaut.
+ * Les URLs manquées sont comptées dans `misses` pour le rapport.
+ */
+
+const config = require("../config");
+
+const GAMMA_ORIGIN = new URL(config.GAMMA_HOST).origin;
+const CLOB_ORIGIN = new URL(config.CLOB_HOST).origin;
+const DATA_ORIGIN = new URL(config.DATA_HOST).origin;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Build a Gamma market object from a recorded market snapshot
+ */
+function toGammaMarket(market) {
+  return {
+    question: market.title,
+    slug: market.slug,
+    conditionId: market.conditionId,
+    endDate: market.endDate,
+    outcomePrices: JSON.stringify([String(market.upPrice), String(market.downPrice)]),
+    clobTokenIds: JSON.stringify([market.upToken, market.downToken]),
+    volume: market.volume,
+    liquidity: market.liquidity,
+    closed: !!market.closed,
+  };
+}
+
+/**
+ * Build a Gamma sub-market from a recorded outcome (multi-outcome events)
+ */
+function outcomeToGammaMarket(market, outcome) {
+  return {
+    question: outcome.name,
+    groupItemTitle: outcome.name,
+    slug: outcome.id,
+    conditionId: outcome.conditionId,
+    endDate: market.endDate,
+    outcomePrices: JSON.stringify([String(outcome.yesPrice), String(outcome.noPrice)]),
+    clobTokenIds: JSON.stringify([outcome.yesToken, outcome.noToken]),
+    volume: outcome.volume,
+    liquidity: outcome.liquidity,
+    closed: !!outcome.closed,
+  };
+}
+
+class ReplayTransport {
+  constructor() {
+    this.snapshot = null;
+    this.realFetch = null;
+    this.misses = {};
+  }
+
+  install() {
+    if (this.realFetch) return;
+    this.realFetch = globalThis.fetch;
+    globalThis.fetch = (input) => this.fetch(input);
+  }
+
+  uninstall() {
+    if (!this.realFetch) return;
+    globalThis.fetch = this.realFetch;
+    this.realFetch = null;
+  }
+
+  setSnapshot(snapshot) {
+    this.snapshot = snapshot;
+  }
+
+  async fetch(input) {
+    const url = new URL(typeof input === "string" ? input : input.url);
+    const markets = this.snapshot?.markets || {};
+
+    if (url.origin === GAMMA_ORIGIN && (url.pathname === "/events" || url.pathname === "/markets")) {
+      const market = markets[url.searchParams.get("slug")];
+      if (!market) return jsonResponse([]);
+      if (url.pathname === "/markets") return jsonResponse([toGammaMarket(market)]);
+      return jsonResponse([{
+        title: market.title,
+        slug: market.slug,
+        endDate: market.endDate,
+        liquidity: market.liquidity,
+        volume: market.volume,
+        closed: !!market.closed,
+        negRisk: !!market.negRisk,
+        markets: market.negRisk && market.outcomes?.length
+          ? market.outcomes.map(o => outcomeToGammaMarket(market, o))
+          : [toGammaMarket(market)],
+      }]);
+    }
+
+    if (url.origin === CLOB_ORIGIN && url.pathname === "/book") {
+      const tokenId = url.searchParams.get("token_id");
+      for (const market of Object.values(markets)) {
+        if (market.books?.[tokenId]) return jsonResponse(market.books[tokenId]);
+      }
+      return this.miss(url, 404);
+    }
+
+    if (url.origin === DATA_ORIGIN && url.pathname === "/positions") {
+      const user = url.searchParams.get("user")?.toLowerCase();
+      return jsonResponse(this.snapshot?.whales?.[user] || []);
+    }
+
+    if (url.origin === DATA_ORIGIN && url.pathname === "/activity") {
+      const market = url.searchParams.get("market");
+      return jsonResponse(this.snapshot?.activity?.[market] || []);
+    }
+
+    return this.miss(url, 503);
+  }
+
+  miss(url, status) {
+    const key = `${url.origin}${url.pathname}`;
+    this.misses[key] = (this.misses[key] || 0) + 1;
+    return jsonResponse({ error: "Not recorded in backtest snapshot" }, status);
+  }
+}
+
+module.exports = ReplayTransport;
@@ -22,6 +22,48 @@ module.exports = {
   DATA_HOST: "https://data-api.polymarket.com",
   CHAIN_ID: 137,
 
+  // Market traded/scanned when none is given (trade, scan, close, daemon without active-markets.json)
+  DEFAULT_MARKET: "democratic-presidential-nominee-2028",
+
+  // Execution venue (src/exchange/)
+  EXCHANGE: {
+    MODE: process.env.EXCHANGE_MODE || "polymarket", // "polymarket" | "simulated" (dry run, no wallet)
+    SIM_BALANCE: 500,         // Starting USDC for the simulated exchange
+  },
+
+  // Persistent state (src/storage.js): atomic writes, lock files, schema migrations
+  STORAGE: {
+    BACKEND: process.env.STORAGE_BACKEND || "json", // "json" (data/*.json) | "sqlite" (needs better-sqlite3)
+    SQLITE_FILE: "state.db",  // In data/ - JSON files are imported on first load
+    LOCK_TIMEOUT_MS: 5000,    // Max wait for a lock held by another process
+    LOCK_STALE_MS: 30000,     // Locks older than this (or whose process died) are broken
+  },
+
+  // Execution guard (src/execution-guard.js) - every order goes through it
+  EXECUTION_GUARD: {
+    MAX_DAILY_LOSS: 50,       // $ realized loss per UTC day before the kill switch trips
+    MAX_DRAWDOWN_PCT: 0.20,   // Kill switch when equity falls 20% below its peak
+    MAX_ORDERS_PER_HOUR: 20,  // Orders refused above this rate
+  },
+
+  // Order lifecycle (src/order-tracker.js)
+  ORDERS: {
+    TTL_MINUTES: 15,          // Unfilled orders older than this are stale
+    STALE_ACTION: "reprice",  // "cancel" | "reprice" (cancel, then re-place the rest at the best level)
+    MAX_REPRICES: 2,          // Then the order just expires
+    MAX_REPRICE_DRIFT: 0.03,  // Never re-price more than 3 points away from the original price
+    HISTORY_DAYS: 7,          // Finished orders kept in data/orders.json
+  },
+
+  // Local state vs exchange reconciliation (src/reconcile.js)
+  RECONCILE: {
+    PRE_CYCLE: true,          // Check before every full trading cycle
+    SIZE_TOLERANCE: 1,        // Share difference ignored (rounding, dust)
+    MIN_VALUE: 1,             // On-chain positions below $1 are not reported as orphans
+    AUTO_REPAIR: false,       // Repair local state automatically before the cycle
+    BLOCK_ON_DRIFT: true,     // No new entries while unrepaired drift remains
+  },
+
   // Trading params
   MAX_POSITION_SIZE: 50,      // Max $ per trade
   MIN_EDGE: 0.05,             // 5% minimum edge to trade (was 8%)
@@ -32,15 +74,56 @@ module.exports = {
   USE_AGGRESSIVE_PRICING: true, // Buy at ask + slippage, sell at bid - slippage
   MAX_OPEN_POSITIONS: 12,     // Max 12 positions simultanées (aggressive mode)
   
-  // Signal weights (must sum to 1.0)
-  WEIGHTS: {
-    WHALE_CONSENSUS: 0.50,    // 50% whale signals
-    MOMENTUM: 0.20,           // 20% price momentum
-    TECHNICALS: 0.15,         // 15% RSI, etc.
-    SENTIMENT: 0.15,          // 15% fear/greed
+  // Signal providers (src/signal-providers/): weights per market category,
+  // renormalized over the providers that apply to the market
+  SIGNALS: {
+    WEIGHTS: {
+      default: {
+        whale: 0.35,          // Whale positions
+        flow: 0.15,           // Whale buys/sells (activity feed)
+        momentum: 0.20,       // Market price momentum
+        technicals: 0.15,     // Market RSI, MA cross
+        sentiment: 0.15,      // Fear & Greed
+      },
+      crypto: { whale: 0.25, flow: 0.10, momentum: 0.30, technicals: 0.20, sentiment: 0.15 },
+      politics: { whale: 0.50, flow: 0.30, momentum: 0.10, technicals: 0.05, sentiment: 0.05 },
+      weather: { whale: 0.60, flow: 0.40, momentum: 0, technicals: 0, sentiment: 0 },
+    },
+    // Gamma category, else keywords in slug/title (first match wins)
+    CATEGORIES: {
+      crypto: ["bitcoin", "btc", "ethereum", "solana", "crypto"],
+      weather: ["temperature", "weather", "precipitation", "snowfall", "hurricane"],
+      politics: ["election", "president", "nominee", "senate", "governor", "congress", "primary"],
+    },
+    DISABLED: [],             // Provider ids not loaded
+    // Whale /positions: biggest current value first, paged until below the whale's minPosition
+    POSITIONS_PAGE_SIZE: 500,
+    POSITIONS_MAX_PAGES: 4,
+    POSITIONS_SIZE_THRESHOLD: 1,  // Shares; smaller positions are not returned
+  },
+
+  // Indicators on the analyzed market's own price series (src/lib/indicators.js,
+  // src/price-history.js): recorder history, else CLOB /prices-history
+  INDICATORS: {
+    HISTORY_HOURS: 24,             // Price history loaded per market/outcome
+    BAR_MINUTES: 5,                // Bars the indicators run on
+    CLOB_FIDELITY_MINUTES: 5,      // Resolution asked to /prices-history
+    MIN_POINTS: 20,                // Recorder points needed before falling back to the CLOB
+    CACHE_SECONDS: 60,
+    TECHNICALS: { rsi: 0.6, ma: 0.4 }, // Indicators (and weights) of the baseline technicals signal
+    RSI_PERIOD: 14,
+    MA_FAST: 5,
+    MA_SLOW: 20,
+    EMA_FAST: 12,
+    EMA_SLOW: 26,
+    BOLLINGER_PERIOD: 20,
+    BOLLINGER_STD: 2,
+    ATR_PERIOD: 14,
   },
 
-  // Whales to track (address -> config)
+  // Initial whale list (address -> config), seeded into the whale registry
+  // (data/whales.json). Weights/minPosition are replaced by each wallet's
+  // track record once the registry has updated it.
   WHALES: {
     "0x0b9cae2b0dfe7a71c413e0604eaac1c352f87e44": {
       name: "MCgenius",
@@ -64,7 +147,7 @@ module.exports = {
     },
     "0xd218e474776403a330142299f7796e8ba32eb5c9": {
       name: "sharp_1",
-      weight: 1.3,  // 65% win rate - highest trust
+      weight: 1.3,
       minPosition: 1000,
     },
     "0xe20a1538293903b746ffe6c4ce2d5c3c0300e469": {
@@ -79,18 +162,84 @@ module.exports = {
     },
   },
 
-  // Kelly Criterion settings
-  KELLY_FRACTION: 0.25,  // Use 25% of Kelly for safety
-  MAX_KELLY_BET: 0.1,    // Never bet more than 10% of bankroll
+  // Whale registry: discovery + evidence-based weights (src/whales/registry.js)
+  WHALE_REGISTRY: {
+    LEADERBOARD_PERIOD: "MONTH",   // data-api leaderboard window (DAY, WEEK, MONTH, ALL)
+    LEADERBOARD_LIMIT: 25,         // Top wallets by PnL considered as candidates
+    ACTIVITY_MIN_USD: 5000,        // A trade this large on an active market makes its wallet a candidate
+    ACTIVITY_TRADES: 500,          // Recent trades scanned per market
+    MAX_TRACKED: 60,               // Wallets followed (active + candidates + retired); the worst retired make room for new candidates
+    MAX_ACTIVE: 12,                // Best active weights used by the consensus
+    LOOKBACK_DAYS: 90,             // Track record window
+    CLOSED_POSITIONS_PAGES: 20,    // Pages of 50 closed positions read per wallet, newest first, back to LOOKBACK_DAYS
+    RESOLVED_PRICE: 0.99,          // Closed position settled at >= 99% / <= 1% = went to resolution
+    PRIOR_POSITIONS: 20,           // Weight shrunk toward 1 with fewer resolved positions than this
+    SKILL_SCALE: 5,                // weight = 1 + 5 × edge (edge 6% → 1.3)
+    MIN_WEIGHT: 0.3,
+    MAX_WEIGHT: 2.0,
+    MIN_RESOLVED: 10,              // Resolved positions needed to activate or retire a wallet
+    ACTIVATE_WEIGHT: 1.0,          // Candidate/retired → active at or above
+    RETIRE_WEIGHT: 0.6,            // Active → retired below
+    MIN_POSITION_FRACTION: 0.5,    // minPosition = half the wallet's median position
+    MIN_POSITION_FLOOR: 500,
+    MIN_POSITION_CAP: 50000,
+    HISTORY_LIMIT: 120,            // Track record points kept per wallet
+    REQUEST_DELAY_MS: 200,         // Between data-api requests
+  },
+
+  // Whale trade flow from the data-api activity feed (src/whales/flow.js)
+  WHALE_FLOW: {
+    WINDOWS_HOURS: [1, 6, 24],     // Rolling windows of net buys/sells
+    WINDOW_WEIGHTS: [0.5, 0.3, 0.2], // Recent flow counts more
+    ACTIVITY_PAGE_SIZE: 500,       // Trades per activity page, paged back to the longest window
+    ACTIVITY_MAX_PAGES: 10,        // Page cap per market; a feed cut before 24h lowers confidence
+    CACHE_SECONDS: 60,             // Activity cache per market
+    FRESH_HOURS: 6,                // First buy this recent = fresh entry
+    ENTRY_BOOST: 1.5,              // Weight multiplier of a fresh entry
+    EXIT_MIN_USD: 2000,            // Exit alert: sold at least this much in the shortest window
+    EXIT_FRACTION: 0.5,            // ...and at least half of what was bought on that side
+    FULL_CONFIDENCE_USD: 50000,    // Whale volume over the longest window for full confidence
+  },
+
+  // Position sizing engine (src/sizing.js) - fractions of the equity
+  SIZING: {
+    DEFAULT_MODEL: "fixed",         // Model when a strategy does not request one (or lacks its inputs)
+    KELLY_FRACTION: 0.25,           // Kelly: use 25% of full Kelly for safety
+    MAX_KELLY_BET: 0.1,             // Kelly: never bet more than 10% of equity
+    FIXED_FRACTION: 0.05,           // Fixed-fractional: 5% of equity, scaled 50-100% by confidence
+    TARGET_VOLATILITY: 0.002,       // Volatility targeting: position moves 0.2% of equity per bar (ATR)
+    MAX_LOSS_PCT: 0.02,             // Max-loss: lose at most 2% of equity at the stop (whole stake without one)
+    MAX_FRACTION: 0.1,              // Cap for every model
+  },
 
   // Risk Management Rules
   RISK: {
     MAX_EXPOSURE_PER_MARKET: 0.20,  // 20% max exposure per market
     COOLDOWN_MINUTES: 5,            // 5 min between trades for same strategy (faster iteration)
     NO_STACKING: true,              // No duplicate position same market/direction
-    POSITION_SIZE_PCT: 0.05,        // 5% of portfolio per trade
     MIN_TRADE_SIZE: 10,             // $10 minimum
     MAX_TRADE_SIZE: 100,            // $100 maximum
+
+    // Portfolio-wide limits: open trades of every strategy, fraction of the portfolio equity
+    MAX_GROSS_EXPOSURE: 0.80,       // All open trades
+    MAX_EXPOSURE_PER_EVENT: 0.30,   // All outcomes of one event (market slug)
+    MAX_EXPOSURE_PER_CATEGORY: {    // Category from SIGNALS.CATEGORIES keywords (or Gamma category)
+      default: 0.50,
+      politics: 0.50,
+      crypto: 0.40,
+      weather: 0.30,
+    },
+    MAX_EXPOSURE_PER_GROUP: 0.35,   // Markets of one CORRELATION_GROUPS entry
+    MAX_NET_PER_OUTCOME: 0.15,      // |YES bought - NO bought| on one market/outcome
+    CORRELATION_GROUPS: {           // Group → slug fragments; a market can belong to several groups
+      "us-2028": ["presidential-nominee-2028", "presidential-election-winner-2028", "presidential-election-2028"],
+      "bitcoin-price": ["bitcoin-up-or-down", "bitcoin-above", "btc-updown"],
+    },
+  },
+
+  // Equity for sizing and exposure limits (src/portfolio.js)
+  PORTFOLIO: {
+    WALLET_REFRESH_SECONDS: 60,     // On-chain USDC.e balance + position values re-read at most once a minute
   },
 
   // Exit targets (relative to entry)
@@ -100,7 +249,90 @@ module.exports = {
   // Or absolute targets
   TAKE_PROFIT_PRICE: null, // Set specific price target (overrides PCT)
   STOP_LOSS_PRICE: null,   // Set specific stop price (overrides PCT)
+
+  // Exit rules applied to every position on top of TP/SL (src/exit-rules.js)
+  // Strategy targets and each trade's exitPlan override them; null = off
+  EXITS: {
+    TRAILING_STOP_PCT: null,        // e.g. 0.10 = exit 10% below the highest price since entry
+    TRAILING_ACTIVATION_PCT: 0,     // Trail only once the position was up this much
+    BREAK_EVEN_AFTER_PCT: null,     // e.g. 0.08 = stop moves to the entry price after +8%
+    MAX_HOLD_HOURS: null,           // Exit after this long in the position
+    EXIT_BEFORE_END_HOURS: null,    // Exit this many hours before the market endDate
+    SCALE_OUT: [],                  // Partial exits, e.g. [{ profitPct: 0.10, fraction: 0.5 }] (of the initial shares)
+  },
+
+  // Paper fills: walk the CLOB book instead of filling at the Gamma mid (src/fill-simulator.js)
+  PAPER_FILLS: {
+    ENABLED: true,
+    TAKER_FEE_BPS: 10,              // Conservative taker fee on filled notional
+    LATENCY_MS: 500,                // Signal → order delay
+    LATENCY_DRIFT_BPS_PER_SEC: 20,  // Adverse price move per second of latency
+  },
   
   // Ensemble mode: all profitable strategies trade (vs single champion)
   USE_ENSEMBLE: true,
+
+  // Arena champion promotion / demotion (src/promotion.js)
+  ARENA_PROMOTION: {
+    WINDOW_HOURS: 48,          // Closed trades compared over a rolling 48h window
+    MIN_TRADES: 10,            // Challenger needs 10 closed trades in the window (champion below: tested against zero)
+    METHOD: "bootstrap",       // "bootstrap" or "bayesian" probability that the challenger's mean PnL/trade is higher
+    CONFIDENCE: 0.95,          // Required probability of superiority
+    MIN_EDGE: 0.5,             // ...and at least $0.50 more per trade
+    BOOTSTRAP_SAMPLES: 2000,
+    CONFIRMATIONS: 3,          // Wins needed, each with a new closed trade since the previous one
+    DEMOTION: {
+      ENABLED: true,
+      MIN_TRADES: 10,          // Champion sample needed before judging it a loser
+      CONFIDENCE: 0.95,        // Demote when P(mean PnL/trade < 0) reaches 95%
+      MAX_DRAWDOWN_PCT: 0.15,  // ...or when its window drawdown exceeds 15% of its equity peak
+      FALLBACK: "baseline",    // New champion when no challenger qualifies
+    },
+  },
+
+  // Performance analytics (src/analytics.js) - arena, ensemble, dashboard and CLI metrics
+  ANALYTICS: {
+    INITIAL_CAPITAL: 500,     // Equity base per strategy book and for the portfolio (same as src/portfolio.js)
+    RESAMPLE_MINUTES: 60,     // Equity sampled hourly for Sharpe/Sortino (time-weighted, not per trade)
+  },
+
+  // Mark-to-market of open trades at their own market's price (src/price-provider.js)
+  MTM: {
+    MAX_AGE_MINUTES: 15,           // Older prices are still used but flagged stale
+    RECORDER_REFRESH_SECONDS: 60,  // Recorder fallback (data/history/) re-read at most once a minute
+  },
+
+  // Automatic settlement of resolved markets (src/settlement.js)
+  SETTLEMENT: {
+    RESOLVED_PRICE: 0.99,          // Closed sub-market counts as resolved once a side trades at >= 99%
+  },
+
+  // Multi-outcome (negRisk) events: each candidate is analyzed as its own YES/NO market
+  MULTI_OUTCOME: {
+    MAX_OUTCOMES: 5,          // Analyze the 5 most likely outcomes per event
+    MIN_YES_PRICE: 0.02,      // Ignore long shots below 2%
+  },
+
+  // Market data recorder (data/history/)
+  RECORDER: {
+    INTERVAL_SECONDS: 60,          // Snapshot every active market every minute
+    BOOK_LEVELS: 10,               // Order book levels kept per side
+    RAW_RETENTION_DAYS: 2,         // Full-resolution points (with books) kept 2 days
+    COMPACT_INTERVAL_MINUTES: 5,   // Then downsampled to one point per 5 min, books dropped
+    RETENTION_DAYS: 90,            // Segments older than 90 days are deleted
+  },
+
+  // Daemon mode (node src/index.js daemon) - 0 disables a job
+  DAEMON: {
+    COMPETE_MINUTES: 5,            // Arena competition cycle (replaces the 5min cron)
+    EXITS_MINUTES: 1,              // Order polling + TP/SL checks on open positions
+    RECORD_SECONDS: 60,            // Market recorder snapshot
+    IDEATE_HOURS: 24,              // Grok strategy ideas (first run after 24h, not at start)
+    IDEA_CHECK_HOURS: 2,           // Next idea ready for implementation
+    ANALYTICS_MINUTES: 15,         // data/analytics.json refresh for the dashboard
+    SETTLE_MINUTES: 10,            // Settle trades/positions of markets resolved on Gamma
+    WHALES_HOURS: 6,               // Whale discovery + track record reweighting
+    JITTER_PCT: 0.1,               // Each interval varies by ±10%
+    SHUTDOWN_TIMEOUT_SECONDS: 120, // SIGTERM: max wait for running jobs
+  },
 };
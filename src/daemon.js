@@ -0,0 +1,345 @@
+/**
+ * DAEMON
+ *
+ * Process long qui remplace les invocations cron: un seul WhaleTrader
+ * (clés API dérivées une fois) et une seule StrategyArena (stratégies
+ * chargées une fois) servent tous les jobs:
+ *
+ * - compete:   cycle de compétition de l'arène (DAEMON.COMPETE_MINUTES)
+ * - exits:     suivi des ordres + TP/SL des positions ouvertes (EXITS_MINUTES)
+ * - record:    snapshot des marchés actifs (RECORD_SECONDS)
+ * - ideate:    génération d'idées via Grok (IDEATE_HOURS)
+ * - ideaCheck: prochaine idée à implémenter (IDEA_CHECK_HOURS)
+ * - analytics: data/analytics.json pour le dashboard (ANALYTICS_MINUTES)
+ * - settle:    règlement des marchés résolus sur Gamma (SETTLE_MINUTES)
+ * - whales:    découverte de whales + poids selon leur track record (WHALES_HOURS)
+ *
+ * Chaque job a son propre intervalle (± JITTER_PCT pour ne pas taper les
+ * APIs à heure fixe). Un job dont l'exécution précédente tourne encore est
+ * sauté. compete/exits/settle partagent le verrou "trading" (mêmes positions,
+ * même exchange): un job du groupe qui échoit pendant que l'autre tourne
+ * attend la libération du verrou. Intervalle à 0 = job désactivé.
+ *
+ * SIGTERM/SIGINT: plus aucun job lancé, attente des jobs en cours
+ * (au plus SHUTDOWN_TIMEOUT_SECONDS), puis sortie.
+ */
+
+const config = require("./config");
+
+class Scheduler {
+  /**
+   * @param {object} options
+   * @param {number} options.jitterPct - Variation aléatoire de chaque intervalle (0.1 = ±10%)
+   */
+  constructor(options = {}) {
+    this.jitterPct = options.jitterPct || 0;
+    this.jobs = [];
+    this.locks = new Set();
+    this.stopping = false;
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} intervalMs - <= 0: job ignoré
+   * @param {Function} fn - async
+   * @param {object} options
+   * @param {string} options.group - Verrou partagé: un seul job du groupe à la fois,
+   *   les autres attendent sa libération
+   * @param {boolean} options.runAtStart - Première exécution dès start() (défaut: true)
+   */
+  add(name, intervalMs, fn, options = {}) {
+    if (!(intervalMs > 0)) return null;
+    const job = {
+      name,
+      intervalMs,
+      fn,
+      group: options.group || null,
+      runAtStart: options.runAtStart !== false,
+      timer: null,
+      running: null,
+      waiting: false,
+      runs: 0,
+      skipped: 0,
+      errors: 0,
+      lastRun: null,
+      lastError: null,
+    };
+    this.jobs.push(job);
+    return job;
+  }
+
+  nextDelay(job) {
+    const jitter = (Math.random() * 2 - 1) * this.jitterPct;
+    return Math.max(0, Math.round(job.intervalMs * (1 + jitter)));
+  }
+
+  schedule(job, delayMs) {
+    if (this.stopping) return;
+    job.timer = setTimeout(() => this.fire(job), delayMs);
+  }
+
+  start() {
+    this.stopping = false;
+    for (const job of this.jobs) {
+      this.schedule(job, job.runAtStart ? 0 : this.nextDelay(job));
+    }
+  }
+
+  /**
+   * Échéance d'un job: le prochain passage est planifié tout de suite, un
+   * job long fait donc sauter les échéances suivantes au lieu de s'empiler
+   */
+  fire(job) {
+    this.schedule(job, this.nextDelay(job));
+
+    if (job.running) {
+      job.skipped++;
+      console.log(`⏭️  ${job.name}: previous run still in progress - skipped`);
+      return null;
+    }
+    if (job.group && this.locks.has(job.group)) {
+      if (!job.waiting) console.log(`⏳ ${job.name}: waiting for "${job.group}"`);
+      job.waiting = true;
+      return null;
+    }
+    return this.run(job);
+  }
+
+  run(job) {
+    if (job.group) this.locks.add(job.group);
+    job.running = (async () => {
+      try {
+        await job.fn();
+      } catch (e) {
+        job.errors++;
+        job.lastError = e.message;
+        console.error(`❌ Job ${job.name} failed: ${e.message}`);
+      } finally {
+        job.runs++;
+        job.lastRun = Date.now();
+        job.running = null;
+        if (job.group) this.release(job.group);
+      }
+    })();
+    return job.running;
+  }
+
+  /**
+   * Libère un verrou de groupe et lance le premier job qui l'attendait
+   */
+  release(group) {
+    this.locks.delete(group);
+    const next = this.jobs.find(j => j.group === group && j.waiting);
+    if (!next || this.stopping) return;
+    next.waiting = false;
+    this.run(next);
+  }
+
+  /**
+   * Arrête la planification et attend les jobs en cours
+   * @param {number} timeoutMs
+   * @returns {boolean} true si tous les jobs se sont terminés à temps
+   */
+  async stop(timeoutMs = 0) {
+    this.stopping = true;
+    for (const job of this.jobs) {
+      clearTimeout(job.timer);
+      job.waiting = false;
+    }
+
+    const active = this.jobs.filter(j => j.running).map(j => j.running);
+    if (active.length === 0) return true;
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const finished = await Promise.race([Promise.all(active).then(() => true), timeout]);
+    clearTimeout(timer);
+    return finished;
+  }
+
+  getStatus() {
+    return this.jobs.map(j => ({
+      name: j.name,
+      intervalMs: j.intervalMs,
+      running: !!j.running,
+      waiting: j.waiting,
+      runs: j.runs,
+      skipped: j.skipped,
+      errors: j.errors,
+      lastRun: j.lastRun,
+      lastError: j.lastError,
+    }));
+  }
+}
+
+class Daemon {
+  /**
+   * @param {object} options
+   * @param {WhaleTrader} options.trader - Défaut: new WhaleTrader({ exchange })
+   * @param {StrategyArena} options.arena - Défaut: new StrategyArena()
+   * @param {ExchangeAdapter} options.exchange - Exchange du trader par défaut
+   * @param {string} options.market - Marché de la compétition (défaut: active-markets.json)
+   * @param {object} options.settings - Défaut: config.DAEMON
+   */
+  constructor(options = {}) {
+    const WhaleTrader = require("./trader");
+    const StrategyArena = require("./arena");
+
+    this.settings = options.settings || config.DAEMON;
+    this.trader = options.trader || new WhaleTrader({ exchange: options.exchange });
+    this.arena = options.arena || new StrategyArena();
+    this.market = options.market || null;
+    this.scheduler = new Scheduler({ jitterPct: this.settings.JITTER_PCT });
+    this.recorder = null;
+    this.done = null;
+    this.onSignal = null;
+  }
+
+  /**
+   * Initialise le trader, planifie les jobs et installe les handlers de signaux
+   * @returns {Promise} résolue à l'arrêt du daemon
+   */
+  async start() {
+    await this.trader.initialize();
+
+    const s = this.settings;
+    const MINUTE = 60 * 1000;
+    const HOUR = 60 * MINUTE;
+    this.scheduler.add("compete", s.COMPETE_MINUTES * MINUTE, () => this.compete(), { group: "trading" });
+    this.scheduler.add("exits", s.EXITS_MINUTES * MINUTE, () => this.monitorExits(), { group: "trading" });
+    this.scheduler.add("record", s.RECORD_SECONDS * 1000, () => this.record());
+    this.scheduler.add("ideate", s.IDEATE_HOURS * HOUR, () => this.ideate(), { runAtStart: false });
+    this.scheduler.add("ideaCheck", s.IDEA_CHECK_HOURS * HOUR, () => this.ideaCheck());
+    this.scheduler.add("analytics", s.ANALYTICS_MINUTES * MINUTE, () => this.exportAnalytics());
+    this.scheduler.add("settle", s.SETTLE_MINUTES * MINUTE, () => this.settle(), { group: "trading" });
+    this.scheduler.add("whales", s.WHALES_HOURS * HOUR, () => this.updateWhales());
+
+    console.log(`\n🤖 Daemon started (pid ${process.pid})`);
+    for (const job of this.scheduler.jobs) {
+      console.log(`   ${job.name.padEnd(10)} every ${formatInterval(job.intervalMs)}${job.group ? ` [${job.group}]` : ""}`);
+    }
+
+    this.done = new Promise(resolve => {
+      this.resolveDone = resolve;
+    });
+    this.onSignal = signal => this.stop(signal);
+    process.on("SIGTERM", this.onSignal);
+    process.on("SIGINT", this.onSignal);
+
+    this.scheduler.start();
+    return this.done;
+  }
+
+  /**
+   * Arrêt propre: plus de nouveaux jobs, attente des jobs en cours
+   */
+  async stop(signal = "stop") {
+    if (this.scheduler.stopping) return;
+    console.log(`\n🛑 ${signal} received - waiting for running jobs...`);
+
+    const finished = await this.scheduler.stop(this.settings.SHUTDOWN_TIMEOUT_SECONDS * 1000);
+    if (!finished) {
+      console.log(`⚠️  Jobs still running after ${this.settings.SHUTDOWN_TIMEOUT_SECONDS}s - exiting anyway`);
+    }
+
+    process.removeListener("SIGTERM", this.onSignal);
+    process.removeListener("SIGINT", this.onSignal);
+    console.log("👋 Daemon stopped");
+    if (this.resolveDone) this.resolveDone(finished);
+  }
+
+  // ============================================
+  // Jobs
+  // ============================================
+
+  async compete() {
+    this.arena.refresh();
+    this.trader.refresh();
+
+    const slug = this.market || this.arena.activeMarkets?.default || config.DEFAULT_MARKET;
+    const market = await this.trader.getMarket(slug);
+    if (!market) {
+      console.log(`❌ compete: market ${slug} not found`);
+      return;
+    }
+    await this.arena.runCompetition(slug, market, this.trader);
+  }
+
+  /**
+   * Ordres suivis + TP/SL de chaque marché où une position est ouverte
+   */
+  async monitorExits() {
+    this.trader.refresh();
+    if (await this.trader.exchange.enforceKillSwitch?.()) return;
+
+    if (this.trader.orders.active().length > 0) {
+      await this.trader.orders.poll(this.trader.exchange);
+    }
+
+    const markets = [...new Set(this.trader.positions.getSummary().open.map(p => p.market))];
+    for (const slug of markets) {
+      const market = await this.trader.getMarket(slug);
+      if (!market) {
+        console.log(`⚠️  exits: market ${slug} unavailable`);
+        continue;
+      }
+      await this.trader.monitorPositions(market);
+    }
+  }
+
+  async record() {
+    if (!this.recorder) {
+      const MarketRecorder = require("./recorder/recorder");
+      this.recorder = new MarketRecorder();
+    }
+    const recorded = await this.recorder.recordAll();
+    console.log(`🎙️  ${recorded} market(s) recorded`);
+    this.recorder.compactIfDue();
+  }
+
+  async ideate() {
+    const IdeationAgent = require("./ideation/agent");
+    await new IdeationAgent().generate();
+  }
+
+  async ideaCheck() {
+    const IdeationCheck = require("./ideation/check");
+    new IdeationCheck().showNext();
+  }
+
+  /**
+   * Règle les trades paper et positions réelles des marchés résolus
+   */
+  async settle() {
+    const SettlementService = require("./settlement");
+    this.arena.refresh();
+    this.trader.refresh();
+    const settled = await new SettlementService({ paper: this.arena.paper, positions: this.trader.positions }).run();
+    const trades = settled.reduce((sum, s) => sum + s.trades.length, 0);
+    const positions = settled.reduce((sum, s) => sum + s.positions.length, 0);
+    if (trades + positions > 0) console.log(`🏁 ${trades} trade(s), ${positions} position(s) settled`);
+  }
+
+  async updateWhales() {
+    const WhaleRegistry = require("./whales/registry");
+    const { discovered, updated } = await new WhaleRegistry().refresh();
+    console.log(`🐋 ${updated} whale(s) reweighted, ${discovered.length} discovered`);
+  }
+
+  async exportAnalytics() {
+    const PerformanceAnalytics = require("./analytics");
+    this.arena.refresh();
+    new PerformanceAnalytics({ paper: this.arena.paper, prices: this.arena.prices }).export();
+  }
+}
+
+function formatInterval(ms) {
+  if (ms >= 60 * 60 * 1000) return `${+(ms / 3600000).toFixed(2)}h`;
+  if (ms >= 60 * 1000) return `${+(ms / 60000).toFixed(2)}min`;
+  return `${+(ms / 1000).toFixed(2)}s`;
+}
+
+module.exports = Daemon;
+module.exports.Scheduler = Scheduler;
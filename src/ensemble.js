@@ -5,11 +5,10 @@
  * with allocation proportional to their risk-adjusted performance.
  */
 
-const fs = require("fs");
-const path = require("path");
+const PerformanceAnalytics = require("./analytics");
+const { openDocument } = require("./storage");
 
-const PAPER_FILE = path.join(__dirname, "../data/paper-trades.json");
-const ENSEMBLE_STATE_FILE = path.join(__dirname, "../data/ensemble-state.json");
+const ENSEMBLE_STATE_FILE = "ensemble-state.json";
 
 // Minimum requirements for a strategy to be included in ensemble
 const MIN_TRADES = 3;          // Need at least 3 closed trades
@@ -18,15 +17,19 @@ const MIN_PNL = -10;           // Not too deep in the red
 const LOOKBACK_HOURS = 168;    // 7 days for performance calculation
 
 class EnsembleAllocator {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {PriceProvider} options.prices - Prix de marché des trades ouverts (défaut: recorder)
+   */
+  constructor(options = {}) {
+    this.prices = options.prices;
     this.state = this.loadState();
   }
 
   loadState() {
     try {
-      if (fs.existsSync(ENSEMBLE_STATE_FILE)) {
-        return JSON.parse(fs.readFileSync(ENSEMBLE_STATE_FILE, "utf8"));
-      }
+      const state = openDocument(ENSEMBLE_STATE_FILE).load();
+      if (state) return state;
     } catch (e) {}
     return {
       mode: "ensemble",  // "champion" or "ensemble"
@@ -36,64 +39,30 @@ class EnsembleAllocator {
   }
 
   saveState() {
-    fs.writeFileSync(ENSEMBLE_STATE_FILE, JSON.stringify(this.state, null, 2));
+    openDocument(ENSEMBLE_STATE_FILE).save(this.state);
   }
 
   /**
-   * Load trades and calculate stats per strategy
+   * Stats per strategy over the lookback window (src/analytics.js):
+   * PnL marked to each open trade's own market price, time-weighted Sharpe
+   * of the equity curve
    */
   getStrategyStats(lookbackHours = LOOKBACK_HOURS) {
-    let trades = [];
+    let report;
     try {
-      const data = JSON.parse(fs.readFileSync(PAPER_FILE, "utf8"));
-      trades = data.trades || [];
+      report = new PerformanceAnalytics({ prices: this.prices }).report({ from: Date.now() - lookbackHours * 60 * 60 * 1000 });
     } catch (e) {
       return {};
     }
 
-    const cutoff = Date.now() - lookbackHours * 60 * 60 * 1000;
     const stats = {};
-
-    for (const trade of trades) {
-      if (trade.timestamp < cutoff) continue;
-      
-      const strat = trade.strategy;
-      if (!stats[strat]) {
-        stats[strat] = {
-          trades: 0,
-          closedTrades: 0,
-          wins: 0,
-          totalPnl: 0,
-          pnls: [],
-        };
-      }
-
-      stats[strat].trades++;
-      
-      if (trade.status === "closed" && trade.pnl !== undefined) {
-        stats[strat].closedTrades++;
-        stats[strat].totalPnl += trade.pnl;
-        stats[strat].pnls.push(trade.pnl);
-        if (trade.pnl > 0) stats[strat].wins++;
-      }
+    for (const [name, m] of Object.entries(report.strategies)) {
+      stats[name] = {
+        ...m,
+        totalPnl: m.pnl,
+        avgPnl: m.expectancy,
+      };
     }
-
-    // Calculate derived metrics
-    for (const [name, s] of Object.entries(stats)) {
-      s.winRate = s.closedTrades > 0 ? s.wins / s.closedTrades : 0;
-      s.avgPnl = s.closedTrades > 0 ? s.totalPnl / s.closedTrades : 0;
-      
-      // Calculate Sharpe-like ratio (avg return / std dev)
-      if (s.pnls.length >= 2) {
-        const mean = s.pnls.reduce((a, b) => a + b, 0) / s.pnls.length;
-        const variance = s.pnls.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / s.pnls.length;
-        const stdDev = Math.sqrt(variance);
-        s.sharpe = stdDev > 0 ? mean / stdDev : 0;
-      } else {
-        s.sharpe = 0;
-      }
-    }
-
     return stats;
   }
 
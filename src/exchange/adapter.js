@@ -0,0 +1,90 @@
+/**
+ * EXCHANGE ADAPTER
+ *
+ * Interface commune entre le bot et une plateforme d'exécution.
+ * Le trader, le position manager et les scripts ne parlent qu'à cette
+ * interface - jamais directement à @polymarket/clob-client.
+ *
+ * Formats normalisés:
+ *   book:     { bids: [{price, size}], asks: [{price, size}] }  (meilleur prix en premier)
+ *   order:    { id, tokenId, side: "BUY"|"SELL", price, size, filled, avgPrice,
+ *               status: "open"|"partial"|"filled"|"cancelled" }
+ *   result:   { success, orderId, status: "filled"|"partial"|"open"|"rejected",
+ *               filled, avgPrice, errorMsg }
+ *   position: { tokenId, outcome, market, size, avgPrice, curPrice, currentValue }
+ *
+ * Implémentations: PolymarketExchange (CLOB réel), SimulatedExchange (local).
+ */
+
+class ExchangeAdapter {
+  constructor(name) {
+    this.name = name;
+    this.address = null;
+  }
+
+  /**
+   * Connexion / authentification (no-op par défaut)
+   */
+  async connect() {
+    return true;
+  }
+
+  async getBook(tokenId) {
+    throw new Error(`${this.name}: getBook not implemented`);
+  }
+
+  /**
+   * @param {object} params - { tokenId, side: "BUY"|"SELL", price, size (shares) }
+   */
+  async placeOrder(params) {
+    throw new Error(`${this.name}: placeOrder not implemented`);
+  }
+
+  async cancel(orderId) {
+    throw new Error(`${this.name}: cancel not implemented`);
+  }
+
+  /**
+   * État courant d'un ordre (null si inconnu)
+   */
+  async getOrder(orderId) {
+    throw new Error(`${this.name}: getOrder not implemented`);
+  }
+
+  async getOpenOrders() {
+    throw new Error(`${this.name}: getOpenOrders not implemented`);
+  }
+
+  /**
+   * Positions détenues; throw si elles ne peuvent pas être lues
+   */
+  async getPositions() {
+    throw new Error(`${this.name}: getPositions not implemented`);
+  }
+
+  /**
+   * Solde USDC disponible
+   */
+  async getBalance() {
+    throw new Error(`${this.name}: getBalance not implemented`);
+  }
+
+  /**
+   * Annule tous les ordres ouverts
+   * @returns {array} [{ orderId, success, errorMsg }]
+   */
+  async cancelAll() {
+    const results = [];
+    for (const order of await this.getOpenOrders()) {
+      try {
+        const res = await this.cancel(order.id);
+        results.push({ orderId: order.id, success: res.success, errorMsg: res.errorMsg });
+      } catch (e) {
+        results.push({ orderId: order.id, success: false, errorMsg: e.message });
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = ExchangeAdapter;
@@ -0,0 +1,104 @@
+/**
+ * GUARDED EXCHANGE
+ *
+ * Enveloppe un ExchangeAdapter: tout placeOrder passe par l'ExecutionGuard
+ * (kill switch, PAPER_ONLY, limites de perte et de fréquence). Les lectures
+ * et les annulations sont déléguées telles quelles.
+ *
+ * Un ordre bloqué renvoie { success: false, status: "rejected", blocked: true, errorMsg }.
+ * `kill -USR2 <pid>` déclenche le kill switch de tous les exchanges gardés du process.
+ */
+
+const ExchangeAdapter = require("./adapter");
+const ExecutionGuard = require("../execution-guard");
+
+// Exchanges gardés du process (trader principal, trader réel de l'arène...): un seul
+// handler SIGUSR2 les déclenche tous
+const registry = new Set();
+let signalHandlerInstalled = false;
+
+function tripAll(reason) {
+  return Promise.all([...registry].map(exchange => exchange.guard.trip(reason, exchange.inner)));
+}
+
+class GuardedExchange extends ExchangeAdapter {
+  /**
+   * @param {ExchangeAdapter} inner - Exchange réel ou simulé
+   * @param {ExecutionGuard} guard - Défaut: guard partagé (data/execution-guard.json)
+   */
+  constructor(inner, guard = new ExecutionGuard()) {
+    super(inner.name);
+    this.inner = inner;
+    this.guard = guard;
+    this.address = inner.address;
+
+    // kill -USR2 <pid>: kill switch sur un process en cours (cron, daemon)
+    registry.add(this);
+    if (!signalHandlerInstalled) {
+      signalHandlerInstalled = true;
+      process.on("SIGUSR2", () => tripAll("SIGUSR2 received"));
+    }
+  }
+
+  async connect() {
+    const connected = await this.inner.connect();
+    this.address = this.inner.address;
+    return connected;
+  }
+
+  /**
+   * Kill switch activé hors process (fichier): annule les ordres ouverts
+   * @returns {boolean} true si le kill switch est actif
+   */
+  async enforceKillSwitch() {
+    if (!this.guard.isKilled()) return false;
+    await this.guard.trip(this.guard.state.killed.reason, this.inner);
+    return true;
+  }
+
+  async placeOrder(params) {
+    const check = await this.guard.check(this.inner, params);
+    if (!check.allowed) {
+      console.log(`🛑 Order blocked by execution guard: ${check.reason}`);
+      return { success: false, status: "rejected", blocked: true, errorMsg: check.reason };
+    }
+
+    const result = await this.inner.placeOrder(params);
+    if (result.success) await this.guard.record(this.inner, params, result);
+    return result;
+  }
+
+  /**
+   * Fill arrivé après le placement (OrderTracker.poll): coût de revient et
+   * PnL réalisé du guard
+   */
+  recordFill(order, filled, avgPrice) {
+    return this.guard.recordFill(this.inner, order, filled, avgPrice);
+  }
+
+  getBook(tokenId) {
+    return this.inner.getBook(tokenId);
+  }
+
+  cancel(orderId) {
+    return this.inner.cancel(orderId);
+  }
+
+  getOrder(orderId) {
+    return this.inner.getOrder(orderId);
+  }
+
+  getOpenOrders() {
+    return this.inner.getOpenOrders();
+  }
+
+  getPositions() {
+    return this.inner.getPositions();
+  }
+
+  getBalance() {
+    return this.inner.getBalance();
+  }
+}
+
+module.exports = GuardedExchange;
@@ -0,0 +1,37 @@
+/**
+ * Exchange factory
+ *
+ * EXCHANGE.MODE (ou env EXCHANGE_MODE):
+ *   "polymarket" - CLOB réel, wallet requis
+ *   "simulated"  - matching local sur carnets live, aucun wallet (dry run)
+ *
+ * L'exchange retourné est enveloppé dans un GuardedExchange: tout ordre passe
+ * par l'ExecutionGuard (src/execution-guard.js).
+ */
+
+const config = require("../config");
+const ExchangeAdapter = require("./adapter");
+const PolymarketExchange = require("./polymarket");
+const SimulatedExchange = require("./simulated");
+const GuardedExchange = require("./guarded");
+
+const SIM_STATE_FILE = "sim-exchange.json";
+
+function createExchange(mode = config.EXCHANGE.MODE) {
+  switch (mode) {
+    case "polymarket":
+      return new GuardedExchange(new PolymarketExchange());
+    case "simulated":
+      return new GuardedExchange(new SimulatedExchange({ liveBooks: true, file: SIM_STATE_FILE }));
+    default:
+      throw new Error(`Unknown exchange mode: ${mode}`);
+  }
+}
+
+module.exports = {
+  createExchange,
+  ExchangeAdapter,
+  PolymarketExchange,
+  SimulatedExchange,
+  GuardedExchange,
+};
@@ -0,0 +1,158 @@
+/**
+ * POLYMARKET EXCHANGE
+ *
+ * Adapter vers le CLOB Polymarket réel (@polymarket/clob-client).
+ * Clé privée lue dans ~/.config/clawd/secrets.env, credentials API dérivés
+ * au connect().
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ClobClient } = require("@polymarket/clob-client");
+const { Wallet, ethers } = require("ethers");
+const config = require("../config");
+const ExchangeAdapter = require("./adapter");
+const { fetchBook, normalizeBook } = require("../lib/gamma");
+
+const USDC_ADDRESS = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174"; // USDC.e on Polygon
+const POLYGON_RPC = "https://polygon-rpc.com";
+
+function loadPrivateKey() {
+  const secretsPath = path.join(process.env.HOME, ".config/clawd/secrets.env");
+  const content = fs.readFileSync(secretsPath, "utf8");
+  const match = content.match(/POLYMARKET_PRIVATE_KEY="?(0x[a-fA-F0-9]+)"?/);
+  if (!match) throw new Error("No private key found in secrets.env");
+  return match[1];
+}
+
+class PolymarketExchange extends ExchangeAdapter {
+  constructor(options = {}) {
+    super("polymarket");
+    this.wallet = new Wallet(options.privateKey || loadPrivateKey());
+    this.address = this.wallet.address;
+    this.client = null;
+  }
+
+  async connect() {
+    if (this.client) return true;
+
+    const tempClient = new ClobClient(config.CLOB_HOST, config.CHAIN_ID, this.wallet);
+    const apiCreds = await tempClient.createOrDeriveApiKey();
+
+    this.client = new ClobClient(
+      config.CLOB_HOST,
+      config.CHAIN_ID,
+      this.wallet,
+      apiCreds,
+      0,
+      this.wallet.address
+    );
+    return true;
+  }
+
+  async getBook(tokenId) {
+    return normalizeBook(await fetchBook(tokenId), Infinity);
+  }
+
+  async placeOrder({ tokenId, side, price, size }) {
+    const order = await this.client.createAndPostOrder({
+      tokenID: tokenId,
+      side,
+      price,
+      size,
+    });
+
+    if (!order?.success) {
+      return { success: false, status: "rejected", errorMsg: order?.errorMsg || JSON.stringify(order) };
+    }
+
+    // Le CLOB renvoie "matched" si rempli immédiatement, "live" si l'ordre repose dans le carnet
+    const matched = order.status === "matched";
+    return {
+      success: true,
+      orderId: order.orderID,
+      status: matched ? "filled" : "open",
+      filled: matched ? size : 0,
+      avgPrice: price,
+    };
+  }
+
+  async cancel(orderId) {
+    const res = await this.client.cancelOrder({ orderID: orderId });
+    const success = !res?.not_canceled || Object.keys(res.not_canceled).length === 0;
+    return { success, errorMsg: success ? null : JSON.stringify(res.not_canceled) };
+  }
+
+  async getOrder(orderId) {
+    const o = await this.client.getOrder(orderId);
+    if (!o?.id) return null;
+
+    const size = parseFloat(o.original_size);
+    const filled = parseFloat(o.size_matched || 0);
+    let status = "open";
+    if (filled >= size) status = "filled";
+    else if (/^cancel/i.test(o.status || "")) status = "cancelled";
+    else if (filled > 0) status = "partial";
+
+    return {
+      id: o.id,
+      tokenId: o.asset_id,
+      market: o.market,
+      side: o.side,
+      price: parseFloat(o.price),
+      size,
+      filled,
+      avgPrice: filled > 0 ? parseFloat(o.price) : null, // Le CLOB n'expose que le prix limite
+      status,
+    };
+  }
+
+  async getOpenOrders() {
+    const orders = await this.client.getOpenOrders();
+    return (orders || []).map(o => ({
+      id: o.id,
+      tokenId: o.asset_id,
+      market: o.market,
+      side: o.side,
+      price: parseFloat(o.price),
+      size: parseFloat(o.original_size),
+      filled: parseFloat(o.size_matched || 0),
+      status: "open",
+    }));
+  }
+
+  /**
+   * @throws si le data-api ne répond pas une liste: [] voudrait dire "rien
+   *         de détenu" (drawdown, positions fantômes pour la réconciliation)
+   */
+  async getPositions() {
+    const resp = await fetch(`${config.DATA_HOST}/positions?user=${this.address}`);
+    if (!resp.ok) throw new Error(`Data API error: ${resp.status}`);
+    const positions = await resp.json();
+    if (!Array.isArray(positions)) throw new Error(`Unexpected positions response: ${JSON.stringify(positions).slice(0, 100)}`);
+    return positions.map(p => ({
+      tokenId: p.asset,
+      outcome: p.outcome,
+      market: p.slug,
+      size: p.size,
+      avgPrice: p.avgPrice,
+      curPrice: p.curPrice,
+      currentValue: p.currentValue,
+      percentPnl: p.percentPnl,
+    }));
+  }
+
+  async getBalance() {
+    const provider = new ethers.providers.JsonRpcProvider(POLYGON_RPC);
+    const usdc = new ethers.Contract(
+      USDC_ADDRESS,
+      ["function balanceOf(address) view returns (uint256)"],
+      provider
+    );
+    const balance = await usdc.balanceOf(this.address);
+    return parseFloat(ethers.utils.formatUnits(balance, 6));
+  }
+}
+
+module.exports = PolymarketExchange;
+module.exports.loadPrivateKey = loadPrivateKey;
@@ -0,0 +1,283 @@
+/**
+ * SIMULATED EXCHANGE
+ *
+ * Moteur de matching local, sans wallet ni réseau obligatoire:
+ * - Carnets fournis par setBook() (tests, backtest) ou récupérés en live
+ *   sur le CLOB public si liveBooks est activé (dry run)
+ * - Ordres limites: un BUY consomme les asks <= prix limite, un SELL les
+ *   bids >= prix limite, niveau par niveau; le reste repose dans le carnet
+ *   et se remplit quand un nouveau carnet le croise
+ * - Le cash des BUY en attente est bloqué (comme sur le CLOB) et rendu à
+ *   l'annulation
+ *
+ * L'état (cash, positions, ordres) est en mémoire, ou persisté (src/storage.js)
+ * si options.file est fourni.
+ */
+
+const config = require("../config");
+const ExchangeAdapter = require("./adapter");
+const { fetchBook, normalizeBook } = require("../lib/gamma");
+const { openDocument } = require("../storage");
+
+const EPSILON = 1e-9;
+
+class SimulatedExchange extends ExchangeAdapter {
+  /**
+   * @param {object} options
+   * @param {number} options.balance - Cash initial (USDC)
+   * @param {object} options.books - { tokenId: { bids, asks } } carnets initiaux
+   * @param {boolean} options.liveBooks - Récupérer les carnets manquants sur le CLOB public
+   * @param {string} options.file - Fichier de persistance (optionnel)
+   */
+  constructor(options = {}) {
+    super("simulated");
+    this.address = "simulated";
+    this.file = options.file || null;
+    this.store = this.file ? openDocument(this.file) : null;
+    this.liveBooks = options.liveBooks || false;
+    this.books = {};
+    this.state = this.load() || {
+      balance: options.balance ?? config.EXCHANGE.SIM_BALANCE,
+      positions: {},
+      orders: {},
+      fills: [],
+    };
+
+    for (const [tokenId, book] of Object.entries(options.books || {})) {
+      this.books[tokenId] = normalizeBook(book, Infinity);
+    }
+  }
+
+  load() {
+    try {
+      if (this.store) return this.store.load();
+    } catch (e) {
+      console.error("Failed to load simulated exchange state:", e.message);
+    }
+    return null;
+  }
+
+  save() {
+    if (!this.store) return;
+    this.store.save(this.state);
+  }
+
+  /**
+   * Remplace le carnet d'un token puis tente de remplir les ordres au repos
+   */
+  setBook(tokenId, book) {
+    this.books[tokenId] = normalizeBook(book, Infinity);
+    this.matchResting(tokenId);
+  }
+
+  async getBook(tokenId) {
+    if (!this.books[tokenId] && this.liveBooks) {
+      const book = await fetchBook(tokenId);
+      if (book) this.books[tokenId] = normalizeBook(book, Infinity);
+    }
+    return this.books[tokenId] || { bids: [], asks: [] };
+  }
+
+  /**
+   * Carnets live: rafraîchit les tokens avec ordres au repos
+   */
+  async refresh() {
+    if (!this.liveBooks) return;
+    const tokens = new Set(this.openOrders().map(o => o.tokenId));
+    for (const tokenId of tokens) {
+      const book = await fetchBook(tokenId);
+      if (book) this.setBook(tokenId, book);
+    }
+  }
+
+  openOrders() {
+    return Object.values(this.state.orders).filter(o => o.status === "open" || o.status === "partial");
+  }
+
+  /**
+   * Remplit un ordre contre le carnet (consomme la liquidité prise)
+   */
+  match(order) {
+    const book = this.books[order.tokenId];
+    if (!book) return;
+
+    const levels = order.side === "BUY" ? book.asks : book.bids;
+    const crosses = level => (order.side === "BUY"
+      ? level.price <= order.price + EPSILON
+      : level.price >= order.price - EPSILON);
+
+    while (levels.length > 0 && order.size - order.filled > EPSILON && crosses(levels[0])) {
+      const level = levels[0];
+      const qty = Math.min(level.size, order.size - order.filled);
+      this.applyFill(order, qty, level.price);
+      level.size -= qty;
+      if (level.size <= EPSILON) levels.shift();
+    }
+
+    if (order.size - order.filled <= EPSILON) order.status = "filled";
+    else if (order.filled > 0) order.status = "partial";
+  }
+
+  applyFill(order, qty, price) {
+    const pos = this.state.positions[order.tokenId] || {
+      tokenId: order.tokenId,
+      outcome: order.outcome || null,
+      market: order.market || null,
+      size: 0,
+      cost: 0,
+      lastPrice: price,
+    };
+
+    if (order.side === "BUY") {
+      // Cash bloqué au prix limite, on rend l'amélioration de prix
+      this.state.balance += qty * (order.price - price);
+      pos.size += qty;
+      pos.cost += qty * price;
+    } else {
+      const avgPrice = pos.size > 0 ? pos.cost / pos.size : 0;
+      this.state.balance += qty * price;
+      pos.cost -= qty * avgPrice;
+      pos.size -= qty;
+    }
+    pos.lastPrice = price;
+
+    order.filled += qty;
+    order.notional += qty * price;
+
+    this.state.positions[order.tokenId] = pos;
+    this.state.fills.push({ orderId: order.id, tokenId: order.tokenId, side: order.side, size: qty, price, timestamp: Date.now() });
+  }
+
+  matchResting(tokenId) {
+    const resting = this.openOrders()
+      .filter(o => o.tokenId === tokenId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    if (resting.length === 0) return;
+
+    for (const order of resting) this.match(order);
+    this.save();
+  }
+
+  /**
+   * Shares disponibles à la vente (position - SELL déjà en attente)
+   */
+  availableShares(tokenId) {
+    const held = this.state.positions[tokenId]?.size || 0;
+    const pending = this.openOrders()
+      .filter(o => o.tokenId === tokenId && o.side === "SELL")
+      .reduce((sum, o) => sum + o.size - o.filled, 0);
+    return held - pending;
+  }
+
+  async placeOrder({ tokenId, side, price, size, outcome, market }) {
+    if (!tokenId || !(size > 0) || !(price > 0 && price < 1)) {
+      return { success: false, status: "rejected", errorMsg: "Invalid order parameters" };
+    }
+
+    if (side === "BUY" && price * size > this.state.balance + EPSILON) {
+      return { success: false, status: "rejected", errorMsg: `Insufficient balance ($${this.state.balance.toFixed(2)})` };
+    }
+    if (side === "SELL" && size > this.availableShares(tokenId) + EPSILON) {
+      return { success: false, status: "rejected", errorMsg: "Insufficient shares" };
+    }
+
+    await this.getBook(tokenId);
+
+    const order = {
+      id: `sim-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      tokenId,
+      side,
+      price,
+      size,
+      outcome,
+      market,
+      filled: 0,
+      notional: 0,
+      status: "open",
+      createdAt: Date.now(),
+    };
+    if (side === "BUY") this.state.balance -= price * size;
+
+    this.state.orders[order.id] = order;
+    this.match(order);
+    this.save();
+
+    return {
+      success: true,
+      orderId: order.id,
+      status: order.status,
+      filled: order.filled,
+      avgPrice: order.filled > 0 ? order.notional / order.filled : null,
+    };
+  }
+
+  async cancel(orderId) {
+    const order = this.state.orders[orderId];
+    if (!order || (order.status !== "open" && order.status !== "partial")) {
+      return { success: false, errorMsg: "Order not open" };
+    }
+
+    if (order.side === "BUY") this.state.balance += (order.size - order.filled) * order.price;
+    order.status = "cancelled";
+    this.save();
+    return { success: true };
+  }
+
+  async getOrder(orderId) {
+    await this.refresh();
+    const o = this.state.orders[orderId];
+    if (!o) return null;
+    return {
+      id: o.id,
+      tokenId: o.tokenId,
+      market: o.market,
+      side: o.side,
+      price: o.price,
+      size: o.size,
+      filled: o.filled,
+      avgPrice: o.filled > 0 ? o.notional / o.filled : null,
+      status: o.status,
+    };
+  }
+
+  async getOpenOrders() {
+    await this.refresh();
+    return this.openOrders().map(o => ({
+      id: o.id,
+      tokenId: o.tokenId,
+      market: o.market,
+      side: o.side,
+      price: o.price,
+      size: o.size,
+      filled: o.filled,
+      status: o.status,
+    }));
+  }
+
+  async getPositions() {
+    await this.refresh();
+    return Object.values(this.state.positions)
+      .filter(p => p.size > EPSILON)
+      .map(p => {
+        const book = this.books[p.tokenId];
+        const bestBid = book?.bids[0]?.price;
+        const bestAsk = book?.asks[0]?.price;
+        const curPrice = bestBid !== undefined && bestAsk !== undefined ? (bestBid + bestAsk) / 2 : p.lastPrice;
+        return {
+          tokenId: p.tokenId,
+          outcome: p.outcome,
+          market: p.market,
+          size: p.size,
+          avgPrice: p.cost / p.size,
+          curPrice,
+          currentValue: p.size * curPrice,
+        };
+      });
+  }
+
+  async getBalance() {
+    return this.state.balance;
+  }
+}
+
+module.exports = SimulatedExchange;
@@ -0,0 +1,288 @@
+/**
+ * EXECUTION GUARD
+ *
+ * Point de passage obligatoire de tout ordre (via GuardedExchange, voir
+ * src/exchange/guarded.js). Règles, dans l'ordre:
+ *
+ * - Kill switch: fichier data/KILL_SWITCH, signal SIGUSR2, `guard kill` ou
+ *   déclenchement d'un circuit breaker. Annule les ordres ouverts et bloque
+ *   TOUS les nouveaux ordres jusqu'au reset manuel (`guard reset`)
+ * - PAPER_ONLY: aucun ordre sur un exchange réel (le simulé reste autorisé)
+ * - MAX_ORDERS_PER_HOUR: ordres refusés au-delà (sans kill)
+ * - Circuit breakers (avant un BUY, et après chaque fill):
+ *   perte réalisée du jour > MAX_DAILY_LOSS, ou drawdown de l'equity
+ *   (cash + positions) > MAX_DRAWDOWN_PCT depuis son pic → kill switch
+ *
+ * La perte réalisée est calculée à partir des fills qui passent par le guard
+ * (coût moyen par token): ceux du placement (record), puis ceux qu'OrderTracker
+ * voit arriver sur les ordres au repos ou re-pricés (recordFill). État par exchange dans data/execution-guard.json,
+ * relu à chaque vérification pour voir un reset fait depuis un autre process.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { openDocument } = require("./storage");
+
+const GUARD_STATE_FILE = "execution-guard.json";
+const KILL_SWITCH_FILE = path.join(__dirname, "../data/KILL_SWITCH");
+const HOUR_MS = 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+class ExecutionGuard {
+  /**
+   * @param {object} options
+   * @param {string} options.file - Fichier d'état (défaut: data/execution-guard.json, relatif à data/ ou absolu)
+   * @param {string} options.killFile - Fichier kill switch (défaut: data/KILL_SWITCH)
+   * @param {object} options.settings - Défaut: config.EXECUTION_GUARD
+   * @param {boolean} options.paperOnly - Défaut: config.PAPER_ONLY
+   * @param {boolean} options.persist - false = état en mémoire uniquement (tests)
+   */
+  constructor(options = {}) {
+    this.file = options.file || GUARD_STATE_FILE;
+    this.killFile = options.killFile || KILL_SWITCH_FILE;
+    this.settings = options.settings || config.EXECUTION_GUARD;
+    this.paperOnly = options.paperOnly ?? config.PAPER_ONLY;
+    this.persist = options.persist !== false;
+    this.store = openDocument(this.file);
+    this.state = this.load();
+  }
+
+  load() {
+    try {
+      const state = this.persist ? this.store.load() : null;
+      if (state) return state;
+    } catch (e) {
+      console.error("Failed to load execution guard state:", e.message);
+    }
+    return { killed: null, accounts: {} };
+  }
+
+  save() {
+    if (!this.persist) return;
+    this.store.save(this.state);
+  }
+
+  account(name) {
+    if (!this.state.accounts[name]) {
+      this.state.accounts[name] = { orders: [], realized: {}, costBasis: {}, equityPeak: null };
+    }
+    return this.state.accounts[name];
+  }
+
+  /**
+   * Jour UTC (clé de la perte réalisée quotidienne)
+   */
+  today() {
+    return new Date(Date.now()).toISOString().slice(0, 10);
+  }
+
+  dailyRealized(name) {
+    return this.account(name).realized[this.today()] || 0;
+  }
+
+  /**
+   * Kill switch actif? Le fichier est pris en compte même s'il a été créé
+   * depuis un autre process (touch data/KILL_SWITCH)
+   */
+  isKilled() {
+    if (this.persist) this.state = this.load();
+    if (!this.state.killed && fs.existsSync(this.killFile)) {
+      this.state.killed = { at: Date.now(), reason: `Kill switch file ${path.basename(this.killFile)}` };
+      this.save();
+    }
+    return !!this.state.killed;
+  }
+
+  /**
+   * Active le kill switch et annule les ordres ouverts de l'exchange
+   * @param {string} reason
+   * @param {ExchangeAdapter} exchange - Exchange NON gardé (optionnel)
+   */
+  async trip(reason, exchange = null) {
+    if (!this.state.killed) {
+      this.state.killed = { at: Date.now(), reason };
+      this.save();
+      console.log(`\n🚨 KILL SWITCH ACTIVATED: ${reason}`);
+      console.log("   New orders are blocked until `node src/index.js guard reset`");
+    }
+
+    if (!exchange) return [];
+    try {
+      const results = await exchange.cancelAll();
+      if (results.length > 0) {
+        console.log(`   🗑️ ${results.filter(r => r.success).length}/${results.length} open order(s) cancelled`);
+      }
+      return results;
+    } catch (e) {
+      console.error(`   ❌ Failed to cancel open orders: ${e.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Reset manuel du kill switch (fichier compris)
+   */
+  reset() {
+    this.state.killed = null;
+    if (fs.existsSync(this.killFile)) fs.unlinkSync(this.killFile);
+    this.save();
+  }
+
+  /**
+   * Equity = cash + valeur des positions (null si indisponible)
+   */
+  async measureEquity(exchange) {
+    try {
+      const balance = await exchange.getBalance();
+      const positions = await exchange.getPositions();
+      return balance + positions.reduce((sum, p) => sum + (p.currentValue || 0), 0);
+    } catch (e) {
+      console.error(`   Execution guard: equity unavailable (${e.message})`);
+      return null;
+    }
+  }
+
+  /**
+   * Vérifie les circuit breakers; les déclenche si une limite est franchie
+   * @returns {string|null} raison du blocage
+   */
+  async checkBreakers(exchange) {
+    const account = this.account(exchange.name);
+
+    const realized = this.dailyRealized(exchange.name);
+    if (realized <= -this.settings.MAX_DAILY_LOSS) {
+      const reason = `Daily loss limit: -$${Math.abs(realized).toFixed(2)} realized (max $${this.settings.MAX_DAILY_LOSS})`;
+      await this.trip(reason, exchange);
+      return reason;
+    }
+
+    const equity = await this.measureEquity(exchange);
+    if (equity === null) return "Equity unavailable - drawdown cannot be checked";
+
+    account.equityPeak = Math.max(account.equityPeak || 0, equity);
+    this.save();
+
+    const drawdown = account.equityPeak > 0 ? (account.equityPeak - equity) / account.equityPeak : 0;
+    if (drawdown >= this.settings.MAX_DRAWDOWN_PCT) {
+      const reason = `Max drawdown: ${(drawdown * 100).toFixed(1)}% below peak $${account.equityPeak.toFixed(2)} (max ${(this.settings.MAX_DRAWDOWN_PCT * 100).toFixed(0)}%)`;
+      await this.trip(reason, exchange);
+      return reason;
+    }
+    return null;
+  }
+
+  /**
+   * Autorise (ou non) un ordre
+   * @param {ExchangeAdapter} exchange - Exchange NON gardé
+   * @param {object} order - { tokenId, side, price, size }
+   * @returns {{allowed: boolean, reason: string}}
+   */
+  async check(exchange, order) {
+    if (this.isKilled()) {
+      return { allowed: false, reason: `Kill switch active (${this.state.killed.reason})` };
+    }
+
+    if (this.paperOnly && exchange.name !== "simulated") {
+      return { allowed: false, reason: "PAPER_ONLY - real orders are disabled" };
+    }
+
+    const account = this.account(exchange.name);
+    account.orders = account.orders.filter(t => Date.now() - t < HOUR_MS);
+    if (account.orders.length >= this.settings.MAX_ORDERS_PER_HOUR) {
+      return { allowed: false, reason: `Max ${this.settings.MAX_ORDERS_PER_HOUR} orders per hour reached` };
+    }
+
+    // Les sorties restent possibles tant que le kill switch n'est pas actif
+    if (order.side === "BUY") {
+      const reason = await this.checkBreakers(exchange);
+      if (reason) return { allowed: false, reason };
+    }
+
+    return { allowed: true, reason: "OK" };
+  }
+
+  /**
+   * Enregistre un ordre passé et ses fills (PnL réalisé sur les SELL)
+   */
+  async record(exchange, order, result) {
+    this.account(exchange.name).orders.push(Date.now());
+    await this.recordFill(exchange, order, result?.filled || 0, result?.avgPrice);
+  }
+
+  /**
+   * Fills d'un ordre (au placement, ou arrivés ensuite): coût de revient des
+   * BUY, PnL réalisé des SELL
+   * @param {object} order - { tokenId, side }
+   * @param {number} filled - Shares remplies (delta)
+   * @param {number} avgPrice - Prix moyen de ces shares
+   */
+  async recordFill(exchange, order, filled, avgPrice) {
+    const account = this.account(exchange.name);
+
+    if (filled > EPSILON && avgPrice) {
+      const basis = account.costBasis[order.tokenId] || { size: 0, cost: 0 };
+
+      if (order.side === "BUY") {
+        basis.size += filled;
+        basis.cost += filled * avgPrice;
+      } else {
+        const avgCost = basis.size > EPSILON ? basis.cost / basis.size : avgPrice;
+        const sold = Math.min(filled, basis.size);
+        const pnl = filled * avgPrice - filled * avgCost;
+        basis.cost -= sold * avgCost;
+        basis.size -= sold;
+        account.realized[this.today()] = this.dailyRealized(exchange.name) + pnl;
+      }
+
+      if (basis.size > EPSILON) account.costBasis[order.tokenId] = basis;
+      else delete account.costBasis[order.tokenId];
+    }
+
+    this.save();
+
+    // Une perte réalisée peut déclencher le breaker immédiatement
+    if (this.dailyRealized(exchange.name) <= -this.settings.MAX_DAILY_LOSS) {
+      await this.checkBreakers(exchange);
+    }
+  }
+
+  getStatus(name) {
+    const account = this.account(name);
+    return {
+      killed: this.state.killed,
+      paperOnly: this.paperOnly,
+      dailyRealized: this.dailyRealized(name),
+      ordersLastHour: account.orders.filter(t => Date.now() - t < HOUR_MS).length,
+      equityPeak: account.equityPeak,
+      settings: this.settings,
+    };
+  }
+
+  /**
+   * Affiche l'état du guard
+   */
+  showStatus(name) {
+    this.isKilled();
+    const status = this.getStatus(name);
+
+    console.log("\n" + "═".repeat(60));
+    console.log("🛡️  EXECUTION GUARD");
+    console.log("═".repeat(60));
+    if (status.killed) {
+      console.log(`🚨 KILL SWITCH ACTIVE since ${new Date(status.killed.at).toLocaleString()}`);
+      console.log(`   Reason: ${status.killed.reason}`);
+    } else {
+      console.log("✅ Kill switch: off");
+    }
+    console.log(`   Paper only: ${status.paperOnly ? "YES (real orders blocked)" : "no"}`);
+    console.log(`   Account: ${name}`);
+    console.log(`   Realized today: ${status.dailyRealized >= 0 ? "+" : "-"}$${Math.abs(status.dailyRealized).toFixed(2)} (limit -$${status.settings.MAX_DAILY_LOSS})`);
+    console.log(`   Orders last hour: ${status.ordersLastHour}/${status.settings.MAX_ORDERS_PER_HOUR}`);
+    console.log(`   Equity peak: ${status.equityPeak !== null ? `$${status.equityPeak.toFixed(2)}` : "n/a"} (max drawdown ${(status.settings.MAX_DRAWDOWN_PCT * 100).toFixed(0)}%)`);
+    console.log("═".repeat(60));
+  }
+}
+
+module.exports = ExecutionGuard;
+module.exports.KILL_SWITCH_FILE = KILL_SWITCH_FILE;
@@ -0,0 +1,173 @@
+/**
+ * EXIT RULES
+ *
+ * Moteur de sortie d'une position (trade paper ou position réelle), évalué à
+ * chaque cycle. Plan de sortie = config.EXITS, puis cibles de la stratégie,
+ * puis exitPlan du trade:
+ *
+ *   {
+ *     takeProfitPct: 0.15,            // Sortie totale à +15% de l'entrée
+ *     stopLossPct: 0.30,              // Sortie totale à -30%
+ *     trailingStopPct: 0.10,          // Sortie 10% sous le plus haut atteint depuis l'entrée
+ *     trailingActivationPct: 0.05,    // ...une fois +5% atteint (défaut: dès l'entrée)
+ *     breakEvenAfterPct: 0.08,        // Après +8%, le stop remonte au prix d'entrée
+ *     maxHoldHours: 24,               // Sortie après 24h de détention
+ *     exitBeforeEndHours: 6,          // Sortie 6h avant endDate du marché
+ *     scaleOut: [{ profitPct: 0.10, fraction: 0.5 }], // Ventes partielles (fraction des shares initiales)
+ *   }
+ *
+ * Règles custom d'une stratégie: `exitRules = [{ name, check(position, context) }]`
+ * sur l'instance, évaluées pour ses positions à chaque cycle. check retourne
+ * null ou { reason, fraction? } (fraction < 1 = vente partielle des shares restantes).
+ * context = { price, entryPrice, profitPct, peakPrice, heldHours, hoursToEnd, now, market }
+ *
+ * Suivi persisté sur la position (position.exitState): plus haut atteint,
+ * shares initiales, break-even armé, paliers de scale-out déjà vendus.
+ */
+
+const config = require("./config");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PLAN_KEYS = [
+  "takeProfitPct",
+  "stopLossPct",
+  "trailingStopPct",
+  "trailingActivationPct",
+  "breakEvenAfterPct",
+  "maxHoldHours",
+  "exitBeforeEndHours",
+  "scaleOut",
+];
+
+/**
+ * Plan par défaut (config.EXITS)
+ */
+function defaultPlan(settings = config.EXITS) {
+  return {
+    trailingStopPct: settings.TRAILING_STOP_PCT,
+    trailingActivationPct: settings.TRAILING_ACTIVATION_PCT,
+    breakEvenAfterPct: settings.BREAK_EVEN_AFTER_PCT,
+    maxHoldHours: settings.MAX_HOLD_HOURS,
+    exitBeforeEndHours: settings.EXIT_BEFORE_END_HOURS,
+    scaleOut: settings.SCALE_OUT,
+  };
+}
+
+/**
+ * Fusionne des plans: chaque couche remplace les clés qu'elle définit (null/undefined = ignorée)
+ */
+function buildPlan(...layers) {
+  const plan = {};
+  for (const layer of layers) {
+    for (const key of PLAN_KEYS) {
+      const value = layer?.[key];
+      if (value !== undefined && value !== null) plan[key] = value;
+    }
+  }
+  return plan;
+}
+
+/**
+ * Évalue les règles de sortie d'une position
+ * @param {object} position - Trade paper ou position réelle (reçoit exitState)
+ * @param {object} context
+ * @param {number} context.price - Prix courant du côté détenu
+ * @param {number} context.entryPrice
+ * @param {number} context.openedAt - Timestamp ms d'entrée
+ * @param {number} context.shares - Shares détenues
+ * @param {string} context.endDate - Fin du marché (ISO, optionnel)
+ * @param {object} context.plan - Plan de sortie (buildPlan)
+ * @param {Array} context.rules - Règles custom de la stratégie
+ * @param {number} context.now
+ * @returns {object|null} { rule, reason, fraction, scaleIndex? } - fraction des shares détenues (1 = sortie totale)
+ */
+function evaluateExit(position, context) {
+  const { price, entryPrice, openedAt, shares, endDate = null, plan = {}, rules = [], market = null } = context;
+  const now = context.now ?? Date.now();
+  if (!(price > 0) || !(entryPrice > 0)) return null;
+
+  const state = position.exitState = position.exitState || {};
+  state.peakPrice = Math.max(state.peakPrice ?? entryPrice, price);
+  state.initialShares = state.initialShares ?? shares;
+  state.scaledOut = state.scaledOut || [];
+
+  const profitPct = (price - entryPrice) / entryPrice;
+  const peakPct = (state.peakPrice - entryPrice) / entryPrice;
+  if (plan.breakEvenAfterPct && peakPct >= plan.breakEvenAfterPct) state.breakEven = true;
+
+  const pct = x => `${(x * 100).toFixed(0)}%`;
+  const heldHours = (now - openedAt) / HOUR_MS;
+  const hoursToEnd = endDate ? (new Date(endDate).getTime() - now) / HOUR_MS : null;
+
+  // Sorties totales, de la plus défensive à la plus opportuniste
+  if (plan.stopLossPct && profitPct <= -plan.stopLossPct) {
+    return { rule: "STOP_LOSS", reason: `STOP_LOSS (${pct(plan.stopLossPct)} limit)`, fraction: 1 };
+  }
+  if (state.breakEven && price <= entryPrice) {
+    return { rule: "BREAK_EVEN", reason: `BREAK_EVEN (armed at +${pct(plan.breakEvenAfterPct)})`, fraction: 1 };
+  }
+  if (plan.trailingStopPct && peakPct >= (plan.trailingActivationPct || 0)
+    && price <= state.peakPrice * (1 - plan.trailingStopPct)) {
+    return {
+      rule: "TRAILING_STOP",
+      reason: `TRAILING_STOP (${pct(plan.trailingStopPct)} below peak ${(state.peakPrice * 100).toFixed(1)}%)`,
+      fraction: 1,
+    };
+  }
+  if (plan.takeProfitPct && profitPct >= plan.takeProfitPct) {
+    return { rule: "TAKE_PROFIT", reason: `TAKE_PROFIT (${pct(plan.takeProfitPct)} target)`, fraction: 1 };
+  }
+  if (plan.maxHoldHours && heldHours >= plan.maxHoldHours) {
+    return { rule: "MAX_HOLD", reason: `MAX_HOLD (${plan.maxHoldHours}h)`, fraction: 1 };
+  }
+  if (plan.exitBeforeEndHours && hoursToEnd !== null && hoursToEnd <= plan.exitBeforeEndHours) {
+    return { rule: "BEFORE_END", reason: `BEFORE_END (${plan.exitBeforeEndHours}h before market end)`, fraction: 1 };
+  }
+
+  const ruleContext = { price, entryPrice, profitPct, peakPrice: state.peakPrice, heldHours, hoursToEnd, now, market };
+  for (const rule of rules) {
+    try {
+      const hit = rule.check(position, ruleContext);
+      if (!hit) continue;
+      const fraction = hit.fraction > 0 && hit.fraction < 1 ? hit.fraction : 1;
+      return { rule: `CUSTOM:${rule.name}`, reason: `${rule.name} (${hit.reason})`, fraction };
+    } catch (e) {
+      console.warn(`⚠️  Exit rule ${rule.name} failed: ${e.message}`);
+    }
+  }
+
+  // Ventes partielles: premier palier atteint pas encore vendu
+  const targets = (plan.scaleOut || [])
+    .map((target, index) => ({ ...target, index }))
+    .sort((a, b) => a.profitPct - b.profitPct);
+  for (const target of targets) {
+    if (state.scaledOut.includes(target.index) || profitPct < target.profitPct) continue;
+    const fraction = shares > 0 ? Math.min(1, target.fraction * state.initialShares / shares) : 1;
+    return {
+      rule: "SCALE_OUT",
+      reason: `SCALE_OUT (${pct(target.fraction)} at +${pct(target.profitPct)})`,
+      fraction,
+      scaleIndex: target.index,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Marque un palier de scale-out comme vendu (après une vente réussie)
+ */
+function markScaledOut(position, decision) {
+  if (decision?.scaleIndex === undefined) return;
+  const state = position.exitState = position.exitState || {};
+  state.scaledOut = [...new Set([...(state.scaledOut || []), decision.scaleIndex])];
+}
+
+module.exports = {
+  PLAN_KEYS,
+  defaultPlan,
+  buildPlan,
+  evaluateExit,
+  markScaledOut,
+};
@@ -18,8 +18,9 @@
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
+const { openDocument } = require("../storage");
 
-const IDEAS_FILE = path.join(__dirname, "../../data/ideas.json");
+const IDEAS_FILE = "ideas.json";
 const STRATEGIES_DIR = path.join(__dirname, "../strategies");
 
 // Polymarket API pour récupérer les top events
@@ -55,17 +56,14 @@ class IdeationAgent {
 
   loadIdeas() {
     try {
-      if (fs.existsSync(IDEAS_FILE)) {
-        return JSON.parse(fs.readFileSync(IDEAS_FILE, "utf8"));
-      }
+      const ideas = openDocument(IDEAS_FILE).load();
+      if (ideas) return ideas;
     } catch (e) {}
     return { ideas: [], lastGenerated: null };
   }
 
   saveIdeas() {
-    const dir = path.dirname(IDEAS_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(IDEAS_FILE, JSON.stringify(this.ideas, null, 2));
+    openDocument(IDEAS_FILE).save(this.ideas);
   }
 
   generateId() {
@@ -639,6 +637,8 @@ Status management:
   }
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  main().catch(console.error);
+}
 
 module.exports = IdeationAgent;
@@ -14,8 +14,9 @@
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
+const { openDocument } = require("../storage");
 
-const IDEAS_FILE = path.join(__dirname, "../../data/ideas.json");
+const IDEAS_FILE = "ideas.json";
 const DEPS_FILE = path.join(__dirname, "../../data/dependencies.json");
 const TEMPLATE_FILE = path.join(__dirname, "../strategies/TEMPLATE.js");
 const SKILL_FILE = path.join(__dirname, "SKILL.md");
@@ -28,9 +29,8 @@ class IdeationCheck {
 
   loadIdeas() {
     try {
-      if (fs.existsSync(IDEAS_FILE)) {
-        return JSON.parse(fs.readFileSync(IDEAS_FILE, "utf8"));
-      }
+      const ideas = openDocument(IDEAS_FILE).load();
+      if (ideas) return ideas;
     } catch (e) {
       console.error(`Failed to load ideas: ${e.message}`);
     }
@@ -311,21 +311,23 @@ ${idea.code || "// No pseudo-code provided"}
 }
 
 // CLI
-const check = new IdeationCheck();
-const arg = process.argv[2];
-
-switch (arg) {
-  case "--all":
-    check.showAll();
-    break;
-  case "--prompt":
-    check.showPrompt();
-    break;
-  case "--deps":
-    check.showDeps();
-    break;
-  default:
-    check.showNext();
+if (require.main === module) {
+  const check = new IdeationCheck();
+  const arg = process.argv[2];
+
+  switch (arg) {
+    case "--all":
+      check.showAll();
+      break;
+    case "--prompt":
+      check.showPrompt();
+      break;
+    case "--deps":
+      check.showDeps();
+      break;
+    default:
+      check.showNext();
+  }
 }
 
 module.exports = IdeationCheck;
@@ -4,12 +4,38 @@
  * 
  * Usage:
  *   node src/index.js          - Run trading cycle
- *   node src/index.js scan     - Scan signals only (no trading)
+ *   node src/index.js scan [market-slug] - Scan signals only (no trading)
  *   node src/index.js trade    - Force trade cycle
  *   node src/index.js compete  - Run strategy competition (arena mode)
  *   node src/index.js arena    - Show arena status
  *   node src/index.js perf     - Show performance comparison
- *   node src/index.js close    - Close market and calculate results
+ *   node src/index.js close    - Close market and calculate results (UP|DOWN|<winning-outcome-name-or-id>)
+ *   node src/index.js settle [--dry-run]
+ *                              - Settle open trades/positions of markets resolved on Gamma
+ *   node src/index.js whales [update]
+ *                              - Whale registry: weights from each wallet's track record (update = discover + reweight)
+ *   node src/index.js backtest [snapshots.jsonl] [--strategy a,b] [--from ISO] [--to ISO] [--market slug] [--verbose]
+ *                              - Replay recorded snapshots through every arena strategy
+ *   node src/index.js backtest --store [--market slug,...] - Replay the recorder history (data/history/)
+ *   node src/index.js <command> --sim - Use the simulated exchange (dry run, no wallet)
+ *   node src/index.js record [--once] [--interval sec] [--compact]
+ *                              - Record active markets into the time-series store
+ *   node src/index.js orders   - Poll tracked orders (fills, stale orders) and list them
+ *   node src/index.js portfolio [--sim]
+ *                              - Wallet equity (USDC.e + positions) and per-strategy paper books
+ *   node src/index.js reconcile [--repair] [--json]
+ *                              - Diff local positions/orders against the exchange
+ *   node src/index.js guard [status|kill [reason]|reset] [--sim]
+ *                              - Execution guard: show limits, trip or reset the kill switch
+ *   node src/index.js daemon [--sim] [--market slug]
+ *                              - Long-running scheduler: compete, exits, recorder, ideation jobs
+ *   node src/index.js journal [--strategy a,b] [--market text] [--since 7d | --from ISO --to ISO]
+ *                             [--status open|closed] [--reason text] [--version x.y.z]
+ *                             [--sort column] [--desc] [--limit N] [--group key] [--format table|csv|json]
+ *                              - Query the trade history (hold time, MAE/MFE from recorded prices)
+ *   node src/index.js analytics [--since 7d] [--strategy a,b] [--real | --paper] [--format table|json] [--export]
+ *                              - Equity curves, Sharpe/Sortino/Calmar, drawdown, profit factor, exposure, turnover
+ *                                (--export writes data/analytics.json for the dashboard)
  */
 
 // Load environment variables FIRST
@@ -18,6 +44,199 @@ require("dotenv").config();
 const WhaleTrader = require("./trader");
 const PaperTrader = require("./paper-trader");
 const StrategyArena = require("./arena");
+const { createExchange } = require("./exchange");
+const { parseWinner } = require("./lib/outcomes");
+
+// Read a "--name value" flag from the command line
+function getFlag(name) {
+  const idx = process.argv.indexOf(`--${name}`);
+  return idx >= 0 ? process.argv[idx + 1] : undefined;
+}
+
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+async function runBacktest() {
+  const { BacktestEngine, loadSnapshots, loadSnapshotsFromStore, DEFAULT_SNAPSHOTS_FILE } = require("./backtest/engine");
+
+  const positional = process.argv[3];
+  const file = positional && !positional.startsWith("--") ? positional : DEFAULT_SNAPSHOTS_FILE;
+  const from = getFlag("from") ? new Date(getFlag("from")).getTime() : null;
+  const to = getFlag("to") ? new Date(getFlag("to")).getTime() : null;
+
+  let snapshots;
+  if (hasFlag("store")) {
+    const TimeSeriesStore = require("./recorder/store");
+    const store = new TimeSeriesStore();
+    console.log(`🧪 Loading snapshots from recorder history ${store.dir}...`);
+    snapshots = loadSnapshotsFromStore(store, { from, to, markets: getFlag("market")?.split(",") });
+  } else {
+    console.log(`🧪 Loading snapshots from ${file}...`);
+    snapshots = loadSnapshots(file, { from, to });
+  }
+  console.log(`   ${snapshots.length} snapshots loaded`);
+
+  const engine = new BacktestEngine(snapshots, {
+    strategies: getFlag("strategy")?.split(","),
+    defaultMarket: getFlag("market")?.split(",")[0],
+    verbose: hasFlag("verbose"),
+  });
+  const report = await engine.run();
+
+  BacktestEngine.printReport(report);
+  const reportFile = BacktestEngine.saveReport(report);
+  console.log(`\n💾 Report saved to ${reportFile}`);
+}
+
+async function runRecorder() {
+  const MarketRecorder = require("./recorder/recorder");
+  const recorder = new MarketRecorder();
+
+  if (hasFlag("compact")) {
+    const stats = recorder.store.compact();
+    console.log(`🗜️  Compaction: ${stats.compacted} segment(s) compacted, ${stats.deleted} deleted`);
+    return;
+  }
+
+  process.on("SIGINT", () => recorder.stop());
+  process.on("SIGTERM", () => recorder.stop());
+
+  const interval = getFlag("interval");
+  await recorder.run({
+    once: hasFlag("once"),
+    intervalMs: interval ? parseInt(interval) * 1000 : undefined,
+  });
+}
+
+async function runGuard() {
+  const ExecutionGuard = require("./execution-guard");
+  const guard = new ExecutionGuard();
+  const action = process.argv[3] && !process.argv[3].startsWith("--") ? process.argv[3] : "status";
+  const accountName = hasFlag("sim") ? "simulated" : require("./config").EXCHANGE.MODE;
+
+  switch (action) {
+    case "kill": {
+      const reason = process.argv.slice(4).filter(a => !a.startsWith("--")).join(" ") || "Manual kill switch";
+      // Annuler les ordres ouverts si l'exchange est joignable (wallet requis pour le CLOB réel)
+      let exchange = null;
+      try {
+        exchange = createExchange(accountName).inner;
+        await exchange.connect();
+      } catch (e) {
+        console.error(`⚠️  Exchange unavailable, open orders not cancelled: ${e.message}`);
+        exchange = null;
+      }
+      await guard.trip(reason, exchange);
+      break;
+    }
+
+    case "reset":
+      guard.reset();
+      console.log("✅ Kill switch reset - orders allowed again");
+      break;
+
+    case "status":
+      guard.showStatus(accountName);
+      break;
+
+    default:
+      console.log("Usage: node src/index.js guard [status|kill [reason]|reset] [--sim]");
+  }
+}
+
+async function runJournal() {
+  const TradeJournal = require("./journal");
+  const { parseDuration } = TradeJournal;
+
+  const since = getFlag("since");
+  if (since && !parseDuration(since)) throw new Error(`Invalid --since ${since} (e.g. 30m, 24h, 7d, 2w)`);
+  const from = since ? Date.now() - parseDuration(since) : getFlag("from") ? new Date(getFlag("from")).getTime() : null;
+  const to = getFlag("to") ? new Date(getFlag("to")).getTime() : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) throw new Error("Invalid --from/--to date");
+
+  const journal = new TradeJournal({ store: hasFlag("no-excursions") ? null : undefined });
+  const rows = journal.query({
+    filters: {
+      strategies: getFlag("strategy")?.split(","),
+      market: getFlag("market"),
+      from,
+      to,
+      status: getFlag("status"),
+      reason: getFlag("reason"),
+      version: getFlag("version"),
+    },
+    sort: getFlag("sort"),
+    desc: hasFlag("desc"),
+    limit: getFlag("limit") ? parseInt(getFlag("limit")) : null,
+  });
+
+  const group = getFlag("group");
+  const output = group ? TradeJournal.group(rows, group) : rows;
+
+  switch (getFlag("format") || "table") {
+    case "json":
+      console.log(JSON.stringify(output, null, 2));
+      break;
+    case "csv":
+      console.log(TradeJournal.toCsv(output));
+      break;
+    case "table":
+      if (group) TradeJournal.printGroups(output, group);
+      else TradeJournal.printTable(output);
+      break;
+    default:
+      throw new Error(`Unknown --format ${getFlag("format")} (table, csv, json)`);
+  }
+}
+
+async function runAnalytics() {
+  const PerformanceAnalytics = require("./analytics");
+  const { parseDuration } = require("./journal");
+
+  const since = getFlag("since");
+  if (since && !parseDuration(since)) throw new Error(`Invalid --since ${since} (e.g. 30m, 24h, 7d, 2w)`);
+
+  const analytics = new PerformanceAnalytics();
+  const options = {
+    from: since ? Date.now() - parseDuration(since) : undefined,
+    strategies: getFlag("strategy")?.split(","),
+  };
+
+  if (hasFlag("export")) {
+    const file = analytics.export(options);
+    console.log(`✅ Analytics exported to ${file}`);
+    return;
+  }
+
+  if (hasFlag("real")) options.filter = t => t.isReal;
+  if (hasFlag("paper")) options.filter = t => !t.isReal;
+  const report = analytics.report(options);
+
+  switch (getFlag("format") || "table") {
+    case "json":
+      console.log(JSON.stringify(report, null, 2));
+      break;
+    case "table":
+      PerformanceAnalytics.printReport(report);
+      break;
+    default:
+      throw new Error(`Unknown --format ${getFlag("format")} (table, json)`);
+  }
+}
+
+async function runSettle() {
+  const SettlementService = require("./settlement");
+  const settled = await new SettlementService().run({ dryRun: hasFlag("dry-run") });
+
+  if (settled.length === 0) {
+    console.log("✅ No resolved market with open trades or positions");
+    return;
+  }
+  for (const s of settled) {
+    console.log(`🏁 ${s.market}: ${s.winner || "partial resolution"} - ${s.trades.length} trade(s), ${s.positions.length} position(s) settled`);
+  }
+}
 
 async function main() {
   const command = process.argv[2] || "trade";
@@ -35,24 +254,157 @@ async function main() {
     return;
   }
 
-  const trader = new WhaleTrader();
+  if (command === "backtest") {
+    try {
+      await runBacktest();
+    } catch (e) {
+      console.error("\n❌ Backtest error:", e.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === "record") {
+    await runRecorder();
+    return;
+  }
+
+  if (command === "guard") {
+    await runGuard();
+    return;
+  }
+
+  if (command === "journal") {
+    try {
+      await runJournal();
+    } catch (e) {
+      console.error("\n❌ Journal error:", e.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === "analytics") {
+    try {
+      await runAnalytics();
+    } catch (e) {
+      console.error("\n❌ Analytics error:", e.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === "whales") {
+    const WhaleRegistry = require("./whales/registry");
+    const registry = new WhaleRegistry();
+    try {
+      if (process.argv[3] === "update") {
+        const { discovered, updated } = await registry.refresh();
+        console.log(`\n✅ ${updated} whale(s) reweighted, ${discovered.length} discovered`);
+      }
+      registry.showStatus();
+    } catch (e) {
+      console.error("\n❌ Whale registry error:", e.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === "settle") {
+    try {
+      await runSettle();
+    } catch (e) {
+      console.error("\n❌ Settlement error:", e.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === "daemon") {
+    const Daemon = require("./daemon");
+    const daemon = new Daemon({
+      exchange: hasFlag("sim") ? createExchange("simulated") : undefined,
+      market: getFlag("market"),
+    });
+    try {
+      const finished = await daemon.start();
+      // Timers des clients HTTP / du guard: ne pas attendre leur fin
+      process.exit(finished ? 0 : 1);
+    } catch (e) {
+      console.error("\n❌ Daemon error:", e.message);
+      process.exit(1);
+    }
+  }
+
+  // --sim: run against the local simulated exchange (no wallet, no real orders)
+  const trader = new WhaleTrader({
+    exchange: hasFlag("sim") ? createExchange("simulated") : undefined,
+  });
 
   try {
     await trader.initialize();
 
     switch (command) {
-      case "scan":
-        await trader.scanOnly();
+      case "scan": {
+        const scanArg = process.argv[3];
+        await trader.scanOnly(scanArg && !scanArg.startsWith("--") ? scanArg : require("./config").DEFAULT_MARKET);
         break;
+      }
+
+      case "orders": {
+        const stats = await trader.orders.poll(trader.exchange);
+        console.log(`\n📬 ${stats.updated} updated, ${stats.repriced} re-priced, ${stats.expired} expired`);
+        trader.orders.showStatus();
+        break;
+      }
+
+      case "portfolio":
+        await trader.portfolio.refresh(true);
+        trader.portfolio.showStatus();
+        break;
+
+      case "reconcile": {
+        const Reconciler = require("./reconcile");
+        const reconciler = new Reconciler({
+          exchange: trader.exchange,
+          positions: trader.positions,
+          orders: trader.orders,
+          paper: trader.paper,
+        });
+        const report = await reconciler.run({ repair: hasFlag("repair") });
+        const reportFile = Reconciler.saveReport(report);
+        if (hasFlag("json")) {
+          console.log(JSON.stringify(report, null, 2));
+        } else {
+          Reconciler.printReport(report);
+          console.log(`\n💾 Report saved to ${reportFile}`);
+        }
+        if (!report.ok && !hasFlag("repair")) process.exitCode = 2;
+        break;
+      }
 
       case "close": {
-        // Close market with outcome
-        const outcome = process.argv[3]?.toUpperCase(); // "UP" or "DOWN"
-        if (!outcome || !["UP", "DOWN"].includes(outcome)) {
-          console.log("Usage: node src/index.js close UP|DOWN");
+        // Close market with outcome: "UP"/"DOWN" (binary), or the winning outcome name or id (multi-outcome markets)
+        const arg = process.argv[3];
+        const closeUsage = "Usage: node src/index.js close UP|DOWN|<winning-outcome-name-or-id> [market-slug]";
+        if (!arg) {
+          console.log(closeUsage);
+          return;
+        }
+        const closeMarketSlug = process.argv[4] || require("./config").DEFAULT_MARKET;
+        const closeMarket = await trader.getMarket(closeMarketSlug);
+        const closeTrades = trader.paper.getOpenTrades().filter(t => t.market === closeMarketSlug);
+        const outcome = parseWinner(arg, closeMarket, closeTrades);
+        if (!outcome) {
+          const ids = closeMarket?.negRisk ? closeMarket.outcomes.map(o => o.id) : [];
+          if (closeMarket?.negRisk && ["UP", "DOWN"].includes(arg.toUpperCase())) {
+            console.log(`❌ ${closeMarketSlug} is a multi-outcome market: name the winning candidate, not ${arg.toUpperCase()}`);
+          }
+          console.log(`❌ Unknown outcome "${arg}" for ${closeMarketSlug}${ids.length > 0 ? ` (outcomes: ${ids.join(", ")})` : ""}`);
+          console.log(closeUsage);
+          process.exitCode = 1;
           return;
         }
-        const closeMarketSlug = process.argv[4] || "democratic-presidential-nominee-2028";
         trader.paper.closeMarket(closeMarketSlug, outcome, {});
         trader.paper.showPerformance();
         break;
@@ -62,8 +414,9 @@ async function main() {
         // Mode compétition: toutes les stratégies en compétition
         const arena = new StrategyArena();
         // Use default from active-markets.json, or CLI arg, or fallback
-        const activeMarketsDefault = arena.activeMarkets?.default || "democratic-presidential-nominee-2028";
-        const competeMarketSlug = process.argv[3] || activeMarketsDefault;
+        const activeMarketsDefault = arena.activeMarkets?.default || require("./config").DEFAULT_MARKET;
+        const competeArg = process.argv[3];
+        const competeMarketSlug = competeArg && !competeArg.startsWith("--") ? competeArg : activeMarketsDefault;
         const competeMarket = await trader.getMarket(competeMarketSlug);
         
         if (!competeMarket) {
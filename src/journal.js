@@ -0,0 +1,267 @@
+/**
+ * TRADE JOURNAL
+ *
+ * Requêtes sur l'historique des trades paper/réels (data/paper-trades.json):
+ *
+ * - Filtres: stratégie, marché, période d'entrée, statut, raison de sortie, version du bot
+ * - Par trade: durée de détention, MAE/MFE (pire / meilleure excursion du prix
+ *   du côté acheté depuis l'entrée) quand le recorder a un historique du marché
+ * - Tri, regroupement (strategy, market, reason, version, day) et sortie
+ *   tableau, CSV ou JSON
+ *
+ *   node src/index.js journal --strategy whale_copy --market nominee --since 7d
+ */
+
+const PaperTrader = require("./paper-trader");
+const TimeSeriesStore = require("./recorder/store");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DURATION_UNITS = { m: 60 * 1000, h: HOUR_MS, d: 24 * HOUR_MS, w: 7 * 24 * HOUR_MS };
+const GROUP_KEYS = ["strategy", "market", "reason", "version", "status", "day"];
+const COLUMNS = ["id", "opened", "closed", "strategy", "market", "outcome", "action", "status", "entry", "exit", "size", "pnl", "pnlPct", "holdHours", "mae", "mfe", "reason", "version", "isReal"];
+
+/**
+ * "7d", "24h", "30m", "2w" → ms (null si invalide)
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)([mhdw])$/.exec(value || "");
+  return match ? parseFloat(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+class TradeJournal {
+  /**
+   * @param {object} options
+   * @param {object[]} options.trades - Défaut: trades de PaperTrader (data/paper-trades.json)
+   * @param {TimeSeriesStore} options.store - Historique des prix pour MAE/MFE (null = désactivé)
+   */
+  constructor(options = {}) {
+    this.paper = new PaperTrader({ persist: !options.trades });
+    this.trades = options.trades || this.paper.data.trades;
+    this.store = options.store === undefined ? new TimeSeriesStore() : options.store;
+  }
+
+  /**
+   * @param {object} filters
+   * @param {string[]} filters.strategies - Nom complet ("creative:whale_copy") ou court ("whale_copy")
+   * @param {string} filters.market - Sous-chaîne du slug ou de l'outcome
+   * @param {number} filters.from - Entrée >= (ms)
+   * @param {number} filters.to - Entrée <= (ms)
+   * @param {string} filters.status - "open" | "closed"
+   * @param {string} filters.reason - Sous-chaîne de la raison de sortie
+   * @param {string} filters.version - Version du bot au moment du trade
+   */
+  filter(filters = {}) {
+    const market = filters.market?.toLowerCase();
+    const reason = filters.reason?.toLowerCase();
+
+    return this.trades.filter(trade => {
+      if (filters.strategies?.length && !filters.strategies.some(s => s === trade.strategy || s === this.paper.strategyKey(trade))) return false;
+      if (market && !`${trade.market} ${trade.outcomeName || ""}`.toLowerCase().includes(market)) return false;
+      if (filters.from && trade.timestamp < filters.from) return false;
+      if (filters.to && trade.timestamp > filters.to) return false;
+      if (filters.status && trade.status !== filters.status) return false;
+      if (reason && !(this.closeReason(trade) || "").toLowerCase().includes(reason)) return false;
+      if (filters.version && trade.version !== filters.version) return false;
+      return true;
+    });
+  }
+
+  closeReason(trade) {
+    if (trade.closeReason) return trade.closeReason;
+    const r = trade.resolution;
+    if (trade.status === "closed" && r) {
+      // Sous-marché résolu avant le gagnant de l'événement: "<outcome> YES|NO"
+      const result = trade.outcome ?? `${r.outcomeId} ${r.result}`;
+      return `resolved ${result} (${r.source})`;
+    }
+    if (trade.status === "closed" && trade.outcome) return `resolved ${trade.outcome}`;
+    return null;
+  }
+
+  /**
+   * Ligne de journal d'un trade
+   * @param {boolean} excursions - Calculer MAE/MFE depuis l'historique
+   */
+  row(trade, excursions = true, now = Date.now()) {
+    const end = trade.closedAt || (trade.status === "open" ? now : null);
+    const cost = this.paper.tradeCost(trade);
+    // Anciens trades fermés sans closedAt: fenêtre de détention inconnue
+    const excursion = excursions && end ? this.excursions(trade, end) : null;
+
+    return {
+      id: trade.id,
+      opened: trade.timestamp,
+      closed: trade.closedAt || null,
+      strategy: trade.strategy,
+      market: trade.market,
+      outcome: trade.outcomeName || trade.outcomeId || null,
+      action: trade.action,
+      status: trade.status,
+      entry: trade.entryPrice,
+      exit: trade.exitPrice ?? null,
+      size: trade.size,
+      pnl: trade.pnl ?? null,
+      pnlPct: trade.pnl !== null && trade.pnl !== undefined && cost > 0 ? trade.pnl / cost : null,
+      holdHours: end ? (end - trade.timestamp) / HOUR_MS : null,
+      mae: excursion?.mae ?? null,
+      mfe: excursion?.mfe ?? null,
+      reason: this.closeReason(trade),
+      version: trade.version || null,
+      isReal: !!trade.isReal,
+    };
+  }
+
+  /**
+   * Prix du côté acheté pendant la détention → { mae, mfe } en % de l'entrée
+   * (null si aucun point enregistré sur la période)
+   */
+  excursions(trade, end) {
+    if (!this.store || !trade.entryPrice) return null;
+
+    let points;
+    try {
+      points = this.store.query(trade.market, { from: trade.timestamp, to: end, fields: ["upPrice", "downPrice", "upHigh", "upLow", "outcomes"] });
+    } catch (e) {
+      return null;
+    }
+
+    const isUp = trade.action === "BUY_UP";
+    let low = Infinity;
+    let high = -Infinity;
+
+    for (const point of points) {
+      let prices;
+      if (trade.outcomeId) {
+        const outcome = (point.outcomes || []).find(o => o.id === trade.outcomeId);
+        if (!outcome) continue;
+        const price = isUp ? outcome.yesPrice : outcome.noPrice;
+        prices = [price, price];
+      } else if (isUp) {
+        prices = [point.upLow ?? point.upPrice, point.upHigh ?? point.upPrice];
+      } else {
+        // Points compactés: extrêmes DOWN déduits des extrêmes UP
+        prices = [point.upHigh !== undefined ? 1 - point.upHigh : point.downPrice, point.upLow !== undefined ? 1 - point.upLow : point.downPrice];
+      }
+      if (!prices.every(p => typeof p === "number" && Number.isFinite(p))) continue;
+      low = Math.min(low, prices[0]);
+      high = Math.max(high, prices[1]);
+    }
+
+    if (!Number.isFinite(low)) return null;
+    return {
+      mae: Math.min(0, (low - trade.entryPrice) / trade.entryPrice),
+      mfe: Math.max(0, (high - trade.entryPrice) / trade.entryPrice),
+    };
+  }
+
+  /**
+   * @param {object} options
+   * @param {object} options.filters - Voir filter()
+   * @param {string} options.sort - Colonne de tri (défaut: opened)
+   * @param {boolean} options.desc
+   * @param {number} options.limit
+   * @param {boolean} options.excursions
+   * @returns {object[]} lignes
+   */
+  query(options = {}) {
+    const now = Date.now();
+    const rows = this.filter(options.filters).map(t => this.row(t, options.excursions !== false, now));
+    const key = options.sort || "opened";
+    if (!COLUMNS.includes(key)) throw new Error(`Unknown sort column: ${key} (${COLUMNS.join(", ")})`);
+
+    rows.sort((a, b) => {
+      // Valeurs manquantes toujours en dernier
+      if (a[key] === null || a[key] === undefined) return 1;
+      if (b[key] === null || b[key] === undefined) return -1;
+      const cmp = typeof a[key] === "string" ? a[key].localeCompare(b[key]) : a[key] - b[key];
+      return options.desc ? -cmp : cmp;
+    });
+
+    return options.limit ? rows.slice(0, options.limit) : rows;
+  }
+
+  /**
+   * Agrège des lignes par clé
+   */
+  static group(rows, key) {
+    if (!GROUP_KEYS.includes(key)) throw new Error(`Unknown group key: ${key} (${GROUP_KEYS.join(", ")})`);
+
+    const groups = new Map();
+    for (const row of rows) {
+      const name = key === "day" ? new Date(row.opened).toISOString().slice(0, 10) : (row[key] ?? "-");
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(row);
+    }
+
+    const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+    return [...groups.entries()].map(([name, items]) => {
+      const closed = items.filter(r => r.pnl !== null);
+      return {
+        group: name,
+        trades: items.length,
+        open: items.filter(r => r.status === "open").length,
+        closed: closed.length,
+        wins: closed.filter(r => r.pnl > 0).length,
+        winRate: closed.length ? closed.filter(r => r.pnl > 0).length / closed.length : null,
+        pnl: closed.reduce((sum, r) => sum + r.pnl, 0),
+        avgPnlPct: mean(closed.map(r => r.pnlPct).filter(v => v !== null)),
+        avgHoldHours: mean(items.map(r => r.holdHours).filter(v => v !== null)),
+        avgMae: mean(items.map(r => r.mae).filter(v => v !== null)),
+        avgMfe: mean(items.map(r => r.mfe).filter(v => v !== null)),
+      };
+    }).sort((a, b) => b.pnl - a.pnl);
+  }
+
+  static toCsv(rows) {
+    if (rows.length === 0) return "";
+    const keys = Object.keys(rows[0]);
+    const escape = value => {
+      if (value === null || value === undefined) return "";
+      const text = typeof value === "number" && !Number.isInteger(value) ? value.toFixed(6) : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [keys.join(","), ...rows.map(r => keys.map(k => escape(r[k])).join(","))].join("\n");
+  }
+
+  static printTable(rows) {
+    const pct = v => (v === null ? "-" : `${v >= 0 ? "+" : ""}${(v * 100).toFixed(1)}%`);
+    const price = v => (v === null ? "-" : `${(v * 100).toFixed(1)}%`);
+    const date = v => (v ? new Date(v).toISOString().slice(0, 16).replace("T", " ") : "-");
+
+    console.log("\n" + "═".repeat(140));
+    console.log(`📓 TRADE JOURNAL (${rows.length} trade(s))`);
+    console.log("═".repeat(140));
+    console.log(`${"Opened".padEnd(17)} ${"Strategy".padEnd(24)} ${"Market".padEnd(30)} ${"Side".padEnd(8)} ${"Entry".padStart(6)} ${"Exit".padStart(6)} ${"Size".padStart(7)} ${"P&L".padStart(8)} ${"P&L%".padStart(7)} ${"Hold".padStart(6)} ${"MAE".padStart(7)} ${"MFE".padStart(7)}  Reason`);
+    console.log("─".repeat(140));
+
+    for (const r of rows) {
+      const market = `${r.market}${r.outcome ? ` (${r.outcome})` : ""}`.substring(0, 30);
+      const pnl = r.pnl === null ? "-" : `${r.pnl >= 0 ? "+" : "-"}$${Math.abs(r.pnl).toFixed(2)}`;
+      const hold = r.holdHours === null ? "-" : `${r.holdHours.toFixed(1)}h`;
+      const reason = r.status === "open" ? "(open)" : r.reason || "-";
+      console.log(`${date(r.opened).padEnd(17)} ${`${r.isReal ? "💰" : ""}${r.strategy}`.substring(0, 24).padEnd(24)} ${market.padEnd(30)} ${r.action.padEnd(8)} ${price(r.entry).padStart(6)} ${price(r.exit).padStart(6)} ${`$${r.size.toFixed(0)}`.padStart(7)} ${pnl.padStart(8)} ${pct(r.pnlPct).padStart(7)} ${hold.padStart(6)} ${pct(r.mae).padStart(7)} ${pct(r.mfe).padStart(7)}  ${reason}`);
+    }
+    console.log("═".repeat(140));
+  }
+
+  static printGroups(groups, key) {
+    const pct = v => (v === null ? "-" : `${v >= 0 ? "+" : ""}${(v * 100).toFixed(1)}%`);
+
+    console.log("\n" + "═".repeat(110));
+    console.log(`📓 TRADE JOURNAL by ${key}`);
+    console.log("═".repeat(110));
+    console.log(`${key.padEnd(32)} ${"Trades".padStart(6)} ${"Open".padStart(5)} ${"Win%".padStart(6)} ${"P&L".padStart(10)} ${"Avg%".padStart(7)} ${"Hold".padStart(7)} ${"MAE".padStart(7)} ${"MFE".padStart(7)}`);
+    console.log("─".repeat(110));
+    for (const g of groups) {
+      const winRate = g.winRate === null ? "-" : `${(g.winRate * 100).toFixed(0)}%`;
+      const hold = g.avgHoldHours === null ? "-" : `${g.avgHoldHours.toFixed(1)}h`;
+      console.log(`${String(g.group).substring(0, 32).padEnd(32)} ${String(g.trades).padStart(6)} ${String(g.open).padStart(5)} ${winRate.padStart(6)} ${`${g.pnl >= 0 ? "+" : "-"}$${Math.abs(g.pnl).toFixed(2)}`.padStart(10)} ${pct(g.avgPnlPct).padStart(7)} ${hold.padStart(7)} ${pct(g.avgMae).padStart(7)} ${pct(g.avgMfe).padStart(7)}`);
+    }
+    console.log("═".repeat(110));
+  }
+}
+
+module.exports = TradeJournal;
+module.exports.parseDuration = parseDuration;
+module.exports.COLUMNS = COLUMNS;
+module.exports.GROUP_KEYS = GROUP_KEYS;
@@ -0,0 +1,189 @@
+/**
+ * Polymarket public data helpers (Gamma markets + CLOB books and price history)
+ * No wallet needed - used by the trader, the recorder and the strategies.
+ */
+
+const config = require("../config");
+
+/**
+ * Normalize one Gamma sub-market into an outcome (binary YES/NO pair)
+ * For a plain binary market the YES/NO pair is the UP/DOWN pair.
+ */
+function parseOutcome(market) {
+  const prices = JSON.parse(market.outcomePrices || "[]");
+  const tokens = JSON.parse(market.clobTokenIds || "[]");
+
+  return {
+    id: market.slug,
+    name: market.groupItemTitle || market.question,
+    conditionId: market.conditionId,
+    yesPrice: parseFloat(prices[0]),
+    noPrice: parseFloat(prices[1]),
+    yesToken: tokens[0],
+    noToken: tokens[1],
+    volume: parseFloat(market.volume || 0),
+    liquidity: parseFloat(market.liquidity || 0),
+    closed: !!market.closed,
+    resolutionStatus: market.umaResolutionStatus || null, // "proposed" | "disputed" | "resolved"
+    closedTime: market.closedTime || null,
+  };
+}
+
+/**
+ * Outcome that backs upPrice/downPrice: first sub-market for binary events,
+ * leading open candidate for negRisk (multi-outcome) events
+ */
+function pickPrimary(outcomes, negRisk) {
+  if (!negRisk) return outcomes[0];
+  const open = outcomes.filter(o => !o.closed && Number.isFinite(o.yesPrice));
+  if (open.length === 0) return outcomes[0];
+  return open.reduce((best, o) => (o.yesPrice > best.yesPrice ? o : best));
+}
+
+/**
+ * Fetch a market by slug and normalize it to the trader's market shape
+ * Tries the events endpoint first, then individual markets.
+ *
+ * upPrice/downPrice/upToken/downToken map the primary outcome (see pickPrimary);
+ * `outcomes` lists every sub-market with its own tokens and prices.
+ */
+async function fetchMarket(slug) {
+  try {
+    const resp = await fetch(`${config.GAMMA_HOST}/events?slug=${slug}`);
+    const events = await resp.json();
+
+    if (events?.length) {
+      const event = events[0];
+      const outcomes = event.markets.map(parseOutcome);
+      const negRisk = !!(event.negRisk || event.enableNegRisk) && outcomes.length > 1;
+      const primary = pickPrimary(outcomes, negRisk);
+      const market = event.markets[outcomes.indexOf(primary)];
+
+      return {
+        title: event.title,
+        slug: event.slug,
+        endDate: event.endDate,
+        conditionId: market.conditionId,
+        upPrice: primary.yesPrice,
+        downPrice: primary.noPrice,
+        upToken: primary.yesToken,
+        downToken: primary.noToken,
+        liquidity: event.liquidity,
+        volume: event.volume,
+        category: event.category || null,
+        closed: !!(event.closed || market.closed),
+        negRisk,
+        primaryOutcome: negRisk ? primary.id : null,
+        outcomes,
+      };
+    }
+
+    // Fallback: try markets endpoint (for individual markets not tied to events)
+    const mResp = await fetch(`${config.GAMMA_HOST}/markets?slug=${slug}`);
+    const markets = await mResp.json();
+
+    if (markets?.length) {
+      const market = markets[0];
+      const outcome = parseOutcome(market);
+
+      return {
+        title: market.question,
+        slug: market.slug,
+        endDate: market.endDate,
+        conditionId: market.conditionId,
+        upPrice: outcome.yesPrice,
+        downPrice: outcome.noPrice,
+        upToken: outcome.yesToken,
+        downToken: outcome.noToken,
+        liquidity: parseFloat(market.liquidity || 0),
+        volume: parseFloat(market.volume || 0),
+        category: market.category || null,
+        closed: !!market.closed,
+        negRisk: false,
+        primaryOutcome: null,
+        outcomes: [outcome],
+      };
+    }
+
+    return null;
+  } catch (e) {
+    console.error(`Failed to fetch market: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Fetch the CLOB order book for a token
+ * @returns {Promise<{bids: array, asks: array}|null>}
+ */
+async function fetchBook(tokenId) {
+  try {
+    const resp = await fetch(`${config.CLOB_HOST}/book?token_id=${tokenId}`);
+    if (!resp.ok) throw new Error(`CLOB book error: ${resp.status}`);
+    const book = await resp.json();
+    return { bids: book.bids || [], asks: book.asks || [] };
+  } catch (e) {
+    console.error(`Failed to fetch book: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * CLOB price history of a token (YES price of an outcome)
+ * @param {string} tokenId
+ * @param {object} options
+ * @param {number} options.from - Timestamp ms of the first point
+ * @param {number} options.fidelity - Resolution in minutes
+ * @returns {Promise<Array<{timestamp, price}>>} Empty on error
+ */
+async function fetchPriceHistory(tokenId, { from, fidelity = 5 } = {}) {
+  try {
+    const start = Math.floor(from / 1000);
+    const resp = await fetch(`${config.CLOB_HOST}/prices-history?market=${tokenId}&startTs=${start}&fidelity=${fidelity}`);
+    if (!resp.ok) throw new Error(`CLOB price history error: ${resp.status}`);
+    const data = await resp.json();
+    return (data.history || []).map(h => ({ timestamp: h.t * 1000, price: parseFloat(h.p) }));
+  } catch (e) {
+    console.error(`Failed to fetch price history: ${e.message}`);
+    return [];
+  }
+}
+
+/**
+ * Sort a raw CLOB book best-first and keep the top levels
+ * Bids: highest price first, asks: lowest price first
+ */
+function normalizeBook(book, levels = 10) {
+  const toLevel = l => ({ price: parseFloat(l.price), size: parseFloat(l.size) });
+  return {
+    bids: (book?.bids || []).map(toLevel).sort((a, b) => b.price - a.price).slice(0, levels),
+    asks: (book?.asks || []).map(toLevel).sort((a, b) => a.price - b.price).slice(0, levels),
+  };
+}
+
+/**
+ * Top-of-book summary: best bid/ask, spread, mid and depth ($) per side
+ */
+function summarizeBook(book) {
+  const { bids, asks } = normalizeBook(book, Infinity);
+  const bestBid = bids[0]?.price ?? null;
+  const bestAsk = asks[0]?.price ?? null;
+
+  return {
+    bestBid,
+    bestAsk,
+    spread: bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null,
+    mid: bestBid !== null && bestAsk !== null ? (bestBid + bestAsk) / 2 : null,
+    bidDepth: bids.reduce((sum, l) => sum + l.price * l.size, 0),
+    askDepth: asks.reduce((sum, l) => sum + l.price * l.size, 0),
+  };
+}
+
+module.exports = {
+  fetchMarket,
+  parseOutcome,
+  fetchBook,
+  fetchPriceHistory,
+  normalizeBook,
+  summarizeBook,
+};
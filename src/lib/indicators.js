@@ -0,0 +1,205 @@
+/**
+ * Technical indicators on a market's price series
+ *
+ * A series is a list of points { timestamp, price, high?, low?, volume? }
+ * sorted by time (see src/price-history.js). Indicators run on fixed bars
+ * built by toBars(); momentum runs on the raw points.
+ *
+ * INDICATORS maps a name to { compute(bars, settings), score?(value, bars) }.
+ * score() gives a -1..1 direction (UP > 0); indicators without one (atr)
+ * describe the market but do not vote. Strategies pick the ones they need
+ * by name (`indicators = ["ema", "bollinger"]`).
+ */
+
+const clamp = x => Math.max(-1, Math.min(1, x));
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+/**
+ * Group points into bars of `minutes` (OHLC + volume traded in the bar)
+ */
+function toBars(points, minutes) {
+  const ms = minutes * 60 * 1000;
+  const bars = [];
+
+  for (const p of points) {
+    if (!Number.isFinite(p.price)) continue;
+    const start = Math.floor(p.timestamp / ms) * ms;
+    const last = bars[bars.length - 1];
+    if (!last || last.timestamp !== start) {
+      bars.push({
+        timestamp: start,
+        open: p.price,
+        high: p.high ?? p.price,
+        low: p.low ?? p.price,
+        close: p.price,
+        volume: p.volume || 0,
+      });
+      continue;
+    }
+    last.high = Math.max(last.high, p.high ?? p.price);
+    last.low = Math.min(last.low, p.low ?? p.price);
+    last.close = p.price;
+    last.volume += p.volume || 0;
+  }
+
+  return bars;
+}
+
+function closes(bars) {
+  return bars.map(b => b.close);
+}
+
+function sma(values, period) {
+  if (values.length < period) return null;
+  return mean(values.slice(-period));
+}
+
+function ema(values, period) {
+  if (values.length < period) return null;
+  const k = 2 / (period + 1);
+  let value = mean(values.slice(0, period));
+  for (const v of values.slice(period)) value = v * k + value * (1 - k);
+  return value;
+}
+
+function rsi(values, period = 14) {
+  if (values.length < period + 1) return null;
+
+  const changes = [];
+  for (let i = 1; i < values.length; i++) changes.push(values[i] - values[i - 1]);
+
+  const recentChanges = changes.slice(-period);
+  const avgGain = recentChanges.filter(c => c > 0).reduce((a, b) => a + b, 0) / period;
+  const avgLoss = recentChanges.filter(c => c < 0).reduce((a, b) => a - b, 0) / period;
+
+  if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+  return 100 - (100 / (1 + avgGain / avgLoss));
+}
+
+function bollinger(values, period = 20, stdDevs = 2) {
+  if (values.length < period) return null;
+  const window = values.slice(-period);
+  const middle = mean(window);
+  const std = Math.sqrt(mean(window.map(v => (v - middle) ** 2)));
+  const upper = middle + stdDevs * std;
+  const lower = middle - stdDevs * std;
+  const last = values[values.length - 1];
+  return {
+    middle,
+    upper,
+    lower,
+    width: middle > 0 ? (upper - lower) / middle : 0,
+    percentB: upper > lower ? (last - lower) / (upper - lower) : 0.5,
+  };
+}
+
+/**
+ * Average true range: high/low of each bar and gap from the previous close
+ */
+function atr(bars, period = 14) {
+  if (bars.length < period + 1) return null;
+  const ranges = [];
+  for (let i = 1; i < bars.length; i++) {
+    const { high, low } = bars[i];
+    const prev = bars[i - 1].close;
+    ranges.push(Math.max(high - low, Math.abs(high - prev), Math.abs(low - prev)));
+  }
+  const value = mean(ranges.slice(-period));
+  const last = bars[bars.length - 1].close;
+  return { value, relative: last > 0 ? value / last : 0 };
+}
+
+/**
+ * Volume-weighted average price (null when the series carries no volume)
+ */
+function vwap(bars) {
+  const volume = bars.reduce((sum, b) => sum + b.volume, 0);
+  if (volume <= 0) return null;
+  return bars.reduce((sum, b) => sum + ((b.high + b.low + b.close) / 3) * b.volume, 0) / volume;
+}
+
+/**
+ * Relative change of the price since `minutes` ago (raw points)
+ */
+function momentum(points, minutes, now = points[points.length - 1]?.timestamp) {
+  if (points.length < 2) return null;
+  const current = points[points.length - 1].price;
+  const target = now - minutes * 60 * 1000;
+  let past = null;
+  for (let i = points.length - 1; i >= 0; i--) {
+    if (points[i].timestamp <= target) {
+      past = points[i].price;
+      break;
+    }
+  }
+  if (past === null || past <= 0) return null;
+  return (current - past) / past;
+}
+
+const INDICATORS = {
+  rsi: {
+    compute: (bars, s) => rsi(closes(bars), s.RSI_PERIOD),
+    // Oversold (<30) = bullish, overbought (>70) = bearish
+    score: value => (value < 30 ? (30 - value) / 30 : value > 70 ? -(value - 70) / 30 : 0),
+  },
+  ma: {
+    compute: (bars, s) => {
+      const values = closes(bars);
+      const fast = sma(values, s.MA_FAST);
+      const slow = sma(values, s.MA_SLOW);
+      return fast === null || slow === null ? null : { fast, slow };
+    },
+    score: value => clamp((value.fast - value.slow) / value.slow * 10),
+  },
+  ema: {
+    compute: (bars, s) => {
+      const values = closes(bars);
+      const fast = ema(values, s.EMA_FAST);
+      const slow = ema(values, s.EMA_SLOW);
+      return fast === null || slow === null ? null : { fast, slow };
+    },
+    score: value => clamp((value.fast - value.slow) / value.slow * 10),
+  },
+  bollinger: {
+    compute: (bars, s) => bollinger(closes(bars), s.BOLLINGER_PERIOD, s.BOLLINGER_STD),
+    // Mean reversion: below the lower band = bullish
+    score: value => clamp((0.5 - value.percentB) * 2),
+  },
+  atr: {
+    compute: (bars, s) => atr(bars, s.ATR_PERIOD),
+  },
+  vwap: {
+    compute: bars => vwap(bars),
+    score: (value, bars) => clamp((bars[bars.length - 1].close - value) / value * 10),
+  },
+};
+
+/**
+ * Compute the named indicators on bars: { name: { value, score } }
+ * value is null when the series is too short; unknown names are skipped
+ */
+function computeIndicators(bars, names, settings) {
+  const results = {};
+  for (const name of names) {
+    const indicator = INDICATORS[name];
+    if (!indicator) continue;
+    const value = indicator.compute(bars, settings);
+    const score = value !== null && indicator.score ? indicator.score(value, bars) : null;
+    results[name] = { value, score };
+  }
+  return results;
+}
+
+module.exports = {
+  INDICATORS,
+  toBars,
+  closes,
+  sma,
+  ema,
+  rsi,
+  bollinger,
+  atr,
+  vwap,
+  momentum,
+  computeIndicators,
+};
@@ -0,0 +1,127 @@
+/**
+ * Multi-outcome (negRisk) helpers
+ *
+ * Un event multi-candidats = N sous-marchés binaires YES/NO. Une position
+ * cible un outcome par son id (slug du sous-marché): BUY_UP achète le YES,
+ * BUY_DOWN le NO. Outcome null → prix principaux du marché (upPrice/downPrice),
+ * ce qui couvre les marchés binaires classiques.
+ */
+
+const config = require("../config");
+
+function getOutcome(market, outcomeId) {
+  if (!outcomeId || !market?.outcomes) return null;
+  return market.outcomes.find(o => o.id === outcomeId) || null;
+}
+
+/**
+ * Vue binaire d'un outcome, même forme que le marché (upPrice/downPrice/upToken/downToken)
+ * pour que stratégies, trade-validator et fills fonctionnent sans changement
+ */
+function outcomeView(market, outcomeId) {
+  const outcome = getOutcome(market, outcomeId);
+  if (!outcome) return market;
+
+  return {
+    ...market,
+    title: `${market.title} - ${outcome.name}`,
+    conditionId: outcome.conditionId,
+    upPrice: outcome.yesPrice,
+    downPrice: outcome.noPrice,
+    upToken: outcome.yesToken,
+    downToken: outcome.noToken,
+    closed: market.closed || outcome.closed,
+    outcomeId: outcome.id,
+    outcomeName: outcome.name,
+  };
+}
+
+/**
+ * Outcome ciblé par une analyse: outcome de la vue, sinon outcome principal
+ * d'un marché negRisk (ses prix principaux suivent le leader, qui peut changer)
+ */
+function resolveOutcome(marketData) {
+  return marketData?.outcomeId || marketData?.primaryOutcome || null;
+}
+
+/**
+ * Gagnant saisi pour `close`: "UP"/"DOWN" (binaire) ou le nom / l'id d'un outcome
+ * d'un marché multi-outcome (hors ligne: d'un trade ouvert dessus). null si inconnu - une
+ * faute de frappe réglerait sinon tous les trades binaires en perte. UP/DOWN est refusé sur
+ * un marché multi-outcome: il réglerait tous les candidats YES en perte.
+ * @param {string} arg
+ * @param {object} market - Marché Gamma (null si indisponible)
+ * @param {Array} trades - Trades ouverts sur ce marché
+ * @returns {string|null} "UP"/"DOWN" ou l'id de l'outcome gagnant
+ */
+function parseWinner(arg, market = null, trades = []) {
+  if (!arg) return null;
+
+  const tradeOutcomes = trades.map(t => t.outcomeId).filter(Boolean);
+  const multiOutcome = market ? Boolean(market.negRisk) : tradeOutcomes.length > 0;
+  if (!multiOutcome) {
+    return ["UP", "DOWN"].includes(arg.toUpperCase()) ? arg.toUpperCase() : null;
+  }
+
+  const outcomes = market?.negRisk ? market.outcomes : [];
+  const byName = outcomes.find(o => o.name && o.name.toLowerCase() === arg.toLowerCase());
+  if (byName) return byName.id;
+
+  const known = new Set([...outcomes.map(o => o.id), ...tradeOutcomes]);
+  return known.has(arg) ? arg : null;
+}
+
+/**
+ * Outcomes à analyser pour un marché multi-outcome, les plus probables d'abord
+ */
+function tradableOutcomes(market, limit = config.MULTI_OUTCOME.MAX_OUTCOMES) {
+  if (!market?.negRisk) return [];
+  return market.outcomes
+    .filter(o => !o.closed && o.yesPrice >= config.MULTI_OUTCOME.MIN_YES_PRICE)
+    .sort((a, b) => b.yesPrice - a.yesPrice)
+    .slice(0, limit);
+}
+
+/**
+ * Prix d'un marché pour checkTakeProfits, avec les prix de chaque outcome
+ * @param {object} market
+ * @param {object} books - Carnets par token (optionnel) { tokenId: book }
+ * @returns {{upPrice, downPrice, endDate, books, outcomes: {[id]: {upPrice, downPrice, books}}}}
+ */
+function marketPrices(market, books = null) {
+  const sideBooks = (upToken, downToken) => (books ? { up: books[upToken], down: books[downToken] } : undefined);
+  const prices = {
+    upPrice: market.upPrice,
+    downPrice: market.downPrice,
+    endDate: market.endDate || null,
+    books: sideBooks(market.upToken, market.downToken),
+    outcomes: {},
+  };
+
+  for (const o of market.outcomes || []) {
+    prices.outcomes[o.id] = {
+      upPrice: o.yesPrice,
+      downPrice: o.noPrice,
+      books: sideBooks(o.yesToken, o.noToken),
+    };
+  }
+  return prices;
+}
+
+/**
+ * Prix courants d'un trade: ceux de son outcome s'il en cible un
+ */
+function tradePrices(prices, trade) {
+  if (!prices) return null;
+  return trade.outcomeId ? prices.outcomes?.[trade.outcomeId] || null : prices;
+}
+
+module.exports = {
+  getOutcome,
+  outcomeView,
+  resolveOutcome,
+  parseWinner,
+  tradableOutcomes,
+  marketPrices,
+  tradePrices,
+};
@@ -0,0 +1,275 @@
+/**
+ * ORDER TRACKER
+ *
+ * Cycle de vie des ordres réels passés par le bot:
+ *
+ *   submitted → partial → filled
+ *       └──────────┴────→ cancelled (annulé hors du bot)
+ *                   └───→ expired   (TTL dépassé, annulé par le tracker)
+ *
+ * - poll() interroge l'exchange (getOrder) pour chaque ordre actif et
+ *   reporte les nouveaux fills sur la position liée (PositionManager):
+ *   shares réellement détenues et prix moyen d'entrée / produit de sortie.
+ *   Un exchange gardé les reçoit aussi (recordFill: PnL de l'ExecutionGuard)
+ * - Un ordre plus vieux que ORDERS.TTL_MINUTES est annulé; si STALE_ACTION
+ *   vaut "reprice", le reste est replacé au meilleur prix du carnet (au plus
+ *   MAX_REPRICES fois, sans s'écarter de plus de MAX_REPRICE_DRIFT du prix
+ *   d'origine)
+ *
+ * Ordres dans data/orders.json; les ordres terminés sont purgés après
+ * ORDERS.HISTORY_DAYS.
+ */
+
+const config = require("./config");
+const { openDocument, snapshotRecords, mergeRecords } = require("./storage");
+
+const ORDERS_FILE = "orders.json";
+const ACTIVE = ["submitted", "partial"];
+const EPSILON = 1e-9;
+
+class OrderTracker {
+  /**
+   * @param {object} options
+   * @param {PositionManager} options.positions - Positions à mettre à jour depuis les fills
+   * @param {string} options.file - Défaut: data/orders.json (relatif à data/ ou absolu)
+   * @param {boolean} options.persist - false = en mémoire uniquement (tests, dry run)
+   * @param {object} options.settings - Défaut: config.ORDERS
+   */
+  constructor(options = {}) {
+    this.positions = options.positions || null;
+    this.file = options.file || ORDERS_FILE;
+    this.persist = options.persist !== false;
+    this.settings = options.settings || config.ORDERS;
+    this.store = openDocument(this.file, { defaults: () => ({}) });
+    this.orders = this.persist ? this.load() : {};
+  }
+
+  load() {
+    let orders;
+    try {
+      orders = this.store.load();
+    } catch (e) {
+      console.error("Failed to load orders:", e.message);
+      orders = {};
+    }
+    this.snapshot = snapshotRecords(orders);
+    return orders;
+  }
+
+  save() {
+    if (!this.persist) return;
+
+    const cutoff = Date.now() - this.settings.HISTORY_DAYS * 24 * 60 * 60 * 1000;
+    for (const [id, order] of Object.entries(this.orders)) {
+      if (!ACTIVE.includes(order.status) && order.updatedAt < cutoff) delete this.orders[id];
+    }
+
+    // Relu sous verrou: seuls les changements de ce process sont appliqués
+    this.store.update(stored => mergeRecords(this.orders, stored, this.snapshot));
+    this.snapshot = snapshotRecords(this.orders);
+  }
+
+  active() {
+    return Object.values(this.orders).filter(o => ACTIVE.includes(o.status));
+  }
+
+  /**
+   * Commence le suivi d'un ordre accepté par l'exchange
+   * @param {object} params - { tokenId, side, price, size, market } envoyés à placeOrder
+   * @param {object} result - Résultat normalisé de placeOrder
+   * @param {object} link - { positionId, purpose: "entry"|"exit" }
+   */
+  track(params, result, link = {}) {
+    if (!result?.success || !result.orderId) return null;
+
+    const order = {
+      id: result.orderId,
+      tokenId: params.tokenId,
+      market: params.market || null,
+      side: params.side,
+      price: params.price,
+      originalPrice: link.originalPrice ?? params.price,
+      size: params.size,
+      filled: 0,
+      notional: 0,
+      status: "submitted",
+      positionId: link.positionId || null,
+      purpose: link.purpose || (params.side === "BUY" ? "entry" : "exit"),
+      reprices: link.reprices || 0,
+      replaces: link.replaces || null,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+    this.orders[order.id] = order;
+
+    this.applyFills(order, result.filled || 0, result.avgPrice);
+    this.setStatus(order, result.status);
+    this.save();
+    return order;
+  }
+
+  /**
+   * Reporte les fills cumulés d'un ordre sur sa position (delta depuis le dernier état connu)
+   * @returns {{shares: number, notional: number}|null} le delta, null si aucun nouveau fill
+   */
+  applyFills(order, filled, avgPrice) {
+    const newShares = filled - order.filled;
+    if (newShares <= EPSILON) return null;
+
+    const notional = filled * (avgPrice || order.price);
+    const newNotional = notional - order.notional;
+    order.filled = filled;
+    order.notional = notional;
+    order.updatedAt = Date.now();
+
+    if (order.positionId && this.positions) {
+      this.positions.recordFill(order.positionId, order.purpose, newShares, newNotional);
+    }
+    return { shares: newShares, notional: newNotional };
+  }
+
+  /**
+   * Fills vus après le placement (ceux du placement sont déjà passés par le guard)
+   */
+  async applyRemoteFills(exchange, order, remote) {
+    const fill = this.applyFills(order, remote.filled, remote.avgPrice);
+    if (fill && typeof exchange.recordFill === "function") {
+      await exchange.recordFill(order, fill.shares, fill.notional / fill.shares);
+    }
+  }
+
+  /**
+   * Transition d'état (statut exchange → statut du cycle de vie)
+   * @param {boolean} replaced - true si l'ordre est remplacé (reprice): la position reste liée au suivant
+   */
+  setStatus(order, exchangeStatus, replaced = false) {
+    let status = order.status;
+    if (exchangeStatus === "filled" || order.size - order.filled <= EPSILON) status = "filled";
+    else if (exchangeStatus === "cancelled") status = "cancelled";
+    else if (exchangeStatus === "expired") status = "expired";
+    else if (order.filled > EPSILON) status = "partial";
+
+    if (status === order.status) return;
+    order.status = status;
+    order.updatedAt = Date.now();
+
+    if (!ACTIVE.includes(status) && !replaced && order.positionId && this.positions) {
+      this.positions.orderEnded(order.positionId, order.purpose);
+    }
+  }
+
+  /**
+   * Met à jour tous les ordres actifs et traite les ordres périmés
+   * @param {ExchangeAdapter} exchange
+   * @returns {{updated: number, expired: number, repriced: number}}
+   */
+  async poll(exchange) {
+    const stats = { updated: 0, expired: 0, repriced: 0 };
+
+    for (const order of this.active()) {
+      try {
+        const before = `${order.status}:${order.filled}`;
+        const remote = await exchange.getOrder(order.id);
+        if (remote) {
+          await this.applyRemoteFills(exchange, order, remote);
+          this.setStatus(order, remote.status);
+        }
+        if (`${order.status}:${order.filled}` !== before) {
+          stats.updated++;
+          console.log(`   📬 Order ${order.id.slice(0, 10)}… ${order.side} ${order.filled.toFixed(1)}/${order.size} → ${order.status}`);
+        }
+
+        const ageMinutes = (Date.now() - order.createdAt) / 60000;
+        if (ACTIVE.includes(order.status) && ageMinutes >= this.settings.TTL_MINUTES) {
+          const next = await this.handleStale(exchange, order);
+          if (next) stats.repriced++;
+          else if (order.status === "expired") stats.expired++;
+        }
+      } catch (e) {
+        console.error(`   ❌ Order ${order.id} poll failed: ${e.message}`);
+      }
+    }
+
+    this.save();
+    return stats;
+  }
+
+  /**
+   * Ordre périmé: annulation, puis re-pricing du reste si configuré
+   * @returns {object|null} le nouvel ordre si replacé
+   */
+  async handleStale(exchange, order) {
+    const cancel = await exchange.cancel(order.id);
+    if (!cancel.success) {
+      console.log(`   ⚠️  Could not cancel stale order ${order.id}: ${cancel.errorMsg}`);
+      return null;
+    }
+
+    // Fills arrivés entre le poll et l'annulation
+    const final = await exchange.getOrder(order.id).catch(() => null);
+    if (final) await this.applyRemoteFills(exchange, order, final);
+
+    const remaining = order.size - order.filled;
+    const price = remaining > EPSILON ? await this.repriceLevel(exchange, order) : null;
+    const canReprice = this.settings.STALE_ACTION === "reprice"
+      && order.reprices < this.settings.MAX_REPRICES
+      && price !== null;
+
+    this.setStatus(order, "expired", canReprice);
+    if (!canReprice) {
+      console.log(`   ⌛ Order ${order.id.slice(0, 10)}… expired after ${this.settings.TTL_MINUTES} min (${order.filled.toFixed(1)}/${order.size} filled)`);
+      return null;
+    }
+
+    const params = { tokenId: order.tokenId, side: order.side, price, size: remaining, market: order.market };
+    const result = await exchange.placeOrder(params);
+    if (!result.success) {
+      console.log(`   ❌ Re-price failed: ${result.errorMsg}`);
+      if (order.positionId && this.positions) this.positions.orderEnded(order.positionId, order.purpose);
+      return null;
+    }
+
+    console.log(`   🔁 Order ${order.id.slice(0, 10)}… re-priced ${(order.price * 100).toFixed(1)}% → ${(price * 100).toFixed(1)}% for ${remaining.toFixed(1)} shares`);
+    const next = this.track(params, result, {
+      positionId: order.positionId,
+      purpose: order.purpose,
+      originalPrice: order.originalPrice,
+      reprices: order.reprices + 1,
+      replaces: order.id,
+    });
+    order.replacedBy = next?.id || null;
+    return next;
+  }
+
+  /**
+   * Nouveau prix: meilleur ask (BUY) / meilleur bid (SELL), borné par
+   * MAX_REPRICE_DRIFT autour du prix d'origine. null si hors limite.
+   */
+  async repriceLevel(exchange, order) {
+    const book = await exchange.getBook(order.tokenId).catch(() => null);
+    const level = order.side === "BUY" ? book?.asks?.[0] : book?.bids?.[0];
+    if (!level) return null;
+
+    const drift = order.side === "BUY" ? level.price - order.originalPrice : order.originalPrice - level.price;
+    return drift <= this.settings.MAX_REPRICE_DRIFT + EPSILON ? level.price : null;
+  }
+
+  /**
+   * Affiche les ordres suivis
+   */
+  showStatus() {
+    const orders = Object.values(this.orders).sort((a, b) => b.createdAt - a.createdAt);
+    console.log("\n" + "═".repeat(60));
+    console.log(`📋 TRACKED ORDERS (${this.active().length} active)`);
+    console.log("═".repeat(60));
+
+    if (orders.length === 0) console.log("   (aucun ordre)");
+    for (const o of orders.slice(0, 20)) {
+      const avg = o.filled > 0 ? ` avg ${(o.notional / o.filled * 100).toFixed(1)}%` : "";
+      console.log(`   ${o.status.padEnd(9)} ${o.side.padEnd(4)} ${o.filled.toFixed(1)}/${o.size} @ ${(o.price * 100).toFixed(1)}%${avg} - ${(o.market || o.tokenId).substring(0, 30)}`);
+    }
+    console.log("═".repeat(60));
+  }
+}
+
+module.exports = OrderTracker;
@@ -7,19 +7,23 @@
  * Track performance to compare strategies over time.
  */
 
-const fs = require("fs");
-const path = require("path");
 const config = require("./config");
+const { simulateFill } = require("./fill-simulator");
+const { tradePrices } = require("./lib/outcomes");
+const { openDocument, snapshotRecords, mergeRecords, mergeCounters } = require("./storage");
+const { defaultPlan, buildPlan, evaluateExit, markScaledOut } = require("./exit-rules");
 
-const PAPER_FILE = path.join(__dirname, "../data/paper-trades.json");
-const STRATEGY_TARGETS_FILE = path.join(__dirname, "../data/strategy-targets.json");
+const PAPER_FILE = "paper-trades.json";
+const STRATEGY_TARGETS_FILE = "strategy-targets.json"; // Écrit par src/tools/optimize-tp.js
+
+// Clé de fusion d'un trade (les plus anciens n'ont pas d'id)
+const tradeKey = trade => trade.id ?? `${trade.timestamp}-${trade.strategy}-${trade.market}`;
 
 // Load per-strategy profit targets
 function loadStrategyTargets() {
   try {
-    if (fs.existsSync(STRATEGY_TARGETS_FILE)) {
-      return JSON.parse(fs.readFileSync(STRATEGY_TARGETS_FILE, "utf8"));
-    }
+    const targets = openDocument(STRATEGY_TARGETS_FILE).load();
+    if (targets) return targets;
   } catch (e) {}
   // Default targets
   return {
@@ -34,16 +38,39 @@ function loadStrategyTargets() {
 }
 
 class PaperTrader {
-  constructor() {
-    this.data = this.load();
+  /**
+   * @param {object} options
+   * @param {string} options.file - Fichier de trades (défaut: data/paper-trades.json, relatif à data/ ou absolu)
+   * @param {boolean} options.persist - false = en mémoire uniquement (backtest)
+   */
+  constructor(options = {}) {
+    this.file = options.file || PAPER_FILE;
+    this.persist = options.persist !== false;
+    this.store = openDocument(this.file, { defaults: () => this.emptyBook() });
+    this.data = this.persist ? this.load() : this.emptyBook();
   }
 
   load() {
+    let data;
     try {
-      if (fs.existsSync(PAPER_FILE)) {
-        return JSON.parse(fs.readFileSync(PAPER_FILE, "utf8"));
-      }
-    } catch (e) {}
+      data = this.store.load();
+    } catch (e) {
+      console.error("Failed to load paper trades:", e.message);
+      data = this.emptyBook();
+    }
+    this.remember(data);
+    return data;
+  }
+
+  /**
+   * État lu (base de la fusion au prochain save)
+   */
+  remember(data) {
+    this.snapshot = snapshotRecords(data.trades, tradeKey);
+    this.performanceBase = JSON.parse(JSON.stringify(data.performance || {}));
+  }
+
+  emptyBook() {
     return {
       trades: [],
       performance: {
@@ -53,41 +80,72 @@ class PaperTrader {
     };
   }
 
+  /**
+   * Relit le fichier sous verrou et n'y applique que les changements de ce
+   * process (un autre process, ex. settle pendant l'arène, a pu écrire entre-temps)
+   */
   save() {
-    const dir = path.dirname(PAPER_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(PAPER_FILE, JSON.stringify(this.data, null, 2));
+    if (!this.persist) return;
+    this.store.update(stored => {
+      mergeRecords(this.data.trades, stored.trades, this.snapshot, tradeKey);
+      this.data.performance = mergeCounters(this.data.performance || {}, stored.performance, this.performanceBase);
+      return this.data;
+    });
+    this.remember(this.data);
   }
 
   /**
    * Log a trade (real or paper)
+   * Si un carnet est fourni, le fill est simulé en le traversant
+   * (entryPrice = prix moyen rempli, intendedPrice = prix vu par la stratégie).
    */
   logTrade(params) {
     const {
       strategy,        // "baseline" or "creative:variant"
       isReal,          // true for baseline, false for paper
       market,
-      action,          // "BUY_UP" or "BUY_DOWN"
-      entryPrice,      // price at entry
+      action,          // "BUY_UP" or "BUY_DOWN" (YES / NO of the outcome)
+      outcomeId = null, // Targeted outcome for multi-outcome markets (null = binary market)
+      outcomeName = null,
+      category = null, // Market category (portfolio category limits, src/risk-manager.js)
+      entryPrice,      // price at entry (as seen by the strategy)
       size,            // $ amount
       score,           // strategy score
       confidence,
       reason,
+      exitPlan = null, // { takeProfitPct, stopLossPct, maxHoldHours } from the strategy result
+      book,            // CLOB book of the bought token (optional)
     } = params;
 
+    const fill = simulateFill(config.PAPER_FILLS?.ENABLED ? book : null, "BUY", { amount: size }, entryPrice);
+
     const trade = {
-      id: Date.now().toString(36),
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
       timestamp: Date.now(),
       version: config.VERSION,
       strategy,
       isReal,
       market,
+      outcomeId,
+      outcomeName,
+      category,
       action,
-      entryPrice,
-      size,
+      intendedPrice: entryPrice,
+      entryPrice: fill.avgPrice,
+      size: fill.notional,
+      shares: fill.shares,
+      entryFee: fill.fee,
+      fill: {
+        simulated: fill.simulated,
+        requested: size,
+        partial: fill.partial,
+        levels: fill.levels,
+        slippage: fill.slippage,
+      },
       score,
       confidence,
       reason,
+      exitPlan,
       status: "open",
       exitPrice: null,
       pnl: null,
@@ -99,16 +157,96 @@ class PaperTrader {
     const emoji = isReal ? "💰" : "📝";
     console.log(`\n${emoji} ${isReal ? "REAL" : "PAPER"} TRADE logged:`);
     console.log(`   Strategy: ${strategy}`);
-    console.log(`   Action: ${action} @ ${(entryPrice * 100).toFixed(1)}%`);
-    console.log(`   Size: $${size.toFixed(2)}`);
+    if (outcomeId) console.log(`   Outcome: ${outcomeName || outcomeId}`);
+    if (fill.simulated) {
+      console.log(`   Action: ${action} @ ${(entryPrice * 100).toFixed(1)}% → filled ${(fill.avgPrice * 100).toFixed(2)}% (${fill.levels} level(s), fee $${fill.fee.toFixed(2)})`);
+    } else {
+      console.log(`   Action: ${action} @ ${(entryPrice * 100).toFixed(1)}%`);
+    }
+    console.log(`   Size: $${trade.size.toFixed(2)}${fill.partial ? ` (partial, $${size.toFixed(2)} requested)` : ""}`);
+
+    return trade;
+  }
+
+  /**
+   * Clé de performance d'une stratégie ("creative:x" → "x")
+   */
+  strategyKey(trade) {
+    return trade.strategy.startsWith("creative:")
+      ? trade.strategy.split(":")[1]
+      : trade.strategy;
+  }
+
+  /**
+   * Ferme un trade ouvert en vendant ses shares (fill simulé si carnet fourni).
+   * Ne sauvegarde pas: l'appelant sauve une fois pour tout le lot.
+   * Carnet trop mince: la profondeur disponible est vendue (scaleOut), le
+   * reste reste ouvert et sera retenté au cycle suivant; un stop n'est
+   * jamais reporté tant qu'il y a des bids.
+   * @returns {object|null} le trade fermé (ou la part vendue), null si rien n'a pu être vendu
+   */
+  exitTrade(trade, currentPrice, reason, book = null) {
+    const shares = this.tradeShares(trade);
+    const fill = simulateFill(config.PAPER_FILLS?.ENABLED ? book : null, "SELL", { shares }, currentPrice);
+
+    if (fill.partial) {
+      const market = trade.market.substring(0, 30);
+      if (fill.shares <= 0) {
+        console.log(`\n⏳ ${trade.strategy}: exit on ${market} postponed - no bid depth`);
+        return null;
+      }
+      console.log(`\n⏳ ${trade.strategy}: only ${fill.shares.toFixed(1)}/${shares.toFixed(1)} shares of bid depth on ${market} - selling them, rest retried next cycle`);
+      return this.scaleOut(trade, fill.shares / shares, currentPrice, reason, book);
+    }
+
+    const exitPrice = fill.avgPrice;
+    const pnl = fill.notional - fill.fee - this.tradeCost(trade);
+
+    trade.status = "closed";
+    trade.intendedExitPrice = currentPrice;
+    trade.exitPrice = exitPrice;
+    trade.exitFee = fill.fee;
+    trade.pnl = pnl;
+    trade.closedAt = Date.now();
+    trade.closeReason = reason;
+
+    // Update performance stats
+    const stratKey = this.strategyKey(trade);
+    if (!this.data.performance[stratKey]) {
+      this.data.performance[stratKey] = { trades: 0, wins: 0, pnl: 0 };
+    }
+    this.data.performance[stratKey].trades++;
+    if (pnl > 0) this.data.performance[stratKey].wins++;
+    this.data.performance[stratKey].pnl += pnl;
+
+    const pnlPct = pnl / this.tradeCost(trade) * 100;
+    console.log(`\n🔚 ${trade.strategy}: ${trade.action} on ${trade.market.substring(0, 30)}${trade.outcomeId ? ` (${trade.outcomeName || trade.outcomeId})` : ""} closed - ${reason}`);
+    console.log(`   Entry: ${(trade.entryPrice * 100).toFixed(1)}% → Exit: ${(exitPrice * 100).toFixed(1)}%${fill.simulated ? ` (market ${(currentPrice * 100).toFixed(1)}%)` : ""}`);
+    console.log(`   ${pnl >= 0 ? "Profit: +" : "Loss: "}$${pnl.toFixed(2)} (${pnlPct >= 0 ? "+" : ""}${pnlPct.toFixed(1)}%)`);
 
     return trade;
   }
 
+  /**
+   * Shares détenues (anciens trades sans champ shares: size / entryPrice)
+   */
+  tradeShares(trade) {
+    return trade.shares ?? trade.size / trade.entryPrice;
+  }
+
+  /**
+   * Coût total d'entrée (notionnel + frais)
+   */
+  tradeCost(trade) {
+    return trade.size + (trade.entryFee || 0);
+  }
+
   /**
    * Close all open trades for a market with final result
+   * @param {string} outcome - "UP"/"DOWN" for binary markets, winning outcome id for multi-outcome
+   * @param {object} resolution - Origine du règlement (défaut: manuel, commande close)
    */
-  closeMarket(market, outcome, finalPrices) {
+  closeMarket(market, outcome, finalPrices, resolution = { source: "manual" }) {
     const openTrades = this.data.trades.filter(
       t => t.market === market && t.status === "open"
     );
@@ -117,48 +255,56 @@ class PaperTrader {
     console.log(`   Outcome: ${outcome}`);
 
     for (const trade of openTrades) {
-      // Calculate P&L
-      const isWin = 
-        (trade.action === "BUY_UP" && outcome === "UP") ||
-        (trade.action === "BUY_DOWN" && outcome === "DOWN");
-
-      // If win: each share pays $1. If lose: $0
-      const exitPrice = isWin ? 1.0 : 0.0;
-      const shares = trade.size / trade.entryPrice;
-      const payout = shares * exitPrice;
-      const pnl = payout - trade.size;
-      const pnlPct = (pnl / trade.size * 100).toFixed(1);
-
-      trade.status = "closed";
-      trade.exitPrice = exitPrice;
-      trade.pnl = pnl;
-      trade.outcome = outcome;
-      trade.closedAt = Date.now();
-
-      // Update performance stats
-      const stratKey = trade.strategy.startsWith("creative:") 
-        ? trade.strategy.split(":")[1] 
-        : trade.strategy;
-      
-      if (!this.data.performance[stratKey]) {
-        this.data.performance[stratKey] = { trades: 0, wins: 0, pnl: 0 };
-      }
-      
-      this.data.performance[stratKey].trades++;
-      if (isWin) this.data.performance[stratKey].wins++;
-      this.data.performance[stratKey].pnl += pnl;
-
-      const emoji = trade.isReal ? "💰" : "📝";
-      const resultEmoji = isWin ? "✅" : "❌";
-      console.log(`\n${emoji} ${trade.strategy}: ${resultEmoji} ${isWin ? "WIN" : "LOSS"}`);
-      console.log(`   Entry: ${(trade.entryPrice * 100).toFixed(1)}% → Exit: ${isWin ? "100%" : "0%"}`);
-      console.log(`   P&L: ${pnl >= 0 ? "+" : ""}$${pnl.toFixed(2)} (${pnlPct}%)`);
+      // Multi-outcome: YES wins if its outcome won, NO wins otherwise
+      const isWin = trade.outcomeId
+        ? (trade.action === "BUY_UP") === (trade.outcomeId === outcome)
+        : (trade.action === "BUY_UP" && outcome === "UP") ||
+          (trade.action === "BUY_DOWN" && outcome === "DOWN");
+
+      this.settleTrade(trade, isWin, { ...resolution, winner: outcome });
     }
 
     this.save();
     return openTrades;
   }
 
+  /**
+   * Règle un trade ouvert à la résolution: chaque share gagnante paie $1, les autres $0.
+   * Ne sauvegarde pas: l'appelant sauve une fois pour tout le lot.
+   * @param {object} resolution - { source, winner, resolvedAt, ... } conservé sur le trade
+   */
+  settleTrade(trade, isWin, resolution) {
+    const exitPrice = isWin ? 1.0 : 0.0;
+    const shares = this.tradeShares(trade);
+    const payout = shares * exitPrice;
+    const pnl = payout - this.tradeCost(trade);
+    const pnlPct = (pnl / this.tradeCost(trade) * 100).toFixed(1);
+
+    trade.status = "closed";
+    trade.exitPrice = exitPrice;
+    trade.pnl = pnl;
+    trade.outcome = resolution.winner ?? null;
+    trade.closedAt = Date.now();
+    trade.resolution = { ...resolution, settledAt: trade.closedAt };
+
+    // Update performance stats
+    const stratKey = this.strategyKey(trade);
+    if (!this.data.performance[stratKey]) {
+      this.data.performance[stratKey] = { trades: 0, wins: 0, pnl: 0 };
+    }
+    this.data.performance[stratKey].trades++;
+    if (isWin) this.data.performance[stratKey].wins++;
+    this.data.performance[stratKey].pnl += pnl;
+
+    const emoji = trade.isReal ? "💰" : "📝";
+    const resultEmoji = isWin ? "✅" : "❌";
+    console.log(`\n${emoji} ${trade.strategy}: ${resultEmoji} ${isWin ? "WIN" : "LOSS"}`);
+    console.log(`   Entry: ${(trade.entryPrice * 100).toFixed(1)}% → Exit: ${isWin ? "100%" : "0%"}`);
+    console.log(`   P&L: ${pnl >= 0 ? "+" : ""}$${pnl.toFixed(2)} (${pnlPct}%)`);
+
+    return trade;
+  }
+
   /**
    * Show performance comparison
    */
@@ -167,20 +313,19 @@ class PaperTrader {
     console.log("📊 PERFORMANCE COMPARISON");
     console.log("═".repeat(60));
 
-    const perf = this.data.performance;
+    const PerformanceAnalytics = require("./analytics");
+    const perf = new PerformanceAnalytics({ paper: this }).report().strategies;
     
     // Sort by PnL
     const sorted = Object.entries(perf)
       .filter(([_, v]) => v.trades > 0)
       .sort((a, b) => b[1].pnl - a[1].pnl);
 
-    console.log("\n Strategy           | Trades | Win Rate |    P&L");
+    console.log("\n Strategy           | Trades | Win Rate |    P&L | Sharpe");
     console.log("─".repeat(60));
 
     for (const [name, stats] of sorted) {
-      const winRate = stats.trades > 0 
-        ? ((stats.wins / stats.trades) * 100).toFixed(0) 
-        : "0";
+      const winRate = (stats.winRate * 100).toFixed(0);
       const pnlStr = stats.pnl >= 0 
         ? `+$${stats.pnl.toFixed(2)}` 
         : `-$${Math.abs(stats.pnl).toFixed(2)}`;
@@ -189,7 +334,7 @@ class PaperTrader {
       const emoji = isBaseline ? "💰" : "📝";
       
       console.log(
-        ` ${emoji} ${name.padEnd(16)} |   ${stats.trades.toString().padStart(3)}  |    ${winRate.padStart(3)}%   | ${pnlStr.padStart(10)}`
+        ` ${emoji} ${name.padEnd(16)} |   ${stats.trades.toString().padStart(3)}  |    ${winRate.padStart(3)}%   | ${pnlStr.padStart(10)} | ${stats.sharpe.toFixed(2).padStart(6)}`
       );
     }
 
@@ -228,63 +373,36 @@ class PaperTrader {
     }
 
     // Pour les trades ouverts, estimer le PnL basé sur le prix actuel
+    // (prix de l'outcome ciblé pour les marchés multi-outcome)
     const side = trade.action === "BUY_UP" ? "up" : "down";
-    const currentPrice = currentPrices?.[side] || trade.entryPrice;
+    const prices = trade.outcomeId ? currentPrices?.outcomes?.[trade.outcomeId] : currentPrices;
+    const currentPrice = prices?.[side] || trade.entryPrice;
     
-    // Shares = size / entryPrice
     // Current value = shares * currentPrice
-    // PnL = current value - cost basis
-    const shares = trade.size / trade.entryPrice;
+    // PnL = current value - cost basis (notionnel + frais d'entrée)
+    const shares = this.tradeShares(trade);
     const currentValue = shares * currentPrice;
-    const pnl = currentValue - trade.size;
+    const pnl = currentValue - this.tradeCost(trade);
 
     return pnl;
   }
 
   /**
-   * Récupère les performances sur une fenêtre glissante
+   * Récupère les performances sur une fenêtre glissante (src/analytics.js)
    * @param {number} hours - Nombre d'heures de la fenêtre
-   * @param {object} currentPrices - Prix actuels pour le mark-to-market { up, down }
-   * @returns {object} Performances par stratégie
+   * @param {PriceProvider} prices - Prix du marché de chaque trade ouvert (défaut: dernier point du recorder)
+   * @returns {object} Métriques par stratégie (+ closedPnL, alias de realizedPnL)
    */
-  getPerformanceWindow(hours, currentPrices = null) {
-    const windowStart = Date.now() - hours * 60 * 60 * 1000;
-    const performances = {};
-
-    // Filtrer les trades dans la fenêtre
-    const windowTrades = this.data.trades.filter(t => t.timestamp >= windowStart);
-
-    for (const trade of windowTrades) {
-      // Normaliser le nom de stratégie (enlever "creative:" prefix)
-      const stratName = trade.strategy.startsWith("creative:") 
-        ? trade.strategy.split(":")[1] 
-        : trade.strategy;
-
-      if (!performances[stratName]) {
-        performances[stratName] = {
-          trades: 0,
-          wins: 0,
-          pnl: 0,
-          openPnL: 0,
-          closedPnL: 0,
-        };
-      }
+  getPerformanceWindow(hours, prices = undefined) {
+    const PerformanceAnalytics = require("./analytics");
+    const report = new PerformanceAnalytics({ paper: this, prices }).report({
+      from: Date.now() - hours * 60 * 60 * 1000,
+    });
 
-      performances[stratName].trades++;
-
-      if (trade.status === "closed") {
-        // Trade fermé - utiliser le PnL réel
-        performances[stratName].closedPnL += trade.pnl || 0;
-        performances[stratName].pnl += trade.pnl || 0;
-        if (trade.pnl > 0) performances[stratName].wins++;
-      } else {
-        // Trade ouvert - calculer le mark-to-market
-        const mtmPnL = this.calculateMtmPnL(trade, currentPrices);
-        performances[stratName].openPnL += mtmPnL;
-        performances[stratName].pnl += mtmPnL;
-      }
+    const performances = {};
+    for (const [name, metrics] of Object.entries(report.strategies)) {
+      performances[name] = { ...metrics, closedPnL: metrics.realizedPnL };
     }
-
     return performances;
   }
 
@@ -309,12 +427,12 @@ class PaperTrader {
   /**
    * Affiche les performances sur une fenêtre glissante
    */
-  showPerformanceWindow(hours, currentPrices = null) {
+  showPerformanceWindow(hours, prices = undefined) {
     console.log("\n" + "═".repeat(60));
     console.log(`📊 PERFORMANCE (dernières ${hours}h)`);
     console.log("═".repeat(60));
 
-    const perf = this.getPerformanceWindow(hours, currentPrices);
+    const perf = this.getPerformanceWindow(hours, prices);
     
     // Sort by PnL
     const sorted = Object.entries(perf)
@@ -350,99 +468,101 @@ class PaperTrader {
   }
 
   /**
-   * CHECK TAKE PROFITS - Ferme les positions qui ont atteint leur cible
-   * Uses per-strategy profit targets for optimization
-   * @param {object} marketPrices - Map de slug -> { upPrice, downPrice }
-   * @returns {array} Trades fermés avec profit
+   * CHECK TAKE PROFITS - Applique les règles de sortie (src/exit-rules.js)
+   * Plan: config.EXITS, puis cibles de la stratégie, puis exit plan du trade
+   * (TP/SL, trailing stop, break-even, durée max, sortie avant endDate,
+   * ventes partielles) + règles custom de la stratégie.
+   * Le déclenchement se fait sur le prix du marché; si le carnet du token est
+   * fourni, la sortie est simulée en vendant dans les bids (profondeur
+   * insuffisante: vente de ce qui est disponible, le reste au cycle suivant).
+   * @param {object} marketPrices - Map de slug -> { upPrice, downPrice, endDate, books: { up, down }, outcomes: { id: {...} } }
+   * @param {object} options
+   * @param {Function} options.rulesFor - trade → règles custom de sa stratégie (défaut: aucune)
+   * @returns {array} Trades fermés (les ventes partielles sont des trades fermés à part)
    */
-  checkTakeProfits(marketPrices) {
+  checkTakeProfits(marketPrices, options = {}) {
     const openTrades = this.getOpenTrades();
     const closedTrades = [];
     const strategyTargets = loadStrategyTargets();
-    const defaultTP = config.TAKE_PROFIT_PCT || 0.15;
-    const defaultSL = config.STOP_LOSS_PCT || 0.30;
+    const defaults = {
+      ...defaultPlan(),
+      takeProfitPct: config.TAKE_PROFIT_PCT || 0.15,
+      stopLossPct: config.STOP_LOSS_PCT || 0.30,
+    };
+    let changed = false;
 
     for (const trade of openTrades) {
-      const prices = marketPrices[trade.market];
-      if (!prices) continue; // Market not in current cycle
+      const prices = tradePrices(marketPrices[trade.market], trade);
+      if (!prices) continue; // Market (or outcome) not in current cycle
 
-      const currentPrice = trade.action === "BUY_UP" ? prices.upPrice : prices.downPrice;
+      const side = trade.action === "BUY_UP" ? "up" : "down";
+      const currentPrice = side === "up" ? prices.upPrice : prices.downPrice;
       if (!currentPrice) continue;
 
-      // Get strategy-specific targets
-      const stratKey = trade.strategy.startsWith("creative:") 
-        ? trade.strategy.split(":")[1] 
-        : trade.strategy;
-      const targets = strategyTargets[stratKey] || {};
-      const takeProfitPct = targets.profitTarget || defaultTP;
-      const stopLossPct = targets.stopLoss || defaultSL;
-
-      // Calculate profit percentage
-      const entryPrice = trade.entryPrice;
-      const profitPct = (currentPrice - entryPrice) / entryPrice;
-
-      // Check if take profit hit
-      if (profitPct >= takeProfitPct) {
-        // Close the position with profit
-        const shares = trade.size / trade.entryPrice;
-        const exitValue = shares * currentPrice;
-        const pnl = exitValue - trade.size;
-
-        trade.status = "closed";
-        trade.exitPrice = currentPrice;
-        trade.pnl = pnl;
-        trade.closedAt = Date.now();
-        trade.closeReason = `TAKE_PROFIT (${(takeProfitPct*100).toFixed(0)}% target)`;
-
-        // Update performance stats
-        if (!this.data.performance[stratKey]) {
-          this.data.performance[stratKey] = { trades: 0, wins: 0, pnl: 0 };
-        }
-        this.data.performance[stratKey].trades++;
-        this.data.performance[stratKey].wins++;
-        this.data.performance[stratKey].pnl += pnl;
-
-        console.log(`\n🎯 TAKE PROFIT HIT! (${stratKey} target: ${(takeProfitPct*100).toFixed(0)}%)`);
-        console.log(`   ${trade.strategy}: ${trade.action} on ${trade.market.substring(0, 30)}`);
-        console.log(`   Entry: ${(entryPrice * 100).toFixed(1)}% → Exit: ${(currentPrice * 100).toFixed(1)}%`);
-        console.log(`   Profit: +$${pnl.toFixed(2)} (+${(profitPct * 100).toFixed(1)}%)`);
-
-        closedTrades.push(trade);
-      }
-      // Check if stop loss hit
-      else if (profitPct <= -stopLossPct) {
-        const shares = trade.size / trade.entryPrice;
-        const exitValue = shares * currentPrice;
-        const pnl = exitValue - trade.size;
-
-        trade.status = "closed";
-        trade.exitPrice = currentPrice;
-        trade.pnl = pnl;
-        trade.closedAt = Date.now();
-        trade.closeReason = `STOP_LOSS (${(stopLossPct*100).toFixed(0)}% limit)`;
-
-        // Update performance stats
-        if (!this.data.performance[stratKey]) {
-          this.data.performance[stratKey] = { trades: 0, wins: 0, pnl: 0 };
-        }
-        this.data.performance[stratKey].trades++;
-        this.data.performance[stratKey].pnl += pnl;
-
-        console.log(`\n🛑 STOP LOSS HIT! (${stratKey} limit: ${(stopLossPct*100).toFixed(0)}%)`);
-        console.log(`   ${trade.strategy}: ${trade.action} on ${trade.market.substring(0, 30)}`);
-        console.log(`   Entry: ${(entryPrice * 100).toFixed(1)}% → Exit: ${(currentPrice * 100).toFixed(1)}%`);
-        console.log(`   Loss: $${pnl.toFixed(2)} (${(profitPct * 100).toFixed(1)}%)`);
-
-        closedTrades.push(trade);
-      }
+      // config.EXITS < cibles de la stratégie < exit plan du trade
+      const targets = strategyTargets[this.strategyKey(trade)] || {};
+      const plan = buildPlan(defaults, { takeProfitPct: targets.profitTarget, stopLossPct: targets.stopLoss }, trade.exitPlan);
+
+      const peakBefore = trade.exitState?.peakPrice;
+      const decision = evaluateExit(trade, {
+        price: currentPrice,
+        entryPrice: trade.entryPrice,
+        openedAt: trade.timestamp,
+        shares: this.tradeShares(trade),
+        endDate: marketPrices[trade.market]?.endDate,
+        plan,
+        rules: options.rulesFor?.(trade) || [],
+        market: trade.market,
+      });
+      if (trade.exitState?.peakPrice !== peakBefore) changed = true;
+      if (!decision) continue;
+
+      const book = config.PAPER_FILLS?.ENABLED ? prices.books?.[side] : null;
+      const closed = decision.fraction < 1
+        ? this.scaleOut(trade, decision.fraction, currentPrice, decision.reason, book)
+        : this.exitTrade(trade, currentPrice, decision.reason, book);
+      if (!closed) continue;
+      markScaledOut(trade, decision);
+      closedTrades.push(closed);
     }
 
-    if (closedTrades.length > 0) {
+    if (closedTrades.length > 0 || changed) {
       this.save();
     }
 
     return closedTrades;
   }
+
+  /**
+   * Vente partielle: la part vendue devient un trade fermé distinct
+   * (parentId = trade d'origine), le trade d'origine garde le reste
+   * La part est limitée à la profondeur des bids si le carnet est fourni.
+   * @returns {object|null} la part fermée, null si rien n'a pu être vendu
+   */
+  scaleOut(trade, fraction, currentPrice, reason, book = null) {
+    const shares = this.tradeShares(trade);
+    const depth = simulateFill(config.PAPER_FILLS?.ENABLED ? book : null, "SELL", { shares: shares * fraction }, currentPrice);
+    if (depth.partial) fraction = depth.shares / shares;
+    if (!(fraction > 0)) return null;
+
+    const part = {
+      ...trade,
+      id: `${trade.id}-${(trade.scaleOuts || 0) + 1}`,
+      parentId: trade.id,
+      size: trade.size * fraction,
+      shares: shares * fraction,
+      entryFee: (trade.entryFee || 0) * fraction,
+      exitState: { ...trade.exitState },
+    };
+    if (!this.exitTrade(part, currentPrice, reason, book)) return null;
+
+    trade.size -= part.size;
+    trade.shares = shares - part.shares;
+    trade.entryFee = (trade.entryFee || 0) - part.entryFee;
+    trade.scaleOuts = (trade.scaleOuts || 0) + 1;
+    this.data.trades.push(part);
+    return part;
+  }
 }
 
 module.exports = PaperTrader;
@@ -0,0 +1,183 @@
+/**
+ * PORTFOLIO
+ *
+ * Equity réelle pour le sizing et les limites d'exposition:
+ *
+ * - Wallet: solde USDC.e on-chain (exchange.getBalance(), la requête de
+ *   status.js) + valeur de marché des positions ouvertes (exchange.getPositions()),
+ *   relu au plus toutes les PORTFOLIO.WALLET_REFRESH_SECONDS
+ * - Book paper d'une stratégie: capital initial (ANALYTICS.INITIAL_CAPITAL)
+ *   + PnL réalisé de ses trades fermés + PnL latent de ses trades ouverts au
+ *   prix de leur marché (PriceProvider, sinon au coût)
+ *
+ * cash = ce qui reste à engager: solde du wallet, ou capital + réalisé - coût
+ * des trades ouverts pour un book paper. Un ordre réel placé entre deux
+ * lectures est déduit du cash du snapshot (reserve()).
+ *
+ * paperEquity() = somme des books (un capital par stratégie de l'arène), base
+ * des limites d'exposition du portefeuille paper; le wallet reste la base des
+ * trades réels.
+ */
+
+const config = require("./config");
+
+class Portfolio {
+  /**
+   * @param {object} options
+   * @param {ExchangeAdapter} options.exchange - Wallet (null = books paper uniquement)
+   * @param {PaperTrader} options.paper - Trades paper de chaque book
+   * @param {PriceProvider} options.prices - Prix pour le PnL latent (null = trades ouverts au coût)
+   * @param {number} options.capital - Capital initial d'un book (défaut: ANALYTICS.INITIAL_CAPITAL)
+   * @param {Function} options.books - () => stratégies de l'arène (défaut: stratégies ayant des trades)
+   * @param {object} options.settings - Défaut: config.PORTFOLIO
+   * @param {Function} options.now - Horloge (tests)
+   */
+  constructor(options = {}) {
+    this.exchange = options.exchange || null;
+    this.paper = options.paper;
+    this.prices = options.prices || null;
+    this.capital = options.capital ?? config.ANALYTICS.INITIAL_CAPITAL;
+    this.bookNames = options.books || null;
+    this.settings = options.settings || config.PORTFOLIO;
+    this.now = options.now || (() => Date.now());
+    this.walletSnapshot = null;
+  }
+
+  /**
+   * Relit solde et positions du wallet (en cache WALLET_REFRESH_SECONDS).
+   * En cas d'erreur le dernier snapshot est gardé.
+   * @returns {Promise<object|null>} { cash, positionsValue, equity, positions, timestamp }
+   */
+  async refresh(force = false) {
+    if (!this.exchange) return null;
+
+    const last = this.walletSnapshot;
+    if (!force && last && this.now() - last.timestamp < this.settings.WALLET_REFRESH_SECONDS * 1000) {
+      return last;
+    }
+
+    try {
+      const [cash, positions] = await Promise.all([this.exchange.getBalance(), this.exchange.getPositions()]);
+      const open = (positions || []).filter(p => p.currentValue > 0);
+      const positionsValue = open.reduce((sum, p) => sum + p.currentValue, 0);
+      this.walletSnapshot = {
+        cash,
+        positionsValue,
+        equity: cash + positionsValue,
+        positions: open.length,
+        timestamp: this.now(),
+      };
+    } catch (e) {
+      console.error(`⚠️  Wallet balance unavailable: ${e.message}`);
+    }
+    return this.walletSnapshot;
+  }
+
+  /**
+   * Ordre réel placé: son montant passe du cash aux positions du snapshot,
+   * jusqu'à la prochaine lecture du wallet
+   * @param {number} usd - Montant de l'ordre
+   */
+  reserve(usd) {
+    const wallet = this.walletSnapshot;
+    if (!wallet || !(usd > 0)) return;
+    wallet.cash -= usd;
+    wallet.positionsValue += usd;
+  }
+
+  /**
+   * Dernier snapshot du wallet (null si jamais lu)
+   */
+  wallet() {
+    return this.walletSnapshot;
+  }
+
+  /**
+   * Equity d'un book paper
+   * @param {string} strategy - Clé de performance (PaperTrader.strategyKey)
+   * @returns {object} { strategy, capital, realizedPnl, unrealizedPnl, openCost, openTrades, cash, equity }
+   */
+  book(strategy) {
+    const trades = this.paper.data.trades.filter(t => this.paper.strategyKey(t) === strategy);
+    const book = { strategy, capital: this.capital, realizedPnl: 0, unrealizedPnl: 0, openCost: 0, openTrades: 0 };
+
+    for (const trade of trades) {
+      if (trade.status === "closed") {
+        book.realizedPnl += trade.pnl || 0;
+        continue;
+      }
+      if (trade.status !== "open") continue;
+      book.openTrades++;
+      book.openCost += this.paper.tradeCost(trade);
+      const prices = this.prices?.get(trade.market);
+      if (prices) book.unrealizedPnl += this.paper.calculateMtmPnL(trade, prices);
+    }
+
+    book.cash = book.capital + book.realizedPnl - book.openCost;
+    book.equity = book.capital + book.realizedPnl + book.unrealizedPnl;
+    return book;
+  }
+
+  /**
+   * Books de toutes les stratégies présentes dans le paper trader
+   */
+  books() {
+    const names = [...new Set(this.paper.data.trades.map(t => this.paper.strategyKey(t)))];
+    return Object.fromEntries(names.map(name => [name, this.book(name)]));
+  }
+
+  /**
+   * Equity de tous les books paper: chaque stratégie de l'arène a son capital,
+   * même sans trade (stratégies retirées: leurs trades ouverts comptent dans
+   * l'exposition, pas leur capital)
+   * @param {string[]} include - Stratégies à compter en plus (ex: celle qui trade)
+   */
+  paperEquity(include = []) {
+    const names = [...(this.bookNames ? this.bookNames() : Object.keys(this.books())), ...include]
+      .map(name => this.paper.strategyKey({ strategy: name }));
+    return [...new Set(names)].reduce((sum, name) => sum + this.book(name).equity, 0);
+  }
+
+  /**
+   * Equity d'un book, ou du wallet (à défaut: capital + PnL de tous les trades paper)
+   */
+  equity(strategy = null) {
+    if (strategy) return this.book(strategy).equity;
+    if (this.walletSnapshot) return this.walletSnapshot.equity;
+    const books = Object.values(this.books());
+    return this.capital + books.reduce((sum, b) => sum + b.realizedPnl + b.unrealizedPnl, 0);
+  }
+
+  /**
+   * Cash disponible d'un book, ou du wallet (null si inconnu)
+   */
+  available(strategy = null) {
+    if (strategy) return this.book(strategy).cash;
+    return this.walletSnapshot ? this.walletSnapshot.cash : null;
+  }
+
+  showStatus() {
+    console.log("\n" + "═".repeat(60));
+    console.log("💼 PORTFOLIO");
+    console.log("═".repeat(60));
+
+    const wallet = this.walletSnapshot;
+    if (wallet) {
+      console.log(`   Wallet: $${wallet.equity.toFixed(2)} = $${wallet.cash.toFixed(2)} USDC.e + $${wallet.positionsValue.toFixed(2)} in ${wallet.positions} position(s)`);
+    } else {
+      console.log("   Wallet: unavailable (no exchange connected)");
+    }
+
+    const books = Object.values(this.books()).sort((a, b) => b.equity - a.equity);
+    if (books.length > 0) {
+      console.log(`\n   Paper books ($${this.capital} each):`);
+      console.log("   Strategy                     Equity     Cash  Realized  Latent  Open");
+      for (const b of books) {
+        console.log(`   ${b.strategy.substring(0, 26).padEnd(26)} ${b.equity.toFixed(2).padStart(9)} ${b.cash.toFixed(2).padStart(8)} ${b.realizedPnl.toFixed(2).padStart(9)} ${b.unrealizedPnl.toFixed(2).padStart(7)} ${String(b.openTrades).padStart(5)}`);
+      }
+    }
+    console.log("═".repeat(60) + "\n");
+  }
+}
+
+module.exports = Portfolio;
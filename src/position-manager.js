@@ -5,33 +5,50 @@
  * Monitors and exits when targets are hit
  */
 
-const fs = require("fs");
-const path = require("path");
-const { ClobClient } = require("@polymarket/clob-client");
-const { Wallet } = require("ethers");
 const config = require("./config");
+const { openDocument, snapshotRecords, mergeRecords } = require("./storage");
+const { defaultPlan, buildPlan, evaluateExit, markScaledOut } = require("./exit-rules");
 
-const POSITIONS_FILE = path.join(__dirname, "../data/positions.json");
+const POSITIONS_FILE = "positions.json";
+
+// Schéma du document positions.json (src/storage.js)
+const POSITIONS_SCHEMA = {
+  version: 1,
+  migrations: {
+    // v1: positions antérieures au suivi d'ordres, id = clé
+    1: positions => {
+      for (const [id, pos] of Object.entries(positions)) pos.id = pos.id || id;
+      return positions;
+    },
+  },
+  defaults: () => ({}),
+};
 
 class PositionManager {
-  constructor() {
-    this.positions = this.loadPositions();
-    this.client = null;
+  /**
+   * @param {object} options
+   * @param {string} options.file - Défaut: data/positions.json (relatif à data/ ou absolu)
+   * @param {boolean} options.persist - false = positions en mémoire uniquement (tests, dry run)
+   */
+  constructor(options = {}) {
+    this.persist = options.persist !== false;
+    this.store = openDocument(options.file || POSITIONS_FILE, POSITIONS_SCHEMA);
+    this.positions = this.persist ? this.loadPositions() : {};
   }
 
   loadPositions() {
-    try {
-      if (fs.existsSync(POSITIONS_FILE)) {
-        return JSON.parse(fs.readFileSync(POSITIONS_FILE, "utf8"));
-      }
-    } catch (e) {}
-    return {};
+    const positions = this.store.load();
+    this.snapshot = snapshotRecords(positions);
+    return positions;
   }
 
+  /**
+   * Relit sous verrou et n'applique que les changements de ce process
+   */
   savePositions() {
-    const dir = path.dirname(POSITIONS_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(POSITIONS_FILE, JSON.stringify(this.positions, null, 2));
+    if (!this.persist) return;
+    this.store.update(stored => mergeRecords(this.positions, stored, this.snapshot));
+    this.snapshot = snapshotRecords(this.positions);
   }
 
   /**
@@ -43,27 +60,31 @@ class PositionManager {
       side,           // "UP" or "DOWN"
       tokenId,
       entryPrice,
-      size,           // number of shares
+      size,           // number of shares (filled)
       costBasis,      // $ spent
       takeProfit,     // target price to exit (e.g., 0.75)
       stopLoss,       // price to cut losses (e.g., 0.45)
       orderId,
+      orderedSize = size, // shares ordered (fills tracked by OrderTracker)
+      status = "open",    // "pending" until the entry order gets a fill
     } = params;
 
     const id = `${market}_${side}`;
     
     this.positions[id] = {
+      id,
       market,
       side,
       tokenId,
       entryPrice,
       size,
+      orderedSize,
       costBasis,
       takeProfit,
       stopLoss,
       orderId,
       entryTime: Date.now(),
-      status: "open",
+      status,
     };
 
     this.savePositions();
@@ -77,50 +98,108 @@ class PositionManager {
   }
 
   /**
-   * Check all positions against current prices and exit if targets hit
+   * Applique un fill d'ordre (OrderTracker) à une position
+   * @param {string} id - Position id
+   * @param {string} purpose - "entry" | "exit"
+   * @param {number} shares - Shares remplies depuis le dernier fill connu
+   * @param {number} notional - $ correspondants
+   */
+  recordFill(id, purpose, shares, notional) {
+    const pos = this.positions[id];
+    if (!pos) return null;
+
+    if (purpose === "entry") {
+      pos.size += shares;
+      pos.costBasis += notional;
+      pos.entryPrice = pos.costBasis / pos.size;
+      if (pos.status === "pending") pos.status = "open";
+    } else {
+      const avgCost = pos.size > 0 ? pos.costBasis / pos.size : 0;
+      pos.size = Math.max(0, pos.size - shares);
+      pos.costBasis = pos.size * avgCost;
+      pos.exitProceeds = (pos.exitProceeds || 0) + notional;
+      if (pos.size <= 1e-9) {
+        pos.status = "closed";
+        pos.exitTime = Date.now();
+      }
+    }
+
+    this.savePositions();
+    return pos;
+  }
+
+  /**
+   * Ordre terminé (rempli, annulé ou expiré): une entrée sans aucun fill
+   * disparaît, une sortie incomplète repasse "open" pour être retentée
    */
-  async checkAndExit(currentPrices) {
+  orderEnded(id, purpose) {
+    const pos = this.positions[id];
+    if (!pos) return;
+
+    if (purpose === "entry" && pos.status === "pending") {
+      delete this.positions[id];
+    } else if (purpose === "exit" && pos.status === "exiting") {
+      pos.status = "open";
+    }
+    this.savePositions();
+  }
+
+  /**
+   * Check all positions against current prices and exit if an exit rule fires
+   * (src/exit-rules.js: TP/SL de la position, puis config.EXITS et exitPlan)
+   * @param {object} currentPrices - { up, down }
+   * @param {string} marketSlug - Only positions of this market (prices are per market)
+   * @param {object} context - { endDate } du marché (sortie avant la fin)
+   */
+  async checkAndExit(currentPrices, marketSlug = null, context = {}) {
     const exits = [];
 
     for (const [id, pos] of Object.entries(this.positions)) {
       if (pos.status !== "open") continue;
+      if (marketSlug && pos.market !== marketSlug) continue;
 
       const currentPrice = currentPrices[pos.side.toLowerCase()];
       if (!currentPrice) continue;
 
-      let shouldExit = false;
-      let reason = "";
+      // TP/SL en prix absolus → relatifs à l'entrée
+      const plan = buildPlan(defaultPlan(), {
+        takeProfitPct: pos.takeProfit ? pos.takeProfit / pos.entryPrice - 1 : null,
+        stopLossPct: pos.stopLoss ? 1 - pos.stopLoss / pos.entryPrice : null,
+      }, pos.exitPlan);
+      const decision = evaluateExit(pos, {
+        price: currentPrice,
+        entryPrice: pos.entryPrice,
+        openedAt: pos.entryTime,
+        shares: pos.size,
+        endDate: context.endDate,
+        plan,
+        market: pos.market,
+      });
+      if (!decision) continue;
 
-      // Check take profit
-      if (currentPrice >= pos.takeProfit) {
-        shouldExit = true;
-        reason = `🎯 TAKE PROFIT hit (${(currentPrice * 100).toFixed(1)}% >= ${(pos.takeProfit * 100).toFixed(1)}%)`;
-      }
-      // Check stop loss
-      else if (currentPrice <= pos.stopLoss) {
-        shouldExit = true;
-        reason = `🛑 STOP LOSS hit (${(currentPrice * 100).toFixed(1)}% <= ${(pos.stopLoss * 100).toFixed(1)}%)`;
-      }
+      const emoji = { TAKE_PROFIT: "🎯", SCALE_OUT: "🪜", STOP_LOSS: "🛑", TRAILING_STOP: "📉", BREAK_EVEN: "⚖️", MAX_HOLD: "⏰", BEFORE_END: "⏰" }[decision.rule] || "🚪";
+      const reason = `${emoji} ${decision.reason} @ ${(currentPrice * 100).toFixed(1)}%`;
+      const shares = decision.fraction < 1 ? pos.size * decision.fraction : pos.size;
 
-      if (shouldExit) {
-        console.log(`\n${reason}`);
-        console.log(`   Position: ${pos.side} ${pos.size} shares`);
-        
-        const pnl = ((currentPrice - pos.entryPrice) / pos.entryPrice * 100).toFixed(1);
-        console.log(`   P&L: ${pnl}%`);
-
-        exits.push({
-          position: pos,
-          currentPrice,
-          reason,
-          pnl,
-        });
+      console.log(`\n${reason}`);
+      console.log(`   Position: ${pos.side} ${shares}${shares < pos.size ? `/${pos.size}` : ""} shares`);
 
-        // Mark as pending exit
-        pos.status = "exiting";
-        pos.exitReason = reason;
-        pos.exitPrice = currentPrice;
-      }
+      const pnl = ((currentPrice - pos.entryPrice) / pos.entryPrice * 100).toFixed(1);
+      console.log(`   P&L: ${pnl}%`);
+
+      exits.push({
+        position: pos,
+        currentPrice,
+        reason,
+        pnl,
+        shares,
+        decision,
+      });
+
+      // Mark as pending exit
+      pos.status = "exiting";
+      pos.exitReason = reason;
+      pos.exitPrice = currentPrice;
     }
 
     this.savePositions();
@@ -129,28 +208,47 @@ class PositionManager {
 
   /**
    * Execute exit orders
+   * @param {array} exits - From checkAndExit()
+   * @param {ExchangeAdapter} exchange
    */
-  async executeExits(exits, client) {
+  async executeExits(exits, exchange, tracker = null) {
     const results = [];
 
     for (const exit of exits) {
       const { position, currentPrice } = exit;
+      const shares = exit.shares ?? position.size;
+      const partial = shares < position.size;
 
       try {
-        console.log(`\n📤 Selling ${position.size} ${position.side} @ ${currentPrice}`);
+        console.log(`\n📤 Selling ${shares} ${position.side} @ ${currentPrice}`);
         
-        const order = await client.createAndPostOrder({
-          tokenID: position.tokenId,
+        const order = await exchange.placeOrder({
+          tokenId: position.tokenId,
           side: "SELL",
           price: currentPrice,
-          size: position.size,
+          size: shares,
         });
 
         if (order.success) {
-          console.log(`✅ Exit order placed: ${order.orderID}`);
-          position.status = "closed";
-          position.exitOrderId = order.orderID;
-          position.exitTime = Date.now();
+          console.log(`✅ Exit order placed: ${order.orderId} (${order.status})`);
+          position.exitOrderId = order.orderId;
+          markScaledOut(position, exit.decision);
+          if (tracker) {
+            // La position reste "exiting" jusqu'à la fin de l'ordre (vente partielle: reste rouvert)
+            tracker.track(
+              { tokenId: position.tokenId, side: "SELL", price: currentPrice, size: shares, market: position.market },
+              order,
+              { positionId: position.id, purpose: "exit" }
+            );
+          } else if (partial) {
+            position.costBasis *= (position.size - shares) / position.size;
+            position.size -= shares;
+            position.exitProceeds = (position.exitProceeds || 0) + shares * currentPrice;
+            position.status = "open";
+          } else {
+            position.status = "closed";
+            position.exitTime = Date.now();
+          }
           results.push({ success: true, order, position });
         } else {
           console.log(`❌ Exit failed: ${order.errorMsg}`);
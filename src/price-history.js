@@ -0,0 +1,106 @@
+/**
+ * PRICE HISTORY
+ *
+ * Série de prix d'un marché / outcome pour le momentum et les indicateurs
+ * techniques (src/lib/indicators.js): le prix YES de l'outcome analysé
+ * (outcome de la vue, sinon leader negRisk, sinon prix UP du marché).
+ *
+ * 1. Recorder local (data/history/) s'il couvre la fenêtre avec au moins
+ *    INDICATORS.MIN_POINTS points: plus haut/bas des points compactés et
+ *    volume échangé entre deux points (VWAP)
+ * 2. Sinon CLOB /prices-history du token YES (prix seul)
+ *
+ * Séries en cache INDICATORS.CACHE_SECONDS par marché / outcome.
+ */
+
+const config = require("./config");
+const TimeSeriesStore = require("./recorder/store");
+const { fetchPriceHistory } = require("./lib/gamma");
+const { resolveOutcome, getOutcome } = require("./lib/outcomes");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class PriceHistory {
+  /**
+   * @param {object} options
+   * @param {TimeSeriesStore} options.store - Historique du recorder (null = CLOB uniquement)
+   * @param {Function} options.fetchHistory - Historique CLOB d'un token (défaut: lib/gamma)
+   * @param {object} options.settings - Défaut: config.INDICATORS
+   * @param {Function} options.now - Horloge (tests, backtest)
+   */
+  constructor(options = {}) {
+    this.store = options.store === undefined ? new TimeSeriesStore() : options.store;
+    this.fetchHistory = options.fetchHistory || fetchPriceHistory;
+    this.settings = options.settings || config.INDICATORS;
+    this.now = options.now || (() => Date.now());
+    this.cache = new Map(); // slug:outcome → { time, series }
+  }
+
+  /**
+   * Série de prix d'un marché Gamma ou d'une vue d'outcome
+   * @returns {Promise<{ points: Array<{timestamp, price, high?, low?, volume?}>, source: string|null }>}
+   */
+  async series(market, hours = this.settings.HISTORY_HOURS) {
+    const outcomeId = resolveOutcome(market);
+    const key = `${market.slug}:${outcomeId ?? ""}:${hours}`;
+    const cached = this.cache.get(key);
+    if (cached && this.now() - cached.time < this.settings.CACHE_SECONDS * 1000) return cached.series;
+
+    const from = this.now() - hours * HOUR_MS;
+    let series = { points: this.fromRecorder(market, outcomeId, from), source: "recorder" };
+
+    const covered = series.points.length >= this.settings.MIN_POINTS
+      && series.points[0].timestamp - from <= this.settings.BAR_MINUTES * 60 * 1000 * 2;
+    if (!covered) {
+      const token = getOutcome(market, outcomeId)?.yesToken || market.upToken;
+      const clob = token
+        ? await this.fetchHistory(token, { from, fidelity: this.settings.CLOB_FIDELITY_MINUTES })
+        : [];
+      const points = clob.filter(p => p.timestamp <= this.now());
+      if (points.length > series.points.length) series = { points, source: "clob" };
+    }
+    if (series.points.length === 0) series = { points: [], source: null };
+
+    this.cache.set(key, { time: this.now(), series });
+    return series;
+  }
+
+  /**
+   * Points du recorder: prix YES de l'outcome (ou UP), volume échangé depuis
+   * le point précédent
+   */
+  fromRecorder(market, outcomeId, from) {
+    if (!this.store) return [];
+
+    let raw = [];
+    try {
+      raw = this.store.query(market.slug, { from, to: this.now() });
+    } catch (e) {
+      console.warn(`⚠️  Recorder history unavailable for ${market.slug}: ${e.message}`);
+      return [];
+    }
+
+    const points = [];
+    let prevVolume = null;
+    for (const p of raw) {
+      const outcome = outcomeId && market.negRisk ? (p.outcomes || []).find(o => o.id === outcomeId) : null;
+      const price = outcome ? outcome.yesPrice : p.upPrice;
+      if (!Number.isFinite(price)) continue;
+
+      // upHigh/upLow des points compactés ne valent que pour le prix UP
+      const primary = !outcome || p.primaryOutcome === outcomeId;
+      const volume = parseFloat(outcome ? outcome.volume : p.volume);
+      points.push({
+        timestamp: p.timestamp,
+        price,
+        high: primary ? p.upHigh : undefined,
+        low: primary ? p.upLow : undefined,
+        volume: Number.isFinite(volume) && prevVolume !== null ? Math.max(0, volume - prevVolume) : 0,
+      });
+      if (Number.isFinite(volume)) prevVolume = volume;
+    }
+    return points;
+  }
+}
+
+module.exports = PriceHistory;
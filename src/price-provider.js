@@ -0,0 +1,92 @@
+/**
+ * PRICE PROVIDER
+ *
+ * Prix courants par marché pour le mark-to-market des trades ouverts
+ * (analytics, arène, ensemble, dashboard). Chaque trade est valorisé au prix
+ * de SON marché (et de son outcome pour les marchés multi-outcome):
+ *
+ * 1. Prix live poussés par le cycle de l'arène (update(slug, market))
+ * 2. Sinon dernier point du recorder (data/history/), relu au plus toutes
+ *    les MTM.RECORDER_REFRESH_SECONDS
+ *
+ * Un prix plus vieux que MTM.MAX_AGE_MINUTES est marqué stale: il reste
+ * utilisé (mieux que le prix d'entrée), mais signalé dans les métriques.
+ */
+
+const config = require("./config");
+const TimeSeriesStore = require("./recorder/store");
+
+class PriceProvider {
+  /**
+   * @param {object} options
+   * @param {TimeSeriesStore} options.store - Historique du recorder (null = live uniquement)
+   * @param {object} options.settings - Défaut: config.MTM
+   * @param {Function} options.now - Horloge (tests)
+   */
+  constructor(options = {}) {
+    this.store = options.store === undefined ? new TimeSeriesStore() : options.store;
+    this.settings = options.settings || config.MTM;
+    this.now = options.now || (() => Date.now());
+    this.live = new Map();
+    this.recorded = new Map(); // slug -> { prices, checkedAt }
+  }
+
+  /**
+   * Enregistre les prix live d'un marché (données Gamma / snapshot)
+   */
+  update(slug, market, timestamp = this.now()) {
+    this.live.set(slug, toPrices(market, timestamp, "live"));
+  }
+
+  /**
+   * Prix d'un marché: { up, down, outcomes: { id: { up, down } }, timestamp, source, age, stale }
+   * (format accepté par PaperTrader.calculateMtmPnL), null si inconnu
+   */
+  get(slug) {
+    let prices = this.live.get(slug) || null;
+    if (!prices || this.isStale(prices)) {
+      const recorded = this.fromRecorder(slug);
+      if (recorded && (!prices || recorded.timestamp > prices.timestamp)) prices = recorded;
+    }
+    if (!prices) return null;
+
+    const age = this.now() - prices.timestamp;
+    return { ...prices, age, stale: this.isStale(prices) };
+  }
+
+  isStale(prices) {
+    return this.now() - prices.timestamp > this.settings.MAX_AGE_MINUTES * 60 * 1000;
+  }
+
+  fromRecorder(slug) {
+    if (!this.store) return null;
+
+    const cached = this.recorded.get(slug);
+    if (cached && this.now() - cached.checkedAt < this.settings.RECORDER_REFRESH_SECONDS * 1000) {
+      return cached.prices;
+    }
+
+    let prices = null;
+    try {
+      const point = this.store.latest(slug);
+      if (point) prices = toPrices(point, point.timestamp, "recorder");
+    } catch (e) {
+      console.warn(`⚠️  Recorder prices unavailable for ${slug}: ${e.message}`);
+    }
+    this.recorded.set(slug, { prices, checkedAt: this.now() });
+    return prices;
+  }
+}
+
+/**
+ * Marché Gamma ou point du recorder → prix MtM
+ */
+function toPrices(market, timestamp, source) {
+  const outcomes = {};
+  for (const o of market.outcomes || []) {
+    outcomes[o.id] = { up: o.yesPrice, down: o.noPrice };
+  }
+  return { up: market.upPrice, down: market.downPrice, outcomes, timestamp, source };
+}
+
+module.exports = PriceProvider;
@@ -0,0 +1,168 @@
+/**
+ * PROMOTION POLICY
+ *
+ * Règles de promotion / rétrogradation du champion de l'arène, sur les PnL
+ * des trades fermés de la fenêtre glissante (ARENA_PROMOTION.WINDOW_HOURS):
+ *
+ * - Échantillon minimum: MIN_TRADES trades fermés pour le challenger. Un
+ *   champion sous ce seuil ne peut pas être comparé: le challenger est alors
+ *   testé contre un PnL nul (le champion ne trade pas assez pour se défendre)
+ * - Test de supériorité sur le PnL moyen par trade (METHOD):
+ *     bootstrap: rééchantillonnage des deux séries, P(moyenne challenger > champion)
+ *     bayesian:  postérieures normales des moyennes (prior plat), même probabilité
+ *   Victoire = probabilité >= CONFIDENCE et écart moyen >= MIN_EDGE ($/trade)
+ * - Une victoire ne compte que si un trade a fermé depuis la précédente:
+ *   CONFIRMATIONS victoires = autant d'échantillons différents
+ * - Rétrogradation (DEMOTION): champion avec au moins DEMOTION.MIN_TRADES
+ *   trades dont P(PnL moyen < 0) >= DEMOTION.CONFIDENCE, ou dont le drawdown
+ *   de la fenêtre dépasse DEMOTION.MAX_DRAWDOWN_PCT
+ *
+ * Chaque décision renvoie ses preuves (tailles d'échantillon, moyennes,
+ * probabilité, seuils) pour promotionHistory.
+ */
+
+const config = require("./config");
+
+function summarize(pnls) {
+  const n = pnls.length;
+  const total = pnls.reduce((a, b) => a + b, 0);
+  const mean = n > 0 ? total / n : 0;
+  const variance = n > 1 ? pnls.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / (n - 1) : 0;
+  return { n, total, mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Fonction de répartition de la loi normale (Abramowitz & Stegun 7.1.26)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+class PromotionPolicy {
+  /**
+   * @param {object} options
+   * @param {object} options.settings - Défaut: config.ARENA_PROMOTION
+   * @param {Function} options.random - Générateur [0, 1) du bootstrap (tests: déterministe)
+   */
+  constructor(options = {}) {
+    this.settings = options.settings || config.ARENA_PROMOTION;
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * P(moyenne de a > moyenne de b) selon METHOD
+   * @param {number[]} a
+   * @param {number[]} b - [0] pour tester a contre un PnL nul
+   */
+  probabilityGreater(a, b) {
+    const sa = summarize(a);
+    const sb = summarize(b);
+
+    if (this.settings.METHOD === "bayesian") {
+      const se = Math.sqrt(sa.std ** 2 / sa.n + sb.std ** 2 / sb.n);
+      const diff = sa.mean - sb.mean;
+      if (se === 0) return diff > 0 ? 1 : diff < 0 ? 0 : 0.5;
+      return normalCdf(diff / se);
+    }
+
+    const resampledMean = values => {
+      let sum = 0;
+      for (let i = 0; i < values.length; i++) sum += values[Math.floor(this.random() * values.length)];
+      return sum / values.length;
+    };
+
+    let greater = 0;
+    for (let i = 0; i < this.settings.BOOTSTRAP_SAMPLES; i++) {
+      const diff = resampledMean(a) - resampledMean(b);
+      greater += diff > 0 ? 1 : diff === 0 ? 0.5 : 0;
+    }
+    return greater / this.settings.BOOTSTRAP_SAMPLES;
+  }
+
+  /**
+   * Le challenger bat-il le champion?
+   * @param {number[]} championPnls - PnL des trades fermés du champion sur la fenêtre
+   * @param {number[]} challengerPnls
+   * @returns {object} Preuves: { significant, probability, meanDiff, champion, challenger, reason, ... }
+   */
+  compare(championPnls, challengerPnls) {
+    const s = this.settings;
+    const champion = summarize(championPnls);
+    const challenger = summarize(challengerPnls);
+    const vsZero = champion.n < s.MIN_TRADES;
+    const evidence = {
+      method: s.METHOD,
+      champion,
+      challenger,
+      against: vsZero ? "zero" : "champion",
+      meanDiff: challenger.mean - (vsZero ? 0 : champion.mean),
+      probability: null,
+      confidence: s.CONFIDENCE,
+      minEdge: s.MIN_EDGE,
+      minTrades: s.MIN_TRADES,
+      significant: false,
+      reason: null,
+    };
+
+    if (challenger.n < s.MIN_TRADES) {
+      evidence.reason = `sample too small (${challenger.n}/${s.MIN_TRADES} closed trades)`;
+      return evidence;
+    }
+
+    evidence.probability = this.probabilityGreater(challengerPnls, vsZero ? [0] : championPnls);
+    if (evidence.probability < s.CONFIDENCE) {
+      evidence.reason = `P(better) ${(evidence.probability * 100).toFixed(1)}% < ${(s.CONFIDENCE * 100).toFixed(0)}%`;
+    } else if (evidence.meanDiff < s.MIN_EDGE) {
+      evidence.reason = `edge $${evidence.meanDiff.toFixed(2)}/trade < $${s.MIN_EDGE.toFixed(2)}`;
+    } else {
+      evidence.significant = true;
+      evidence.reason = `P(better) ${(evidence.probability * 100).toFixed(1)}%, edge $${evidence.meanDiff.toFixed(2)}/trade over ${vsZero ? "zero" : "champion"}`;
+    }
+    return evidence;
+  }
+
+  /**
+   * Le champion doit-il être rétrogradé?
+   * @param {number[]} championPnls
+   * @param {object} metrics - Métriques analytics du champion sur la fenêtre (maxDrawdownPct)
+   * @returns {object} Preuves: { demote, reason, probabilityNegative, maxDrawdownPct, ... }
+   */
+  checkDemotion(championPnls, metrics = null) {
+    const d = this.settings.DEMOTION;
+    const champion = summarize(championPnls);
+    const evidence = {
+      method: this.settings.METHOD,
+      champion,
+      probabilityNegative: null,
+      maxDrawdownPct: metrics?.maxDrawdownPct ?? null,
+      confidence: d.CONFIDENCE,
+      maxDrawdownLimit: d.MAX_DRAWDOWN_PCT,
+      minTrades: d.MIN_TRADES,
+      demote: false,
+      reason: null,
+    };
+
+    if (!d.ENABLED) return evidence;
+
+    if (evidence.maxDrawdownPct !== null && evidence.maxDrawdownPct > d.MAX_DRAWDOWN_PCT) {
+      evidence.demote = true;
+      evidence.reason = `drawdown ${(evidence.maxDrawdownPct * 100).toFixed(1)}% > ${(d.MAX_DRAWDOWN_PCT * 100).toFixed(0)}%`;
+      return evidence;
+    }
+
+    if (champion.n < d.MIN_TRADES) return evidence;
+
+    evidence.probabilityNegative = this.probabilityGreater([0], championPnls);
+    if (evidence.probabilityNegative >= d.CONFIDENCE) {
+      evidence.demote = true;
+      evidence.reason = `P(losing) ${(evidence.probabilityNegative * 100).toFixed(1)}% over ${champion.n} trades (mean $${champion.mean.toFixed(2)})`;
+    }
+    return evidence;
+  }
+}
+
+module.exports = PromotionPolicy;
+module.exports.summarize = summarize;
+module.exports.normalCdf = normalCdf;
@@ -0,0 +1,249 @@
+/**
+ * POSITION RECONCILIATION
+ *
+ * Compare l'état local (data/positions.json, ordres suivis, trades paper
+ * marqués isReal) aux positions et ordres réellement présents sur l'exchange:
+ *
+ * - phantom:       position locale ouverte, rien on-chain ni ordre en cours
+ * - orphan:        position on-chain inconnue localement
+ * - size_mismatch: shares locales ≠ shares on-chain (au-delà de SIZE_TOLERANCE)
+ * - stale_pending: position "pending" dont l'ordre d'entrée n'est plus ouvert
+ * - untracked_order: ordre ouvert sur l'exchange que le bot ne suit pas
+ * - paper_phantom: trade paper isReal ouvert sans position locale ni on-chain
+ *
+ * repair: phantom → fermée, orphan → adoptée (TP/SL par défaut), mismatch →
+ * shares alignées sur l'on-chain, stale_pending → supprimée ou adoptée.
+ * Les ordres non suivis et les trades paper sont seulement signalés.
+ *
+ * Positions on-chain illisibles: la réconciliation s'arrête (throw) - un
+ * snapshot vide ferait passer chaque position locale pour fantôme.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+const REPORT_FILE = path.join(__dirname, "../data/reconcile-report.json");
+
+// Outcome data-api ("Yes", "Up", "No"...) → side PositionManager
+function outcomeSide(outcome) {
+  const value = (outcome || "").toUpperCase();
+  if (value === "YES" || value === "UP") return "UP";
+  if (value === "NO" || value === "DOWN") return "DOWN";
+  return value || "UNKNOWN";
+}
+
+class Reconciler {
+  /**
+   * @param {object} options
+   * @param {ExchangeAdapter} options.exchange
+   * @param {PositionManager} options.positions
+   * @param {OrderTracker} options.orders - Optionnel
+   * @param {PaperTrader} options.paper - Optionnel
+   * @param {object} options.settings - Défaut: config.RECONCILE
+   */
+  constructor(options = {}) {
+    this.exchange = options.exchange;
+    this.positions = options.positions;
+    this.orders = options.orders || null;
+    this.paper = options.paper || null;
+    this.settings = options.settings || config.RECONCILE;
+  }
+
+  /**
+   * @param {object} options
+   * @param {boolean} options.repair - Corriger l'état local
+   * @returns {object} rapport { timestamp, exchange, ok, summary, issues }
+   * @throws si les positions de l'exchange ne peuvent pas être lues
+   */
+  async run({ repair = false } = {}) {
+    let positions;
+    try {
+      positions = await this.exchange.getPositions();
+    } catch (e) {
+      throw new Error(`Exchange positions unavailable, reconciliation aborted: ${e.message}`);
+    }
+    if (!Array.isArray(positions)) throw new Error("Exchange positions unavailable, reconciliation aborted");
+    const onChain = positions.filter(p => p.size > this.settings.SIZE_TOLERANCE);
+    const openOrders = await this.exchange.getOpenOrders();
+    const local = Object.values(this.positions.positions)
+      .filter(p => ["open", "exiting", "pending"].includes(p.status));
+
+    const onChainByToken = new Map(onChain.map(p => [p.tokenId, p]));
+    const openOrderIds = new Set(openOrders.map(o => o.id));
+    const tokensWithOrders = new Set(openOrders.map(o => o.tokenId));
+    const issues = [];
+
+    for (const pos of local) {
+      const held = onChainByToken.get(pos.tokenId);
+      const base = { tokenId: pos.tokenId, market: pos.market, side: pos.side, positionId: pos.id, localSize: pos.size, onChainSize: held?.size || 0 };
+
+      if (pos.status === "pending") {
+        if (!openOrderIds.has(pos.orderId)) {
+          issues.push({ ...base, type: "stale_pending", detail: `Entry order ${pos.orderId} is no longer open` });
+        }
+        continue;
+      }
+
+      if (!held) {
+        if (!tokensWithOrders.has(pos.tokenId)) {
+          issues.push({ ...base, type: "phantom", detail: "Local position not held on-chain" });
+        }
+        continue;
+      }
+
+      if (Math.abs(held.size - pos.size) > this.settings.SIZE_TOLERANCE) {
+        issues.push({ ...base, type: "size_mismatch", detail: `Local ${pos.size.toFixed(2)} vs on-chain ${held.size.toFixed(2)} shares` });
+      }
+    }
+
+    const localTokens = new Set(local.map(p => p.tokenId));
+    for (const held of onChain) {
+      if (localTokens.has(held.tokenId) || (held.currentValue || 0) < this.settings.MIN_VALUE) continue;
+      issues.push({
+        type: "orphan",
+        tokenId: held.tokenId,
+        market: held.market,
+        side: outcomeSide(held.outcome),
+        localSize: 0,
+        onChainSize: held.size,
+        detail: `On-chain position not tracked locally ($${(held.currentValue || 0).toFixed(2)})`,
+      });
+    }
+
+    if (this.orders) {
+      const tracked = new Set(Object.keys(this.orders.orders));
+      for (const order of openOrders) {
+        if (tracked.has(order.id)) continue;
+        issues.push({ type: "untracked_order", tokenId: order.tokenId, market: order.market, orderId: order.id, detail: `${order.side} ${order.size} @ ${order.price} not placed by the bot` });
+      }
+    }
+
+    if (this.paper) {
+      const heldMarkets = new Set([...onChain.map(p => `${p.market}_${outcomeSide(p.outcome)}`), ...local.map(p => `${p.market}_${p.side}`)]);
+      for (const trade of this.paper.getOpenTrades().filter(t => t.isReal)) {
+        const side = trade.action === "BUY_UP" ? "UP" : "DOWN";
+        if (heldMarkets.has(`${trade.market}_${side}`)) continue;
+        issues.push({ type: "paper_phantom", market: trade.market, side, tradeId: trade.id, detail: `Real paper trade ${trade.id} (${trade.strategy}) has no position` });
+      }
+    }
+
+    if (repair) {
+      for (const issue of issues) issue.repaired = this.repair(issue, onChainByToken.get(issue.tokenId));
+    }
+
+    const report = {
+      timestamp: Date.now(),
+      exchange: this.exchange.name,
+      ok: issues.length === 0,
+      summary: {
+        localPositions: local.length,
+        onChainPositions: onChain.length,
+        openOrders: openOrders.length,
+        issues: issues.length,
+        repaired: issues.filter(i => i.repaired).length,
+      },
+      issues,
+    };
+    return report;
+  }
+
+  /**
+   * Corrige l'état local pour une anomalie
+   * @returns {boolean} true si corrigée
+   */
+  repair(issue, held) {
+    const positions = this.positions;
+
+    switch (issue.type) {
+      case "phantom": {
+        const pos = positions.positions[issue.positionId];
+        pos.status = "closed";
+        pos.exitTime = Date.now();
+        pos.exitReason = "reconcile: not held on-chain";
+        positions.savePositions();
+        return true;
+      }
+
+      case "size_mismatch": {
+        const pos = positions.positions[issue.positionId];
+        const avgCost = pos.size > 0 ? pos.costBasis / pos.size : held.avgPrice;
+        pos.size = held.size;
+        pos.costBasis = held.size * avgCost;
+        positions.savePositions();
+        return true;
+      }
+
+      case "stale_pending": {
+        const pos = positions.positions[issue.positionId];
+        if (held) {
+          pos.size = held.size;
+          pos.entryPrice = held.avgPrice;
+          pos.costBasis = held.size * held.avgPrice;
+          pos.status = "open";
+          positions.savePositions();
+        } else {
+          positions.orderEnded(issue.positionId, "entry");
+        }
+        return true;
+      }
+
+      case "orphan": {
+        if (!held.market) return false;
+        const entryPrice = held.avgPrice || held.curPrice;
+        positions.addPosition({
+          market: held.market,
+          side: issue.side,
+          tokenId: held.tokenId,
+          entryPrice,
+          size: held.size,
+          costBasis: held.size * entryPrice,
+          takeProfit: entryPrice * (1 + config.TAKE_PROFIT_PCT),
+          stopLoss: entryPrice * (1 - config.STOP_LOSS_PCT),
+          orderId: null,
+        });
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Rapport lisible
+   */
+  static printReport(report) {
+    console.log("\n" + "═".repeat(60));
+    console.log(`🔍 RECONCILIATION - ${report.exchange}`);
+    console.log("═".repeat(60));
+    console.log(`   Local positions:    ${report.summary.localPositions}`);
+    console.log(`   On-chain positions: ${report.summary.onChainPositions}`);
+    console.log(`   Open orders:        ${report.summary.openOrders}`);
+
+    if (report.ok) {
+      console.log("\n✅ Local state matches the exchange");
+    } else {
+      console.log(`\n⚠️  ${report.summary.issues} issue(s):`);
+      for (const issue of report.issues) {
+        const where = `${(issue.market || issue.tokenId || "?").substring(0, 30)}${issue.side ? ` ${issue.side}` : ""}`;
+        const fixed = issue.repaired ? " → repaired" : "";
+        console.log(`   ${issue.type.padEnd(16)} ${where}: ${issue.detail}${fixed}`);
+      }
+      if (report.summary.repaired === 0) {
+        console.log("\n   Run `node src/index.js reconcile --repair` to fix local state");
+      }
+    }
+    console.log("═".repeat(60));
+  }
+
+  static saveReport(report, file = REPORT_FILE) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return file;
+  }
+}
+
+module.exports = Reconciler;
+module.exports.outcomeSide = outcomeSide;
@@ -0,0 +1,138 @@
+/**
+ * MARKET DATA RECORDER
+ *
+ * Snapshot périodique de tous les marchés de data/active-markets.json:
+ * prix, best bid/ask, profondeur du carnet, volume, liquidité.
+ * Les points sont ajoutés au TimeSeriesStore (data/history/) et servent
+ * ensuite aux stratégies (historique réel) et au backtest (replay).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const TimeSeriesStore = require("./store");
+const { fetchMarket, fetchBook, normalizeBook, summarizeBook } = require("../lib/gamma");
+
+const ACTIVE_MARKETS_FILE = path.join(__dirname, "../../data/active-markets.json");
+const COMPACTION_INTERVAL_MS = 60 * 60 * 1000; // Compact once per hour
+
+class MarketRecorder {
+  constructor(options = {}) {
+    this.store = options.store || new TimeSeriesStore();
+    this.settings = config.RECORDER;
+    this.running = false;
+    this.wake = null;
+    this.lastCompaction = 0;
+  }
+
+  loadActiveMarkets() {
+    try {
+      if (fs.existsSync(ACTIVE_MARKETS_FILE)) {
+        return JSON.parse(fs.readFileSync(ACTIVE_MARKETS_FILE, "utf8")).markets || [];
+      }
+    } catch (e) {
+      console.warn("Failed to load active markets:", e.message);
+    }
+    return [];
+  }
+
+  /**
+   * Construit un point: marché Gamma + carnets CLOB des deux tokens
+   */
+  async snapshotMarket(slug) {
+    const market = await fetchMarket(slug);
+    if (!market) return null;
+
+    const [upBook, downBook] = await Promise.all([
+      market.upToken ? fetchBook(market.upToken) : null,
+      market.downToken ? fetchBook(market.downToken) : null,
+    ]);
+
+    const levels = this.settings.BOOK_LEVELS;
+    const books = {};
+    if (upBook) books[market.upToken] = normalizeBook(upBook, levels);
+    if (downBook) books[market.downToken] = normalizeBook(downBook, levels);
+
+    return {
+      timestamp: Date.now(),
+      ...market,
+      up: upBook ? summarizeBook(upBook) : null,
+      down: downBook ? summarizeBook(downBook) : null,
+      books,
+    };
+  }
+
+  /**
+   * Enregistre un point pour chaque marché actif
+   * @returns {number} Nombre de marchés enregistrés
+   */
+  async recordAll() {
+    const markets = this.loadActiveMarkets();
+    let recorded = 0;
+
+    for (const { slug } of markets) {
+      try {
+        const point = await this.snapshotMarket(slug);
+        if (!point) {
+          console.warn(`   ✗ ${slug}: market not found`);
+          continue;
+        }
+        this.store.append(slug, point);
+        recorded++;
+        const spread = point.up?.spread !== null && point.up?.spread !== undefined
+          ? ` | spread ${(point.up.spread * 100).toFixed(1)}%`
+          : "";
+        console.log(`   ✓ ${slug.substring(0, 40).padEnd(40)} UP ${(point.upPrice * 100).toFixed(1)}%${spread}`);
+      } catch (e) {
+        console.warn(`   ✗ ${slug}: ${e.message}`);
+      }
+    }
+
+    return recorded;
+  }
+
+  compactIfDue() {
+    if (Date.now() - this.lastCompaction < COMPACTION_INTERVAL_MS) return;
+    const stats = this.store.compact();
+    this.lastCompaction = Date.now();
+    if (stats.compacted || stats.deleted) {
+      console.log(`   🗜️  Compaction: ${stats.compacted} segment(s) compacted, ${stats.deleted} deleted`);
+    }
+  }
+
+  /**
+   * Boucle d'enregistrement
+   * @param {object} options
+   * @param {boolean} options.once - Un seul cycle
+   * @param {number} options.intervalMs - Intervalle entre cycles
+   */
+  async run(options = {}) {
+    const intervalMs = options.intervalMs || this.settings.INTERVAL_SECONDS * 1000;
+    this.running = true;
+
+    console.log(`🎙️  Market recorder - every ${intervalMs / 1000}s → ${this.store.dir}`);
+
+    while (this.running) {
+      console.log(`\n🕐 ${new Date().toLocaleTimeString()} - recording...`);
+      const recorded = await this.recordAll();
+      console.log(`   ${recorded} market(s) recorded`);
+      this.compactIfDue();
+
+      if (options.once) break;
+      await new Promise(resolve => {
+        this.wake = resolve;
+        this.timer = setTimeout(resolve, intervalMs);
+      });
+    }
+
+    this.running = false;
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.wake) this.wake();
+  }
+}
+
+module.exports = MarketRecorder;
@@ -0,0 +1,232 @@
+/**
+ * TIME-SERIES STORE
+ *
+ * Stockage local de l'historique des marchés, un dossier par marché et
+ * un segment JSON Lines par jour (UTC):
+ *
+ *   data/history/<slug>/2026-02-10.jsonl           ← points bruts (avec carnets)
+ *   data/history/<slug>/2026-02-08.compact.jsonl   ← points compactés
+ *
+ * Compaction: au-delà de RAW_RETENTION_DAYS, un segment est réduit à un point
+ * par tranche de COMPACT_INTERVAL_MINUTES (dernier point de la tranche + plus
+ * haut/plus bas du prix UP) et les carnets sont supprimés. Au-delà de
+ * RETENTION_DAYS, le segment est effacé.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+const HISTORY_DIR = path.join(__dirname, "../../data/history");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPACT_SUFFIX = ".compact.jsonl";
+
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().split("T")[0];
+}
+
+function readLines(file) {
+  const points = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      points.push(JSON.parse(line));
+    } catch (e) {
+      // Partial line from an interrupted append - skip it
+    }
+  }
+  return points;
+}
+
+/**
+ * Prix YES d'un token dans un point: prix UP s'il est le token UP du point, sinon
+ * celui de l'outcome negRisk qui le porte. undefined si le point ne le contient pas.
+ */
+function tokenPrice(point, token) {
+  if (point.upToken === token) return point.upPrice;
+  return point.outcomes?.find(o => o.yesToken === token)?.yesPrice;
+}
+
+class TimeSeriesStore {
+  constructor(dir = HISTORY_DIR) {
+    this.dir = dir;
+    this.settings = config.RECORDER;
+  }
+
+  marketDir(slug) {
+    return path.join(this.dir, slug);
+  }
+
+  /**
+   * Ajoute un point au segment du jour
+   */
+  append(slug, point) {
+    const dir = this.marketDir(slug);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${dayKey(point.timestamp)}.jsonl`);
+    fs.appendFileSync(file, JSON.stringify(point) + "\n");
+  }
+
+  /**
+   * Marchés présents dans le store
+   */
+  markets() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(d => d.isDirectory())
+      .map(d => d.name);
+  }
+
+  /**
+   * Segments d'un marché triés par jour: [{ day, file, compacted }]
+   */
+  listSegments(slug) {
+    const dir = this.marketDir(slug);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+      .filter(f => f.endsWith(".jsonl"))
+      .map(f => ({
+        day: f.slice(0, 10),
+        file: path.join(dir, f),
+        compacted: f.endsWith(COMPACT_SUFFIX),
+      }))
+      .sort((a, b) => a.day.localeCompare(b.day));
+  }
+
+  /**
+   * Points d'un marché dans une fenêtre de temps
+   * @param {string} slug
+   * @param {object} options
+   * @param {number} options.from - Timestamp ms (inclus)
+   * @param {number} options.to - Timestamp ms (inclus)
+   * @param {string[]} options.fields - Ne garder que ces champs (timestamp toujours inclus)
+   * @param {number} options.limit - Garder les N derniers points
+   * @returns {array} Points triés par timestamp
+   */
+  query(slug, options = {}) {
+    const { from = 0, to = Infinity, fields = null, limit = null } = options;
+    const fromDay = dayKey(from);
+    const toDay = Number.isFinite(to) ? dayKey(to) : "9999-12-31";
+
+    let points = [];
+    for (const segment of this.listSegments(slug)) {
+      if (segment.day < fromDay || segment.day > toDay) continue;
+      points.push(...readLines(segment.file).filter(p => p.timestamp >= from && p.timestamp <= to));
+    }
+
+    points.sort((a, b) => a.timestamp - b.timestamp);
+    if (limit) points = points.slice(-limit);
+
+    if (fields) {
+      points = points.map(p => {
+        const picked = { timestamp: p.timestamp };
+        for (const field of fields) picked[field] = p[field];
+        return picked;
+      });
+    }
+
+    return points;
+  }
+
+  /**
+   * Dernier point enregistré pour un marché
+   */
+  latest(slug) {
+    const segments = this.listSegments(slug);
+    for (let i = segments.length - 1; i >= 0; i--) {
+      const points = readLines(segments[i].file);
+      if (points.length > 0) {
+        return points.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Variation du prix UP sur une fenêtre (null si pas assez d'historique)
+   * @param {string} token - Suivre ce token YES plutôt que le prix UP: sur un marché negRisk,
+   *   upPrice suit le candidat en tête et sauterait d'un candidat à l'autre
+   */
+  getPriceChange(slug, windowMs, now = Date.now(), token = null) {
+    const fields = token ? ["upPrice", "upToken", "outcomes"] : ["upPrice"];
+    const points = this.query(slug, { from: now - windowMs, to: now, fields })
+      .map(p => ({ timestamp: p.timestamp, price: token ? tokenPrice(p, token) : p.upPrice }))
+      .filter(p => Number.isFinite(p.price));
+    if (points.length < 2) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    return {
+      from: first.price,
+      to: last.price,
+      change: last.price - first.price,
+      hours: (last.timestamp - first.timestamp) / (60 * 60 * 1000),
+    };
+  }
+
+  /**
+   * Réduit un segment à un point par tranche (sans carnets)
+   */
+  downsample(points, intervalMs) {
+    const buckets = new Map();
+
+    for (const point of points) {
+      const key = Math.floor(point.timestamp / intervalMs);
+      const bucket = buckets.get(key);
+      if (!bucket) {
+        buckets.set(key, { last: point, upHigh: point.upPrice, upLow: point.upPrice, samples: 1 });
+        continue;
+      }
+      if (point.timestamp >= bucket.last.timestamp) bucket.last = point;
+      bucket.upHigh = Math.max(bucket.upHigh, point.upPrice);
+      bucket.upLow = Math.min(bucket.upLow, point.upPrice);
+      bucket.samples += (point.samples || 1);
+    }
+
+    return [...buckets.values()]
+      .map(({ last, upHigh, upLow, samples }) => {
+        const { books, ...rest } = last;
+        return { ...rest, upHigh, upLow, samples, compacted: true };
+      })
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Compacte les vieux segments et supprime ceux hors rétention
+   * @returns {{compacted: number, deleted: number}}
+   */
+  compact(now = Date.now()) {
+    const today = dayKey(now);
+    const rawCutoff = dayKey(now - this.settings.RAW_RETENTION_DAYS * DAY_MS);
+    const retentionCutoff = dayKey(now - this.settings.RETENTION_DAYS * DAY_MS);
+    const intervalMs = this.settings.COMPACT_INTERVAL_MINUTES * 60 * 1000;
+    const stats = { compacted: 0, deleted: 0 };
+
+    for (const slug of this.markets()) {
+      for (const segment of this.listSegments(slug)) {
+        if (segment.day < retentionCutoff) {
+          fs.unlinkSync(segment.file);
+          stats.deleted++;
+          continue;
+        }
+
+        if (segment.compacted || segment.day >= rawCutoff || segment.day === today) continue;
+
+        const points = this.downsample(readLines(segment.file), intervalMs);
+        const target = path.join(this.marketDir(slug), `${segment.day}${COMPACT_SUFFIX}`);
+        const tmp = `${target}.tmp`;
+
+        // Write then rename so a crash never leaves a half-written segment
+        fs.writeFileSync(tmp, points.map(p => JSON.stringify(p)).join("\n") + "\n");
+        fs.renameSync(tmp, target);
+        fs.unlinkSync(segment.file);
+        stats.compacted++;
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = TimeSeriesStore;
@@ -4,41 +4,127 @@
  * Implements risk management rules before trade execution:
  * 1. MAX_EXPOSURE_PER_MARKET (20%) - No more than 20% of portfolio in one market
  * 2. COOLDOWN_MINUTES (10 min) - Min 10 min between trades for same strategy
- * 3. NO_STACKING_SAME_DIRECTION - No duplicate positions same market/direction
- * 4. POSITION_SIZING_PCT (5%) - Dynamic position sizing based on portfolio
+ * 3. NO_STACKING_SAME_DIRECTION - No duplicate positions same market/outcome/direction
+ * 4. Position size from the sizing engine (src/sizing.js) on the book's equity:
+ *    model requested by the strategy (params.sizing), else SIZING.DEFAULT_MODEL,
+ *    bounded by MIN_TRADE_SIZE / MAX_TRADE_SIZE
+ * 5. Portfolio-wide limits, all strategies together (% of the portfolio equity):
+ *    MAX_GROSS_EXPOSURE, MAX_EXPOSURE_PER_EVENT, MAX_EXPOSURE_PER_CATEGORY,
+ *    MAX_EXPOSURE_PER_GROUP (CORRELATION_GROUPS) and MAX_NET_PER_OUTCOME
+ *    (YES - NO bought on one market/outcome). A trade that would cross one
+ *    is reduced to fit, or rejected under MIN_TRADE_SIZE.
+ *    Paper trades: open paper trades vs the sum of every book's equity.
+ *    Real trades (validateReal): tracked real positions vs the wallet equity.
+ *
+ * Portfolio = equity du book de la stratégie (src/portfolio.js: capital +
+ * PnL réalisé + latent), ou du wallet sans stratégie. Une taille ne dépasse
+ * jamais le cash disponible du book.
  */
 
 const config = require("./config");
+const Portfolio = require("./portfolio");
+const { categoryOf } = require("./signal-providers");
+const { positionSize } = require("./sizing");
 
 class RiskManager {
-  constructor(paperTrader) {
+  /**
+   * @param {PaperTrader} paperTrader
+   * @param {object} options
+   * @param {Portfolio} options.portfolio - Défaut: books de ce paper trader, trades ouverts au coût
+   * @param {object} options.settings - Défaut: config.RISK (limite du portefeuille à null = désactivée)
+   */
+  constructor(paperTrader, options = {}) {
     this.paper = paperTrader;
-    this.risk = config.RISK;
+    this.portfolio = options.portfolio || new Portfolio({ paper: paperTrader });
+    this.risk = options.settings || config.RISK;
   }
 
   /**
-   * Calculate total portfolio value (USDC + open positions)
-   * For now, we estimate based on open trades
+   * Equity du book d'une stratégie, ou du wallet (src/portfolio.js)
    */
-  getPortfolioValue() {
-    const openTrades = this.paper.getOpenTrades();
-    const openValue = openTrades.reduce((sum, t) => sum + t.size, 0);
-    
-    // Assume starting balance of $500 for paper trading
-    // In production, this would come from wallet balance
-    const baseBalance = 500;
-    return baseBalance + openValue;
+  getPortfolioValue(strategyName = null) {
+    return this.portfolio.equity(strategyName ? this.bookKey(strategyName) : null);
+  }
+
+  bookKey(strategyName) {
+    return this.paper.strategyKey({ strategy: strategyName });
   }
 
   /**
-   * Calculate market exposure (total open positions on a market)
+   * Calculate market exposure (open positions on a market, of one book if given)
    */
-  getMarketExposure(marketSlug) {
+  getMarketExposure(marketSlug, strategyName = null) {
     const openTrades = this.paper.getOpenTrades();
-    const marketTrades = openTrades.filter(t => t.market === marketSlug);
+    const marketTrades = openTrades.filter(t => t.market === marketSlug &&
+      (!strategyName || this.paper.strategyKey(t) === this.bookKey(strategyName)));
     return marketTrades.reduce((sum, t) => sum + t.size, 0);
   }
 
+  /**
+   * Groupes de corrélation d'un marché (RISK.CORRELATION_GROUPS: fragments de slug)
+   */
+  correlationGroups(marketSlug) {
+    return Object.entries(this.risk.CORRELATION_GROUPS || {})
+      .filter(([, fragments]) => fragments.some(f => marketSlug.includes(f)))
+      .map(([group]) => group);
+  }
+
+  /**
+   * Catégorie d'un trade: enregistrée à l'entrée, sinon mots-clés du slug
+   */
+  tradeCategory(trade) {
+    return trade.category || categoryOf(trade.market);
+  }
+
+  /**
+   * Expositions du portefeuille (toutes stratégies) qu'un nouveau trade augmente
+   * @param {number} equity - Défaut: somme des books paper
+   * @param {Array} openTrades - { market, outcomeId, action, size, category? } (défaut: trades paper ouverts)
+   * @returns {Array<{ rule, label, used, limit }>} $ déjà engagés et $ max autorisés
+   */
+  getPortfolioExposures({ marketSlug, outcomeId = null, action, category }, equity = this.portfolio.paperEquity(),
+    openTrades = this.paper.getOpenTrades()) {
+    const total = trades => trades.reduce((sum, t) => sum + t.size, 0);
+    const direction = a => (a === "BUY_DOWN" ? -1 : 1);
+    const categoryLimits = this.risk.MAX_EXPOSURE_PER_CATEGORY || {};
+
+    const limits = [
+      { rule: "MAX_GROSS", label: "gross exposure", used: total(openTrades), pct: this.risk.MAX_GROSS_EXPOSURE },
+      {
+        rule: "MAX_EVENT",
+        label: `event ${marketSlug.substring(0, 30)}`,
+        used: total(openTrades.filter(t => t.market === marketSlug)),
+        pct: this.risk.MAX_EXPOSURE_PER_EVENT,
+      },
+      {
+        rule: "MAX_CATEGORY",
+        label: `${category} exposure`,
+        used: total(openTrades.filter(t => this.tradeCategory(t) === category)),
+        pct: categoryLimits[category] ?? categoryLimits.default,
+      },
+      ...this.correlationGroups(marketSlug).map(group => ({
+        rule: "MAX_CORRELATED",
+        label: `correlated group ${group}`,
+        used: total(openTrades.filter(t => this.correlationGroups(t.market).includes(group))),
+        pct: this.risk.MAX_EXPOSURE_PER_GROUP,
+      })),
+    ];
+
+    // Net directionnel: YES - NO achetés sur le même outcome, dans le sens du trade
+    const sameOutcome = openTrades.filter(t => t.market === marketSlug && (t.outcomeId || null) === outcomeId);
+    const net = sameOutcome.reduce((sum, t) => sum + direction(t.action) * t.size, 0);
+    limits.push({
+      rule: "MAX_NET_DIRECTION",
+      label: `net ${action === "BUY_DOWN" ? "NO" : "YES"} on ${(outcomeId || marketSlug).substring(0, 30)}`,
+      used: net * direction(action),
+      pct: this.risk.MAX_NET_PER_OUTCOME,
+    });
+
+    return limits
+      .filter(l => l.pct !== undefined && l.pct !== null)
+      .map(({ rule, label, used, pct }) => ({ rule, label, used, limit: pct * equity }));
+  }
+
   /**
    * Get last trade timestamp for a strategy
    */
@@ -52,44 +138,54 @@ class RiskManager {
   }
 
   /**
-   * Check if a position already exists on market/direction
+   * Check if a position already exists on market/outcome/direction
    */
-  hasOpenPosition(strategyName, marketSlug, action) {
+  hasOpenPosition(strategyName, marketSlug, action, outcomeId = null) {
     const openTrades = this.paper.getOpenTrades();
     return openTrades.some(t => 
       t.strategy === strategyName && 
       t.market === marketSlug && 
+      (t.outcomeId || null) === outcomeId &&
       t.action === action
     );
   }
 
   /**
-   * Calculate dynamic position size based on portfolio
+   * Taille de position du moteur de sizing, bornée MIN/MAX_TRADE_SIZE
+   * (size 0 = le modèle ne voit pas d'edge)
+   * @param {object} sizing - Modèle demandé par la stratégie (null = SIZING.DEFAULT_MODEL)
+   * @returns {{ model, size, fraction, details, fallback }}
    */
-  calculatePositionSize(confidence = 0.5) {
-    const portfolio = this.getPortfolioValue();
-    let size = portfolio * this.risk.POSITION_SIZE_PCT;
-    
-    // Adjust by confidence (optional enhancement)
-    size = size * (0.5 + confidence * 0.5); // 50-100% of base size
-    
-    // Apply min/max bounds
-    size = Math.max(this.risk.MIN_TRADE_SIZE, size);
-    size = Math.min(this.risk.MAX_TRADE_SIZE, size);
-    
-    return Math.round(size * 100) / 100; // Round to 2 decimals
+  sizePosition(confidence = 0.5, portfolio = this.getPortfolioValue(), sizing = null) {
+    const sized = positionSize({ ...sizing, confidence: sizing?.confidence ?? confidence }, { equity: portfolio });
+    if (sized.size <= 0) return sized;
+
+    const size = Math.min(this.risk.MAX_TRADE_SIZE, Math.max(this.risk.MIN_TRADE_SIZE, sized.size));
+    return { ...sized, size: Math.round(size * 100) / 100 };
   }
 
   /**
    * Validate a trade against all risk rules
-   * Returns { valid: boolean, reason?: string, size?: number }
+   * params.sizing: modèle demandé par la stratégie + prix du côté acheté (src/sizing.js)
+   * Returns { valid: boolean, reason?: string, size?: number, sizing?: { model, details } }
    */
   validate(params) {
-    const { strategy, marketSlug, action, confidence } = params;
+    const { strategy, marketSlug, action, confidence, outcomeId = null, sizing = null } = params;
+    const category = params.category || categoryOf(marketSlug);
     
+    // 0. Book without equity or cash left
+    const portfolio = this.getPortfolioValue(strategy);
+    const cash = this.portfolio.available(this.bookKey(strategy));
+    if (portfolio <= 0 || cash < this.risk.MIN_TRADE_SIZE) {
+      return {
+        valid: false,
+        rule: "CASH",
+        reason: `Not enough cash in book ($${cash.toFixed(2)} available, equity $${portfolio.toFixed(2)})`,
+      };
+    }
+
     // 1. Check market exposure limit (20%)
-    const portfolio = this.getPortfolioValue();
-    const currentExposure = this.getMarketExposure(marketSlug);
+    const currentExposure = this.getMarketExposure(marketSlug, strategy);
     const exposurePct = currentExposure / portfolio;
     
     if (exposurePct >= this.risk.MAX_EXPOSURE_PER_MARKET) {
@@ -118,17 +214,30 @@ class RiskManager {
 
     // 3. Check no stacking same direction
     if (this.risk.NO_STACKING) {
-      if (this.hasOpenPosition(strategy, marketSlug, action)) {
+      if (this.hasOpenPosition(strategy, marketSlug, action, outcomeId)) {
         return {
           valid: false,
           rule: "NO_STACKING",
-          reason: `Position already open on ${marketSlug.substring(0, 20)}.../${action}`,
+          reason: `Position already open on ${marketSlug.substring(0, 20)}...${outcomeId ? `/${outcomeId.substring(0, 20)}` : ""}/${action}`,
         };
       }
     }
 
-    // 4. Calculate position size
-    const size = this.calculatePositionSize(confidence);
+    // 4. Calculate position size (never more than the book's cash)
+    const sized = this.sizePosition(confidence, portfolio, sizing);
+    if (sized.size <= 0) {
+      return {
+        valid: false,
+        rule: "SIZING",
+        reason: `No position from the ${sized.model} model (${sized.details})`,
+      };
+    }
+    let size = sized.size;
+    let adjustReason = null;
+    if (size > cash) {
+      size = Math.round(cash * 100) / 100;
+      adjustReason = "Size reduced to the book's available cash";
+    }
     
     // Check if adding this position would exceed market exposure
     const newExposurePct = (currentExposure + size) / portfolio;
@@ -142,18 +251,68 @@ class RiskManager {
           reason: `Would exceed market exposure limit (${(newExposurePct * 100).toFixed(1)}% > ${this.risk.MAX_EXPOSURE_PER_MARKET * 100}%)`,
         };
       }
-      return {
-        valid: true,
-        size: Math.max(this.risk.MIN_TRADE_SIZE, maxAllowed),
-        adjusted: true,
-        adjustReason: `Size reduced to stay within exposure limit`,
-      };
+      size = Math.min(cash, Math.max(this.risk.MIN_TRADE_SIZE, maxAllowed));
+      adjustReason = `Size reduced to stay within exposure limit`;
     }
 
-    return {
-      valid: true,
-      size,
-    };
+    // 5. Portfolio-wide limits (every strategy's open trades, all paper books)
+    const limited = this.applyPortfolioLimits({ marketSlug, outcomeId, action, category }, size,
+      this.portfolio.paperEquity([strategy]));
+    if (!limited.valid) return limited;
+    if (limited.size < size) {
+      size = limited.size;
+      adjustReason = limited.adjustReason;
+    }
+
+    const result = { valid: true, size, sizing: { model: sized.model, details: sized.details } };
+    return adjustReason ? { ...result, adjusted: true, adjustReason } : result;
+  }
+
+  /**
+   * Réduit une taille aux limites du portefeuille, ou rejette sous MIN_TRADE_SIZE
+   * @returns {{ valid, size?, adjustReason?, rule?, reason? }}
+   */
+  applyPortfolioLimits(trade, size, equity, openTrades) {
+    let adjustReason = null;
+    for (const limit of this.getPortfolioExposures(trade, equity, openTrades)) {
+      const room = limit.limit - limit.used;
+      if (room < this.risk.MIN_TRADE_SIZE) {
+        return {
+          valid: false,
+          rule: limit.rule,
+          reason: `Portfolio ${limit.label} limit ($${limit.used.toFixed(2)} / $${limit.limit.toFixed(2)})`,
+        };
+      }
+      if (size > room) {
+        size = Math.floor(room * 100) / 100;
+        adjustReason = `Size reduced to stay within the portfolio ${limit.label} limit`;
+      }
+    }
+    return adjustReason ? { valid: true, size, adjustReason } : { valid: true, size };
+  }
+
+  /**
+   * Limites du portefeuille pour un trade réel: positions réelles suivies
+   * (PositionManager) rapportées à l'equity du wallet
+   * @param {object} trade - { marketSlug, outcomeId, action, category }
+   * @param {number} size - Taille validée côté paper
+   * @param {object} wallet - Snapshot du wallet (Portfolio.refresh())
+   * @param {PositionManager} positions
+   */
+  validateReal(trade, size, wallet, positions) {
+    if (!wallet || !(wallet.equity > 0)) {
+      return { valid: false, rule: "WALLET", reason: "Wallet equity unavailable" };
+    }
+    const realTrades = Object.values(positions?.positions || {})
+      .filter(p => ["pending", "open", "exiting"].includes(p.status))
+      .map(p => ({
+        market: p.market,
+        outcomeId: p.outcomeId || null,
+        action: p.side === "DOWN" ? "BUY_DOWN" : "BUY_UP",
+        size: p.costBasis || (p.orderedSize || 0) * p.entryPrice,
+        category: p.category,
+      }));
+    return this.applyPortfolioLimits(trade, size, wallet.equity, realTrades);
   }
 
   /**
@@ -168,7 +327,8 @@ class RiskManager {
    * Get risk status summary
    */
   getStatus() {
-    const portfolio = this.getPortfolioValue();
+    const portfolio = this.portfolio.paperEquity();
+    const wallet = this.portfolio.wallet();
     const openTrades = this.paper.getOpenTrades();
     
     // Group by market
@@ -181,10 +341,26 @@ class RiskManager {
       marketExposures[trade.market].trades.push(trade);
     }
     
+    // Exposition du portefeuille par catégorie et groupe de corrélation
+    const categoryExposures = {};
+    const groupExposures = {};
+    for (const trade of openTrades) {
+      const category = this.tradeCategory(trade);
+      categoryExposures[category] = (categoryExposures[category] || 0) + trade.size;
+      for (const group of this.correlationGroups(trade.market)) {
+        groupExposures[group] = (groupExposures[group] || 0) + trade.size;
+      }
+    }
+
     return {
       portfolio,
+      wallet,
+      books: this.portfolio.books(),
       openTrades: openTrades.length,
+      grossExposure: openTrades.reduce((sum, t) => sum + t.size, 0),
       marketExposures,
+      categoryExposures,
+      groupExposures,
       riskConfig: this.risk,
     };
   }
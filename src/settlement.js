@@ -0,0 +1,207 @@
+/**
+ * SETTLEMENT
+ *
+ * Règlement automatique des marchés résolus. Interroge Gamma pour chaque
+ * marché qui a encore des trades paper ouverts ou des positions réelles,
+ * lit le résultat de chaque sous-marché et règle à 1/0:
+ *
+ * - Un sous-marché est résolu quand il est fermé, que sa résolution UMA n'est
+ *   pas en cours (umaResolutionStatus "proposed"/"disputed" = on attend) et
+ *   qu'un côté cote au moins SETTLEMENT.RESOLVED_PRICE
+ * - Marché binaire: gagnant "UP" (YES) ou "DOWN" (NO), comme la commande close
+ * - Multi-outcome (negRisk): chaque sous-marché résolu règle ses trades, même
+ *   avant que le gagnant de l'événement soit connu (candidat éliminé)
+ * - Positions réelles: fermées au paiement de leur token (1 ou 0); le redeem
+ *   on-chain des tokens gagnants reste manuel
+ *
+ * Chaque trade / position réglé garde sa résolution: source "gamma", statut,
+ * gagnant, date de résolution (closedTime Gamma) et date de règlement.
+ */
+
+const config = require("./config");
+const PaperTrader = require("./paper-trader");
+const PositionManager = require("./position-manager");
+const { fetchMarket } = require("./lib/gamma");
+
+/**
+ * Résultat d'un sous-marché: "YES", "NO" ou null (pas encore résolu)
+ */
+function outcomeResult(outcome, settings = config.SETTLEMENT) {
+  if (!outcome.closed) return null;
+  if (outcome.resolutionStatus && outcome.resolutionStatus !== "resolved") return null;
+  if (outcome.yesPrice >= settings.RESOLVED_PRICE) return "YES";
+  if (outcome.noPrice >= settings.RESOLVED_PRICE) return "NO";
+  return null;
+}
+
+/**
+ * Résolution d'un marché (format fetchMarket)
+ * @returns {object|null} { winner, outcomes: { id: { result, status, resolvedAt } } }, null si rien n'est résolu
+ */
+function resolveMarket(market, settings = config.SETTLEMENT) {
+  const outcomes = {};
+  for (const o of market.outcomes || []) {
+    const result = outcomeResult(o, settings);
+    if (!result) continue;
+    const resolvedAt = o.closedTime ? Date.parse(o.closedTime) : NaN;
+    outcomes[o.id] = {
+      result,
+      status: o.resolutionStatus,
+      resolvedAt: Number.isFinite(resolvedAt) ? resolvedAt : null,
+    };
+  }
+  if (Object.keys(outcomes).length === 0) return null;
+
+  let winner = null;
+  if (market.negRisk) {
+    winner = Object.keys(outcomes).find(id => outcomes[id].result === "YES") || null;
+  } else {
+    const primary = outcomes[market.outcomes[0].id];
+    if (primary) winner = primary.result === "YES" ? "UP" : "DOWN";
+  }
+  return { winner, outcomes };
+}
+
+class SettlementService {
+  /**
+   * @param {object} options
+   * @param {PaperTrader} options.paper - Trades paper (et réels journalisés) à régler
+   * @param {PositionManager} options.positions - Positions réelles à régler
+   * @param {Function} options.fetchMarket - slug → marché (défaut: Gamma)
+   * @param {object} options.settings - Défaut: config.SETTLEMENT
+   */
+  constructor(options = {}) {
+    this.paper = options.paper || new PaperTrader();
+    this.positions = options.positions || new PositionManager();
+    this.fetchMarket = options.fetchMarket || fetchMarket;
+    this.settings = options.settings || config.SETTLEMENT;
+  }
+
+  /**
+   * Marchés avec des trades ouverts ou des positions réelles en cours
+   */
+  pendingMarkets() {
+    const slugs = new Set(this.paper.getOpenTrades().map(t => t.market));
+    for (const pos of Object.values(this.positions.positions)) {
+      if (pos.status === "open" || pos.status === "exiting") slugs.add(pos.market);
+    }
+    return [...slugs];
+  }
+
+  /**
+   * Règle tout ce qui est résolu
+   * @param {object} options
+   * @param {boolean} options.dryRun - Affiche les résolutions sans rien régler
+   * @returns {Promise<object[]>} [{ market, winner, trades, positions }]
+   */
+  async run(options = {}) {
+    const settled = [];
+
+    for (const slug of this.pendingMarkets()) {
+      let market;
+      try {
+        market = await this.fetchMarket(slug);
+      } catch (e) {
+        console.error(`⚠️  Settlement: failed to fetch ${slug}: ${e.message}`);
+        continue;
+      }
+      if (!market) {
+        console.log(`⚠️  Settlement: market ${slug} not found`);
+        continue;
+      }
+
+      const resolution = resolveMarket(market, this.settings);
+      if (!resolution) continue;
+
+      console.log(`\n🏁 ${slug} resolved${resolution.winner ? `: ${resolution.winner}` : ` (${Object.keys(resolution.outcomes).length} outcome(s))`}`);
+      if (options.dryRun) {
+        settled.push({ market: slug, winner: resolution.winner, trades: [], positions: [] });
+        continue;
+      }
+
+      settled.push({
+        market: slug,
+        winner: resolution.winner,
+        trades: this.settleTrades(slug, market, resolution),
+        positions: this.settlePositions(slug, market, resolution),
+      });
+    }
+
+    if (settled.some(s => s.trades.length > 0)) this.paper.save();
+    if (settled.some(s => s.positions.length > 0)) this.positions.savePositions();
+    return settled;
+  }
+
+  /**
+   * Trades ouverts d'un marché dont le sous-marché est résolu
+   */
+  settleTrades(slug, market, resolution) {
+    const trades = this.paper.getOpenTrades().filter(t => t.market === slug);
+    const settled = [];
+
+    for (const trade of trades) {
+      const outcomeId = trade.outcomeId || market.outcomes[0].id;
+      const res = resolution.outcomes[outcomeId];
+      if (!res) continue;
+
+      const isWin = (trade.action === "BUY_UP") === (res.result === "YES");
+      this.paper.settleTrade(trade, isWin, {
+        source: "gamma",
+        winner: resolution.winner,
+        outcomeId: trade.outcomeId || null,
+        result: res.result,
+        status: res.status,
+        resolvedAt: res.resolvedAt,
+      });
+      settled.push(trade);
+    }
+    return settled;
+  }
+
+  /**
+   * Positions réelles dont le token est résolu: fermées à 1 ou 0
+   */
+  settlePositions(slug, market, resolution) {
+    // tokenId → { payout, outcome }
+    const tokens = {};
+    for (const o of market.outcomes || []) {
+      const res = resolution.outcomes[o.id];
+      if (!res) continue;
+      tokens[o.yesToken] = { payout: res.result === "YES" ? 1 : 0, outcome: o, res };
+      tokens[o.noToken] = { payout: res.result === "NO" ? 1 : 0, outcome: o, res };
+    }
+
+    const settled = [];
+    for (const pos of Object.values(this.positions.positions)) {
+      if (pos.market !== slug || (pos.status !== "open" && pos.status !== "exiting")) continue;
+      const primary = market.outcomes[0];
+      const token = tokens[pos.tokenId || (pos.side === "UP" ? primary.yesToken : primary.noToken)];
+      if (!token) continue;
+
+      const proceeds = pos.size * token.payout;
+      pos.exitProceeds = (pos.exitProceeds || 0) + proceeds;
+      pos.exitPrice = token.payout;
+      pos.exitReason = `🏁 Resolved ${token.res.result} (${token.outcome.id})`;
+      pos.status = "closed";
+      pos.exitTime = Date.now();
+      pos.resolution = {
+        source: "gamma",
+        winner: resolution.winner,
+        outcomeId: token.outcome.id,
+        result: token.res.result,
+        status: token.res.status,
+        resolvedAt: token.res.resolvedAt,
+        settledAt: pos.exitTime,
+      };
+
+      console.log(`\n💰 Position ${pos.id}: ${token.payout ? "✅ WIN" : "❌ LOSS"} - ${pos.size.toFixed(2)} shares → $${proceeds.toFixed(2)} (cost $${pos.costBasis.toFixed(2)})`);
+      if (token.payout) console.log("   Redeem the winning tokens on Polymarket to collect USDC");
+      settled.push(pos);
+    }
+    return settled;
+  }
+}
+
+module.exports = SettlementService;
+module.exports.resolveMarket = resolveMarket;
+module.exports.outcomeResult = outcomeResult;
@@ -0,0 +1,95 @@
+/**
+ * SIGNAL PROVIDERS
+ *
+ * Registre des sources de signal de SignalAggregator (src/signals.js).
+ * Chaque fichier .js de ce dossier (sauf index.js) exporte un provider:
+ *
+ *   {
+ *     id: "orderbook",           // REQUIRED: clé du signal et des poids (config.SIGNALS.WEIGHTS)
+ *     name: "ORDERBOOK",         // Titre du rapport (défaut: id en majuscules)
+ *     emoji: "📚",
+ *     order: 60,                 // Position dans le rapport (défaut: 100)
+ *     inputs: ["market"],        // Données lues; "market" = calculé et mis en cache par marché / outcome
+ *     ttlSeconds: 60,            // Cache du résultat (défaut: 60)
+ *     appliesTo(market) {},      // Optionnel: false = ignoré pour ce marché (poids renormalisés)
+ *     async compute(market, aggregator) {}, // REQUIRED: { score: -1..1, confidence: 0..1, details, ... }
+ *     report(signal) {},         // Optionnel: lignes du rapport (défaut: score, confidence, details)
+ *   }
+ *
+ * Ajouter une source = déposer un fichier ici et lui donner un poids dans
+ * config.SIGNALS.WEIGHTS; signals.js et trader.formatSignalReport n'en
+ * dépendent pas. Sans poids configuré, un provider est calculé et affiché
+ * mais ne compte pas dans le score final.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+const PROVIDERS_DIR = __dirname;
+
+/**
+ * Charge les providers du dossier (un fichier invalide est ignoré avec un warning)
+ * @param {string[]} disabled - Ids à ignorer (défaut: config.SIGNALS.DISABLED)
+ */
+function loadProviders(disabled = config.SIGNALS.DISABLED) {
+  const providers = [];
+  const files = fs.readdirSync(PROVIDERS_DIR).filter(f => f.endsWith(".js") && f !== "index.js");
+
+  for (const file of files) {
+    try {
+      const provider = require(path.join(PROVIDERS_DIR, file));
+      if (!provider.id || typeof provider.compute !== "function") {
+        console.warn(`   Skip signal provider ${file}: missing id or compute()`);
+        continue;
+      }
+      if (disabled.includes(provider.id)) continue;
+      providers.push(provider);
+    } catch (e) {
+      console.warn(`   Skip signal provider ${file}: ${e.message}`);
+    }
+  }
+
+  return providers.sort((a, b) => (a.order ?? 100) - (b.order ?? 100));
+}
+
+/**
+ * Catégorie d'un marché: category Gamma si elle est configurée, sinon
+ * mots-clés de config.SIGNALS.CATEGORIES dans le slug / titre
+ */
+function categoryOf(market, settings = config.SIGNALS) {
+  if (!market) return "default";
+
+  const category = typeof market === "object" ? market.category?.toLowerCase() : null;
+  if (category && settings.WEIGHTS[category]) return category;
+
+  const text = typeof market === "string"
+    ? market.toLowerCase()
+    : [market.slug, market.title, market.category].filter(Boolean).join(" ").toLowerCase();
+  for (const [name, keywords] of Object.entries(settings.CATEGORIES)) {
+    if (keywords.some(k => text.includes(k))) return name;
+  }
+  return "default";
+}
+
+/**
+ * Poids des providers pour une catégorie (les poids "default" complètent
+ * ceux de la catégorie), renormalisés pour sommer à 1
+ */
+function weightsFor(category, providers, settings = config.SIGNALS) {
+  const table = { ...settings.WEIGHTS.default, ...settings.WEIGHTS[category] };
+  const raw = Object.fromEntries(providers.map(p => [p.id, table[p.id] || 0]));
+  const total = Object.values(raw).reduce((a, b) => a + b, 0);
+  if (total <= 0) return raw;
+  return Object.fromEntries(Object.entries(raw).map(([id, w]) => [id, w / total]));
+}
+
+function defaultReport(signal) {
+  return [
+    `Score: ${(signal.score * 100).toFixed(1)}%`,
+    `Confidence: ${(signal.confidence * 100).toFixed(0)}%`,
+    `Details: ${signal.details}`,
+  ];
+}
+
+module.exports = { loadProviders, categoryOf, weightsFor, defaultReport };
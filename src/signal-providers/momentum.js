@@ -0,0 +1,22 @@
+/**
+ * Momentum multi-timeframe du prix de l'outcome analysé (recorder ou CLOB)
+ */
+
+const { defaultReport } = require("./index");
+
+module.exports = {
+  id: "momentum",
+  name: "MOMENTUM",
+  emoji: "📈",
+  order: 30,
+  inputs: ["market", "price history"],
+  ttlSeconds: 60,
+  appliesTo: market => !!market && typeof market === "object",
+  compute: (market, aggregator) => aggregator.getMomentumSignals(market),
+  report: signal => (signal.m5 === undefined ? defaultReport(signal) : [
+    `Score: ${(signal.score * 100).toFixed(1)}%`,
+    `5m: ${signal.m5} | 15m: ${signal.m15}`,
+    `1h: ${signal.m60} | 4h: ${signal.m240}`,
+    signal.details,
+  ]),
+};
@@ -0,0 +1,14 @@
+/**
+ * Fear & Greed Index (alternative.me), lu à contre-courant aux extrêmes
+ */
+
+module.exports = {
+  id: "sentiment",
+  name: "SENTIMENT",
+  emoji: "😱",
+  order: 50,
+  inputs: ["fear & greed"],
+  ttlSeconds: 600,
+  compute: (market, aggregator) => aggregator.getSentimentSignals(),
+  report: signal => [`Score: ${(signal.score * 100).toFixed(1)}%`, signal.details],
+};
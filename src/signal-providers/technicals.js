@@ -0,0 +1,16 @@
+/**
+ * Indicateurs techniques (config.INDICATORS.TECHNICALS, défaut RSI + MA5/MA20)
+ * sur les barres de l'outcome analysé
+ */
+
+module.exports = {
+  id: "technicals",
+  name: "TECHNICALS",
+  emoji: "📉",
+  order: 40,
+  inputs: ["market", "price history"],
+  ttlSeconds: 60,
+  appliesTo: market => !!market && typeof market === "object",
+  compute: (market, aggregator) => aggregator.getTechnicalSignals(market),
+  report: signal => [`Score: ${(signal.score * 100).toFixed(1)}%`, signal.details],
+};
@@ -0,0 +1,21 @@
+/**
+ * Whale flow: achats / ventes des whales actifs (feed d'activité data-api)
+ */
+
+const config = require("../config");
+const { defaultReport } = require("./index");
+
+module.exports = {
+  id: "flow",
+  name: "WHALE FLOW",
+  emoji: "🌊",
+  order: 20,
+  inputs: ["market", "data-api activity"],
+  ttlSeconds: config.WHALE_FLOW.CACHE_SECONDS,
+  appliesTo: market => !!market && typeof market === "object",
+  compute: (market, aggregator) => aggregator.getWhaleFlow(market),
+  report: signal => [
+    ...defaultReport(signal),
+    ...(signal.alerts || []).map(a => `🚨 ${a.whale} exiting ${a.side} ($${a.usd.toFixed(0)})`),
+  ],
+};
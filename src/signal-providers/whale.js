@@ -0,0 +1,14 @@
+/**
+ * Whale consensus: positions des whales actifs sur le marché / outcome
+ */
+
+module.exports = {
+  id: "whale",
+  name: "WHALE CONSENSUS",
+  emoji: "🐋",
+  order: 10,
+  inputs: ["market", "data-api positions"],
+  ttlSeconds: 60,
+  appliesTo: market => !!market,
+  compute: (market, aggregator) => aggregator.getWhaleConsensus(market),
+};
@@ -1,18 +1,99 @@
 /**
  * Signal Sources for Trading Decisions
+ *
+ * Les sources combinées par getAllSignals sont les providers de
+ * src/signal-providers/ (poids par catégorie de marché: config.SIGNALS).
  */
 
 const config = require("./config");
+const WhaleRegistry = require("./whales/registry");
+const WhaleFlow = require("./whales/flow");
+const { loadProviders, categoryOf, weightsFor, defaultReport } = require("./signal-providers");
+const PriceHistory = require("./price-history");
+const { toBars, momentum, computeIndicators } = require("./lib/indicators");
+const { resolveOutcome, getOutcome } = require("./lib/outcomes");
+
+/**
+ * Jambes UP/DOWN d'un marché: token YES/NO et conditionId + outcomeIndex de
+ * chaque outcome. outcomeId = id du sous-marché pour un negRisk, null sinon
+ * (même convention que les trades)
+ */
+function marketLegs(market) {
+  const legs = { byToken: {}, byCondition: {}, bySlug: () => null };
+
+  if (typeof market === "string") {
+    // Slug seul: pas de tokens connus, on se rabat sur les slugs data-api
+    legs.bySlug = pos => {
+      if (pos.eventSlug !== market && pos.slug !== market) return null;
+      const outcomeId = pos.slug && pos.slug !== market ? pos.slug : null;
+      return { outcomeId, side: positionSide(pos) };
+    };
+    return legs;
+  }
+
+  const outcomes = market.outcomes?.length
+    ? market.outcomes
+    : [{ id: market.slug, conditionId: market.conditionId, yesToken: market.upToken, noToken: market.downToken }];
+
+  for (const o of outcomes) {
+    const outcomeId = market.negRisk ? o.id : null;
+    const up = { outcomeId, side: "UP" };
+    const down = { outcomeId, side: "DOWN" };
+    if (o.yesToken) legs.byToken[o.yesToken] = up;
+    if (o.noToken) legs.byToken[o.noToken] = down;
+    if (o.conditionId) legs.byCondition[o.conditionId] = [up, down];
+  }
+  return legs;
+}
+
+/**
+ * Côté d'une position: outcomeIndex 0 = YES/UP, sinon libellé de l'outcome
+ */
+function positionSide(pos) {
+  if (pos.side) return pos.side;
+  if (pos.outcomeIndex !== undefined) return Number(pos.outcomeIndex) === 0 ? "UP" : "DOWN";
+  const outcome = pos.outcome?.toLowerCase() || "";
+  return outcome.includes("up") || outcome.includes("yes") ? "UP" : "DOWN";
+}
+
+function formatIndicator(name, value) {
+  if (name === "rsi") return value.toFixed(1);
+  if (name === "ma" || name === "ema") return value.fast > value.slow ? "bullish" : "bearish";
+  if (name === "bollinger") return `%B ${value.percentB.toFixed(2)}`;
+  if (name === "atr") return `${(value.relative * 100).toFixed(1)}%`;
+  if (name === "vwap") return `${(value * 100).toFixed(1)}%`;
+  return JSON.stringify(value);
+}
+
+function marketLabel(market) {
+  if (typeof market === "string") return market;
+  const outcome = getOutcome(market, resolveOutcome(market));
+  return outcome && market.negRisk ? `${market.slug} [${outcome.name}]` : market.slug;
+}
 
 class SignalAggregator {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {WhaleRegistry} options.whales - Whales suivis et leurs poids (défaut: data/whales.json)
+   * @param {WhaleFlow} options.flow - Flux achats/ventes des mêmes whales
+   * @param {PriceHistory} options.history - Série de prix du marché analysé (momentum, indicateurs)
+   * @param {object[]} options.providers - Sources de signal (défaut: src/signal-providers/)
+   * @param {object} options.settings - Poids et catégories (défaut: config.SIGNALS)
+   */
+  constructor(options = {}) {
+    this.whales = options.whales || new WhaleRegistry();
+    this.flow = options.flow || new WhaleFlow({ whales: this.whales });
+    this.history = options.history || new PriceHistory();
+    this.providers = options.providers || loadProviders();
+    this.settings = options.settings || config.SIGNALS;
     this.cache = {};
     this.cacheTTL = 60000; // 1 minute cache
+    this.rateLimitMs = 200; // Delay between whale position requests
   }
 
-  async cached(key, fetcher) {
+  async cached(key, fetcher, ttl = this.cacheTTL) {
     const now = Date.now();
-    if (this.cache[key] && now - this.cache[key].time < this.cacheTTL) {
+    if (this.cache[key] && now - this.cache[key].time < ttl) {
       return this.cache[key].data;
     }
     const data = await fetcher();
@@ -21,52 +102,85 @@ class SignalAggregator {
   }
 
   // === WHALE SIGNALS ===
-  
-  async getWhalePositions(marketSlug) {
-    return this.cached(`whales_${marketSlug}`, async () => {
-      const positions = [];
-      
-      for (const [address, whale] of Object.entries(config.WHALES)) {
+
+  /**
+   * Positions de tous les whales actifs du registre (partagées par tous les
+   * marchés analysés pendant cacheTTL). Triées par valeur: les pages suivantes
+   * ne sont lues que tant que la dernière position dépasse minPosition.
+   */
+  async getWhaleHoldings() {
+    return this.cached("whale_holdings", async () => {
+      const holdings = [];
+      const s = this.settings;
+
+      for (const [address, whale] of Object.entries(this.whales.active())) {
         try {
-          const resp = await fetch(
-            `${config.DATA_HOST}/positions?user=${address}`
-          );
-          const data = await resp.json();
-          
-          // Find positions on this market
-          const marketPositions = data.filter(p => 
-            p.eventSlug?.includes(marketSlug) || 
-            p.title?.toLowerCase().includes("bitcoin")
-          );
-          
-          for (const pos of marketPositions) {
-            if (pos.currentValue >= whale.minPosition) {
-              positions.push({
-                whale: whale.name,
-                address,
-                weight: whale.weight,
-                outcome: pos.outcome,
-                size: pos.currentValue,
-                price: pos.curPrice,
-                pnl: pos.percentPnl,
-              });
-            }
+          for (let page = 0; page < s.POSITIONS_MAX_PAGES; page++) {
+            const resp = await fetch(
+              `${config.DATA_HOST}/positions?user=${address}&limit=${s.POSITIONS_PAGE_SIZE}&offset=${page * s.POSITIONS_PAGE_SIZE}` +
+              `&sizeThreshold=${s.POSITIONS_SIZE_THRESHOLD}&sortBy=CURRENT&sortDirection=DESC`
+            );
+            const data = await resp.json();
+            for (const pos of data) holdings.push({ pos, whale, address });
+            if (data.length < s.POSITIONS_PAGE_SIZE || data[data.length - 1].currentValue < whale.minPosition) break;
           }
         } catch (e) {
           console.error(`Failed to fetch ${whale.name}: ${e.message}`);
         }
         
         // Rate limiting
-        await new Promise(r => setTimeout(r, 200));
+        if (this.rateLimitMs > 0) await new Promise(r => setTimeout(r, this.rateLimitMs));
       }
       
-      return positions;
+      return holdings;
     });
   }
 
-  calculateWhaleConsensus(positions) {
+  /**
+   * Positions des whales sur un marché, rattachées à leur outcome par token
+   * (asset) ou par conditionId + outcomeIndex
+   * @param {object|string} market - Marché Gamma ou vue d'outcome (outcomeView); un slug seul
+   *                                 ne matche que eventSlug/slug
+   * @returns {Promise<object[]>} [{ whale, address, weight, outcomeId, side: "UP"|"DOWN", size, price, pnl }]
+   */
+  async getWhalePositions(market) {
+    const legs = marketLegs(market);
+    const holdings = await this.getWhaleHoldings();
+    const positions = [];
+
+    for (const { pos, whale, address } of holdings) {
+      const leg = legs.byToken[pos.asset] || legs.byCondition[pos.conditionId]?.[pos.outcomeIndex] || legs.bySlug(pos);
+      if (!leg || pos.currentValue < whale.minPosition) continue;
+
+      positions.push({
+        whale: whale.name,
+        address,
+        weight: whale.weight,
+        outcomeId: leg.outcomeId,
+        side: leg.side,
+        outcome: pos.outcome,
+        size: pos.currentValue,
+        price: pos.curPrice,
+        pnl: pos.percentPnl,
+      });
+    }
+
+    return positions;
+  }
+
+  /**
+   * Consensus des whales: UP = YES de l'outcome, DOWN = NO
+   * @param {object[]} positions - getWhalePositions()
+   * @param {string|null} outcomeId - Outcome ciblé (multi-outcome); undefined = toutes les positions
+   * @param {string} label - Marché / outcome pour les détails
+   */
+  calculateWhaleConsensus(positions, outcomeId = undefined, label = null) {
+    // Multi-outcome: seuls les détenteurs du YES/NO de cet outcome votent
+    if (outcomeId !== undefined) positions = positions.filter(p => p.outcomeId === outcomeId);
+    const on = label ? ` on ${label}` : "";
+
     if (!positions.length) {
-      return { score: 0, confidence: 0, details: "No whale positions" };
+      return { score: 0, confidence: 0, whaleCount: 0, details: `No whale positions${on}` };
     }
 
     let upWeight = 0;
@@ -76,8 +190,7 @@ class SignalAggregator {
     for (const pos of positions) {
       const posWeight = pos.weight * Math.log10(pos.size + 1);
       
-      if (pos.outcome?.toLowerCase().includes("up") || 
-          pos.outcome?.toLowerCase().includes("yes")) {
+      if (positionSide(pos) === "UP") {
         upWeight += posWeight;
       } else {
         downWeight += posWeight;
@@ -86,17 +199,14 @@ class SignalAggregator {
     }
 
     if (totalWeight === 0) {
-      return { score: 0, confidence: 0, details: "No weighted positions" };
+      return { score: 0, confidence: 0, whaleCount: positions.length, details: `No weighted positions${on}` };
     }
 
     // Score from -1 (all down) to +1 (all up)
     const score = (upWeight - downWeight) / totalWeight;
     
     // Confidence based on number of whales agreeing
-    const dominantCount = positions.filter(p => {
-      const isUp = p.outcome?.toLowerCase().includes("up");
-      return score > 0 ? isUp : !isUp;
-    }).length;
+    const dominantCount = positions.filter(p => (positionSide(p) === "UP") === (score > 0)).length;
     const confidence = dominantCount / positions.length;
 
     return {
@@ -105,48 +215,60 @@ class SignalAggregator {
       upWeight,
       downWeight,
       whaleCount: positions.length,
-      details: `${positions.length} whales, consensus: ${score > 0 ? "UP" : "DOWN"}`,
+      details: `${positions.length} whales${on}, consensus: ${score > 0 ? "UP" : "DOWN"}`,
     };
   }
 
-  // === PRICE MOMENTUM ===
-  
-  async getBTCData() {
-    return this.cached("btc_data", async () => {
-      try {
-        const resp = await fetch(
-          "https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=1"
-        );
-        const data = await resp.json();
-        return data.prices || [];
-      } catch (e) {
-        console.error(`Failed to fetch BTC data: ${e.message}`);
-        return [];
-      }
-    });
+  /**
+   * Consensus whale d'un marché / outcome (outcome de la vue, sinon leader negRisk)
+   */
+  async getWhaleConsensus(market) {
+    if (!market) return { score: 0, confidence: 0, whaleCount: 0, details: "No market" };
+
+    const outcomeId = typeof market === "string" ? undefined : resolveOutcome(market);
+    const positions = await this.getWhalePositions(market);
+    const consensus = this.calculateWhaleConsensus(positions, outcomeId, marketLabel(market));
+    return {
+      ...consensus,
+      market: typeof market === "string" ? market : market.slug,
+      outcomeId: outcomeId ?? null,
+    };
   }
 
-  async getMomentumSignals() {
-    const prices = await this.getBTCData();
-    if (prices.length < 10) {
-      return { score: 0, confidence: 0, details: "Insufficient data" };
+  /**
+   * Flux des whales (feed d'activité) sur un marché / outcome
+   */
+  async getWhaleFlow(market) {
+    if (!market || typeof market !== "object") {
+      return { score: 0, confidence: 0, wallets: [], alerts: [], details: "No market data for whale flow" };
+    }
+    try {
+      return await this.flow.analyze(market);
+    } catch (e) {
+      console.error(`Whale flow failed: ${e.message}`);
+      return { score: 0, confidence: 0, wallets: [], alerts: [], details: "Failed to fetch whale flow" };
     }
+  }
 
-    const currentPrice = prices[prices.length - 1][1];
-    const now = Date.now();
+  // === PRICE MOMENTUM ===
 
-    // Calculate momentum at different timeframes
-    const getMomentum = (minutesAgo) => {
-      const targetTime = now - minutesAgo * 60 * 1000;
-      let pastPrice = currentPrice;
-      for (let i = prices.length - 1; i >= 0; i--) {
-        if (prices[i][0] <= targetTime) {
-          pastPrice = prices[i][1];
-          break;
-        }
-      }
-      return (currentPrice - pastPrice) / pastPrice;
-    };
+  /**
+   * Momentum multi-timeframe du prix de l'outcome analysé (prix YES: une
+   * hausse pousse UP)
+   */
+  async getMomentumSignals(market) {
+    if (!market || typeof market !== "object") {
+      return { score: 0, confidence: 0, details: "No market data for momentum" };
+    }
+
+    const { points, source } = await this.history.series(market);
+    if (points.length < 10) {
+      return { score: 0, confidence: 0, details: `Insufficient price history for ${marketLabel(market)}` };
+    }
+
+    const currentPrice = points[points.length - 1].price;
+    const now = this.history.now();
+    const getMomentum = minutes => momentum(points, minutes, now) ?? 0;
 
     const m5 = getMomentum(5);
     const m15 = getMomentum(15);
@@ -164,64 +286,64 @@ class SignalAggregator {
       score: Math.max(-1, Math.min(1, score)),
       confidence: alignment,
       price: currentPrice,
+      source,
       m5: (m5 * 100).toFixed(2) + "%",
       m15: (m15 * 100).toFixed(2) + "%",
       m60: (m60 * 100).toFixed(2) + "%",
       m240: (m240 * 100).toFixed(2) + "%",
-      details: `BTC $${currentPrice.toLocaleString()}, 1h: ${(m60 * 100).toFixed(2)}%`,
+      details: `${marketLabel(market)} ${(currentPrice * 100).toFixed(1)}%, 1h: ${(m60 * 100).toFixed(2)}% (${source})`,
     };
   }
 
   // === TECHNICAL INDICATORS ===
-  
-  calculateRSI(prices, period = 14) {
-    if (prices.length < period + 1) return 50;
-
-    const changes = [];
-    for (let i = 1; i < prices.length; i++) {
-      changes.push(prices[i][1] - prices[i - 1][1]);
-    }
 
-    const recentChanges = changes.slice(-period);
-    const gains = recentChanges.filter(c => c > 0);
-    const losses = recentChanges.filter(c => c < 0).map(c => -c);
-
-    const avgGain = gains.length ? gains.reduce((a, b) => a + b, 0) / period : 0;
-    const avgLoss = losses.length ? losses.reduce((a, b) => a + b, 0) / period : 0;
-
-    if (avgLoss === 0) return 100;
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
+  /**
+   * Indicateurs choisis (src/lib/indicators.js) sur les barres du marché /
+   * outcome analysé
+   * @param {object} market - Marché Gamma ou vue d'outcome
+   * @param {string[]} names - ex: ["rsi", "ema", "bollinger", "atr", "vwap"]
+   * @returns {Promise<object>} { source, bars, values: { name: { value, score } } }
+   */
+  async getIndicators(market, names) {
+    if (!market || typeof market !== "object") return { source: null, bars: 0, values: {} };
+    const settings = this.history.settings;
+    const { points, source } = await this.history.series(market);
+    const bars = toBars(points, settings.BAR_MINUTES);
+    return { source, bars: bars.length, values: computeIndicators(bars, names, settings) };
   }
 
-  async getTechnicalSignals() {
-    const prices = await this.getBTCData();
-    if (prices.length < 20) {
-      return { score: 0, confidence: 0, details: "Insufficient data" };
+  /**
+   * Signal technique: moyenne pondérée des scores des indicateurs
+   * (défaut: config.INDICATORS.TECHNICALS = RSI + croisement MA5/MA20)
+   */
+  async getTechnicalSignals(market, weights = this.history.settings.TECHNICALS) {
+    if (!market || typeof market !== "object") {
+      return { score: 0, confidence: 0, details: "No market data for technicals" };
     }
 
-    const rsi = this.calculateRSI(prices);
-    
-    // RSI signal: oversold (<30) = bullish, overbought (>70) = bearish
-    let rsiScore = 0;
-    if (rsi < 30) rsiScore = (30 - rsi) / 30;  // Max +1 at RSI 0
-    else if (rsi > 70) rsiScore = -(rsi - 70) / 30;  // Max -1 at RSI 100
-    
-    // Simple MA cross (short vs long)
-    const recentPrices = prices.slice(-20).map(p => p[1]);
-    const ma5 = recentPrices.slice(-5).reduce((a, b) => a + b, 0) / 5;
-    const ma20 = recentPrices.reduce((a, b) => a + b, 0) / 20;
-    const maScore = (ma5 - ma20) / ma20 * 10;
+    const { source, bars, values } = await this.getIndicators(market, Object.keys(weights));
+    let total = 0;
+    let score = 0;
+    for (const [name, weight] of Object.entries(weights)) {
+      if (values[name]?.score === null || values[name]?.score === undefined) continue;
+      score += values[name].score * weight;
+      total += weight;
+    }
+    if (total === 0) {
+      return { score: 0, confidence: 0, indicators: values, details: `Insufficient price history for ${marketLabel(market)} (${bars} bars)` };
+    }
+    score = Math.max(-1, Math.min(1, score / total));
 
-    const score = (rsiScore * 0.6 + Math.max(-1, Math.min(1, maScore)) * 0.4);
-    
+    const parts = Object.entries(values)
+      .filter(([, v]) => v.value !== null)
+      .map(([name, v]) => `${name.toUpperCase()}: ${formatIndicator(name, v.value)}`);
     return {
-      score: Math.max(-1, Math.min(1, score)),
+      score,
       confidence: Math.abs(score) > 0.3 ? 0.8 : 0.5,
-      rsi: rsi.toFixed(1),
-      ma5: ma5.toFixed(0),
-      ma20: ma20.toFixed(0),
-      details: `RSI: ${rsi.toFixed(1)}, MA5/20: ${ma5 > ma20 ? "bullish" : "bearish"}`,
+      indicators: values,
+      source,
+      rsi: values.rsi?.value?.toFixed(1),
+      details: `${parts.join(", ")} (${source}, ${bars} bars)`,
     };
   }
 
@@ -255,43 +377,78 @@ class SignalAggregator {
   }
 
   // === AGGREGATE ===
-  
-  async getAllSignals(marketSlug = "bitcoin") {
-    console.log("\n📡 Fetching signals...\n");
-
-    const [whalePositions, momentum, technicals, sentiment] = await Promise.all([
-      this.getWhalePositions(marketSlug),
-      this.getMomentumSignals(),
-      this.getTechnicalSignals(),
-      this.getSentimentSignals(),
-    ]);
-
-    const whaleConsensus = this.calculateWhaleConsensus(whalePositions);
-
-    const signals = {
-      whale: whaleConsensus,
-      momentum,
-      technicals,
-      sentiment,
-    };
 
-    // Calculate weighted final score
-    const weights = config.WEIGHTS;
-    const finalScore = 
-      whaleConsensus.score * weights.WHALE_CONSENSUS +
-      momentum.score * weights.MOMENTUM +
-      technicals.score * weights.TECHNICALS +
-      sentiment.score * weights.SENTIMENT;
-
-    // Confidence is weighted average of confident signals
-    const finalConfidence = 
-      whaleConsensus.confidence * weights.WHALE_CONSENSUS +
-      momentum.confidence * weights.MOMENTUM +
-      technicals.confidence * weights.TECHNICALS +
-      sentiment.confidence * weights.SENTIMENT;
+  /**
+   * Résultat d'un provider, en cache ttlSeconds (par marché / outcome si le
+   * provider lit le marché). Une erreur donne un signal neutre.
+   */
+  async runProvider(provider, market) {
+    const key = provider.inputs?.includes("market") && market
+      ? `provider:${provider.id}:${marketLabel(market)}`
+      : `provider:${provider.id}`;
+    return this.cached(key, async () => {
+      try {
+        return await provider.compute(market, this);
+      } catch (e) {
+        console.error(`Signal ${provider.id} failed: ${e.message}`);
+        return { score: 0, confidence: 0, details: `Failed: ${e.message}` };
+      }
+    }, (provider.ttlSeconds ?? this.cacheTTL / 1000) * 1000);
+  }
+
+  applicableProviders(market) {
+    return this.providers.filter(p => typeof p.appliesTo !== "function" || p.appliesTo(market));
+  }
+
+  /**
+   * Signaux qui dépendent du marché (inputs "market"), pour réutiliser les
+   * signaux globaux d'une analyse sur un autre marché / outcome (arène)
+   */
+  async getMarketSignals(market) {
+    const providers = this.applicableProviders(market).filter(p => p.inputs?.includes("market"));
+    const results = await Promise.all(providers.map(p => this.runProvider(p, market)));
+    return Object.fromEntries(providers.map((p, i) => [p.id, results[i]]));
+  }
+
+  /**
+   * @param {object|string} market - Marché tradé (Gamma ou vue d'outcome): les
+   *                                 signaux whale portent sur ce marché / outcome,
+   *                                 et sa catégorie choisit les poids
+   * @returns {Promise<object>} { signals, components, category, weights, finalScore, finalConfidence, recommendation }
+   */
+  async getAllSignals(market) {
+    console.log(`\n📡 Fetching signals${market ? ` for ${marketLabel(market)}` : ""}...\n`);
+
+    const providers = this.applicableProviders(market);
+    const results = await Promise.all(providers.map(p => this.runProvider(p, market)));
+
+    const category = categoryOf(market, this.settings);
+    const weights = weightsFor(category, providers, this.settings);
+    const signals = {};
+    const components = [];
+    let finalScore = 0;
+    let finalConfidence = 0;
+
+    providers.forEach((p, i) => {
+      const signal = results[i];
+      signals[p.id] = signal;
+      finalScore += (signal.score || 0) * weights[p.id];
+      // Confidence is weighted average of confident signals
+      finalConfidence += (signal.confidence || 0) * weights[p.id];
+      components.push({
+        id: p.id,
+        name: p.name || p.id.toUpperCase(),
+        emoji: p.emoji || "📡",
+        weight: weights[p.id],
+        lines: (p.report || defaultReport)(signal),
+      });
+    });
 
     return {
       signals,
+      components,
+      category,
+      weights,
       finalScore,
       finalConfidence,
       recommendation: this.getRecommendation(finalScore, finalConfidence),
@@ -0,0 +1,115 @@
+/**
+ * POSITION SIZING
+ *
+ * Moteur unique de sizing: trader (Kelly sur le wallet), risk manager
+ * (taille des trades de l'arène) et stratégies. Une stratégie ne calcule pas
+ * de dollars: elle demande un modèle dans son résultat,
+ *
+ *   sizing: { model: "kelly", probability: 0.68 }
+ *
+ * et la taille est calculée sur l'equity de son book (src/portfolio.js).
+ *
+ * Modèles (fraction de l'equity, plafonnée à SIZING.MAX_FRACTION):
+ * - kelly: Kelly fractionnel sur le vrai payout binaire. Acheter à `price`
+ *   rapporte (1 - price) / price par $ misé; f* = (p - price) / (1 - price),
+ *   × KELLY_FRACTION × confiance, plafonné à MAX_KELLY_BET
+ * - volatility: vise un mouvement attendu de la position de TARGET_VOLATILITY
+ *   de l'equity; `volatility` = variation relative du prix (ATR relatif)
+ * - fixed: FIXED_FRACTION de l'equity, 50-100% selon la confiance
+ * - max_loss: perte au stop (exitPlan.stopLossPct, sinon toute la mise)
+ *   limitée à MAX_LOSS_PCT de l'equity
+ *
+ * Un modèle sans ses entrées (pas de probabilité, de prix ou de volatilité)
+ * retombe sur SIZING.DEFAULT_MODEL.
+ */
+
+const config = require("./config");
+
+const clamp01 = x => Math.max(0, Math.min(1, x));
+const isPositive = x => Number.isFinite(x) && x > 0;
+
+/**
+ * name → (request, settings) → { fraction, details } | null (entrées manquantes)
+ */
+const MODELS = {
+  kelly: (request, s) => {
+    const { probability, price } = request;
+    if (!Number.isFinite(probability) || !(price > 0 && price < 1)) return null;
+
+    const odds = (1 - price) / price;
+    const full = (probability - price) / (1 - price);
+    const fraction = Math.max(0, full) * (request.fraction ?? s.KELLY_FRACTION) * clamp01(request.confidence ?? 1);
+    return {
+      fraction: Math.min(fraction, s.MAX_KELLY_BET),
+      details: `Kelly ${(full * 100).toFixed(1)}% at ${(price * 100).toFixed(1)}¢ (odds ${odds.toFixed(2)}, p ${(probability * 100).toFixed(1)}%)`,
+    };
+  },
+
+  volatility: (request, s) => {
+    const { volatility } = request;
+    if (!isPositive(volatility)) return null;
+
+    const target = request.target ?? s.TARGET_VOLATILITY;
+    return {
+      fraction: target / volatility,
+      details: `Vol target ${(target * 100).toFixed(2)}% / vol ${(volatility * 100).toFixed(2)}%`,
+    };
+  },
+
+  fixed: (request, s) => {
+    const base = request.fraction ?? s.FIXED_FRACTION;
+    const scale = request.confidence === undefined || request.confidence === null
+      ? 1
+      : 0.5 + clamp01(request.confidence) * 0.5;
+    return {
+      fraction: base * scale,
+      details: `Fixed ${(base * 100).toFixed(1)}% × ${scale.toFixed(2)}`,
+    };
+  },
+
+  max_loss: (request, s) => {
+    const loss = isPositive(request.stopLossPct) ? Math.min(request.stopLossPct, 1) : 1;
+    const budget = request.maxLossPct ?? s.MAX_LOSS_PCT;
+    return {
+      fraction: budget / loss,
+      details: `Max loss ${(budget * 100).toFixed(1)}% at a ${(loss * 100).toFixed(0)}% stop`,
+    };
+  },
+};
+
+/**
+ * Taille d'une position
+ * @param {object} request - { model, probability?, price?, confidence?, volatility?, stopLossPct?, fraction?, maxFraction? }
+ * @param {object} context - { equity, cash?, maxSize? } en $
+ * @param {object} settings - Défaut: config.SIZING
+ * @returns {{ model, size, fraction, details, fallback }} size en $ (0 = pas d'edge)
+ */
+function positionSize(request = {}, context = {}, settings = config.SIZING) {
+  const { equity, cash = Infinity, maxSize = Infinity } = context;
+  const requested = request.model || settings.DEFAULT_MODEL;
+  if (!MODELS[requested]) throw new Error(`Unknown sizing model: ${requested}`);
+
+  let model = requested;
+  let sized = MODELS[model](request, settings);
+  if (!sized) {
+    model = settings.DEFAULT_MODEL;
+    sized = MODELS[model](request, settings);
+  }
+
+  const cap = Math.min(settings.MAX_FRACTION, request.maxFraction ?? Infinity);
+  const fraction = Math.max(0, Math.min(sized.fraction, cap));
+  const size = Math.max(0, Math.min(equity > 0 ? equity * fraction : 0, cash, maxSize));
+
+  return {
+    model,
+    size: Math.round(size * 100) / 100,
+    fraction,
+    details: model === requested ? sized.details : `${requested} inputs missing → ${sized.details}`,
+    fallback: model !== requested,
+  };
+}
+
+module.exports = {
+  MODELS,
+  positionSize,
+};
@@ -0,0 +1,481 @@
+/**
+ * PERSISTENT STORAGE
+ *
+ * Couche unique pour l'état persistant du bot (positions, trades paper,
+ * état de l'arène, ordres, caches et états des stratégies...). Chaque module
+ * ouvre un document (un fichier de data/) et ne touche plus fs directement:
+ *
+ * - Écritures atomiques: fichier temporaire + fsync + rename. Un crash ou
+ *   un second process en plein write ne laisse jamais un JSON tronqué
+ * - Verrou par document (<file>.lock: pid + date) autour de chaque écriture
+ *   et de update() (relire → modifier → écrire). Un verrou dont le process
+ *   est mort, ou plus vieux que LOCK_STALE_MS, est cassé
+ * - Versions de schéma: un document déclare sa version et ses migrations;
+ *   la version stockée vit dans storage-meta.json (les fichiers gardent leur
+ *   format) et les migrations manquantes sont jouées au chargement
+ * - Backend "sqlite" (STORAGE.BACKEND): une table documents dans
+ *   data/state.db (better-sqlite3, dépendance optionnelle). Un document
+ *   absent de la base est importé depuis son fichier JSON au premier
+ *   chargement.
+ *
+ * Les modules qui gardent un document en mémoire (trades paper, positions,
+ * ordres) écrivent par update() + mergeRecords(): relire sous le verrou,
+ * rejouer seulement leurs propres ajouts/modifications/suppressions depuis
+ * leur dernière lecture, puis écrire. Deux process (daemon + CLI) ne
+ * s'écrasent plus; sur un même record, le dernier écrit gagne.
+ *
+ * Un fichier illisible est mis de côté (<file>.corrupt-<timestamp>) au lieu
+ * d'être écrasé par les valeurs par défaut.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+const DATA_DIR = path.join(__dirname, "../data");
+const META_FILE = "storage-meta.json";
+const LOCK_RETRY_MS = 25;
+
+class StorageError extends Error {}
+
+// Verrous tenus par ce process (réentrants: update() → save())
+const heldLocks = new Map();
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function ensureDir(file) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+/**
+ * Écrit un fichier sans jamais exposer de contenu partiel
+ */
+function writeFileAtomic(file, content) {
+  ensureDir(file);
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Verrou d'un process mort, ou plus vieux que staleMs?
+ */
+function isStaleLock(lockFile, staleMs) {
+  let stat;
+  try {
+    stat = fs.statSync(lockFile);
+  } catch (e) {
+    return false; // Libéré entre-temps
+  }
+  if (Date.now() - stat.mtimeMs > staleMs) return true;
+
+  let owner;
+  try {
+    owner = JSON.parse(fs.readFileSync(lockFile, "utf8"));
+  } catch (e) {
+    return false; // En cours d'écriture par son propriétaire
+  }
+  if (owner.pid === process.pid) return !heldLocks.has(lockFile);
+  try {
+    process.kill(owner.pid, 0); // Signal 0: teste seulement l'existence du process
+    return false;
+  } catch (e) {
+    return e.code === "ESRCH";
+  }
+}
+
+/**
+ * Exécute fn en tenant le verrou <file>.lock
+ */
+function withFileLock(file, settings, fn) {
+  const lockFile = `${file}.lock`;
+  const depth = heldLocks.get(lockFile) || 0;
+
+  if (depth === 0) {
+    ensureDir(lockFile);
+    const deadline = Date.now() + settings.LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, at: Date.now() }), { flag: "wx" });
+        break;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+      }
+      if (isStaleLock(lockFile, settings.LOCK_STALE_MS)) {
+        console.warn(`⚠️  Breaking stale lock ${path.basename(lockFile)}`);
+        try { fs.unlinkSync(lockFile); } catch (e) {}
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new StorageError(`Timed out after ${settings.LOCK_TIMEOUT_MS}ms waiting for ${lockFile}`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+
+  heldLocks.set(lockFile, depth + 1);
+  try {
+    return fn();
+  } finally {
+    if (depth === 0) {
+      heldLocks.delete(lockFile);
+      try { fs.unlinkSync(lockFile); } catch (e) {}
+    } else {
+      heldLocks.set(lockFile, depth);
+    }
+  }
+}
+
+// ============================================
+// Backends
+// ============================================
+
+/**
+ * Un fichier JSON par document, versions dans <dir>/storage-meta.json
+ */
+class JsonBackend {
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  metaFile(file) {
+    return path.join(path.dirname(file), META_FILE);
+  }
+
+  readVersion(file) {
+    const meta = this.readFile(this.metaFile(file)) || {};
+    return meta[path.basename(file)] || 0;
+  }
+
+  writeVersion(file, version) {
+    const metaFile = this.metaFile(file);
+    withFileLock(metaFile, this.settings, () => {
+      const meta = this.readFile(metaFile) || {};
+      if (meta[path.basename(file)] === version) return;
+      meta[path.basename(file)] = version;
+      writeFileAtomic(metaFile, JSON.stringify(meta, null, 2));
+    });
+  }
+
+  readFile(file) {
+    if (!fs.existsSync(file)) return null;
+    const content = fs.readFileSync(file, "utf8");
+    try {
+      return JSON.parse(content);
+    } catch (e) {
+      const backup = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, backup);
+      console.error(`❌ ${path.basename(file)} is not valid JSON (${e.message}) - moved to ${path.basename(backup)}`);
+      return null;
+    }
+  }
+
+  /**
+   * @returns {{version: number, data: any}|null}
+   */
+  read(doc) {
+    const data = this.readFile(doc.file);
+    if (data === null) return null;
+    return { version: this.readVersion(doc.file), data };
+  }
+
+  write(doc, data, version) {
+    writeFileAtomic(doc.file, JSON.stringify(data, null, 2));
+    if (doc.storedVersion === undefined) doc.storedVersion = this.readVersion(doc.file);
+    if (doc.storedVersion !== version) {
+      this.writeVersion(doc.file, version);
+      doc.storedVersion = version;
+    }
+  }
+
+  lock(doc, fn) {
+    return withFileLock(doc.file, this.settings, fn);
+  }
+
+  close() {}
+}
+
+/**
+ * Table documents(key, version, data, updated_at) dans une base SQLite.
+ * Les transactions IMMEDIATE remplacent les fichiers .lock.
+ */
+class SqliteBackend {
+  constructor(settings, dir) {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (e) {
+      throw new StorageError("STORAGE.BACKEND is \"sqlite\" but better-sqlite3 is not installed (npm install better-sqlite3)");
+    }
+
+    this.settings = settings;
+    this.dir = dir;
+    this.json = new JsonBackend(settings);
+    this.file = path.join(dir, settings.SQLITE_FILE);
+    ensureDir(this.file);
+    this.db = new Database(this.file, { timeout: settings.LOCK_TIMEOUT_MS });
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`CREATE TABLE IF NOT EXISTS documents (
+      key TEXT PRIMARY KEY,
+      version INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )`);
+    this.selectStmt = this.db.prepare("SELECT version, data FROM documents WHERE key = ?");
+    this.upsertStmt = this.db.prepare(`INSERT INTO documents (key, version, data, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET version = excluded.version, data = excluded.data, updated_at = excluded.updated_at`);
+  }
+
+  key(doc) {
+    return path.relative(this.dir, doc.file).split(path.sep).join("/");
+  }
+
+  read(doc) {
+    const row = this.selectStmt.get(this.key(doc));
+    if (row) return { version: row.version, data: JSON.parse(row.data) };
+
+    // Premier chargement: import du fichier JSON existant (laissé en place)
+    const legacy = this.json.read(doc);
+    if (legacy) {
+      this.upsertStmt.run(this.key(doc), legacy.version, JSON.stringify(legacy.data), Date.now());
+      console.log(`📥 Imported ${path.basename(doc.file)} into ${this.settings.SQLITE_FILE}`);
+    }
+    return legacy;
+  }
+
+  write(doc, data, version) {
+    this.upsertStmt.run(this.key(doc), version, JSON.stringify(data), Date.now());
+    doc.storedVersion = version;
+  }
+
+  lock(doc, fn) {
+    if (this.db.inTransaction) return fn();
+    return this.db.transaction(fn).immediate();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// ============================================
+// Documents
+// ============================================
+
+class Document {
+  /**
+   * @param {object} backend
+   * @param {string} file - Chemin absolu
+   * @param {object} options
+   * @param {number} options.version - Version de schéma courante (défaut: 0)
+   * @param {object} options.migrations - { [version]: data => data } pour passer de version-1 à version
+   * @param {Function} options.defaults - Valeur d'un document absent
+   */
+  constructor(backend, file, options = {}) {
+    this.backend = backend;
+    this.file = file;
+    this.name = path.basename(file);
+    this.version = options.version || 0;
+    this.migrations = options.migrations || {};
+    this.defaults = options.defaults || (() => null);
+    this.storedVersion = undefined;
+  }
+
+  /**
+   * Données du document (migrées si besoin), ou defaults() s'il n'existe pas
+   * @throws {StorageError} si le document a été écrit par une version plus récente du schéma
+   */
+  load() {
+    const stored = this.backend.read(this);
+    if (!stored) return this.defaults();
+
+    this.storedVersion = stored.version;
+    if (stored.version > this.version) {
+      throw new StorageError(`${this.name} has schema v${stored.version}, this code only knows v${this.version}`);
+    }
+    if (stored.version < this.version) return this.migrate();
+    return stored.data;
+  }
+
+  /**
+   * Joue les migrations manquantes sous verrou (un autre process a pu migrer entre-temps)
+   */
+  migrate() {
+    return this.backend.lock(this, () => {
+      const stored = this.backend.read(this);
+      let data = stored.data;
+      for (let v = stored.version + 1; v <= this.version; v++) {
+        if (this.migrations[v]) data = this.migrations[v](data) ?? data;
+      }
+      this.storedVersion = stored.version;
+      this.backend.write(this, data, this.version);
+      console.log(`🔄 Migrated ${this.name} v${stored.version} → v${this.version}`);
+      return data;
+    });
+  }
+
+  save(data) {
+    this.backend.lock(this, () => this.backend.write(this, data, this.version));
+  }
+
+  /**
+   * Relire → modifier → écrire sous un seul verrou
+   * @param {Function} mutator - (data) => nouvelles données, ou undefined si modifiées sur place
+   * @returns les données écrites
+   */
+  update(mutator) {
+    return this.backend.lock(this, () => {
+      const data = this.load();
+      const next = mutator(data) ?? data;
+      this.backend.write(this, next, this.version);
+      return next;
+    });
+  }
+}
+
+// ============================================
+// Fusion des collections gardées en mémoire
+// ============================================
+
+const defaultKey = record => record.id;
+
+function recordEntries(records, key) {
+  return Array.isArray(records) ? records.map(r => [key(r), r]) : Object.entries(records || {});
+}
+
+/**
+ * Empreinte d'une collection (id → JSON du record) à sa lecture, base de mergeRecords()
+ * @param {Array|object} records - Tableau de records avec id, ou objet id → record
+ */
+function snapshotRecords(records, key = defaultKey) {
+  return new Map(recordEntries(records, key).map(([id, record]) => [id, JSON.stringify(record)]));
+}
+
+/**
+ * Fusion 3 voies, en place dans `current` (les références aux records restent valides):
+ * les records que ce process n'a pas touchés depuis `snapshot` prennent leur
+ * version relue (`stored`), ceux ajoutés ou supprimés ailleurs sont ajoutés
+ * ou retirés. Les records ajoutés, modifiés ou supprimés ici gagnent.
+ * @returns current
+ */
+function mergeRecords(current, stored, snapshot, key = defaultKey) {
+  const mine = new Map(recordEntries(current, key));
+  const theirs = new Map(recordEntries(stored, key));
+  const untouched = id => snapshot.get(id) === JSON.stringify(mine.get(id));
+  const removed = new Set();
+
+  for (const [id, record] of theirs) {
+    if (!mine.has(id)) {
+      if (snapshot.has(id)) continue; // Supprimé ici
+      if (Array.isArray(current)) current.push(record);
+      else current[id] = record;
+    } else if (untouched(id)) {
+      const target = mine.get(id);
+      for (const field of Object.keys(target)) delete target[field];
+      Object.assign(target, record);
+    }
+  }
+  for (const id of mine.keys()) {
+    if (!theirs.has(id) && snapshot.has(id) && untouched(id)) removed.add(id); // Supprimé ailleurs
+  }
+
+  if (Array.isArray(current)) {
+    for (let i = current.length - 1; i >= 0; i--) {
+      if (removed.has(key(current[i]))) current.splice(i, 1);
+    }
+  } else {
+    for (const id of removed) delete current[id];
+  }
+  return current;
+}
+
+/**
+ * Compteurs numériques (en place): relu + ce que ce process a ajouté depuis `base`
+ * @returns current
+ */
+function mergeCounters(current, stored, base = {}) {
+  for (const [field, value] of Object.entries(stored || {})) {
+    if (typeof value === "number") {
+      current[field] = value + ((current[field] ?? 0) - (base[field] ?? 0));
+    } else if (value && typeof value === "object") {
+      current[field] = mergeCounters(current[field] || {}, value, base[field] || {});
+    } else if (!(field in current)) {
+      current[field] = value;
+    }
+  }
+  return current;
+}
+
+class Storage {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Répertoire des données (défaut: data/)
+   * @param {object} options.settings - Défaut: config.STORAGE
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || DATA_DIR;
+    this.settings = options.settings || config.STORAGE;
+
+    switch (this.settings.BACKEND) {
+      case "json":
+        this.backend = new JsonBackend(this.settings);
+        break;
+      case "sqlite":
+        this.backend = new SqliteBackend(this.settings, this.dir);
+        break;
+      default:
+        throw new StorageError(`Unknown storage backend: ${this.settings.BACKEND}`);
+    }
+  }
+
+  /**
+   * @param {string} file - Relatif au répertoire des données, ou absolu
+   * @param {object} options - Voir Document
+   */
+  open(file, options = {}) {
+    const resolved = path.isAbsolute(file) ? file : path.join(this.dir, file);
+    return new Document(this.backend, resolved, options);
+  }
+
+  close() {
+    this.backend.close();
+  }
+}
+
+let shared = null;
+
+/**
+ * Storage partagé du process (config.STORAGE)
+ */
+function getStorage() {
+  if (!shared) shared = new Storage();
+  return shared;
+}
+
+/**
+ * Raccourci: document du storage partagé
+ */
+function openDocument(file, options) {
+  return getStorage().open(file, options);
+}
+
+module.exports = Storage;
+module.exports.Document = Document;
+module.exports.StorageError = StorageError;
+module.exports.getStorage = getStorage;
+module.exports.openDocument = openDocument;
+module.exports.snapshotRecords = snapshotRecords;
+module.exports.mergeRecords = mergeRecords;
+module.exports.mergeCounters = mergeCounters;
+module.exports.writeFileAtomic = writeFileAtomic;
+module.exports.withFileLock = withFileLock;
+module.exports.DATA_DIR = DATA_DIR;
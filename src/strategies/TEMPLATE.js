@@ -24,12 +24,11 @@
  * =============================================================================
  */
 
-const fs = require("fs");
-const path = require("path");
 const config = require("../config");
+const { openDocument } = require("../storage");
 
 // Optional: State file for caching/persistence
-const STATE_FILE = path.join(__dirname, "../../data/{name}-state.json");
+const STATE_FILE = "{name}-state.json";
 
 class {ClassName}Strategy {
   constructor() {
@@ -38,7 +37,20 @@ class {ClassName}Strategy {
     
     // REQUIRED: Human-readable description
     this.description = "{description}";
-    
+
+    // REQUIRED: Result schema version (see src/strategy-result.js)
+    this.schemaVersion = 1;
+
+    // Optional: indicators computed on the analyzed market's price series
+    // (src/lib/indicators.js: rsi, ma, ema, bollinger, atr, vwap), passed
+    // as signals.indicators.values.{name} = { value, score }
+    // this.indicators = ["ema", "bollinger"];
+
+    // Optional: custom exit rules, checked every cycle on this strategy's
+    // open positions after the exitPlan stops (src/exit-rules.js).
+    // check returns null or { reason, fraction? } (fraction < 1 = partial exit)
+    // this.exitRules = [{ name: "signal_flip", check: (position, ctx) => null }];
+
     // Optional: Load persisted state
     this.state = this.loadState();
   }
@@ -48,9 +60,8 @@ class {ClassName}Strategy {
    */
   loadState() {
     try {
-      if (fs.existsSync(STATE_FILE)) {
-        return JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
-      }
+      const data = openDocument(STATE_FILE).load();
+      if (data) return data;
     } catch (e) {
       console.error(`Failed to load state: ${e.message}`);
     }
@@ -64,10 +75,8 @@ class {ClassName}Strategy {
    * Save state to disk
    */
   saveState() {
-    const dir = path.dirname(STATE_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
     this.state.lastRun = Date.now();
-    fs.writeFileSync(STATE_FILE, JSON.stringify(this.state, null, 2));
+    openDocument(STATE_FILE).save(this.state);
   }
 
   /**
@@ -89,31 +98,39 @@ class {ClassName}Strategy {
    * REQUIRED: Main analysis method
    * 
    * @param {string} marketSlug - The market identifier (e.g., "bitcoin-up-or-down-on-january-31")
-   * @returns {Promise<Object>} Analysis result with recommendation
+   * @param {Object} marketData - Market prices/tokens (one outcome view for multi-outcome markets)
+   * @param {Object} signals - Baseline signals of the cycle (+ signals.indicators if declared)
+   * @returns {Promise<Object>} Analysis result (schema v1)
    * 
    * Return format:
    * {
-   *   strategy: "creative:{name}",     // Strategy identifier
+   *   strategy: "{name}",               // Strategy identifier
+   *   action: "HOLD",                   // "BUY_UP" | "BUY_DOWN" | "HOLD" | "EXIT"
+   *   outcomeId: null,                  // Optional: targeted outcome id (multi-outcome markets)
+   *   targetPrice: null,                // Optional: max price to pay (0-1)
+   *   sizeHint: null,                   // Optional: max size in $
+   *   sizing: null,                     // Optional: sizing model instead of dollars (src/sizing.js)
+   *                                     //   { model: "kelly", probability } | { model: "volatility" }
+   *                                     //   | { model: "fixed", fraction } | { model: "max_loss" }
    *   score: 0.0,                       // -1 to 1 (negative = bearish, positive = bullish)
    *   confidence: 0.0,                  // 0 to 1 (how confident in the signal)
-   *   recommendation: {
-   *     action: "HOLD",                 // "BUY_UP" | "BUY_DOWN" | "HOLD"
-   *     reason: "Why this action"
-   *   },
+   *   exitPlan: null,                   // Optional: { takeProfitPct, stopLossPct, maxHoldHours, trailingStopPct,
+   *                                     //   trailingActivationPct, breakEvenAfterPct, exitBeforeEndHours,
+   *                                     //   scaleOut: [{ profitPct, fraction }] } (src/exit-rules.js)
    *   reason: "Short summary",          // One-line reason for logging
-   *   data: {}                          // Optional: raw data for debugging
+   *   diagnostics: {}                   // Optional: raw data for debugging
    * }
    */
-  async analyze(marketSlug) {
+  async analyze(marketSlug, marketData, signals) {
     console.log(`\n📊 ${this.name}: Analyzing ${marketSlug}...`);
 
     // Check dependencies first - return HOLD if missing
     if (!this.checkDependencies()) {
       return {
-        strategy: `creative:${this.name}`,
+        strategy: this.name,
+        action: "HOLD",
         score: 0,
         confidence: 0,
-        recommendation: { action: "HOLD", reason: "Missing dependencies" },
         reason: "Dependencies not configured",
       };
     }
@@ -133,17 +150,17 @@ class {ClassName}Strategy {
     // const confidence = this.calculateConfidence(data);
     
     // 4. Determine action
-    // const action = this.determineAction(score, confidence);
+    // const { action, reason } = this.determineAction(score, confidence);
 
     // =========================================================================
     // PLACEHOLDER RETURN - Replace with actual implementation
     // =========================================================================
     
     return {
-      strategy: `creative:${this.name}`,
+      strategy: this.name,
+      action: "HOLD",
       score: 0,
       confidence: 0,
-      recommendation: { action: "HOLD", reason: "Not implemented" },
       reason: "Strategy not yet implemented",
     };
   }
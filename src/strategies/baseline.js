@@ -1,11 +1,9 @@
 /**
  * BASELINE STRATEGY
  * 
- * Notre stratégie de référence:
- * - 50% Whale consensus
- * - 20% Momentum multi-timeframe
- * - 15% Technicals (RSI, MA)
- * - 15% Sentiment (Fear & Greed)
+ * Notre stratégie de référence: score pondéré des providers de
+ * src/signal-providers/ (poids par catégorie de marché, config.SIGNALS):
+ * whale consensus, whale flow, momentum, technicals, sentiment
  */
 
 const SignalAggregator = require("../signals");
@@ -17,8 +15,12 @@ class BaselineStrategy {
     this.signals = new SignalAggregator();
   }
 
-  async analyze(marketSlug) {
-    const analysis = await this.signals.getAllSignals(marketSlug);
+  /**
+   * @param {string} marketSlug
+   * @param {object} marketData - Marché / vue d'outcome analysé (consensus whale de cet outcome)
+   */
+  async analyze(marketSlug, marketData = null) {
+    const analysis = await this.signals.getAllSignals(marketData || marketSlug);
     
     return {
       strategy: this.name,
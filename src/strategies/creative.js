@@ -79,7 +79,7 @@ class CreativeStrategy {
       case "sentiment_divergence":
         return this.sentimentDivergence.analyze(marketData.slug);
       case "dem_nom_sentiment_gas":
-        return this.demNomSentimentGas.analyze(marketData.slug);
+        return this.demNomSentimentGas.analyze(marketData.slug, marketData);
       default:
         return this.analyzeContrarian(signals, marketData);
     }
@@ -256,7 +256,7 @@ class CreativeStrategy {
   analyzeTimeDecay(marketData) {
     const upPrice = marketData?.upPrice || 0.5;
     const endDate = marketData?.endDate ? new Date(marketData.endDate) : null;
-    const now = new Date();
+    const now = Date.now();
     const hoursRemaining = endDate ? (endDate - now) / (1000 * 60 * 60) : 1000;
     const marketHash = ((marketData?.slug || "").length * 13) % 10 / 100;
     
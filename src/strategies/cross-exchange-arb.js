@@ -15,14 +15,16 @@
  * - Daily stop-loss: -3%
  */
 
-const fs = require("fs");
-const path = require("path");
 const config = require("../config");
+const { openDocument } = require("../storage");
+const { positionSize } = require("../sizing");
 
-const CACHE_FILE = path.join(__dirname, "../../data/arb-state.json");
+const CACHE_FILE = "arb-state.json";
 
 class CrossExchangeArb {
   constructor() {
+    this.name = "cross_exchange_arb";
+    this.resultAdapter = "arb"; // Action ARB → jambe Polymarket (src/strategy-result.js)
     this.state = this.loadState();
     this.minSpread = 0.02; // 2% minimum spread
     this.maxCapitalPct = 0.01; // 1% max per trade
@@ -31,9 +33,8 @@ class CrossExchangeArb {
 
   loadState() {
     try {
-      if (fs.existsSync(CACHE_FILE)) {
-        return JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
-      }
+      const data = openDocument(CACHE_FILE).load();
+      if (data) return data;
     } catch (e) {}
     return {
       dailyPnL: 0,
@@ -44,9 +45,6 @@ class CrossExchangeArb {
   }
 
   saveState() {
-    const dir = path.dirname(CACHE_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    
     // Reset daily PnL if new day
     const today = this.getTodayKey();
     if (this.state.dailyReset !== today) {
@@ -54,7 +52,7 @@ class CrossExchangeArb {
       this.state.dailyReset = today;
     }
     
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(this.state, null, 2));
+    openDocument(CACHE_FILE).save(this.state);
   }
 
   getTodayKey() {
@@ -252,19 +250,16 @@ class CrossExchangeArb {
       return 0;
     }
     
-    // Max 1% of capital
-    const maxSize = capital * this.maxCapitalPct;
-    
-    // Adjust based on spread (bigger spread = more confident)
-    const confidenceMultiplier = Math.min(opportunity.spread / this.minSpread, 2);
-    
-    return maxSize * confidenceMultiplier * 0.5; // 50% of max for safety
+    // Fixed-fractional 1% of capital, 50% (spread = min) à 100% (spread ≥ 2× min)
+    const confidence = Math.min(opportunity.spread / this.minSpread, 2) - 1;
+    return positionSize({ model: "fixed", fraction: this.maxCapitalPct, confidence }, { equity: capital }).size;
   }
 
   /**
    * Main analysis
+   * @param {number} capital - Equity du book (Portfolio), défaut: ANALYTICS.INITIAL_CAPITAL
    */
-  async analyze(marketSlug, capital = 340) {
+  async analyze(marketSlug, capital = config.ANALYTICS.INITIAL_CAPITAL) {
     console.log(`\n🔄 Cross-Exchange Arb: Scanning for opportunities...`);
     
     // Keywords to search across exchanges
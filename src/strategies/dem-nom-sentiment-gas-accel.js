@@ -11,15 +11,16 @@
  * 
  * Entry: sent_accel > 0.35 && gas_cluster > 50k && lstm_prob > 0.7
  * Exit: |accel - odds_drift| < 0.1 or +5% or -1.5% vol-adjusted
- * Risk: Kelly f=(mu/sigma^2)*0.25 adj vol; pos=min(f*500,8); portfolio_dd<2%
+ * Risk: fractional Kelly on the LSTM probability (src/sizing.js), max $8; portfolio_dd<2%
  */
 
-const fs = require("fs");
-const path = require("path");
 const config = require("../config");
+const { openDocument } = require("../storage");
+const TimeSeriesStore = require("../recorder/store");
+const { fetchMarket } = require("../lib/gamma");
 
-const STATE_FILE = path.join(__dirname, "../../data/dem-nom-sentiment-gas-state.json");
-const SENTIMENT_HISTORY_FILE = path.join(__dirname, "../../data/sentiment-history.json");
+const STATE_FILE = "dem-nom-sentiment-gas-state.json";
+const SENTIMENT_HISTORY_FILE = "sentiment-history.json";
 
 // Democratic Nominee 2028 market identifiers
 const DEM_NOM_MARKETS = [
@@ -28,6 +29,9 @@ const DEM_NOM_MARKETS = [
   "dem-nominee-2028",
 ];
 
+// Max $ per trade (the sizing engine picks the size below it)
+const MAX_POSITION = 8;
+
 // Etherscan API V2 for Polygon gas data (chainid=137)
 const ETHERSCAN_API_V2 = "https://api.etherscan.io/v2/api?chainid=137";
 
@@ -58,9 +62,8 @@ class DemNomSentimentGasAccelStrategy {
 
   loadState() {
     try {
-      if (fs.existsSync(STATE_FILE)) {
-        return JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
-      }
+      const data = openDocument(STATE_FILE).load();
+      if (data) return data;
     } catch (e) {
       console.error(`Failed to load state: ${e.message}`);
     }
@@ -73,27 +76,22 @@ class DemNomSentimentGasAccelStrategy {
   }
 
   saveState() {
-    const dir = path.dirname(STATE_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
     this.state.lastRun = Date.now();
-    fs.writeFileSync(STATE_FILE, JSON.stringify(this.state, null, 2));
+    openDocument(STATE_FILE).save(this.state);
   }
 
   loadSentimentHistory() {
     try {
-      if (fs.existsSync(SENTIMENT_HISTORY_FILE)) {
-        return JSON.parse(fs.readFileSync(SENTIMENT_HISTORY_FILE, "utf8"));
-      }
+      const data = openDocument(SENTIMENT_HISTORY_FILE).load();
+      if (data) return data;
     } catch (e) {}
     return { samples: [] };
   }
 
   saveSentimentHistory() {
-    const dir = path.dirname(SENTIMENT_HISTORY_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
     // Keep last 48 hours of samples (every 5 min = 576 samples)
     this.sentimentHistory.samples = this.sentimentHistory.samples.slice(-576);
-    fs.writeFileSync(SENTIMENT_HISTORY_FILE, JSON.stringify(this.sentimentHistory, null, 2));
+    openDocument(SENTIMENT_HISTORY_FILE).save(this.sentimentHistory);
   }
 
   checkDependencies() {
@@ -330,72 +328,31 @@ class DemNomSentimentGasAccelStrategy {
   }
 
   /**
-   * Get current odds drift for the market
+   * Get current odds drift for the analyzed outcome
+   * Keyed by the outcome's YES token: on a negRisk event upPrice follows the
+   * leading candidate, so a change of leader would look like a price jump
    */
-  async getOddsDrift(marketSlug) {
+  async getOddsDrift(marketSlug, marketData = null) {
     try {
-      const resp = await fetch(
-        `https://gamma-api.polymarket.com/events?slug=${marketSlug}`
-      );
-      const data = await resp.json();
-      
-      if (!data || data.length === 0) return { drift: 0, currentOdds: 0.5 };
+      const market = marketData || await fetchMarket(marketSlug);
+      if (!market) return { drift: 0, currentOdds: 0.5 };
 
-      const market = data[0];
-      const outcomes = market.markets || [];
-      
-      // Find the main YES market
-      const yesMarket = outcomes.find(m => 
-        m.outcome?.toLowerCase() === "yes" || 
-        m.groupItemTitle?.toLowerCase().includes("yes")
-      );
-      
-      if (!yesMarket) return { drift: 0, currentOdds: 0.5 };
-      
-      const currentOdds = parseFloat(yesMarket.outcomePrices?.[0] || 0.5);
-      
-      // Would need historical data to calculate drift
-      // For now, return current odds
+      // Drift from the recorder history (npm run record), per hour over the last hour
+      const change = new TimeSeriesStore().getPriceChange(marketSlug, 60 * 60 * 1000, Date.now(), market.upToken);
       return {
-        drift: 0, // Would calculate from history
-        currentOdds,
+        drift: change && change.hours > 0 ? change.change / change.hours : 0,
+        currentOdds: market.upPrice ?? 0.5,
+        outcomeId: market.outcomeId || market.primaryOutcome || null,
       };
     } catch (e) {
       return { drift: 0, currentOdds: 0.5 };
     }
   }
 
-  /**
-   * Calculate Kelly-adjusted position size
-   */
-  calculatePositionSize(probability, volatility = 0.2) {
-    // Kelly formula: f = (p * b - q) / b
-    // Where p = probability, b = odds, q = 1-p
-    // Simplified: f = (mu / sigma^2) * adjustment
-    
-    const edge = probability - 0.5;
-    const kellyFraction = Math.abs(edge) / Math.pow(volatility, 2);
-    
-    // Apply 0.25 adjustment per spec
-    const adjustedKelly = kellyFraction * 0.25;
-    
-    // Capital = $500, max position = $8
-    const capital = 500;
-    const maxPosition = 8;
-    
-    const positionSize = Math.min(adjustedKelly * capital, maxPosition);
-    
-    return {
-      kellyFraction,
-      adjustedKelly,
-      positionSize: Math.max(1, positionSize), // Min $1
-    };
-  }
-
   /**
    * Main analysis
    */
-  async analyze(marketSlug) {
+  async analyze(marketSlug, marketData = null) {
     console.log(`\n📊 ${this.name}: Analyzing ${marketSlug}...`);
 
     this.checkDependencies();
@@ -416,7 +373,7 @@ class DemNomSentimentGasAccelStrategy {
     const [sentiment, gas, odds] = await Promise.all([
       this.getSentiment(),
       this.getGasActivity(),
-      this.getOddsDrift(marketSlug),
+      this.getOddsDrift(marketSlug, marketData),
     ]);
 
     console.log(`   Sentiment: ${(sentiment.score * 100).toFixed(0)}% | Vel: ${sentiment.velocity.toFixed(3)}/h | Accel: ${sentiment.acceleration.toFixed(3)}/h²`);
@@ -442,10 +399,8 @@ class DemNomSentimentGasAccelStrategy {
     if (sentAccelHigh && (gasClusterHigh || gas.spike) && lstm.probability > 0.65) {
       // Direction: contrarian to current odds when sentiment leading
       const direction = sentiment.velocity > 0 ? "UP" : "DOWN";
-      const posSize = this.calculatePositionSize(lstm.probability);
-
       console.log(`   🎯 SIGNAL: Enter ${direction} (contrarian to odds)`);
-      console.log(`   Position: $${posSize.positionSize.toFixed(2)} (Kelly: ${(posSize.adjustedKelly * 100).toFixed(1)}%)`);
+      console.log(`   Sizing: fractional Kelly at ${(lstm.probability * 100).toFixed(1)}% (max $${MAX_POSITION})`);
 
       this.saveState();
 
@@ -458,7 +413,10 @@ class DemNomSentimentGasAccelStrategy {
           reason: `Sent accel ${sentiment.acceleration.toFixed(2)}/h² + gas ${gas.spike ? "spike" : "cluster"} → LSTM ${(lstm.probability*100).toFixed(0)}%`,
         },
         reason: `Sentiment-gas acceleration signal (${(lstm.probability*100).toFixed(0)}% prob)`,
-        data: { sentiment, gas, odds, lstm, posSize },
+        // Kelly sur le prix payé, calculé par l'arène sur l'equity du book
+        sizing: { model: "kelly", probability: lstm.probability },
+        sizeHint: MAX_POSITION,
+        data: { sentiment, gas, odds, lstm },
       };
     }
 
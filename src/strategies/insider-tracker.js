@@ -8,18 +8,16 @@
  * - Delayed entry pour éviter front-running
  */
 
-const config = require("../config");
-const fs = require("fs");
-const path = require("path");
+const { openDocument } = require("../storage");
+const WhaleRegistry = require("../whales/registry");
 
-const CACHE_FILE = path.join(__dirname, "../../data/insider-cache.json");
-
-// Known whales to EXCLUDE (we want NEW wallets)
-const KNOWN_WHALES = new Set(Object.keys(config.WHALES));
+const CACHE_FILE = "insider-cache.json";
 
 class InsiderTracker {
   constructor() {
     this.cache = this.loadCache();
+    // Whales du registre à EXCLURE (we want NEW wallets)
+    this.knownWhales = new Set(new WhaleRegistry().addresses());
     this.minBetSize = 10000; // $10k minimum
     this.clusterThreshold = 3; // 3+ wallets = cluster
     this.delayMinutes = 5; // Wait 5min before entry
@@ -27,9 +25,8 @@ class InsiderTracker {
 
   loadCache() {
     try {
-      if (fs.existsSync(CACHE_FILE)) {
-        return JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
-      }
+      const data = openDocument(CACHE_FILE).load();
+      if (data) return data;
     } catch (e) {}
     return { 
       trackedMarkets: {},
@@ -39,9 +36,7 @@ class InsiderTracker {
   }
 
   saveCache() {
-    const dir = path.dirname(CACHE_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(this.cache, null, 2));
+    openDocument(CACHE_FILE).save(this.cache);
   }
 
   /**
@@ -96,7 +91,7 @@ class InsiderTracker {
       if (!wallet) continue;
       
       // Skip known whales
-      if (KNOWN_WHALES.has(wallet)) continue;
+      if (this.knownWhales.has(wallet)) continue;
       
       const size = Math.abs(trade.usdcSize || trade.size || 0);
       if (size < this.minBetSize) continue;
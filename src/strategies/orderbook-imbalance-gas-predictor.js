@@ -12,20 +12,20 @@
  *
  * Entry: imbalance > 0.15 && gas_spike > 2, confirm with volume surge > 20% 1h MA
  * Exit: imbalance reverts < 0.05 or profit >5% or time_decay >24h
- * Risk: Kelly frac = (edge/vol^2)*0.25 adj, max 0.5% capital (.5), portfolio DD cap 2%
+ * Risk: volatility-targeted size on the market's ATR (src/sizing.js), max 0.5% capital, portfolio DD cap 2%
  * =============================================================================
  */
 
-const fs = require("fs");
-const path = require("path");
 const config = require("../config");
+const { openDocument } = require("../storage");
 
-const STATE_FILE = path.join(__dirname, "../../data/orderbook-imbalance-gas-predictor-state.json");
+const STATE_FILE = "orderbook-imbalance-gas-predictor-state.json";
 
 class OrderbookImbalanceGasPredictorStrategy {
   constructor() {
     this.name = "orderbook_imbalance_gas_predictor";
     this.description = "Detects orderbook imbalances correlated with gas spikes to predict market movements";
+    this.resultAdapter = "capital"; // analyze(marketSlug, capital): equity du book (src/strategy-result.js)
 
     // Strategy parameters
     this.params = {
@@ -43,13 +43,29 @@ class OrderbookImbalanceGasPredictorStrategy {
 
     // State management
     this.state = this.loadState();
+
+    // Sortie évaluée par l'arène à chaque cycle sur nos trades ouverts (src/exit-rules.js)
+    this.exitRules = [
+      {
+        name: "imbalance_exit",
+        check: (trade, context) => {
+          const last = this.state.imbalanceHistory[this.state.imbalanceHistory.length - 1];
+          const position = { direction: "LONG", entryPrice: context.entryPrice, entryTime: trade.timestamp };
+          const { shouldExit, reason } = this.checkExitConditions(
+            position,
+            last ? last.smoothed : this.params.imbalanceThreshold,
+            context.price
+          );
+          return shouldExit ? { reason } : null;
+        },
+      },
+    ];
   }
 
   loadState() {
     try {
-      if (fs.existsSync(STATE_FILE)) {
-        return JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
-      }
+      const data = openDocument(STATE_FILE).load();
+      if (data) return data;
     } catch (e) {
       console.error(`Failed to load state: ${e.message}`);
     }
@@ -65,10 +81,8 @@ class OrderbookImbalanceGasPredictorStrategy {
   }
 
   saveState() {
-    const dir = path.dirname(STATE_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
     this.state.lastRun = Date.now();
-    fs.writeFileSync(STATE_FILE, JSON.stringify(this.state, null, 2));
+    openDocument(STATE_FILE).save(this.state);
   }
 
   checkDependencies() {
@@ -294,24 +308,9 @@ class OrderbookImbalanceGasPredictorStrategy {
     return { surge, avgVolume, isSurge };
   }
 
-  /**
-   * Calculate Kelly fraction for position sizing
-   */
-  calculateKellyFraction(edge, volatility) {
-    if (volatility === 0) return 0;
-
-    // Kelly fraction = edge / variance
-    const kellyFrac = edge / Math.pow(volatility, 2);
-
-    // Apply 0.25 adjustment for safety (quarter Kelly)
-    const adjustedKelly = kellyFrac * 0.25;
-
-    // Cap at max position size
-    return Math.min(Math.max(adjustedKelly, 0), this.params.maxCapitalPct);
-  }
-
   /**
    * Check exit conditions for existing positions
+   * (position = token détenu: LONG, profit sur son prix)
    */
   checkExitConditions(position, currentImbalance, currentPrice) {
     const age = Date.now() - position.entryTime;
@@ -343,8 +342,9 @@ class OrderbookImbalanceGasPredictorStrategy {
 
   /**
    * Main analysis method
+   * @param {number} capital - Equity du book de la stratégie (cap de drawdown)
    */
-  async analyze(marketSlug, capital = 340) {
+  async analyze(marketSlug, capital = config.ANALYTICS.INITIAL_CAPITAL) {
     console.log(`\n📊 ${this.name}: Analyzing ${marketSlug}...`);
 
     if (!this.checkDependencies()) {
@@ -436,16 +436,11 @@ class OrderbookImbalanceGasPredictorStrategy {
 
       confidence = (imbalanceStrength + gasStrength + volumeStrength) / 3;
 
-      // Calculate position size using Kelly criterion
-      const edge = Math.abs(smoothedImbalance); // Estimated edge from imbalance
-      const volatility = gasStats.stdDev / gasStats.avg; // Use gas volatility as proxy
-      const kellyFraction = this.calculateKellyFraction(edge, volatility);
-
       console.log(`   ✅ Entry signal detected!`);
       console.log(`   Direction: ${direction}`);
       console.log(`   Score: ${(score * 100).toFixed(1)}%`);
       console.log(`   Confidence: ${(confidence * 100).toFixed(1)}%`);
-      console.log(`   Kelly fraction: ${(kellyFraction * 100).toFixed(2)}%`);
+      console.log(`   Sizing: volatility target (max ${(this.params.maxCapitalPct * 100).toFixed(1)}% capital)`);
 
       this.saveState();
 
@@ -458,11 +453,12 @@ class OrderbookImbalanceGasPredictorStrategy {
           reason: `Imbalance ${(smoothedImbalance * 100).toFixed(1)}% + Gas spike ${gasStats.zScore.toFixed(1)}σ + Volume surge ${(surge * 100).toFixed(1)}%`,
         },
         reason: `Entry: ${direction} on correlated signals`,
+        // Taille calculée par l'arène sur l'ATR du marché et l'equity du book
+        sizing: { model: "volatility", maxFraction: this.params.maxCapitalPct },
         data: {
           gasStats,
           imbalance: smoothedImbalance,
           volumeSurge: surge,
-          kellyFraction,
           entryConditions,
         },
       };
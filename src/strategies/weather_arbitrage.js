@@ -18,6 +18,7 @@ const strategy = {
   version: '1.0.0',
   description: 'Arbitrage between weather forecasts and Polymarket prices',
   type: 'creative',
+  resultAdapter: 'weather', // Legacy result format, see src/strategy-result.js
   
   // Configuration
   config: {
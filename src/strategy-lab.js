@@ -6,15 +6,14 @@
  * Logs predictions to track performance over time.
  */
 
-const fs = require("fs");
-const path = require("path");
 const BaselineStrategy = require("./strategies/baseline");
 const CreativeStrategy = require("./strategies/creative");
 const config = require("./config");
+const { openDocument } = require("./storage");
 
 console.log(`🤖 Whale Trader v${config.VERSION}`);
 
-const RESULTS_FILE = path.join(__dirname, "../data/strategy-results.json");
+const RESULTS_FILE = "strategy-results.json";
 
 class StrategyLab {
   constructor() {
@@ -25,17 +24,14 @@ class StrategyLab {
 
   loadResults() {
     try {
-      if (fs.existsSync(RESULTS_FILE)) {
-        return JSON.parse(fs.readFileSync(RESULTS_FILE, "utf8"));
-      }
+      const results = openDocument(RESULTS_FILE).load();
+      if (results) return results;
     } catch (e) {}
     return { predictions: [], summary: {} };
   }
 
   saveResults() {
-    const dir = path.dirname(RESULTS_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(RESULTS_FILE, JSON.stringify(this.results, null, 2));
+    openDocument(RESULTS_FILE).save(this.results);
   }
 
   async fetchMarketData(marketSlug) {
@@ -64,7 +60,7 @@ class StrategyLab {
     }
   }
 
-  async runComparison(marketSlug = "democratic-presidential-nominee-2028") {
+  async runComparison(marketSlug = config.DEFAULT_MARKET) {
     console.log("\n" + "═".repeat(60));
     console.log("🔬 STRATEGY LAB - Comparison");
     console.log("═".repeat(60));
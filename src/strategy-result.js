@@ -0,0 +1,300 @@
+/**
+ * STRATEGY RESULT SCHEMA
+ *
+ * Format unique (versionné) de ce que retourne une stratégie à l'arène:
+ *
+ * {
+ *   schemaVersion: 1,
+ *   strategy: "name",
+ *   action: "BUY_UP" | "BUY_DOWN" | "HOLD" | "EXIT",
+ *   outcomeId: null,        // Outcome ciblé (marchés multi-outcome), null = marché analysé
+ *   targetPrice: null,      // Prix max à payer (0-1), null = prix courant
+ *   sizeHint: null,         // Taille max souhaitée en $, null = sizing du risk manager
+ *   sizing: null,           // Modèle de sizing demandé (src/sizing.js), null = SIZING.DEFAULT_MODEL
+ *                           // ex: { model: "kelly", probability: 0.68 }, { model: "volatility" }
+ *   score: 0,               // -1 à 1 (négatif = bearish)
+ *   confidence: 0,          // 0 à 1
+ *   exitPlan: null,         // { takeProfitPct, stopLossPct, maxHoldHours, trailingStopPct,
+ *                           //   trailingActivationPct, breakEvenAfterPct, exitBeforeEndHours,
+ *                           //   scaleOut: [{ profitPct, fraction }] } (src/exit-rules.js)
+ *   reason: "",
+ *   diagnostics: {},        // Données brutes / debug, jamais interprétées
+ *   recommendation: { action, reason },  // Miroir de compatibilité
+ * }
+ *
+ * EXIT = fermer les positions paper de la stratégie sur ce marché/outcome.
+ *
+ * Les stratégies qui déclarent schemaVersion retournent ce format directement.
+ * Les autres passent par un adapter (resultAdapter, défaut "recommendation")
+ * choisi au chargement par StrategyArena.loadStrategies.
+ */
+
+const { MODELS: SIZING_MODELS } = require("./sizing");
+const { PLAN_KEYS: EXIT_PLAN_KEYS } = require("./exit-rules");
+
+const SCHEMA_VERSION = 1;
+const ACTIONS = ["BUY_UP", "BUY_DOWN", "HOLD", "EXIT"];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const isNumber = value => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Vérifie un résultat normalisé
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateResult(result) {
+  const errors = [];
+
+  if (!result || typeof result !== "object") {
+    return { valid: false, errors: ["result is not an object"] };
+  }
+  if (result.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${SCHEMA_VERSION}`);
+  }
+  if (!ACTIONS.includes(result.action)) {
+    errors.push(`unknown action: ${result.action}`);
+  }
+  if (!isNumber(result.score) || result.score < -1 || result.score > 1) {
+    errors.push("score must be a number in [-1, 1]");
+  }
+  if (!isNumber(result.confidence) || result.confidence < 0 || result.confidence > 1) {
+    errors.push("confidence must be a number in [0, 1]");
+  }
+  if (result.outcomeId !== null && typeof result.outcomeId !== "string") {
+    errors.push("outcomeId must be a string or null");
+  }
+  if (result.targetPrice !== null && !(isNumber(result.targetPrice) && result.targetPrice > 0 && result.targetPrice < 1)) {
+    errors.push("targetPrice must be in (0, 1) or null");
+  }
+  if (result.sizeHint !== null && !(isNumber(result.sizeHint) && result.sizeHint > 0)) {
+    errors.push("sizeHint must be a positive number or null");
+  }
+  if (result.sizing !== null) {
+    if (typeof result.sizing !== "object" || !SIZING_MODELS[result.sizing.model]) {
+      errors.push(`sizing.model must be one of ${Object.keys(SIZING_MODELS).join(", ")}`);
+    } else if (result.sizing.probability !== undefined
+      && !(isNumber(result.sizing.probability) && result.sizing.probability >= 0 && result.sizing.probability <= 1)) {
+      errors.push("sizing.probability must be in [0, 1]");
+    }
+  }
+  if (result.exitPlan !== null) {
+    if (typeof result.exitPlan !== "object") {
+      errors.push("exitPlan must be an object or null");
+    } else {
+      for (const key of EXIT_PLAN_KEYS.filter(k => k !== "scaleOut")) {
+        const value = result.exitPlan[key];
+        if (value !== undefined && value !== null && !(isNumber(value) && value > 0)) {
+          errors.push(`exitPlan.${key} must be a positive number`);
+        }
+      }
+      const scaleOut = result.exitPlan.scaleOut;
+      if (scaleOut !== undefined && scaleOut !== null && !(Array.isArray(scaleOut) && scaleOut.every(t =>
+        isNumber(t?.profitPct) && t.profitPct > 0 && isNumber(t.fraction) && t.fraction > 0 && t.fraction <= 1))) {
+        errors.push("exitPlan.scaleOut must be a list of { profitPct > 0, fraction in (0, 1] }");
+      }
+    }
+  }
+  if (typeof result.reason !== "string") {
+    errors.push("reason must be a string");
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Complète un résultat partiel avec les valeurs par défaut du schéma.
+ * Les champs inconnus (ex: signals du baseline) sont conservés.
+ */
+function buildResult(fields) {
+  const action = fields.action || "HOLD";
+  const reason = fields.reason || "";
+  return {
+    ...fields,
+    schemaVersion: SCHEMA_VERSION,
+    strategy: fields.strategy || null,
+    action,
+    outcomeId: fields.outcomeId ?? null,
+    targetPrice: fields.targetPrice ?? null,
+    sizeHint: fields.sizeHint ?? null,
+    sizing: fields.sizing ?? null,
+    score: fields.score ?? 0,
+    confidence: fields.confidence ?? 0,
+    exitPlan: fields.exitPlan ?? null,
+    reason,
+    diagnostics: fields.diagnostics || {},
+    recommendation: { action, reason },
+  };
+}
+
+// ============================================
+// Adapters des formats legacy
+// ============================================
+
+/**
+ * { strategy, score, confidence, recommendation: { action, reason }, reason }
+ * (baseline, stratégies générées depuis TEMPLATE.js, variantes creative)
+ */
+function fromRecommendation(raw) {
+  const { recommendation, ...rest } = raw || {};
+  return buildResult({
+    ...rest,
+    action: recommendation?.action,
+    reason: rest.reason || recommendation?.reason,
+    score: isNumber(rest.score) ? clamp(rest.score, -1, 1) : 0,
+    confidence: isNumber(rest.confidence) ? clamp(rest.confidence, 0, 1) : 0,
+  });
+}
+
+/**
+ * weather_arbitrage: { action: BUY_YES|BUY_NO|TAKE_PROFIT|HOLD, score (edge en %), signal, metadata }
+ * signal.outcome = nom de la tranche de température → outcomeId du marché
+ */
+function fromWeather(raw, { marketData, instance }) {
+  const signal = raw?.signal || {};
+  const outcome = (marketData?.outcomes || []).find(o => o.name === signal.outcome);
+  const edge = clamp((signal.edge ?? raw?.score ?? 0) / 100, 0, 1);
+  const actions = { BUY_YES: "BUY_UP", BUY_NO: "BUY_DOWN", TAKE_PROFIT: "EXIT", HOLD: "HOLD" };
+  const action = actions[raw?.action];
+  const diagnostics = { legacyAction: raw?.action, signal: raw?.signal, metadata: raw?.metadata };
+
+  if (!action) {
+    return buildResult({ action: "HOLD", reason: `Unsupported weather action: ${raw?.action}`, diagnostics });
+  }
+  if (action !== "HOLD" && !outcome) {
+    return buildResult({ action: "HOLD", reason: `Unknown outcome: ${signal.outcome}`, diagnostics });
+  }
+
+  const exitThreshold = instance?.config?.exitThreshold;
+  return buildResult({
+    action,
+    outcomeId: outcome?.id || null,
+    targetPrice: action === "BUY_UP" ? instance?.config?.entryThreshold ?? null : null,
+    sizeHint: instance?.config?.maxPositionSize ?? null,
+    score: action === "BUY_DOWN" ? -edge : edge,
+    confidence: isNumber(signal.confidence) ? clamp(signal.confidence, 0, 1) : 0.5,
+    exitPlan: action === "BUY_UP" && exitThreshold && signal.price > 0
+      ? { takeProfitPct: exitThreshold / signal.price - 1 }
+      : null,
+    reason: signal.reason || raw?.reason,
+    diagnostics,
+  });
+}
+
+/**
+ * cross-exchange-arb: recommendation.action "ARB" + opportunity { buyExchange, sellExchange, buyData, sellData }
+ * Seule la jambe Polymarket est exécutable ici, et seulement si elle porte
+ * sur le marché analysé; sinon HOLD avec la raison en diagnostics.
+ */
+function fromArb(raw, { marketSlug }) {
+  if (raw?.recommendation?.action !== "ARB") return fromRecommendation(raw);
+
+  const { opportunity, positionSize } = raw;
+  const diagnostics = { legacyAction: "ARB", opportunity };
+  let action = null;
+  if (opportunity?.buyExchange === "polymarket" && opportunity.buyData?.slug === marketSlug) action = "BUY_UP";
+  if (opportunity?.sellExchange === "polymarket" && opportunity.sellData?.slug === marketSlug) action = "BUY_DOWN";
+
+  if (!action) {
+    return buildResult({
+      strategy: raw.strategy,
+      action: "HOLD",
+      score: 0,
+      confidence: 0,
+      reason: `Arb not executable on ${marketSlug}: ${raw.recommendation.reason}`,
+      diagnostics,
+    });
+  }
+
+  return buildResult({
+    strategy: raw.strategy,
+    action,
+    targetPrice: action === "BUY_UP" ? opportunity.buyPrice : 1 - opportunity.sellPrice,
+    sizeHint: positionSize > 0 ? positionSize : null,
+    score: clamp(action === "BUY_UP" ? raw.score : -raw.score, -1, 1),
+    confidence: clamp(raw.confidence ?? 0, 0, 1),
+    reason: raw.reason || raw.recommendation.reason,
+    diagnostics,
+  });
+}
+
+/**
+ * call: appelle analyze() avec la signature attendue par la stratégie
+ *       (context: { capital } = equity du book de la stratégie, src/portfolio.js)
+ * normalize: format legacy → schéma v1
+ */
+const ADAPTERS = {
+  native: {
+    call: (instance, marketSlug, marketData, signals) => instance.analyze(marketSlug, marketData, signals),
+    normalize: raw => buildResult(raw || {}),
+  },
+  recommendation: {
+    call: (instance, marketSlug, marketData, signals) => instance.analyze(marketSlug, marketData, signals),
+    normalize: fromRecommendation,
+  },
+  weather: {
+    // analyze(market) attend { title, outcomes: [{ name, price }] }
+    call: (instance, marketSlug, marketData) => instance.analyze({
+      slug: marketSlug,
+      title: marketData?.title,
+      question: marketData?.question,
+      outcomes: (marketData?.outcomes || []).map(o => ({ id: o.id, name: o.name, price: o.yesPrice })),
+    }),
+    normalize: fromWeather,
+  },
+  arb: {
+    call: (instance, marketSlug, marketData, signals, context = {}) => instance.analyze(marketSlug, context.capital),
+    normalize: fromArb,
+  },
+  // Format recommendation, analyze(marketSlug, capital) avec l'equity du book
+  capital: {
+    call: (instance, marketSlug, marketData, signals, context = {}) => instance.analyze(marketSlug, context.capital),
+    normalize: fromRecommendation,
+  },
+};
+
+/**
+ * Choisit l'adapter d'une stratégie au chargement
+ * @throws si schemaVersion ou resultAdapter inconnus
+ */
+function selectAdapter(instance) {
+  if (instance.schemaVersion !== undefined) {
+    if (instance.schemaVersion !== SCHEMA_VERSION) {
+      throw new Error(`Unsupported result schemaVersion ${instance.schemaVersion} (expected ${SCHEMA_VERSION})`);
+    }
+    return "native";
+  }
+  const adapter = instance.resultAdapter || "recommendation";
+  if (!ADAPTERS[adapter]) throw new Error(`Unknown result adapter: ${adapter}`);
+  return adapter;
+}
+
+/**
+ * Normalise puis valide un résultat brut.
+ * Un résultat invalide devient HOLD (avec les erreurs en diagnostics)
+ * plutôt que d'être exécuté à moitié.
+ */
+function normalizeResult(raw, adapter, context = {}) {
+  const result = ADAPTERS[adapter].normalize(raw, context);
+  result.strategy = context.strategy || result.strategy;
+
+  const validation = validateResult(result);
+  if (validation.valid) return result;
+
+  console.warn(`   ⚠️  ${result.strategy}: invalid result (${validation.errors.join("; ")}) → HOLD`);
+  return buildResult({
+    strategy: result.strategy,
+    action: "HOLD",
+    reason: "Invalid strategy result",
+    diagnostics: { errors: validation.errors, raw },
+  });
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  ACTIONS,
+  ADAPTERS,
+  validateResult,
+  buildResult,
+  selectAdapter,
+  normalizeResult,
+};
@@ -3,60 +3,42 @@
  * Analyzes historical trades to suggest optimal TP per strategy
  */
 
-const fs = require('fs');
-const path = require('path');
-
-const TRADES_PATH = path.join(__dirname, '../../data/paper-trades.json');
+const PaperTrader = require('../paper-trader');
+const PerformanceAnalytics = require('../analytics');
+const { openDocument } = require('../storage');
 
 function loadTrades() {
-  const data = JSON.parse(fs.readFileSync(TRADES_PATH, 'utf8'));
-  return data.trades.filter(t => t.status === 'closed' && t.outcome);
+  const trades = openDocument('paper-trades.json');
+  const data = trades.load();
+  if (!data) throw new Error(`No paper trades in ${trades.file}`);
+  return data.trades.filter(t => t.status === 'closed');
 }
 
 function analyzeByStrategy(trades) {
+  // Win rate & PnL from the analytics module (same numbers as arena, ensemble, dashboard)
+  const paper = new PaperTrader({ persist: false });
+  const report = new PerformanceAnalytics({ paper, trades }).report();
   const stats = {};
-  
-  for (const trade of trades) {
-    const strat = trade.strategy;
-    if (!stats[strat]) {
-      stats[strat] = {
-        trades: 0,
-        wins: 0,
-        losses: 0,
-        totalPnl: 0,
-        avgEntryPrice: 0,
-        avgConfidence: 0,
-        totalSize: 0,
-        winPnls: [],
-        lossPnls: [],
-      };
-    }
-    
-    stats[strat].trades++;
-    stats[strat].totalPnl += trade.pnl || 0;
-    stats[strat].avgEntryPrice += trade.entryPrice;
-    stats[strat].avgConfidence += trade.confidence || 0;
-    stats[strat].totalSize += trade.size;
-    
-    if (trade.outcome === 'WIN') {
-      stats[strat].wins++;
-      stats[strat].winPnls.push(trade.pnl);
-    } else {
-      stats[strat].losses++;
-      stats[strat].lossPnls.push(trade.pnl);
-    }
+
+  for (const [strat, m] of Object.entries(report.strategies)) {
+    const group = trades.filter(t => paper.strategyKey(t) === strat);
+    stats[strat] = {
+      trades: m.closedTrades,
+      wins: m.wins,
+      losses: m.losses,
+      winRate: m.winRate,
+      totalPnl: m.realizedPnL,
+      avgWinPnl: m.avgWin,
+      avgLossPnl: m.avgLoss,
+      avgEntryPrice: group.reduce((sum, t) => sum + t.entryPrice, 0) / group.length,
+      avgConfidence: group.reduce((sum, t) => sum + (t.confidence || 0), 0) / group.length,
+      avgTradeSize: group.reduce((sum, t) => sum + t.size, 0) / group.length,
+    };
   }
-  
-  // Calculate averages and metrics
+
   for (const strat of Object.keys(stats)) {
     const s = stats[strat];
-    s.winRate = s.trades > 0 ? (s.wins / s.trades) : 0;
-    s.avgEntryPrice /= s.trades;
-    s.avgConfidence /= s.trades;
-    s.avgTradeSize = s.totalSize / s.trades;
-    s.avgWinPnl = s.winPnls.length > 0 ? s.winPnls.reduce((a,b) => a+b, 0) / s.winPnls.length : 0;
-    s.avgLossPnl = s.lossPnls.length > 0 ? s.lossPnls.reduce((a,b) => a+b, 0) / s.lossPnls.length : 0;
-    
+
     // Calculate suggested TP based on win rate and avg win size
     // Higher win rate → can use tighter TP (secure gains faster)
     // Lower win rate → need wider TP (let winners run)
@@ -157,10 +139,10 @@ function main() {
   }
   console.log('};');
   
-  // Save config to file
-  const configPath = path.join(__dirname, '../../data/strategy-targets.json');
-  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-  console.log(`\n✅ Config saved to ${configPath}`);
+  // Save config (read by paper-trader.js)
+  const targets = openDocument('strategy-targets.json');
+  targets.save(config);
+  console.log(`\n✅ Config saved to ${targets.file}`);
 }
 
 main();
@@ -18,7 +18,7 @@ const THRESHOLDS = {
 
 /**
  * Valide un trade avant exécution
- * @param {Object} trade - {action, score, confidence}
+ * @param {Object} trade - {action, score, confidence, targetPrice?}
  * @param {Object} market - {upPrice, downPrice, expiresAt, spread?}
  * @returns {Object} {valid, checks, reason}
  */
@@ -48,6 +48,9 @@ function validate(trade, market) {
     
     // Liquidité suffisante (si spread disponible)
     liquidEnough: !market.spread || market.spread <= THRESHOLDS.MAX_SPREAD,
+
+    // Prix max demandé par la stratégie (schéma v1)
+    underTarget: !trade.targetPrice || price <= trade.targetPrice,
   };
   
   const failedChecks = Object.entries(checks)
@@ -2,131 +2,72 @@
  * Whale-Enhanced Polymarket Trader
  */
 
-const { ClobClient } = require("@polymarket/clob-client");
-const { Wallet } = require("ethers");
-const fs = require("fs");
-const path = require("path");
 const config = require("./config");
 const SignalAggregator = require("./signals");
 const PositionManager = require("./position-manager");
+const OrderTracker = require("./order-tracker");
+const Reconciler = require("./reconcile");
 const PaperTrader = require("./paper-trader");
 const CreativeStrategy = require("./strategies/creative");
+const { fetchMarket } = require("./lib/gamma");
+const { createExchange } = require("./exchange");
+const { resolveOutcome, getOutcome } = require("./lib/outcomes");
+const { positionSize } = require("./sizing");
+const Portfolio = require("./portfolio");
+
+// Exchange simulé (--sim): positions et ordres suivis à part, comme sim-exchange.json
+const SIM_POSITIONS_FILE = "sim-positions.json";
+const SIM_ORDERS_FILE = "sim-orders.json";
 
 class WhaleTrader {
-  constructor() {
-    this.privateKey = this.loadPrivateKey();
-    this.wallet = new Wallet(this.privateKey);
-    this.client = null;
+  /**
+   * @param {object} options
+   * @param {ExchangeAdapter} options.exchange - Défaut: createExchange() (config.EXCHANGE.MODE)
+   * @param {PositionManager} options.positions - Défaut: data/positions.json (sim-positions.json sur l'exchange simulé)
+   * @param {OrderTracker} options.orders - Défaut: suivi persisté comme les positions (sim-orders.json sur l'exchange simulé)
+   * @param {PaperTrader} options.paper
+   * @param {Portfolio} options.portfolio - Equity du wallet (défaut: solde + positions de this.exchange)
+   */
+  constructor(options = {}) {
+    this.exchange = options.exchange || createExchange();
     this.signals = new SignalAggregator();
-    this.positions = new PositionManager();
-    this.paper = new PaperTrader();
+    const simulated = this.exchange.name === "simulated";
+    this.positions = options.positions || new PositionManager(simulated ? { file: SIM_POSITIONS_FILE } : {});
+    this.orders = options.orders || new OrderTracker({
+      positions: this.positions,
+      persist: this.positions.persist,
+      file: simulated ? SIM_ORDERS_FILE : undefined,
+    });
+    this.paper = options.paper || new PaperTrader();
+    this.portfolio = options.portfolio || new Portfolio({ exchange: this.exchange, paper: this.paper });
     this.creative = new CreativeStrategy();
   }
 
-  loadPrivateKey() {
-    const secretsPath = path.join(process.env.HOME, ".config/clawd/secrets.env");
-    const content = fs.readFileSync(secretsPath, "utf8");
-    const match = content.match(/POLYMARKET_PRIVATE_KEY="?(0x[a-fA-F0-9]+)"?/);
-    if (!match) throw new Error("No private key found in secrets.env");
-    return match[1];
-  }
-
   async initialize() {
     console.log(`🐋 Whale Trader v${config.VERSION}`);
-    console.log(`💼 Wallet: ${this.wallet.address}`);
-    
-    const tempClient = new ClobClient(config.CLOB_HOST, config.CHAIN_ID, this.wallet);
-    const apiCreds = await tempClient.createOrDeriveApiKey();
-    
-    this.client = new ClobClient(
-      config.CLOB_HOST,
-      config.CHAIN_ID,
-      this.wallet,
-      apiCreds,
-      0,
-      this.wallet.address
-    );
-    
-    console.log("✅ Connected to Polymarket CLOB\n");
+
+    await this.exchange.connect();
+
+    if (this.exchange.name === "polymarket") {
+      console.log(`💼 Wallet: ${this.exchange.address}`);
+      console.log("✅ Connected to Polymarket CLOB\n");
+    } else {
+      console.log(`🧪 Exchange: ${this.exchange.name} (no wallet)\n`);
+    }
     return true;
   }
 
-  async getMarket(slug) {
-    try {
-      // Try events endpoint first
-      const resp = await fetch(`${config.GAMMA_HOST}/events?slug=${slug}`);
-      const events = await resp.json();
-      
-      if (events?.length) {
-        const event = events[0];
-        const market = event.markets[0];
-        
-        const prices = JSON.parse(market.outcomePrices);
-        const tokens = JSON.parse(market.clobTokenIds);
-        
-        return {
-          title: event.title,
-          slug: event.slug,
-          endDate: event.endDate,
-          upPrice: parseFloat(prices[0]),
-          downPrice: parseFloat(prices[1]),
-          upToken: tokens[0],
-          downToken: tokens[1],
-          liquidity: event.liquidity,
-          volume: event.volume,
-        };
-      }
-      
-      // Fallback: try markets endpoint (for individual markets not tied to events)
-      const mResp = await fetch(`${config.GAMMA_HOST}/markets?slug=${slug}`);
-      const markets = await mResp.json();
-      
-      if (markets?.length) {
-        const market = markets[0];
-        const prices = JSON.parse(market.outcomePrices);
-        const tokens = JSON.parse(market.clobTokenIds);
-        
-        return {
-          title: market.question,
-          slug: market.slug,
-          endDate: market.endDate,
-          upPrice: parseFloat(prices[0]),
-          downPrice: parseFloat(prices[1]),
-          upToken: tokens[0],
-          downToken: tokens[1],
-          liquidity: parseFloat(market.liquidity || 0),
-          volume: parseFloat(market.volume || 0),
-        };
-      }
-      
-      return null;
-    } catch (e) {
-      console.error(`Failed to fetch market: ${e.message}`);
-      return null;
-    }
+  /**
+   * Relit positions et ordres suivis depuis le disque (daemon: un
+   * `reconcile --repair` lancé à côté a pu les modifier)
+   */
+  refresh() {
+    if (this.positions.persist) this.positions.positions = this.positions.loadPositions();
+    if (this.orders.persist) this.orders.orders = this.orders.load();
   }
 
-  calculatePositionSize(edge, confidence, bankroll) {
-    // Kelly Criterion: f* = (bp - q) / b
-    // where b = odds, p = probability of winning, q = 1-p
-    
-    // Estimate win probability from edge
-    const winProb = 0.5 + edge / 2;
-    const loseProb = 1 - winProb;
-    
-    // Simplified odds (assuming fair-ish market)
-    const odds = 1;
-    
-    const kellyFraction = (odds * winProb - loseProb) / odds;
-    
-    // Apply safety factor and cap
-    let betFraction = kellyFraction * config.KELLY_FRACTION * confidence;
-    betFraction = Math.max(0, Math.min(betFraction, config.MAX_KELLY_BET));
-    
-    const betSize = bankroll * betFraction;
-    
-    // Cap at max position size
-    return Math.min(betSize, config.MAX_POSITION_SIZE);
+  async getMarket(slug) {
+    return fetchMarket(slug);
   }
 
   async placeOrder(tokenId, side, price, size, marketSlug) {
@@ -141,32 +82,42 @@ class WhaleTrader {
       console.log(`   Market: ${(price * 100).toFixed(1)}% → Exec: ${(execPrice * 100).toFixed(1)}% (+${(config.PRICE_SLIPPAGE * 100).toFixed(0)}% slippage)`);
       
       const shares = Math.floor(size / execPrice);
-      const order = await this.client.createAndPostOrder({
-        tokenID: tokenId,
+      const params = {
+        tokenId,
         side: "BUY",
         price: execPrice,
         size: shares,
-      });
+        outcome: side,
+        market: marketSlug,
+      };
+      const order = await this.exchange.placeOrder(params);
       
+      if (order.blocked) {
+        return order; // Refusé par l'execution guard (déjà loggé)
+      }
+
       if (order.success) {
-        console.log(`✅ Order placed! ID: ${order.orderID}`);
+        console.log(`✅ Order placed! ID: ${order.orderId} (${order.status})`);
         
         // Calculate targets
         const takeProfit = config.TAKE_PROFIT_PRICE || price * (1 + config.TAKE_PROFIT_PCT);
         const stopLoss = config.STOP_LOSS_PRICE || price * (1 - config.STOP_LOSS_PCT);
         
-        // Record position with targets
-        this.positions.addPosition({
+        // Position "pending": shares et prix moyen viennent des fills (OrderTracker)
+        const position = this.positions.addPosition({
           market: marketSlug,
           side,
           tokenId,
           entryPrice: price,
-          size: shares,
-          costBasis: size,
+          size: 0,
+          orderedSize: shares,
+          costBasis: 0,
           takeProfit,
           stopLoss,
-          orderId: order.orderID,
+          orderId: order.orderId,
+          status: "pending",
         });
+        this.orders.track(params, order, { positionId: position.id, purpose: "entry" });
         
         return order;
       } else {
@@ -190,10 +141,10 @@ class WhaleTrader {
 
     console.log("\n👀 Checking position targets...");
     
-    const exits = await this.positions.checkAndExit(currentPrices);
+    const exits = await this.positions.checkAndExit(currentPrices, market.slug, { endDate: market.endDate });
     
     if (exits.length > 0) {
-      const results = await this.positions.executeExits(exits, this.client);
+      const results = await this.positions.executeExits(exits, this.exchange, this.orders);
       return results;
     }
     
@@ -201,7 +152,7 @@ class WhaleTrader {
     const summary = this.positions.getSummary();
     if (summary.totalOpen > 0) {
       console.log(`\n📊 Open positions: ${summary.totalOpen}`);
-      for (const pos of summary.open) {
+      for (const pos of summary.open.filter(p => !market.slug || p.market === market.slug)) {
         const current = currentPrices[pos.side.toLowerCase()];
         const pnl = ((current - pos.entryPrice) / pos.entryPrice * 100).toFixed(1);
         const toTP = ((pos.takeProfit - current) / current * 100).toFixed(1);
@@ -214,33 +165,20 @@ class WhaleTrader {
   }
 
   formatSignalReport(analysis) {
-    const { signals, finalScore, finalConfidence, recommendation } = analysis;
-    
+    const { components, category, finalScore, finalConfidence, recommendation } = analysis;
+
     let report = "\n" + "═".repeat(60) + "\n";
     report += "📊 SIGNAL ANALYSIS\n";
     report += "═".repeat(60) + "\n\n";
 
-    // Whale consensus
-    report += `🐋 WHALE CONSENSUS (${(config.WEIGHTS.WHALE_CONSENSUS * 100)}%)\n`;
-    report += `   Score: ${(signals.whale.score * 100).toFixed(1)}%\n`;
-    report += `   Confidence: ${(signals.whale.confidence * 100).toFixed(0)}%\n`;
-    report += `   Details: ${signals.whale.details}\n\n`;
+    report += `🏷️  Category: ${category}\n\n`;
 
-    // Momentum
-    report += `📈 MOMENTUM (${(config.WEIGHTS.MOMENTUM * 100)}%)\n`;
-    report += `   Score: ${(signals.momentum.score * 100).toFixed(1)}%\n`;
-    report += `   5m: ${signals.momentum.m5} | 15m: ${signals.momentum.m15}\n`;
-    report += `   1h: ${signals.momentum.m60} | 4h: ${signals.momentum.m240}\n\n`;
-
-    // Technicals
-    report += `📉 TECHNICALS (${(config.WEIGHTS.TECHNICALS * 100)}%)\n`;
-    report += `   Score: ${(signals.technicals.score * 100).toFixed(1)}%\n`;
-    report += `   ${signals.technicals.details}\n\n`;
-
-    // Sentiment
-    report += `😱 SENTIMENT (${(config.WEIGHTS.SENTIMENT * 100)}%)\n`;
-    report += `   Score: ${(signals.sentiment.score * 100).toFixed(1)}%\n`;
-    report += `   ${signals.sentiment.details}\n\n`;
+    // Une section par provider (src/signal-providers/)
+    for (const c of components) {
+      report += `${c.emoji} ${c.name} (${(c.weight * 100).toFixed(0)}%)\n`;
+      for (const line of c.lines) report += `   ${line}\n`;
+      report += "\n";
+    }
 
     // Final
     report += "─".repeat(60) + "\n";
@@ -253,7 +191,7 @@ class WhaleTrader {
     return report;
   }
 
-  async runTradingCycle(marketSlug = "democratic-presidential-nominee-2028") {
+  async runTradingCycle(marketSlug = config.DEFAULT_MARKET) {
     console.log("\n" + "═".repeat(60));
     console.log(`🕐 Trading Cycle - ${new Date().toLocaleTimeString()}`);
     console.log("═".repeat(60));
@@ -266,11 +204,14 @@ class WhaleTrader {
     }
 
     console.log(`\n📊 ${market.title}`);
+    if (market.negRisk) {
+      console.log(`   ${market.outcomes.length} outcomes - trading leader: ${getOutcome(market, market.primaryOutcome)?.name}`);
+    }
     console.log(`   UP: ${(market.upPrice * 100).toFixed(1)}% | DOWN: ${(market.downPrice * 100).toFixed(1)}%`);
     console.log(`   Liquidity: $${market.liquidity?.toLocaleString()}`);
 
-    // Get all signals
-    const analysis = await this.signals.getAllSignals("bitcoin");
+    // Get all signals (whale consensus on this market / leading outcome)
+    const analysis = await this.signals.getAllSignals(market);
     console.log(this.formatSignalReport(analysis));
 
     const { recommendation, finalScore, finalConfidence } = analysis;
@@ -298,39 +239,57 @@ class WhaleTrader {
       return { action: "HOLD", reason: "Insufficient edge vs market" };
     }
 
-    // Calculate position size (assume $340 bankroll for now)
-    const bankroll = 340;
-    const positionSize = this.calculatePositionSize(edge, finalConfidence, bankroll);
+    // Kelly sur le payout réel (prix → cote) et l'equity du wallet, plafonné au cash disponible
+    const wallet = await this.portfolio.refresh();
+    if (!wallet) {
+      console.log("\n⏸️ Wallet balance unavailable - no sizing possible");
+      return { action: "HOLD", reason: "Wallet balance unavailable" };
+    }
+    const sized = positionSize(
+      { model: "kelly", price: marketPrice, probability: ourEstimate, confidence: finalConfidence },
+      { equity: wallet.equity, cash: wallet.cash, maxSize: config.MAX_POSITION_SIZE },
+    );
+    const size = sized.size;
 
-    console.log(`   Position Size: $${positionSize.toFixed(2)} (Kelly-adjusted)`);
+    console.log(`   Bankroll: $${wallet.equity.toFixed(2)} ($${wallet.cash.toFixed(2)} USDC.e available)`);
+    console.log(`   Position Size: $${size.toFixed(2)} (${sized.details})`);
+
+    if (size < 1) {
+      console.log("\n⏸️ Position too small for the available balance");
+      return { action: "HOLD", reason: "Insufficient balance" };
+    }
 
     // Place REAL order (baseline)
     const tokenId = isUp ? market.upToken : market.downToken;
-    const order = await this.placeOrder(tokenId, isUp ? "UP" : "DOWN", marketPrice, positionSize, marketSlug);
+    const book = await this.exchange.getBook(tokenId).catch(() => null);
+    const order = await this.placeOrder(tokenId, isUp ? "UP" : "DOWN", marketPrice, size, marketSlug);
 
-    // Log real trade
-    if (order?.success) {
+    // Log real trade (aussi en paper si l'execution guard a bloqué l'ordre, ex: PAPER_ONLY)
+    if (order?.success || order?.blocked) {
       this.paper.logTrade({
         strategy: "baseline",
         isReal: false,  // ALL PAPER until explicit go-live
         market: marketSlug,
+        outcomeId: resolveOutcome(market),
+        outcomeName: getOutcome(market, resolveOutcome(market))?.name || null,
         action: recommendation.action,
         entryPrice: marketPrice,
-        size: positionSize,
+        size,
         score: finalScore,
         confidence: finalConfidence,
         reason: recommendation.reason,
+        book,
       });
     }
 
     // Also log PAPER trades for creative strategies
-    await this.logCreativePaperTrades(marketSlug, market, analysis, positionSize);
+    await this.logCreativePaperTrades(marketSlug, market, analysis, size);
 
     return {
       action: recommendation.action,
       order,
       edge,
-      size: positionSize,
+      size,
       market: market.title,
     };
   }
@@ -356,29 +315,52 @@ class WhaleTrader {
     const creativePrice = creativeResult.recommendation.action === "BUY_UP" 
       ? market.upPrice 
       : market.downPrice;
+    const creativeToken = creativeResult.recommendation.action === "BUY_UP"
+      ? market.upToken
+      : market.downToken;
+    const book = await this.exchange.getBook(creativeToken).catch(() => null);
 
     this.paper.logTrade({
       strategy: creativeResult.strategy,
       isReal: false,
       market: marketSlug,
+      outcomeId: resolveOutcome(market),
+      outcomeName: getOutcome(market, resolveOutcome(market))?.name || null,
       action: creativeResult.recommendation.action,
       entryPrice: creativePrice,
       size: realSize, // Same size as baseline for fair comparison
       score: creativeResult.score,
       confidence: creativeResult.confidence,
       reason: creativeResult.reason,
+      book,
     });
   }
 
   /**
-   * Check current on-chain positions
+   * Réconciliation avant cycle
+   * @returns {boolean} true si une dérive non corrigée subsiste
+   */
+  async checkReconciliation() {
+    try {
+      const reconciler = new Reconciler({ exchange: this.exchange, positions: this.positions, orders: this.orders, paper: this.paper });
+      const report = await reconciler.run({ repair: config.RECONCILE.AUTO_REPAIR });
+      if (report.ok) return false;
+
+      Reconciler.printReport(report);
+      // Ordres non suivis et trades paper: informatifs, ne bloquent pas
+      return report.issues.some(i => !i.repaired && !["untracked_order", "paper_phantom"].includes(i.type));
+    } catch (e) {
+      console.error(`⚠️ Reconciliation failed: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Check current positions on the exchange
    */
   async getOnChainPositions() {
     try {
-      const resp = await fetch(
-        `https://data-api.polymarket.com/positions?user=${this.wallet.address}`
-      );
-      return await resp.json();
+      return await this.exchange.getPositions();
     } catch (e) {
       console.error("Failed to fetch positions:", e.message);
       return [];
@@ -388,11 +370,17 @@ class WhaleTrader {
   /**
    * Full cycle: check exits first, then look for new entries
    */
-  async runFullCycle(marketSlug = "democratic-presidential-nominee-2028") {
+  async runFullCycle(marketSlug = config.DEFAULT_MARKET) {
     console.log("\n" + "═".repeat(60));
     console.log(`🕐 Full Trading Cycle - ${new Date().toLocaleTimeString()}`);
     console.log("═".repeat(60));
 
+    // Kill switch activé entre deux cycles: annuler les ordres et ne rien faire
+    if (await this.exchange.enforceKillSwitch?.()) {
+      console.log("\n🚨 Kill switch active - cycle skipped");
+      return { action: "HOLD", reason: "Kill switch active" };
+    }
+
     // Get market info
     const market = await this.getMarket(marketSlug);
     if (!market) {
@@ -403,6 +391,15 @@ class WhaleTrader {
     console.log(`\n📊 ${market.title}`);
     console.log(`   UP: ${(market.upPrice * 100).toFixed(1)}% | DOWN: ${(market.downPrice * 100).toFixed(1)}%`);
 
+    // Suivi des ordres: fills, annulations, ordres périmés
+    if (this.orders.active().length > 0) {
+      console.log(`\n📬 Polling ${this.orders.active().length} tracked order(s)...`);
+      await this.orders.poll(this.exchange);
+    }
+
+    // Local positions vs exchange: dérive = pas de nouvelle entrée
+    const drift = config.RECONCILE.PRE_CYCLE ? await this.checkReconciliation() : false;
+
     // Check on-chain positions
     const positions = await this.getOnChainPositions();
     const activePositions = positions.filter(p => p.currentValue > 1);
@@ -422,6 +419,11 @@ class WhaleTrader {
       return { action: "EXIT", exits: exitResults };
     }
 
+    if (drift && config.RECONCILE.BLOCK_ON_DRIFT) {
+      console.log("\n⚠️ Local state drifts from the exchange - no new trades (node src/index.js reconcile)");
+      return { action: "HOLD", reason: "Reconciliation drift" };
+    }
+
     // Check max positions limit
     if (activePositions.length >= config.MAX_OPEN_POSITIONS) {
       console.log(`\n⚠️ Max positions reached (${activePositions.length}/${config.MAX_OPEN_POSITIONS}). No new trades.`);
@@ -429,7 +431,7 @@ class WhaleTrader {
     }
 
     // Check for open orders (avoid spamming unfilled orders)
-    const openOrders = await this.client.getOpenOrders();
+    const openOrders = await this.exchange.getOpenOrders();
     if (openOrders && openOrders.length >= 2) {
       console.log(`\n⚠️ ${openOrders.length} ordres en attente. On attend qu'ils se remplissent.`);
       return { action: "HOLD", reason: "Open orders pending" };
@@ -439,10 +441,12 @@ class WhaleTrader {
     return this.runTradingCycle(marketSlug);
   }
 
-  async scanOnly() {
+  async scanOnly(marketSlug = config.DEFAULT_MARKET) {
     console.log("\n🔍 Signal Scan Mode (no trading)\n");
     
-    const analysis = await this.signals.getAllSignals("bitcoin");
+    const market = await this.getMarket(marketSlug);
+    if (!market) console.log(`⚠️  Market ${marketSlug} not found - whale consensus skipped`);
+    const analysis = await this.signals.getAllSignals(market);
     console.log(this.formatSignalReport(analysis));
     
     return analysis;
@@ -0,0 +1,89 @@
+/**
+ * Polymarket Data API helpers for the whale registry
+ * (leaderboard, market activity, closed positions of a wallet)
+ */
+
+const config = require("../config");
+
+async function getJson(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Data API error: ${resp.status}`);
+  return resp.json();
+}
+
+/**
+ * Top wallets of the leaderboard
+ * @returns {Promise<Array<{address, name, pnl, volume}>>}
+ */
+async function fetchLeaderboard({ period = "MONTH", limit = 25 } = {}) {
+  const rows = await getJson(`${config.DATA_HOST}/v1/leaderboard?category=OVERALL&timePeriod=${period}&orderBy=PNL&limit=${limit}`);
+  return (rows || []).map(r => ({
+    address: r.proxyWallet?.toLowerCase(),
+    name: r.userName || null,
+    pnl: parseFloat(r.pnl || 0),
+    volume: parseFloat(r.vol || 0),
+  }));
+}
+
+/**
+ * Recent activity on a market (conditionId), newest first - the feed InsiderTracker reads too.
+ * With `since` (ms), pages back (offset) until a trade older than `since`,
+ * the end of the feed or `maxPages` pages of `limit` trades.
+ * @returns {Promise<Array<{address, name, type, usd, side, asset, outcomeIndex, outcome, price, timestamp}>>}
+ */
+async function fetchMarketActivity(conditionId, limit = 500, { since = null, maxPages = 1 } = {}) {
+  const trades = [];
+  for (let page = 0; page < maxPages; page++) {
+    const rows = await getJson(`${config.DATA_HOST}/activity?market=${conditionId}&limit=${limit}&offset=${page * limit}&sortBy=TIMESTAMP&sortDirection=DESC`) || [];
+    trades.push(...rows.map(parseActivity));
+    if (rows.length < limit || since === null) break;
+    if (trades[trades.length - 1].timestamp < since) break;
+  }
+  return trades;
+}
+
+function parseActivity(t) {
+  return {
+    address: (t.proxyWallet || t.user)?.toLowerCase(),
+    name: t.name || t.pseudonym || null,
+    type: t.type || "TRADE",
+    usd: Math.abs(parseFloat(t.usdcSize ?? t.size ?? 0)),
+    side: t.side,
+    asset: t.asset,
+    outcomeIndex: t.outcomeIndex,
+    outcome: t.outcome,
+    price: parseFloat(t.price),
+    timestamp: t.timestamp * 1000,
+  };
+}
+
+/**
+ * Closed positions of a wallet (sold, or settled at resolution), most recent first.
+ * Pages back (offset) until a position older than `since` (ms), the end of
+ * the list or `maxPages` pages of `limit` positions (the endpoint caps a page at 50).
+ * @returns {Promise<Array<{conditionId, outcome, avgPrice, cost, realizedPnl, curPrice, timestamp}>>}
+ */
+async function fetchClosedPositions(address, { since = null, limit = 50, maxPages = 1 } = {}) {
+  const positions = [];
+  for (let page = 0; page < maxPages; page++) {
+    const rows = await getJson(`${config.DATA_HOST}/closed-positions?user=${address}&limit=${limit}&offset=${page * limit}&sortBy=TIMESTAMP&sortDirection=DESC`) || [];
+    positions.push(...rows.map(parseClosedPosition));
+    if (rows.length < limit || since === null) break;
+    if (positions[positions.length - 1].timestamp < since) break;
+  }
+  return positions;
+}
+
+function parseClosedPosition(p) {
+  return {
+    conditionId: p.conditionId,
+    outcome: p.outcome,
+    avgPrice: parseFloat(p.avgPrice),
+    cost: parseFloat(p.totalBought || 0) * parseFloat(p.avgPrice || 0),
+    realizedPnl: parseFloat(p.realizedPnl || 0),
+    curPrice: parseFloat(p.curPrice),
+    timestamp: p.timestamp * 1000,
+  };
+}
+
+module.exports = { fetchLeaderboard, fetchMarketActivity, fetchClosedPositions };
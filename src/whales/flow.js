@@ -0,0 +1,213 @@
+/**
+ * WHALE FLOW
+ *
+ * Signal de flux des whales suivis (registre actif) sur un marché / outcome,
+ * à partir du feed d'activité data-api (/activity?market=<conditionId>):
+ * le consensus (src/signals.js) voit ce que les whales détiennent, le flux
+ * voit ce qu'ils achètent et vendent MAINTENANT.
+ *
+ * - Direction UP = acheter le YES ou vendre le NO de l'outcome, DOWN l'inverse
+ * - Flux net et brut par wallet sur chaque fenêtre glissante (WINDOWS_HOURS),
+ *   pondéré par le poids du whale et par WINDOW_WEIGHTS (récent = plus fort)
+ * - Timing d'entrée: un wallet dont le premier achat de la période date de
+ *   moins de FRESH_HOURS compte ENTRY_BOOST fois plus
+ * - Changement de position par wallet (côté le plus acheté): entered / added /
+ *   reduced / exited
+ * - Alerte de sortie: ventes >= EXIT_MIN_USD sur la plus courte fenêtre, et au
+ *   moins EXIT_FRACTION de ce qu'il avait acheté de ce côté sur la période
+ * - Le feed est paginé jusqu'à la plus longue fenêtre (ACTIVITY_MAX_PAGES pages
+ *   au plus). S'il est coupé avant, la confiance est réduite à la part de la
+ *   fenêtre couverte et aucune entrée n'est marquée fraîche (achats plus
+ *   anciens invisibles)
+ *
+ * score = flux net / flux brut pondérés (-1 = tout vers DOWN, +1 = tout vers UP)
+ */
+
+const config = require("../config");
+const { resolveOutcome, getOutcome } = require("../lib/outcomes");
+const WhaleRegistry = require("./registry");
+const dataApi = require("./data-api");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function neutral(details) {
+  return { score: 0, confidence: 0, wallets: [], alerts: [], details };
+}
+
+class WhaleFlow {
+  /**
+   * @param {object} options
+   * @param {WhaleRegistry} options.whales - Wallets suivis et leurs poids
+   * @param {object} options.api - Client data-api (défaut: ./data-api)
+   * @param {object} options.settings - Défaut: config.WHALE_FLOW
+   * @param {Function} options.now - Horloge (tests)
+   */
+  constructor(options = {}) {
+    this.whales = options.whales || new WhaleRegistry();
+    this.api = options.api || dataApi;
+    this.settings = options.settings || config.WHALE_FLOW;
+    this.now = options.now || (() => Date.now());
+    this.cache = new Map(); // conditionId → { time, trades }
+    this.alerted = new Set();
+  }
+
+  /**
+   * Activité d'un marché depuis `since` (en cache CACHE_SECONDS)
+   */
+  async activity(conditionId, since) {
+    const cached = this.cache.get(conditionId);
+    if (cached && this.now() - cached.time < this.settings.CACHE_SECONDS * 1000) return cached.trades;
+
+    let trades = [];
+    try {
+      trades = await this.api.fetchMarketActivity(conditionId, this.settings.ACTIVITY_PAGE_SIZE,
+        { since, maxPages: this.settings.ACTIVITY_MAX_PAGES });
+    } catch (e) {
+      console.error(`Failed to fetch activity for ${conditionId}: ${e.message}`);
+    }
+    this.cache.set(conditionId, { time: this.now(), trades });
+    return trades;
+  }
+
+  /**
+   * Flux des whales sur un marché (outcome de la vue, sinon leader negRisk)
+   * @param {object} market - Marché Gamma ou vue d'outcome
+   * @returns {Promise<object>} { score, confidence, netFlow, grossFlow, wallets, alerts, details }
+   */
+  async analyze(market) {
+    if (!market || typeof market !== "object") return neutral("No market");
+
+    const s = this.settings;
+    const outcomeId = resolveOutcome(market);
+    const outcome = getOutcome(market, outcomeId);
+    const conditionId = outcome?.conditionId || market.conditionId;
+    const upToken = outcome ? outcome.yesToken : market.upToken;
+    const label = outcome && market.negRisk ? `${market.slug} [${outcome.name}]` : market.slug;
+    if (!conditionId) return neutral(`No condition id for ${label}`);
+
+    const tracked = this.whales.active();
+    const now = this.now();
+    const horizon = Math.max(...s.WINDOWS_HOURS) * HOUR_MS;
+    const feed = await this.activity(conditionId, now - horizon);
+    const trades = feed
+      .filter(t => tracked[t.address] && t.type === "TRADE" && t.usd > 0 && now - t.timestamp <= horizon);
+
+    // Feed coupé par le plafond de pages avant la plus longue fenêtre?
+    const oldest = feed.reduce((min, t) => Math.min(min, t.timestamp), now);
+    const truncated = feed.length >= s.ACTIVITY_PAGE_SIZE * s.ACTIVITY_MAX_PAGES && now - oldest < horizon;
+    const coverage = truncated ? (now - oldest) / horizon : 1;
+
+    const wallets = {};
+    for (const t of trades) {
+      const isYes = t.asset ? t.asset === upToken : Number(t.outcomeIndex) === 0;
+      const isBuy = t.side === "BUY";
+      const direction = isBuy === isYes ? 1 : -1;
+      const side = isYes ? "UP" : "DOWN";
+
+      const w = wallets[t.address] || (wallets[t.address] = {
+        address: t.address,
+        whale: tracked[t.address].name,
+        weight: tracked[t.address].weight,
+        net: s.WINDOWS_HOURS.map(() => 0),
+        gross: s.WINDOWS_HOURS.map(() => 0),
+        bought: { UP: 0, DOWN: 0 },
+        sold: { UP: 0, DOWN: 0 },
+        recentSold: { UP: 0, DOWN: 0 },
+        firstBuy: null,
+        lastTrade: 0,
+      });
+
+      s.WINDOWS_HOURS.forEach((hours, i) => {
+        if (now - t.timestamp > hours * HOUR_MS) return;
+        w.net[i] += direction * t.usd;
+        w.gross[i] += t.usd;
+      });
+      if (isBuy) {
+        w.bought[side] += t.usd;
+        w.firstBuy = w.firstBuy === null ? t.timestamp : Math.min(w.firstBuy, t.timestamp);
+      } else {
+        w.sold[side] += t.usd;
+        if (now - t.timestamp <= Math.min(...s.WINDOWS_HOURS) * HOUR_MS) w.recentSold[side] += t.usd;
+      }
+      w.lastTrade = Math.max(w.lastTrade, t.timestamp);
+    }
+
+    let num = 0;
+    let den = 0;
+    const netFlow = {};
+    const grossFlow = {};
+    const alerts = [];
+    s.WINDOWS_HOURS.forEach(hours => {
+      netFlow[`${hours}h`] = 0;
+      grossFlow[`${hours}h`] = 0;
+    });
+
+    for (const w of Object.values(wallets)) {
+      // Changement de position sur le côté le plus acheté de la période
+      const held = w.bought.UP >= w.bought.DOWN ? "UP" : "DOWN";
+      const bought = w.bought[held];
+      const sold = w.sold[held];
+      w.fresh = !truncated && w.firstBuy !== null && now - w.firstBuy <= s.FRESH_HOURS * HOUR_MS;
+      w.change = sold === 0 ? (w.fresh ? "entered" : "added")
+        : sold >= s.EXIT_FRACTION * bought && sold >= s.EXIT_MIN_USD ? "exited"
+        : bought > sold ? "added" : "reduced";
+
+      const boost = w.fresh ? s.ENTRY_BOOST : 1;
+      s.WINDOWS_HOURS.forEach((hours, i) => {
+        num += s.WINDOW_WEIGHTS[i] * w.weight * boost * w.net[i];
+        den += s.WINDOW_WEIGHTS[i] * w.weight * boost * w.gross[i];
+        netFlow[`${hours}h`] += w.net[i];
+        grossFlow[`${hours}h`] += w.gross[i];
+      });
+
+      for (const side of ["UP", "DOWN"]) {
+        if (w.recentSold[side] < s.EXIT_MIN_USD || w.sold[side] < s.EXIT_FRACTION * w.bought[side]) continue;
+        alerts.push({ whale: w.whale, address: w.address, market: market.slug, outcomeId, side, usd: w.recentSold[side], at: w.lastTrade });
+      }
+    }
+
+    for (const alert of alerts) {
+      const key = `${alert.address}:${conditionId}:${alert.side}:${alert.at}`;
+      if (this.alerted.has(key)) continue;
+      this.alerted.add(key);
+      console.log(`🚨 Whale exit: ${alert.whale} sold $${alert.usd.toFixed(0)} of ${alert.side} on ${label}`);
+    }
+
+    const list = Object.values(wallets);
+    if (list.length === 0 || den === 0) {
+      return { ...neutral(`No whale flow on ${label}`), netFlow, grossFlow, market: market.slug, outcomeId };
+    }
+
+    const score = num / den;
+    const agreeing = list.filter(w => Math.sign(w.net[w.net.length - 1]) === Math.sign(score)).length;
+    const totalGross = grossFlow[`${Math.max(...s.WINDOWS_HOURS)}h`];
+    const confidence = (agreeing / list.length) * Math.min(1, totalGross / s.FULL_CONFIDENCE_USD) * coverage;
+    const longest = `${Math.max(...s.WINDOWS_HOURS)}h`;
+    const net = netFlow[longest];
+
+    return {
+      score,
+      confidence,
+      netFlow,
+      grossFlow,
+      wallets: list.map(w => ({
+        whale: w.whale,
+        address: w.address,
+        change: w.change,
+        fresh: w.fresh,
+        net: Object.fromEntries(s.WINDOWS_HOURS.map((hours, i) => [`${hours}h`, w.net[i]])),
+        firstBuy: w.firstBuy,
+        lastTrade: w.lastTrade,
+      })),
+      alerts,
+      coverage,
+      market: market.slug,
+      outcomeId,
+      details: `${list.length} whales trading on ${label}, net ${net >= 0 ? "+" : "-"}$${Math.abs(net).toFixed(0)} ${longest} (${score > 0 ? "UP" : "DOWN"})` +
+        (alerts.length > 0 ? `, ${alerts.length} exit alert(s)` : "") +
+        (truncated ? `, feed covers only ${((now - oldest) / HOUR_MS).toFixed(1)}h of ${longest}` : ""),
+    };
+  }
+}
+
+module.exports = WhaleFlow;
@@ -0,0 +1,357 @@
+/**
+ * WHALE REGISTRY
+ *
+ * Liste des whales suivis par SignalAggregator, avec leur historique de
+ * performance (data/whales.json). Remplace les poids fixés à la main de
+ * config.WHALES, qui ne sert plus que de liste initiale:
+ *
+ * 1. Découverte: top du leaderboard data-api (LEADERBOARD_PERIOD) et gros
+ *    trades (>= ACTIVITY_MIN_USD) sur les marchés actifs → "candidate"
+ * 2. Track record: positions fermées de chaque wallet sur LOOKBACK_DAYS:
+ *    PnL réalisé, win rate, et calibration sur les positions résolues
+ *    (edge = résultat - prix payé en moyenne, Brier score du prix payé)
+ * 3. Poids: 1 + SKILL_SCALE × edge, rétréci vers 1 tant que l'échantillon
+ *    est petit (n / (n + PRIOR_POSITIONS)), borné [MIN_WEIGHT, MAX_WEIGHT].
+ *    Un wallet en perte sur la période ne dépasse pas 1.
+ *    minPosition: MIN_POSITION_FRACTION de sa position médiane (une position
+ *    n'est un signal que si elle est grosse pour CE wallet)
+ * 4. Statut: candidate/retired → active avec MIN_RESOLVED positions résolues
+ *    et un poids >= ACTIVATE_WEIGHT; active → retired sous RETIRE_WEIGHT.
+ *    Seuls les MAX_ACTIVE meilleurs poids actifs alimentent le consensus.
+ * 5. Au-delà de MAX_TRACKED wallets suivis, un nouveau candidat prend la place
+ *    du plus mauvais wallet retiré (hors config.WHALES, que seed() remettrait)
+ *
+ * Chaque mise à jour ajoute un point à l'historique du wallet (HISTORY_LIMIT).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { openDocument } = require("../storage");
+const { fetchMarket } = require("../lib/gamma");
+const dataApi = require("./data-api");
+
+const WHALES_FILE = "whales.json";
+const ACTIVE_MARKETS_FILE = path.join(__dirname, "../../data/active-markets.json");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Schéma du document whales.json (src/storage.js)
+const WHALES_SCHEMA = {
+  version: 1,
+  defaults: () => ({ whales: {}, lastDiscovery: null, lastUpdate: null }),
+};
+
+/**
+ * Track record d'un wallet à partir de ses positions fermées
+ * @param {object[]} positions - fetchClosedPositions()
+ * @returns {object} { positions, resolved, realizedPnl, winRate, edge, brier, medianCost }
+ */
+function trackRecord(positions, settings = config.WHALE_REGISTRY) {
+  const wins = positions.filter(p => p.realizedPnl > 0).length;
+  // Réglée à 1/0: la position est allée jusqu'à la résolution
+  const resolved = positions.filter(p => p.curPrice >= settings.RESOLVED_PRICE || p.curPrice <= 1 - settings.RESOLVED_PRICE);
+  const outcomes = resolved.map(p => ({ won: p.curPrice >= settings.RESOLVED_PRICE ? 1 : 0, price: p.avgPrice }));
+  const costs = positions.map(p => p.cost).filter(c => c > 0).sort((a, b) => a - b);
+
+  return {
+    positions: positions.length,
+    resolved: resolved.length,
+    realizedPnl: positions.reduce((sum, p) => sum + p.realizedPnl, 0),
+    winRate: positions.length > 0 ? wins / positions.length : 0,
+    edge: outcomes.length > 0 ? outcomes.reduce((sum, o) => sum + o.won - o.price, 0) / outcomes.length : 0,
+    brier: outcomes.length > 0 ? outcomes.reduce((sum, o) => sum + Math.pow(o.price - o.won, 2), 0) / outcomes.length : null,
+    medianCost: costs.length > 0 ? costs[Math.floor(costs.length / 2)] : null,
+  };
+}
+
+/**
+ * Poids et seuil de position déduits d'un track record
+ */
+function scoreWhale(stats, settings = config.WHALE_REGISTRY) {
+  const shrink = stats.resolved / (stats.resolved + settings.PRIOR_POSITIONS);
+  let weight = 1 + settings.SKILL_SCALE * stats.edge * shrink;
+  if (stats.realizedPnl < 0) weight = Math.min(weight, 1);
+  weight = Math.max(settings.MIN_WEIGHT, Math.min(settings.MAX_WEIGHT, weight));
+
+  const minPosition = stats.medianCost === null
+    ? null
+    : Math.max(settings.MIN_POSITION_FLOOR, Math.min(settings.MIN_POSITION_CAP, Math.round(stats.medianCost * settings.MIN_POSITION_FRACTION)));
+
+  return { weight: Math.round(weight * 100) / 100, minPosition };
+}
+
+class WhaleRegistry {
+  /**
+   * @param {object} options
+   * @param {boolean} options.persist - false = registre en mémoire uniquement (tests)
+   * @param {object} options.api - Client data-api (défaut: ./data-api)
+   * @param {Function} options.fetchMarket - slug → marché Gamma (conditionIds des marchés actifs)
+   * @param {object} options.settings - Défaut: config.WHALE_REGISTRY
+   */
+  constructor(options = {}) {
+    this.persist = options.persist !== false;
+    this.api = options.api || dataApi;
+    this.fetchMarket = options.fetchMarket || fetchMarket;
+    this.settings = options.settings || config.WHALE_REGISTRY;
+    this.store = openDocument(WHALES_FILE, WHALES_SCHEMA);
+    this.state = this.persist ? this.load() : this.seed(WHALES_SCHEMA.defaults());
+  }
+
+  load() {
+    try {
+      return this.seed(this.store.load());
+    } catch (e) {
+      console.error(`⚠️  Whale registry unreadable, using config.WHALES: ${e.message}`);
+      return this.seed(WHALES_SCHEMA.defaults());
+    }
+  }
+
+  save() {
+    if (!this.persist) return;
+    this.store.save(this.state);
+  }
+
+  /**
+   * Ajoute les whales de config.WHALES absents du registre (poids initiaux)
+   */
+  seed(state) {
+    for (const [address, whale] of Object.entries(config.WHALES)) {
+      const key = address.toLowerCase();
+      if (state.whales[key]) continue;
+      state.whales[key] = this.newWhale(key, whale.name, "config", "active");
+      state.whales[key].weight = whale.weight;
+      state.whales[key].minPosition = whale.minPosition;
+    }
+    return state;
+  }
+
+  newWhale(address, name, source, status = "candidate") {
+    return {
+      address,
+      name: name || address.slice(0, 10),
+      source,
+      status,
+      weight: 1,
+      minPosition: this.settings.MIN_POSITION_FLOOR,
+      discoveredAt: Date.now(),
+      updatedAt: null,
+      stats: null,
+      history: [],
+    };
+  }
+
+  /**
+   * Whales qui alimentent le consensus, au format de config.WHALES:
+   * { address: { name, weight, minPosition } }
+   */
+  active() {
+    if (this.persist) this.state = this.load();
+    const active = Object.values(this.state.whales)
+      .filter(w => w.status === "active")
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, this.settings.MAX_ACTIVE);
+
+    const whales = {};
+    for (const w of active) whales[w.address] = { name: w.name, weight: w.weight, minPosition: w.minPosition };
+    return whales;
+  }
+
+  /**
+   * Toutes les adresses suivies (actives, candidates, retirées)
+   */
+  addresses() {
+    return Object.keys(this.state.whales);
+  }
+
+  /**
+   * Découverte + mise à jour des track records, puis sauvegarde
+   */
+  async refresh() {
+    const discovered = await this.discover(await this.activeMarkets());
+    const updated = await this.update();
+    this.save();
+    return { discovered, updated };
+  }
+
+  /**
+   * Marchés de data/active-markets.json (pour leur activité)
+   */
+  async activeMarkets() {
+    let slugs = [];
+    try {
+      if (fs.existsSync(ACTIVE_MARKETS_FILE)) {
+        slugs = (JSON.parse(fs.readFileSync(ACTIVE_MARKETS_FILE, "utf8")).markets || []).map(m => m.slug);
+      }
+    } catch (e) {
+      console.warn("Failed to load active markets:", e.message);
+    }
+
+    const markets = [];
+    for (const slug of slugs) {
+      const market = await this.fetchMarket(slug);
+      if (market) markets.push(market);
+    }
+    return markets;
+  }
+
+  /**
+   * Nouveaux wallets candidats: leaderboard + gros trades sur les marchés donnés
+   * @param {object[]} markets - Marchés Gamma (conditionId de chaque outcome)
+   * @returns {Promise<string[]>} adresses ajoutées
+   */
+  async discover(markets = []) {
+    const s = this.settings;
+    const found = new Map(); // address → { name, source }
+
+    try {
+      const leaders = await this.api.fetchLeaderboard({ period: s.LEADERBOARD_PERIOD, limit: s.LEADERBOARD_LIMIT });
+      for (const l of leaders) {
+        if (l.address && l.pnl > 0 && !found.has(l.address)) found.set(l.address, { name: l.name, source: "leaderboard" });
+      }
+    } catch (e) {
+      console.error(`⚠️  Leaderboard unavailable: ${e.message}`);
+    }
+
+    const conditionIds = new Set();
+    for (const m of markets) {
+      for (const o of m.outcomes || []) if (o.conditionId) conditionIds.add(o.conditionId);
+      if (m.conditionId) conditionIds.add(m.conditionId);
+    }
+    for (const conditionId of conditionIds) {
+      try {
+        const activity = await this.api.fetchMarketActivity(conditionId, s.ACTIVITY_TRADES);
+        for (const t of activity) {
+          if (t.address && t.usd >= s.ACTIVITY_MIN_USD && !found.has(t.address)) found.set(t.address, { name: t.name, source: "activity" });
+        }
+      } catch (e) {
+        console.error(`⚠️  Activity unavailable for ${conditionId}: ${e.message}`);
+      }
+      await this.pause();
+    }
+
+    const added = [];
+    let pruned = 0;
+    for (const [address, { name, source }] of found) {
+      if (this.state.whales[address]) continue;
+      if (Object.keys(this.state.whales).length >= s.MAX_TRACKED) {
+        if (!this.pruneRetired()) break;
+        pruned++;
+      }
+      this.state.whales[address] = this.newWhale(address, name, source);
+      added.push(address);
+    }
+
+    this.state.lastDiscovery = Date.now();
+    if (added.length > 0) console.log(`🐋 ${added.length} new whale candidate(s)${pruned > 0 ? `, ${pruned} retired wallet(s) dropped` : ""}`);
+    return added;
+  }
+
+  /**
+   * Retire du registre le wallet retiré au plus petit poids (le plus ancien à
+   * poids égal). Les wallets de config.WHALES restent.
+   * @returns {boolean} false si aucun wallet à retirer
+   */
+  pruneRetired() {
+    const worst = Object.values(this.state.whales)
+      .filter(w => w.status === "retired" && w.source !== "config")
+      .sort((a, b) => a.weight - b.weight || (a.updatedAt || 0) - (b.updatedAt || 0))[0];
+    if (!worst) return false;
+    delete this.state.whales[worst.address];
+    return true;
+  }
+
+  /**
+   * Recalcule track record, poids, minPosition et statut de chaque wallet suivi
+   * @returns {Promise<number>} wallets mis à jour
+   */
+  async update() {
+    const s = this.settings;
+    const since = Date.now() - s.LOOKBACK_DAYS * DAY_MS;
+    let updated = 0;
+
+    for (const whale of Object.values(this.state.whales)) {
+      let positions;
+      try {
+        positions = await this.api.fetchClosedPositions(whale.address, { since, maxPages: s.CLOSED_POSITIONS_PAGES });
+      } catch (e) {
+        console.error(`Failed to fetch ${whale.name}: ${e.message}`);
+        continue;
+      }
+      await this.pause();
+
+      const stats = trackRecord(positions.filter(p => !(p.timestamp < since)), s);
+      const { weight, minPosition } = scoreWhale(stats, s);
+      const previous = whale.status;
+
+      whale.stats = stats;
+      whale.weight = weight;
+      if (minPosition !== null) whale.minPosition = minPosition;
+      whale.updatedAt = Date.now();
+
+      if (whale.status !== "active" && stats.resolved >= s.MIN_RESOLVED && weight >= s.ACTIVATE_WEIGHT) {
+        whale.status = "active";
+      } else if (whale.status === "active" && stats.resolved >= s.MIN_RESOLVED && weight < s.RETIRE_WEIGHT) {
+        whale.status = "retired";
+      }
+      if (whale.status !== previous) {
+        console.log(`🐋 ${whale.name}: ${previous} → ${whale.status} (weight ${weight}, edge ${(stats.edge * 100).toFixed(1)}%, ${stats.resolved} resolved)`);
+      }
+
+      whale.history.push({
+        timestamp: whale.updatedAt,
+        status: whale.status,
+        weight,
+        minPosition: whale.minPosition,
+        positions: stats.positions,
+        resolved: stats.resolved,
+        realizedPnl: stats.realizedPnl,
+        winRate: stats.winRate,
+        edge: stats.edge,
+        brier: stats.brier,
+      });
+      if (whale.history.length > s.HISTORY_LIMIT) whale.history = whale.history.slice(-s.HISTORY_LIMIT);
+      updated++;
+    }
+
+    this.state.lastUpdate = Date.now();
+    return updated;
+  }
+
+  pause() {
+    return this.settings.REQUEST_DELAY_MS > 0
+      ? new Promise(r => setTimeout(r, this.settings.REQUEST_DELAY_MS))
+      : Promise.resolve();
+  }
+
+  /**
+   * Affiche le registre (actifs d'abord, par poids)
+   */
+  showStatus() {
+    const order = { active: 0, candidate: 1, retired: 2 };
+    const whales = Object.values(this.state.whales)
+      .sort((a, b) => order[a.status] - order[b.status] || b.weight - a.weight);
+
+    console.log("\n" + "═".repeat(96));
+    console.log("🐋 WHALE REGISTRY");
+    console.log("═".repeat(96));
+    console.log(` ${"Whale".padEnd(18)} | ${"Status".padEnd(9)} | Weight | MinPos  | Resolved |  Win% |  Edge  | Brier |   Realized PnL`);
+    console.log("─".repeat(96));
+
+    for (const w of whales) {
+      const st = w.stats;
+      const pnl = st ? `${st.realizedPnl >= 0 ? "+" : "-"}$${Math.abs(st.realizedPnl).toFixed(0)}` : "-";
+      console.log(
+        ` ${w.name.slice(0, 18).padEnd(18)} | ${w.status.padEnd(9)} | ${w.weight.toFixed(2).padStart(6)} | ${`$${w.minPosition}`.padStart(7)} | ` +
+        `${(st ? String(st.resolved) : "-").padStart(8)} | ${(st ? `${(st.winRate * 100).toFixed(0)}%` : "-").padStart(5)} | ` +
+        `${(st ? `${(st.edge * 100).toFixed(1)}%` : "-").padStart(6)} | ${(st?.brier != null ? st.brier.toFixed(3) : "-").padStart(5)} | ${pnl.padStart(14)}`
+      );
+    }
+
+    const last = this.state.lastUpdate ? new Date(this.state.lastUpdate).toISOString() : "never";
+    console.log(`\nActive: ${Object.keys(this.active()).length}/${this.settings.MAX_ACTIVE} · last update: ${last}`);
+  }
+}
+
+module.exports = WhaleRegistry;
+module.exports.trackRecord = trackRecord;
+module.exports.scoreWhale = scoreWhale;
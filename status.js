@@ -1,24 +1,9 @@
-const { ClobClient } = require("@polymarket/clob-client");
-const { Wallet } = require("ethers");
-const fs = require("fs");
-const path = require("path");
-
-const HOST = "https://clob.polymarket.com";
-const CHAIN_ID = 137;
-
-function loadPrivateKey() {
-  const secretsPath = path.join(process.env.HOME, ".config/clawd/secrets.env");
-  const content = fs.readFileSync(secretsPath, "utf8");
-  const match = content.match(/POLYMARKET_PRIVATE_KEY="?(0x[a-fA-F0-9]+)"?/);
-  return match[1];
-}
+require("dotenv").config();
+const { createExchange } = require("./src/exchange");
 
 async function main() {
-  const wallet = new Wallet(loadPrivateKey());
-  
-  const tempClient = new ClobClient(HOST, CHAIN_ID, wallet);
-  const apiCreds = await tempClient.createOrDeriveApiKey();
-  const client = new ClobClient(HOST, CHAIN_ID, wallet, apiCreds, 0, wallet.address);
+  const exchange = createExchange();
+  await exchange.connect();
   
   console.log("═".repeat(50));
   console.log("📊 ÉTAT COMPLET DU PORTEFEUILLE");
@@ -26,8 +11,7 @@ async function main() {
   
   // Positions
   console.log("\n🎯 POSITIONS ACTUELLES:");
-  const resp = await fetch(`https://data-api.polymarket.com/positions?user=${wallet.address}`);
-  const positions = await resp.json();
+  const positions = await exchange.getPositions();
   
   let totalValue = 0;
   for (const p of positions) {
@@ -41,30 +25,21 @@ async function main() {
   
   // Open orders
   console.log("\n📋 ORDRES EN ATTENTE:");
-  const orders = await client.getOpenOrders();
+  const orders = await exchange.getOpenOrders();
   
   if (!orders || orders.length === 0) {
     console.log("   (aucun ordre)");
   } else {
     for (const o of orders) {
-      const filled = o.size_matched || 0;
-      const remaining = o.original_size - filled;
-      console.log(`   ${o.side} ${o.original_size} @ ${(parseFloat(o.price)*100).toFixed(1)}%`);
-      console.log(`      Rempli: ${filled}/${o.original_size}`);
+      console.log(`   ${o.side} ${o.size} @ ${(o.price*100).toFixed(1)}%`);
+      console.log(`      Rempli: ${o.filled}/${o.size}`);
     }
   }
   
   // USDC Balance
   console.log("\n💰 USDC DISPONIBLE:");
-  const { ethers } = require("ethers");
-  const provider = new ethers.providers.JsonRpcProvider("https://polygon-rpc.com");
-  const USDC = new ethers.Contract(
-    "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174",
-    ["function balanceOf(address) view returns (uint256)"],
-    provider
-  );
-  const balance = await USDC.balanceOf(wallet.address);
-  console.log(`   $${ethers.utils.formatUnits(balance, 6)} USDC.e`);
+  const balance = await exchange.getBalance();
+  console.log(`   $${balance.toFixed(2)} USDC.e`);
   
   console.log("\n" + "═".repeat(50));
 }
@@ -171,6 +171,217 @@ function testPaperTraderStrategyNormalization() {
   console.log("    ✓ Normalisation des noms fonctionne");
 }
 
+function testTradeJournal() {
+  console.log("  Test: Journal filtré, trié, groupé, avec MAE/MFE depuis l'historique...");
+
+  const os = require("os");
+  const TradeJournal = require("../src/journal");
+  const TimeSeriesStore = require("../src/recorder/store");
+
+  const HOUR = 60 * 60 * 1000;
+  const start = Date.now() - 10 * HOUR;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+  const store = new TimeSeriesStore(dir);
+  for (const [h, up] of [[0, 0.50], [1, 0.44], [2, 0.58], [3, 0.55]]) {
+    store.append("dem-nominee-2028", { timestamp: start + h * HOUR, upPrice: up, downPrice: 1 - up });
+  }
+
+  const trades = [
+    { id: "a", timestamp: start, strategy: "creative:whale_copy", market: "dem-nominee-2028", action: "BUY_UP", entryPrice: 0.5, size: 50, status: "closed", pnl: 5, closedAt: start + 3 * HOUR, closeReason: "TAKE_PROFIT", version: "1.4.0" },
+    { id: "b", timestamp: start, strategy: "creative:whale_copy", market: "dem-nominee-2028", action: "BUY_DOWN", entryPrice: 0.5, size: 20, status: "open", version: "1.4.0" },
+    { id: "c", timestamp: start - 30 * 24 * HOUR, strategy: "creative:whale_copy", market: "dem-nominee-2028", action: "BUY_UP", entryPrice: 0.4, size: 10, status: "closed", pnl: -10, outcome: "DOWN", version: "1.3.0" },
+    { id: "d", timestamp: start, strategy: "baseline", market: "btc-up", action: "BUY_UP", entryPrice: 0.6, size: 30, status: "closed", pnl: -3, closedAt: start + HOUR, closeReason: "STOP_LOSS", version: "1.4.0" },
+  ];
+
+  try {
+    const journal = new TradeJournal({ trades, store });
+
+    // "Qu'a fait whale_copy sur le nominee la semaine dernière?"
+    const rows = journal.query({ filters: { strategies: ["whale_copy"], market: "nominee", from: start - 7 * 24 * HOUR } });
+    assert.deepStrictEqual(rows.map(r => r.id), ["a", "b"]);
+
+    const a = rows[0];
+    assert.strictEqual(a.holdHours, 3);
+    assert.ok(Math.abs(a.mae - (-0.12)) < 1e-9, `MAE UP = (0.44 - 0.50) / 0.50 (${a.mae})`);
+    assert.ok(Math.abs(a.mfe - 0.16) < 1e-9, `MFE UP = (0.58 - 0.50) / 0.50 (${a.mfe})`);
+    assert.ok(Math.abs(rows[1].mae - (-0.16)) < 1e-9, "MAE DOWN suit 1 - UP");
+    assert.strictEqual(rows[1].reason, null, "Trade ouvert: pas de raison de sortie");
+
+    // Pas d'historique → MAE/MFE null, raison d'un marché résolu
+    const old = journal.query({ filters: { version: "1.3.0" } });
+    assert.strictEqual(old[0].mae, null);
+    assert.strictEqual(old[0].reason, "resolved DOWN");
+
+    assert.deepStrictEqual(journal.query({ filters: { reason: "stop" } }).map(r => r.id), ["d"]);
+    assert.deepStrictEqual(journal.query({ filters: { status: "closed" }, sort: "pnl", desc: true }).map(r => r.id), ["a", "d", "c"]);
+
+    const groups = TradeJournal.group(journal.query({ excursions: false }), "strategy");
+    const whale = groups.find(g => g.group === "creative:whale_copy");
+    assert.strictEqual(whale.trades, 3);
+    assert.strictEqual(whale.open, 1);
+    assert.strictEqual(whale.pnl, -5);
+    assert.strictEqual(whale.winRate, 0.5);
+
+    const csv = TradeJournal.toCsv(rows).split("\n");
+    assert.strictEqual(csv.length, 3, "En-tête + 2 lignes");
+    assert.ok(csv[0].startsWith("id,opened,closed,strategy"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log("    ✓ Journal: filtres, MAE/MFE, groupes et CSV corrects");
+}
+
+function testPerformanceAnalytics() {
+  console.log("  Test: Courbe d'equity, drawdown, ratios, exposition et turnover...");
+
+  const PerformanceAnalytics = require("../src/analytics");
+  const PaperTrader = require("../src/paper-trader");
+  const PriceProvider = require("../src/price-provider");
+
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.now();
+  const start = now - 48 * HOUR;
+  const trades = [
+    { id: "a1", timestamp: start, closedAt: start + 5 * HOUR, strategy: "whale_copy", status: "closed", pnl: 10, action: "BUY_UP", entryPrice: 0.5, exitPrice: 0.6, size: 50 },
+    { id: "a2", timestamp: start + 6 * HOUR, closedAt: start + 10 * HOUR, strategy: "whale_copy", status: "closed", pnl: -20, action: "BUY_UP", entryPrice: 0.5, exitPrice: 0.3, size: 50 },
+    { id: "a3", timestamp: start + 20 * HOUR, closedAt: start + 30 * HOUR, strategy: "whale_copy", status: "closed", pnl: 25, action: "BUY_UP", entryPrice: 0.5, exitPrice: 0.75, size: 50 },
+    { id: "b1", timestamp: start + 40 * HOUR, market: "btc-a", strategy: "creative:contrarian", status: "open", action: "BUY_UP", entryPrice: 0.5, size: 20 },
+  ];
+
+  // Prix par marché: le trade ouvert est valorisé au prix de btc-a, pas d'un autre marché
+  const prices = new PriceProvider({ store: null, now: () => now });
+  prices.update("btc-a", { upPrice: 0.6, downPrice: 0.4 });
+  prices.update("eth-b", { upPrice: 0.9, downPrice: 0.1 });
+
+  const analytics = new PerformanceAnalytics({ trades, prices, now: () => now, settings: { INITIAL_CAPITAL: 500, RESAMPLE_MINUTES: 60 } });
+  const report = analytics.report({ from: start });
+  const whale = report.strategies.whale_copy;
+
+  assert.deepStrictEqual(whale.equityCurve.map(p => p.equity), [500, 510, 490, 515, 515], "Un point par clôture");
+  assert.strictEqual(whale.realizedPnL, 15);
+  assert.strictEqual(whale.profitFactor, 35 / 20);
+  assert.strictEqual(whale.expectancy, 5);
+  assert.strictEqual(whale.maxDrawdown, 20, "510 → 490");
+  assert.strictEqual(whale.maxDrawdownDuration, 25 * HOUR, "Sous le pic de 5h à 30h");
+  assert.ok(Math.abs(whale.exposure - 19 / 48) < 1e-9, `Exposition = 19h / 48h (${whale.exposure})`);
+  assert.ok(Math.abs(whale.turnover - (150 + 60 + 30 + 75) / 500) < 1e-9, "Entrées + sorties / capital");
+  assert.ok(whale.sharpe > 0 && whale.sortino > whale.sharpe, "Ratios positifs, Sortino ne pénalise que la baisse");
+
+  // Trade ouvert: MtM au prix courant, nom "creative:" normalisé
+  assert.ok(Math.abs(report.strategies.contrarian.openPnL - 4) < 1e-9, "40 shares × (0.6 - 0.5)");
+  assert.strictEqual(report.strategies.contrarian.staleMarks, 0);
+  assert.strictEqual(report.strategies.contrarian.unpricedMarks, 0);
+  assert.strictEqual(report.strategies.contrarian.profitFactor, 0, "Aucun trade fermé");
+  assert.ok(Math.abs(report.portfolio.pnl - 19) < 1e-9, "Portefeuille = somme des stratégies");
+  assert.strictEqual(report.portfolio.trades, 4);
+
+  // getPerformanceWindow (arène) lit les mêmes chiffres
+  const paper = new PaperTrader({ persist: false });
+  paper.data.trades = trades;
+  const perf = paper.getPerformanceWindow(49);
+  assert.strictEqual(perf.whale_copy.pnl, 15);
+  assert.strictEqual(perf.whale_copy.closedPnL, 15);
+  assert.strictEqual(perf.whale_copy.maxDrawdown, 20);
+
+  // Prix périmé: toujours utilisé mais signalé; marché inconnu: prix d'entrée, signalé
+  const stale = new PriceProvider({ store: null, now: () => now, settings: { MAX_AGE_MINUTES: 15, RECORDER_REFRESH_SECONDS: 60 } });
+  stale.update("btc-a", { upPrice: 0.7, downPrice: 0.3 }, now - HOUR);
+  const staleReport = new PerformanceAnalytics({ trades, prices: stale, now: () => now }).report({ from: start });
+  assert.ok(Math.abs(staleReport.strategies.contrarian.openPnL - 8) < 1e-9, "40 shares × (0.7 - 0.5)");
+  assert.strictEqual(staleReport.strategies.contrarian.staleMarks, 1);
+
+  const unknown = new PerformanceAnalytics({ trades, prices: new PriceProvider({ store: null }), now: () => now }).report({ from: start });
+  assert.strictEqual(unknown.strategies.contrarian.openPnL, 0, "Sans prix: valorisé à l'entrée");
+  assert.strictEqual(unknown.strategies.contrarian.unpricedMarks, 1);
+
+  console.log("    ✓ Métriques de performance correctes");
+}
+
+async function testAutoSettlement() {
+  console.log("  Test: Règlement automatique des marchés résolus...");
+
+  const SettlementService = require("../src/settlement");
+  const PaperTrader = require("../src/paper-trader");
+  const PositionManager = require("../src/position-manager");
+
+  const binary = {
+    slug: "btc-up", negRisk: false,
+    outcomes: [{ id: "btc-up", closed: true, resolutionStatus: "resolved", closedTime: "2026-01-01T12:00:00Z", yesPrice: 1, noPrice: 0, yesToken: "t-yes", noToken: "t-no" }],
+  };
+  const election = {
+    slug: "election", negRisk: true,
+    outcomes: [
+      { id: "alice", name: "Alice Smith", closed: false, yesPrice: 0.6, noPrice: 0.4 },
+      { id: "bob", closed: true, resolutionStatus: "resolved", yesPrice: 0, noPrice: 1 },
+      { id: "carol", closed: true, resolutionStatus: "disputed", yesPrice: 0, noPrice: 1 },
+    ],
+  };
+  const markets = { "btc-up": binary, election };
+
+  const paper = new PaperTrader({ persist: false });
+  paper.data.trades = [
+    { id: "s1", market: "btc-up", strategy: "whale_copy", status: "open", action: "BUY_UP", entryPrice: 0.5, size: 10, timestamp: Date.now() },
+    { id: "s2", market: "btc-up", strategy: "contrarian", status: "open", action: "BUY_DOWN", entryPrice: 0.5, size: 10, timestamp: Date.now() },
+    { id: "s3", market: "election", outcomeId: "bob", strategy: "dem_nom", status: "open", action: "BUY_DOWN", entryPrice: 0.8, size: 8, timestamp: Date.now() },
+    { id: "s4", market: "election", outcomeId: "carol", strategy: "dem_nom", status: "open", action: "BUY_UP", entryPrice: 0.1, size: 5, timestamp: Date.now() },
+    { id: "s5", market: "election", outcomeId: "alice", strategy: "dem_nom", status: "open", action: "BUY_UP", entryPrice: 0.5, size: 5, timestamp: Date.now() },
+  ];
+  const positions = new PositionManager({ persist: false });
+  positions.positions = {
+    "btc-up_UP": { id: "btc-up_UP", market: "btc-up", side: "UP", tokenId: "t-yes", size: 20, costBasis: 10, status: "open" },
+  };
+
+  const fetched = [];
+  const service = new SettlementService({
+    paper, positions,
+    fetchMarket: async slug => { fetched.push(slug); return markets[slug]; },
+    settings: { RESOLVED_PRICE: 0.99 },
+  });
+
+  const settled = await service.run();
+  assert.deepStrictEqual(fetched.sort(), ["btc-up", "election"], "Seuls les marchés avec des trades ouverts");
+
+  const byId = Object.fromEntries(paper.data.trades.map(t => [t.id, t]));
+  assert.strictEqual(byId.s1.pnl, 10, "20 shares × $1 - $10");
+  assert.strictEqual(byId.s2.pnl, -10);
+  assert.strictEqual(byId.s1.outcome, "UP");
+  assert.strictEqual(byId.s1.resolution.source, "gamma");
+  assert.strictEqual(byId.s1.resolution.resolvedAt, Date.parse("2026-01-01T12:00:00Z"));
+  assert.ok(byId.s1.resolution.settledAt > 0);
+
+  // Sous-marché éliminé: le NO gagne avant que l'événement ait un gagnant
+  assert.strictEqual(byId.s3.status, "closed");
+  assert.ok(Math.abs(byId.s3.pnl - 2) < 1e-9, "10 shares NO × $1 - $8");
+  assert.strictEqual(byId.s3.resolution.result, "NO");
+  assert.strictEqual(byId.s4.status, "open", "Résolution contestée: on attend");
+  assert.strictEqual(byId.s5.status, "open", "Sous-marché encore ouvert");
+
+  const pos = positions.positions["btc-up_UP"];
+  assert.strictEqual(pos.status, "closed");
+  assert.strictEqual(pos.exitProceeds, 20);
+  assert.strictEqual(settled.find(s => s.market === "btc-up").positions.length, 1);
+
+  // Deuxième passage: rien à régler en plus
+  const again = await service.run();
+  assert.strictEqual(again.reduce((n, s) => n + s.trades.length + s.positions.length, 0), 0);
+
+  // Règlement manuel (`close`): UP/DOWN (binaire) ou un outcome connu, jamais une faute de frappe
+  const { parseWinner } = require("../src/lib/outcomes");
+  assert.strictEqual(parseWinner("down", binary), "DOWN");
+  assert.strictEqual(parseWinner("alice", election), "alice");
+  assert.strictEqual(parseWinner("UPP", binary), null);
+  assert.strictEqual(parseWinner("btc-up", binary), null, "Marché binaire: UP/DOWN seulement");
+  assert.strictEqual(parseWinner("dave", null, [{ outcomeId: "dave" }]), "dave", "Hors ligne: outcomes des trades ouverts");
+  assert.strictEqual(parseWinner("dave", null, []), null);
+  assert.strictEqual(parseWinner("alice smith", election), "alice", "Nom du candidat → son id");
+  assert.strictEqual(parseWinner("UP", election), null, "Multi-outcome: UP/DOWN réglerait tous les YES en perte");
+  assert.strictEqual(parseWinner("down", null, [{ outcomeId: "dave" }]), null, "Hors ligne: trades multi-outcome");
+  assert.strictEqual(parseWinner("UP", null, [{ outcomeId: null }]), "UP");
+
+  console.log("    ✓ Trades et positions réglés à 1/0, résolutions en attente ignorées");
+}
+
 // ============================================
 // Tests unitaires pour StrategyArena
 // ============================================
@@ -515,24 +726,39 @@ function testLoadActiveMarkets() {
   
   const fs = require("fs");
   const path = require("path");
+  const StrategyArena = require("../src/arena");
   const ACTIVE_MARKETS_FILE = path.join(__dirname, "../data/active-markets.json");
   
-  // Vérifier que le fichier existe
-  assert.ok(fs.existsSync(ACTIVE_MARKETS_FILE), "active-markets.json devrait exister");
-  
-  // Charger et valider la structure
-  const config = JSON.parse(fs.readFileSync(ACTIVE_MARKETS_FILE, "utf8"));
-  
-  assert.ok(Array.isArray(config.markets), "markets devrait être un tableau");
-  assert.ok(config.markets.length > 0, "Devrait avoir au moins 1 marché");
-  assert.ok(config.default, "Devrait avoir un marché par défaut");
-  
-  // Vérifier structure d'un marché
-  const firstMarket = config.markets[0];
-  assert.ok(firstMarket.slug, "Chaque marché devrait avoir un slug");
-  assert.ok(firstMarket.category, "Chaque marché devrait avoir une catégorie");
+  // data/ est ignoré par git: fixture le temps du test dans un checkout neuf
+  const fixture = !fs.existsSync(ACTIVE_MARKETS_FILE);
+  if (fixture) {
+    fs.mkdirSync(path.dirname(ACTIVE_MARKETS_FILE), { recursive: true });
+    fs.writeFileSync(ACTIVE_MARKETS_FILE, JSON.stringify({
+      markets: [
+        { slug: "democratic-presidential-nominee-2028", category: "politics" },
+        { slug: "bitcoin-up-or-down-on-february-1", category: "crypto" },
+      ],
+      default: "democratic-presidential-nominee-2028",
+    }));
+  }
   
-  console.log(`    ✓ ${config.markets.length} marchés chargés, défaut: ${config.default}`);
+  try {
+    // Charger (comme l'arène) et valider la structure
+    const config = StrategyArena.prototype.loadActiveMarkets.call({});
+    
+    assert.ok(Array.isArray(config.markets), "markets devrait être un tableau");
+    assert.ok(config.markets.length > 0, "Devrait avoir au moins 1 marché");
+    assert.ok(config.default, "Devrait avoir un marché par défaut");
+    
+    // Vérifier structure d'un marché
+    const firstMarket = config.markets[0];
+    assert.ok(firstMarket.slug, "Chaque marché devrait avoir un slug");
+    assert.ok(firstMarket.category, "Chaque marché devrait avoir une catégorie");
+    
+    console.log(`    ✓ ${config.markets.length} marchés chargés, défaut: ${config.default}${fixture ? " (fixture)" : ""}`);
+  } finally {
+    if (fixture) fs.unlinkSync(ACTIVE_MARKETS_FILE);
+  }
 }
 
 function testFindMarketForStrategy() {
@@ -663,51 +889,852 @@ function testNoWinWithZeroPnL() {
   console.log("    ✓ Pas de victoire quand tous les PnL sont à 0");
 }
 
-function testMinEdgeRequired() {
-  console.log("  Test: Edge minimum de $1 requis pour victoire...");
-  
-  const MIN_EDGE_FOR_WIN = 1.0;
-  const performances = {
-    baseline: { pnl: 5, trades: 5 },
-    contrarian: { pnl: 5.50, trades: 10 }, // +$0.50 edge (pas assez)
-    momentum_pure: { pnl: 6.50, trades: 8 }, // +$1.50 edge (OK)
+function seededRandom(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
   };
-  
-  const championPnL = performances.baseline?.pnl || 0;
-  let bestChallenger = null;
-  
-  for (const [name, stats] of Object.entries(performances)) {
-    if (name !== "baseline" && 
-        stats.pnl > championPnL &&
-        stats.pnl > 0 &&
-        (stats.pnl - championPnL) >= MIN_EDGE_FOR_WIN) {
-      bestChallenger = name;
+}
+
+const PROMOTION_SETTINGS = {
+  WINDOW_HOURS: 48,
+  MIN_TRADES: 10,
+  METHOD: "bootstrap",
+  CONFIDENCE: 0.95,
+  MIN_EDGE: 0.5,
+  BOOTSTRAP_SAMPLES: 2000,
+  CONFIRMATIONS: 3,
+  DEMOTION: { ENABLED: true, MIN_TRADES: 10, CONFIDENCE: 0.95, MAX_DRAWDOWN_PCT: 0.15, FALLBACK: "baseline" },
+};
+
+function testPromotionSignificance() {
+  console.log("  Test: Échantillon minimum, test de supériorité (bootstrap / bayésien), rétrogradation...");
+
+  const PromotionPolicy = require("../src/promotion");
+  const flat = [1, -1, 1, -1, 1, -1, 1, -1, 1, -1, 1, -1];
+  const steady = [3, 4, 2, 3, 4, 2, 3, 4, 2, 3, 4, 2];
+  const noisy = [20, -18, 22, -19, 21, -20, 19, -17, 20, -18, 21, -19];
+
+  for (const METHOD of ["bootstrap", "bayesian"]) {
+    const policy = new PromotionPolicy({ settings: { ...PROMOTION_SETTINGS, METHOD }, random: seededRandom(42) });
+
+    const small = policy.compare(flat, [5, 5, 5, 5, 5]);
+    assert.strictEqual(small.significant, false, `${METHOD}: 5 trades ne suffisent pas`);
+    assert.ok(small.reason.includes("5/10"));
+
+    const win = policy.compare(flat, steady);
+    assert.strictEqual(win.significant, true, `${METHOD}: +$3/trade régulier vs $0 (${win.reason})`);
+    assert.ok(win.probability >= 0.95);
+    assert.strictEqual(win.meanDiff, 3);
+    assert.strictEqual(win.challenger.n, 12);
+
+    // PnL total supérieur mais variance énorme: pas significatif
+    const lucky = policy.compare(flat, noisy);
+    assert.ok(lucky.challenger.total > 0);
+    assert.strictEqual(lucky.significant, false, `${METHOD}: gain bruité non significatif (${lucky.reason})`);
+
+    // Champion sans échantillon: challenger testé contre zéro
+    assert.strictEqual(policy.compare([], steady).against, "zero");
+  }
+
+  const policy = new PromotionPolicy({ settings: PROMOTION_SETTINGS, random: seededRandom(7) });
+  const losing = policy.checkDemotion(steady.map(p => -p));
+  assert.strictEqual(losing.demote, true, "Champion qui perd à chaque trade rétrogradé");
+  assert.ok(losing.probabilityNegative >= 0.95);
+  assert.strictEqual(policy.checkDemotion(flat).demote, false, "PnL moyen nul: pas de preuve de perte");
+  assert.strictEqual(policy.checkDemotion([-1], { maxDrawdownPct: 0.2 }).demote, true, "Drawdown au-delà de la limite");
+  assert.strictEqual(new PromotionPolicy({ settings: { ...PROMOTION_SETTINGS, DEMOTION: { ...PROMOTION_SETTINGS.DEMOTION, ENABLED: false } } })
+    .checkDemotion([-1], { maxDrawdownPct: 0.2 }).demote, false);
+
+  console.log("    ✓ Règles statistiques correctes");
+}
+
+function testClosedSamplesWindow() {
+  console.log("  Test: Arène - fenêtre de comparaison sur la date de fermeture des trades...");
+
+  const PaperTrader = require("../src/paper-trader");
+  const StrategyArena = require("../src/arena");
+  const config = require("../src/config");
+
+  const HOUR = 60 * 60 * 1000;
+  const windowHours = config.ARENA_PROMOTION.WINDOW_HOURS;
+  const now = Date.now();
+  const paper = new PaperTrader({ persist: false });
+  const trade = (id, pnl, openedHoursAgo, closedHoursAgo) => ({
+    id, strategy: "baseline", status: "closed", pnl, action: "BUY_UP", entryPrice: 0.5, size: 20,
+    timestamp: now - openedHoursAgo * HOUR,
+    ...(closedHoursAgo === null ? {} : { closedAt: now - closedHoursAgo * HOUR }),
+  });
+  paper.data.trades.push(
+    trade("long", 1, windowHours + 10, 1), // ouvert avant la fenêtre, fermé dedans
+    trade("old", 2, windowHours + 10, windowHours + 5), // fermé avant la fenêtre
+    trade("legacy", 4, 2, null), // sans closedAt: date d'ouverture
+    trade("legacy-old", 8, windowHours + 1, null),
+  );
+
+  const log = console.log;
+  console.log = () => {};
+  let arena;
+  try {
+    arena = new StrategyArena({ paper });
+  } finally {
+    console.log = log;
+  }
+
+  const sample = arena.closedSamples().baseline;
+  assert.deepStrictEqual(sample.pnls.sort(), [1, 4], "Trades fermés dans la fenêtre, quelle que soit leur ouverture");
+  assert.strictEqual(sample.lastClose, now - HOUR);
+
+  console.log("    ✓ Fenêtre filtrée sur closedAt (timestamp en secours)");
+}
+
+function testArenaPromotionEvidence() {
+  console.log("  Test: Arène - victoire comptée seulement sur nouveaux trades, preuves dans promotionHistory...");
+
+  const PaperTrader = require("../src/paper-trader");
+  const PromotionPolicy = require("../src/promotion");
+  const StrategyArena = require("../src/arena");
+
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.now();
+  const paper = new PaperTrader({ persist: false });
+  const closed = (strategy, pnl, hoursAgo) => ({
+    id: `${strategy}-${paper.data.trades.length}`, strategy, status: "closed", pnl, action: "BUY_UP", entryPrice: 0.5, size: 20,
+    timestamp: now - hoursAgo * HOUR - HOUR, closedAt: now - hoursAgo * HOUR,
+  });
+  [1, -1, 1, -1, 1, -1, 1, -1, 1, -1, 1, -1].forEach((pnl, i) => paper.data.trades.push(closed("baseline", pnl, 30 - i)));
+  [3, 4, 2, 3, 4, 2, 3, 4, 2, 3, 4, 2].forEach((pnl, i) => paper.data.trades.push(closed("momentum_pure", pnl, 30 - i)));
+
+  const log = console.log;
+  console.log = () => {};
+  let arena;
+  try {
+    arena = new StrategyArena({ paper, policy: new PromotionPolicy({ settings: PROMOTION_SETTINGS, random: seededRandom(1) }) });
+  } finally {
+    console.log = log;
+  }
+  arena.saveState = () => {};
+  arena.state = { champion: "baseline", challengerWins: {}, challengerEvidence: {}, promotionHistory: [] };
+
+  const cycle = async () => {
+    console.log = () => {};
+    try {
+      await arena.compareAndPromote({});
+    } finally {
+      console.log = log;
     }
+  };
+
+  return (async () => {
+    // Trois cycles sur les mêmes trades = une seule victoire
+    await cycle();
+    await cycle();
+    await cycle();
+    assert.strictEqual(arena.state.challengerWins.momentum_pure, 1, "Mêmes trades: victoire comptée une fois");
+
+    paper.data.trades.push(closed("momentum_pure", 3, 2));
+    await cycle();
+    paper.data.trades.push(closed("momentum_pure", 4, 1));
+    await cycle();
+
+    assert.strictEqual(arena.state.champion, "momentum_pure", "Promu après 3 victoires sur des échantillons différents");
+    const entry = arena.state.promotionHistory[0];
+    assert.strictEqual(entry.type, "promotion");
+    assert.strictEqual(entry.oldChampion, "baseline");
+    assert.ok(entry.evidence.probability >= 0.95, "Probabilité de supériorité enregistrée");
+    assert.strictEqual(entry.evidence.challenger.n, 14);
+    assert.strictEqual(entry.evidence.champion.n, 12);
+
+    // Le nouveau champion se met à perdre → rétrogradé vers le fallback
+    paper.data.trades = paper.data.trades.filter(t => t.strategy !== "momentum_pure");
+    [-3, -4, -2, -3, -4, -2, -3, -4, -2, -3, -4, -2].forEach((pnl, i) => paper.data.trades.push(closed("momentum_pure", pnl, 20 - i)));
+    await cycle();
+
+    assert.strictEqual(arena.state.champion, "baseline");
+    const demotion = arena.state.promotionHistory[1];
+    assert.strictEqual(demotion.type, "demotion");
+    assert.ok(demotion.evidence.demotion.probabilityNegative >= 0.95);
+    assert.strictEqual(demotion.evidence.replacement, null, "Aucun challenger significatif: fallback");
+
+    console.log("    ✓ Promotions et rétrogradations justifiées");
+  })();
+}
+
+function testStrategyResultAdapters() {
+  console.log("  Test: Schéma de résultat v1 et adapters legacy...");
+
+  const { ADAPTERS, normalizeResult, selectAdapter, validateResult } = require("../src/strategy-result");
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    // Format recommendation (baseline, creative) → schéma v1, champs extra conservés
+    const legacy = normalizeResult(
+      { score: 0.4, confidence: 0.7, recommendation: { action: "BUY_UP", reason: "bullish" }, signals: { x: 1 } },
+      "recommendation", { strategy: "momentum_pure" });
+    assert.strictEqual(legacy.schemaVersion, 1);
+    assert.strictEqual(legacy.action, "BUY_UP");
+    assert.strictEqual(legacy.recommendation.action, "BUY_UP", "Miroir recommendation conservé");
+    assert.deepStrictEqual(legacy.signals, { x: 1 }, "Les signaux du baseline doivent survivre");
+    assert.ok(validateResult(legacy).valid);
+
+    // weather_arbitrage: BUY_YES sur une tranche → BUY_UP sur l'outcome correspondant
+    const weather = require("../src/strategies/weather_arbitrage");
+    const marketData = { outcomes: [{ id: "nyc-40-41f", name: "40-41°F" }, { id: "nyc-42-43f", name: "42-43°F" }] };
+    const buy = normalizeResult(
+      { action: "BUY_YES", score: 60, signal: { outcome: "42-43°F", price: 0.1, confidence: 0.85, edge: 60, reason: "match" } },
+      "weather", { strategy: "weather_arbitrage", marketData, instance: weather });
+    assert.strictEqual(buy.action, "BUY_UP");
+    assert.strictEqual(buy.outcomeId, "nyc-42-43f");
+    assert.strictEqual(buy.targetPrice, weather.config.entryThreshold);
+    assert.ok(Math.abs(buy.exitPlan.takeProfitPct - 3.5) < 1e-9, "Sortie à 45¢ depuis 10¢ = +350%");
+
+    const tp = normalizeResult({ action: "TAKE_PROFIT", signal: { outcome: "40-41°F", price: 0.5 } },
+      "weather", { strategy: "weather_arbitrage", marketData, instance: weather });
+    assert.strictEqual(tp.action, "EXIT");
+    assert.strictEqual(tp.outcomeId, "nyc-40-41f");
+
+    // ARB: jambe Polymarket sur un autre marché → HOLD explicite, pas de trade
+    const arb = normalizeResult(
+      { score: 0.3, confidence: 0.8, recommendation: { action: "ARB", reason: "3% spread" },
+        opportunity: { buyExchange: "kalshi", sellExchange: "polymarket", sellData: { slug: "fed-cut" }, sellPrice: 0.6 }, positionSize: 3 },
+      "arb", { strategy: "cross_exchange_arb", marketSlug: "bitcoin-up" });
+    assert.strictEqual(arb.action, "HOLD");
+    assert.strictEqual(arb.diagnostics.legacyAction, "ARB");
+
+    const arbHere = normalizeResult(
+      { score: 0.3, confidence: 0.8, recommendation: { action: "ARB", reason: "3% spread" },
+        opportunity: { buyExchange: "kalshi", sellExchange: "polymarket", sellData: { slug: "fed-cut" }, sellPrice: 0.6 }, positionSize: 3 },
+      "arb", { strategy: "cross_exchange_arb", marketSlug: "fed-cut" });
+    assert.strictEqual(arbHere.action, "BUY_DOWN");
+    assert.strictEqual(arbHere.sizeHint, 3);
+
+    // Equity du book passée aux stratégies qui plafonnent leur drawdown
+    const sized = { analyze: (...args) => args };
+    assert.deepStrictEqual(ADAPTERS.capital.call(sized, "fed-cut", { slug: "fed-cut" }, {}, { capital: 820 }), ["fed-cut", 820]);
+    assert.strictEqual(selectAdapter({ resultAdapter: "capital" }), "capital");
+
+    // Résultat invalide → HOLD avec les erreurs
+    const invalid = normalizeResult({ action: "SHORT", score: 5 }, "native", { strategy: "broken" });
+    assert.strictEqual(invalid.action, "HOLD");
+    assert.ok(invalid.diagnostics.errors.length >= 2);
+
+    // Version de schéma inconnue → refusée au chargement
+    assert.strictEqual(selectAdapter({ schemaVersion: 1 }), "native");
+    assert.strictEqual(selectAdapter({}), "recommendation");
+    assert.throws(() => selectAdapter({ schemaVersion: 2 }), /schemaVersion/);
+  } finally {
+    console.warn = warn;
   }
-  
-  assert.strictEqual(bestChallenger, "momentum_pure", 
-    "Seul momentum_pure devrait gagner (edge $1.50 > $1)");
-  
-  // Test edge insuffisant
-  const performances2 = {
-    baseline: { pnl: 5, trades: 5 },
-    contrarian: { pnl: 5.50, trades: 10 }, // +$0.50 edge (pas assez)
+
+  console.log("    ✓ Résultats normalisés, ARB/TAKE_PROFIT plus ignorés silencieusement");
+}
+
+async function testWalletCapOnlyOnRealOrders() {
+  console.log("  Test: plafond du wallet seulement quand un ordre réel part...");
+
+  const config = require("../src/config");
+  const StrategyArena = require("../src/arena");
+  const PaperTrader = require("../src/paper-trader");
+  const Portfolio = require("../src/portfolio");
+
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  const paperOnly = config.PAPER_ONLY;
+  const useEnsemble = config.USE_ENSEMBLE;
+  try {
+    const arena = new StrategyArena({ paper: new PaperTrader({ persist: false }) });
+    arena.saveState = () => {};
+    arena.compareAndPromote = async () => {};
+    arena.signalsFor = async (marketData, signals) => signals;
+    arena.activeMarkets = { markets: [], default: null };
+    arena.state.champion = "champ";
+    const stub = result => ({ analyze: async () => ({ strategy: "stub", ...result }) });
+    arena.strategies = {
+      baseline: arena.wrapStrategy("baseline", stub({ signals: {} }), "recommendation", (...args) => stub({ signals: {} }).analyze(...args)),
+      champ: arena.wrapStrategy("champ", {}, "recommendation",
+        async () => ({ score: 0.8, confidence: 0.8, recommendation: { action: "BUY_UP", reason: "test" } })),
+    };
+    config.USE_ENSEMBLE = false;
+
+    const market = { slug: "m", upPrice: 0.5, downPrice: 0.5 };
+    const run = async (exchangeName, cash) => {
+      arena.paper.data.trades = [];
+      const orders = [];
+      const realTrader = {
+        exchange: { name: exchangeName },
+        positions: { positions: {} },
+        // Equity du wallet surtout en positions: seul le cash limite l'ordre
+        portfolio: new Portfolio({ exchange: { getBalance: async () => cash, getPositions: async () => [{ currentValue: 1000 }] }, paper: arena.paper }),
+        getMarket: async () => null,
+        placeOrder: async (tokenId, side, price, size) => { orders.push(size); return { success: true }; },
+      };
+      await arena.runCompetition("m", market, realTrader);
+      return { orders, trades: arena.paper.data.trades.filter(t => t.strategy === "champ") };
+    };
+
+    // PAPER_ONLY, wallet vide: aucun ordre réel, le trade paper garde sa taille
+    config.PAPER_ONLY = true;
+    const blocked = await run("polymarket", 0);
+    assert.strictEqual(blocked.orders.length, 0);
+    assert.strictEqual(blocked.trades.length, 1, "Compétition paper maintenue");
+    assert.ok(blocked.trades[0].size >= 1, `Taille paper ${blocked.trades[0].size}`);
+    const paperSize = blocked.trades[0].size;
+
+    // Ordre réel possible mais wallet vide: pas d'ordre, trade paper non plafonné
+    const broke = await run("simulated", 0);
+    assert.strictEqual(broke.orders.length, 0);
+    assert.strictEqual(broke.trades[0].size, paperSize);
+
+    // Wallet approvisionné: l'ordre réel part, plafonné au cash
+    const funded = await run("simulated", 3);
+    assert.deepStrictEqual(funded.orders, [3]);
+    assert.strictEqual(funded.trades[0].size, 3);
+  } finally {
+    config.PAPER_ONLY = paperOnly;
+    config.USE_ENSEMBLE = useEnsemble;
+    Object.assign(console, { log, warn });
+  }
+
+  console.log("    ✓ Trades paper intacts quand aucun ordre réel n'est envoyé");
+}
+
+async function testBaselineReceivesMarket() {
+  console.log("  Test: le baseline chargé par l'arène reçoit le marché analysé...");
+
+  const StrategyArena = require("../src/arena");
+  const PaperTrader = require("../src/paper-trader");
+
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  let arena;
+  try {
+    arena = new StrategyArena({ paper: new PaperTrader({ persist: false }) });
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+
+  let received = null;
+  arena.strategies.baseline.instance.signals.getAllSignals = async market => {
+    received = market;
+    return { finalScore: 0.5, finalConfidence: 0.6, recommendation: { action: "BUY_UP", reason: "test" }, signals: {} };
   };
-  
-  let winner2 = null;
-  for (const [name, stats] of Object.entries(performances2)) {
-    if (name !== "baseline" && 
-        stats.pnl > performances2.baseline.pnl &&
-        stats.pnl > 0 &&
-        (stats.pnl - performances2.baseline.pnl) >= MIN_EDGE_FOR_WIN) {
-      winner2 = name;
-    }
+  const market = { slug: "slug-x", negRisk: true, outcomeId: "alice", outcomes: [] };
+  const result = await arena.strategies.baseline.analyze("slug-x", market, null);
+
+  assert.strictEqual(received, market, "Marché (vue d'outcome) transmis à getAllSignals, pas le slug");
+  assert.strictEqual(result.action, "BUY_UP");
+
+  console.log("    ✓ Signaux du baseline calculés sur le marché analysé");
+}
+
+async function testSignalProviderRegistry() {
+  console.log("  Test: Registre de providers, poids par catégorie, cache par marché...");
+
+  const SignalAggregator = require("../src/signals");
+  const { loadProviders, categoryOf } = require("../src/signal-providers");
+
+  // Providers intégrés chargés depuis le dossier, dans l'ordre du rapport
+  const builtIn = loadProviders([]);
+  assert.deepStrictEqual(builtIn.map(p => p.id), ["whale", "flow", "momentum", "technicals", "sentiment"]);
+  assert.deepStrictEqual(loadProviders(["flow"]).map(p => p.id), ["whale", "momentum", "technicals", "sentiment"]);
+
+  const settings = {
+    WEIGHTS: {
+      default: { global: 0.5, book: 0.5 },
+      crypto: { global: 0.75, book: 0.25 },
+    },
+    CATEGORIES: { crypto: ["bitcoin"] },
+  };
+  assert.strictEqual(categoryOf({ slug: "bitcoin-up-or-down" }, settings), "crypto");
+  assert.strictEqual(categoryOf({ slug: "x", category: "Crypto" }, settings), "crypto", "Catégorie Gamma");
+  assert.strictEqual(categoryOf("fed-decision", settings), "default");
+
+  const calls = { global: 0, book: 0 };
+  const providers = [
+    { id: "global", compute: async () => { calls.global++; return { score: 1, confidence: 1, details: "up" }; } },
+    {
+      id: "book",
+      inputs: ["market"],
+      appliesTo: market => typeof market === "object",
+      compute: async market => { calls.book++; return { score: market.bookScore, confidence: 0.5, details: "book" }; },
+      report: signal => [`Book: ${signal.score}`],
+    },
+    { id: "extra", compute: async () => { throw new Error("offline"); } },
+  ];
+  const error = console.error;
+  const log = console.log;
+  console.error = () => {};
+  console.log = () => {};
+  let btc, fed, other, slugOnly;
+  try {
+    const aggregator = new SignalAggregator({ whales: { active: () => ({}) }, providers, settings });
+    btc = await aggregator.getAllSignals({ slug: "bitcoin-up", bookScore: -1 });
+    fed = await aggregator.getAllSignals({ slug: "fed-decision", bookScore: -1 });
+    other = await aggregator.getMarketSignals({ slug: "fed-decision", bookScore: 0.2 });
+    slugOnly = await aggregator.getAllSignals("fed-decision");
+  } finally {
+    console.error = error;
+    console.log = log;
   }
-  
-  assert.strictEqual(winner2, null, 
-    "Contrarian ne devrait pas gagner avec seulement $0.50 d'edge");
-  
-  console.log("    ✓ Edge minimum de $1 correctement vérifié");
+
+  // crypto: 0.75 × 1 + 0.25 × -1 ; "extra" sans poids ne compte pas
+  assert.strictEqual(btc.category, "crypto");
+  assert.ok(Math.abs(btc.finalScore - 0.5) < 1e-9, `score ${btc.finalScore}`);
+  assert.ok(Math.abs(btc.finalConfidence - 0.875) < 1e-9);
+  assert.strictEqual(btc.signals.extra.score, 0, "Provider en erreur = signal neutre");
+  assert.strictEqual(fed.finalScore, 0, "default: 0.5 × 1 + 0.5 × -1");
+
+  // Rapport générique: une section par provider
+  assert.deepStrictEqual(btc.components.map(c => [c.id, c.name, c.weight]),
+    [["global", "GLOBAL", 0.75], ["book", "BOOK", 0.25], ["extra", "EXTRA", 0]]);
+  assert.deepStrictEqual(btc.components[1].lines, ["Book: -1"]);
+  assert.strictEqual(btc.components[0].lines[2], "Details: up");
+
+  // Cache: global une fois, book par marché
+  assert.strictEqual(calls.global, 1);
+  assert.strictEqual(calls.book, 2);
+  assert.deepStrictEqual(Object.keys(other), ["book"], "Seuls les signaux de marché sont recalculés");
+  assert.strictEqual(other.book.score, -1, "Même marché: résultat en cache");
+
+  // Provider non applicable: poids renormalisés sur les autres
+  assert.ok(!("book" in slugOnly.signals));
+  assert.strictEqual(slugOnly.weights.global, 1);
+  assert.strictEqual(slugOnly.finalScore, 1);
+
+  console.log("    ✓ Providers chargés, pondérés par catégorie et mis en cache");
+}
+
+async function testMarketIndicators() {
+  console.log("  Test: Indicateurs sur la série de prix de l'outcome (recorder, puis CLOB)...");
+
+  const os = require("os");
+  const ind = require("../src/lib/indicators");
+  const PriceHistory = require("../src/price-history");
+  const SignalAggregator = require("../src/signals");
+  const TimeSeriesStore = require("../src/recorder/store");
+
+  // Bibliothèque
+  assert.strictEqual(ind.sma([1, 2, 3, 4], 2), 3.5);
+  assert.ok(Math.abs(ind.ema([1, 2, 3, 4], 2) - (2 * 4 + (2 * 3 + 1.5) / 3) / 3) < 1e-9, "EMA seedée par la SMA");
+  assert.strictEqual(ind.rsi([1, 1, 1, 1], 3), 50, "Prix plat = neutre");
+  assert.strictEqual(ind.rsi([1, 2, 3, 4], 3), 100);
+  const bands = ind.bollinger([1, 3, 1, 3], 4, 2);
+  assert.deepStrictEqual([bands.middle, bands.upper, bands.lower, bands.percentB], [2, 4, 0, 0.75]);
+  const bars = ind.toBars([
+    { timestamp: 0, price: 0.5, volume: 10 },
+    { timestamp: 60000, price: 0.6, volume: 30 },
+    { timestamp: 300000, price: 0.4, volume: 0 },
+  ], 5);
+  assert.deepStrictEqual(bars[0], { timestamp: 0, open: 0.5, high: 0.6, low: 0.5, close: 0.6, volume: 40 });
+  assert.ok(Math.abs(ind.atr(bars, 1).value - 0.2) < 1e-9, "True range: écart avec la clôture précédente");
+  assert.ok(Math.abs(ind.vwap(bars) - (0.6 + 0.5 + 0.6) / 3) < 1e-9);
+  assert.strictEqual(ind.vwap([{ high: 1, low: 1, close: 1, volume: 0 }]), null);
+
+  // Série du recorder: prix YES de l'outcome de la vue, volume échangé entre deux points
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.UTC(2026, 0, 15, 12);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+  const store = new TimeSeriesStore(dir);
+  for (let i = 0; i <= 48; i++) {
+    const t = now - 4 * HOUR + i * 5 * 60 * 1000;
+    store.append("election", {
+      timestamp: t,
+      upPrice: 0.5,
+      primaryOutcome: "alice",
+      outcomes: [
+        { id: "alice", yesPrice: 0.5, volume: 1000 },
+        { id: "bob", yesPrice: 0.2 + i * 0.005, volume: 100 * i },
+      ],
+    });
+  }
+  const settings = { ...require("../src/config").INDICATORS, HISTORY_HOURS: 4 };
+  const clobCalls = [];
+  const fetchHistory = async token => {
+    clobCalls.push(token);
+    return Array.from({ length: 30 }, (_, i) => ({ timestamp: now - (30 - i) * 60000, price: 0.9 - i * 0.01 }));
+  };
+  const election = {
+    slug: "election",
+    negRisk: true,
+    primaryOutcome: "alice",
+    outcomes: [
+      { id: "alice", name: "Alice", yesToken: "alice-yes" },
+      { id: "bob", name: "Bob", yesToken: "bob-yes" },
+    ],
+  };
+
+  const log = console.log;
+  try {
+    const history = new PriceHistory({ store, fetchHistory, settings, now: () => now });
+    const { outcomeView } = require("../src/lib/outcomes");
+    const bob = await history.series(outcomeView(election, "bob"));
+    assert.strictEqual(bob.source, "recorder");
+    assert.strictEqual(bob.points.length, 49);
+    assert.ok(Math.abs(bob.points[48].price - 0.44) < 1e-9, "Prix YES de Bob, pas le prix UP (Alice)");
+    assert.strictEqual(bob.points[10].volume, 100);
+    assert.strictEqual(clobCalls.length, 0);
+
+    const aggregator = new SignalAggregator({ whales: { active: () => ({}) }, history, providers: [] });
+    const momentum = await aggregator.getMomentumSignals(outcomeView(election, "bob"));
+    assert.ok(momentum.score > 0, "Bob monte");
+    assert.strictEqual(momentum.m60, ((0.44 - 0.38) / 0.38 * 100).toFixed(2) + "%");
+    const technicals = await aggregator.getTechnicalSignals(outcomeView(election, "bob"), { rsi: 1 });
+    assert.strictEqual(technicals.indicators.rsi.value, 100);
+    assert.strictEqual(technicals.score, -1, "Suracheté");
+
+    const picked = await aggregator.getIndicators(outcomeView(election, "bob"), ["vwap", "atr", "unknown"]);
+    assert.deepStrictEqual(Object.keys(picked.values), ["vwap", "atr"]);
+    assert.ok(picked.values.vwap.score !== null, "VWAP avec le volume du recorder");
+    assert.strictEqual(picked.values.atr.score, null, "ATR ne vote pas");
+
+    // Marché absent du recorder → CLOB /prices-history du token YES
+    const other = await history.series({ slug: "fed-cut", upToken: "fed-yes", outcomes: [] });
+    assert.strictEqual(other.source, "clob");
+    assert.deepStrictEqual(clobCalls, ["fed-yes"]);
+    console.log = () => {};
+    const down = await aggregator.getMomentumSignals({ slug: "fed-cut", upToken: "fed-yes", outcomes: [] });
+    assert.ok(down.score < 0);
+    assert.strictEqual((await aggregator.getMomentumSignals("fed-cut")).score, 0, "Slug seul: pas de série");
+  } finally {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log("    ✓ Momentum et indicateurs calculés sur le marché analysé");
+}
+
+async function testPortfolioEquity() {
+  console.log("  Test: Equity du wallet et des books paper pour le sizing...");
+
+  const Portfolio = require("../src/portfolio");
+  const RiskManager = require("../src/risk-manager");
+  const PaperTrader = require("../src/paper-trader");
+  const paper = new PaperTrader();
+  const old = Date.now() - 24 * 60 * 60 * 1000;
+  paper.data.trades = [
+    { strategy: "baseline", market: "btc-up", action: "BUY_UP", status: "closed", entryPrice: 0.4, size: 50, pnl: 20, timestamp: old },
+    { strategy: "baseline", market: "btc-up", action: "BUY_UP", status: "open", entryPrice: 0.5, size: 100, timestamp: old },
+    { strategy: "creative:contrarian", market: "fed-cut", action: "BUY_DOWN", status: "open", entryPrice: 0.5, size: 480, entryFee: 5, timestamp: old },
+  ];
+  const prices = { get: slug => (slug === "btc-up" ? { up: 0.6, down: 0.4 } : null) };
+
+  let now = Date.UTC(2026, 0, 15, 12);
+  let calls = 0;
+  let failing = false;
+  const exchange = {
+    getBalance: async () => {
+      calls++;
+      if (failing) throw new Error("RPC down");
+      return 250;
+    },
+    getPositions: async () => [{ currentValue: 50 }, { currentValue: 0 }],
+  };
+  const portfolio = new Portfolio({ exchange, paper, prices, capital: 500, now: () => now });
+
+  // Books: capital + réalisé + latent (au prix du marché, sinon au coût)
+  const baseline = portfolio.book("baseline");
+  assert.deepStrictEqual(
+    [baseline.realizedPnl, baseline.unrealizedPnl, baseline.openCost, baseline.cash, baseline.equity],
+    [20, 20, 100, 420, 540]);
+  const contrarian = portfolio.book("contrarian");
+  assert.deepStrictEqual([contrarian.cash, contrarian.equity], [15, 500], "Frais d'entrée inclus dans le coût");
+  assert.deepStrictEqual(Object.keys(portfolio.books()).sort(), ["baseline", "contrarian"]);
+  assert.strictEqual(portfolio.available(), null, "Wallet jamais lu");
+
+  // Wallet: USDC.e + positions ouvertes, en cache
+  const wallet = await portfolio.refresh();
+  assert.deepStrictEqual([wallet.cash, wallet.positionsValue, wallet.equity, wallet.positions], [250, 50, 300, 1]);
+  await portfolio.refresh();
+  assert.strictEqual(calls, 1, "Snapshot en cache");
+  assert.strictEqual(portfolio.equity(), 300);
+  assert.strictEqual(portfolio.available(), 250);
+
+  // Ordres réels placés entre deux lectures: déduits du cash en cache
+  portfolio.reserve(100);
+  portfolio.reserve(100);
+  assert.strictEqual(portfolio.available(), 50, "Deux ordres du même cycle plafonnés par le cash restant");
+  assert.strictEqual(portfolio.equity(), 300, "Cash → positions, equity inchangée");
+  assert.strictEqual(calls, 1);
+  assert.strictEqual((await portfolio.refresh(true)).cash, 250, "Relu depuis le wallet");
+  assert.strictEqual(calls, 2);
+
+  now += 61 * 1000;
+  failing = true;
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.strictEqual((await portfolio.refresh()).equity, 300, "Dernier snapshot gardé si le RPC échoue");
+  } finally {
+    console.error = error;
+  }
+  assert.strictEqual(calls, 3);
+
+  // RiskManager: équité et exposition du book, taille plafonnée au cash
+  // Limites du portefeuille désactivées: seules celles du book jouent ici
+  const settings = {
+    ...require("../src/config").RISK,
+    MAX_GROSS_EXPOSURE: null,
+    MAX_EXPOSURE_PER_EVENT: null,
+    MAX_EXPOSURE_PER_CATEGORY: {},
+    MAX_NET_PER_OUTCOME: null,
+  };
+  const risk = new RiskManager(paper, { portfolio, settings });
+  assert.strictEqual(risk.getPortfolioValue("creative:contrarian"), 500);
+  assert.strictEqual(risk.getMarketExposure("btc-up"), 100);
+  assert.strictEqual(risk.getMarketExposure("btc-up", "creative:contrarian"), 0);
+
+  const capped = risk.validate({ strategy: "creative:contrarian", marketSlug: "btc-up", action: "BUY_UP", confidence: 0.5 });
+  assert.strictEqual(capped.valid, true);
+  assert.strictEqual(capped.size, 15, "18.75$ demandés, 15$ de cash");
+  assert.strictEqual(capped.adjusted, true);
+
+  paper.data.trades.push({ strategy: "creative:contrarian", market: "btc-up", action: "BUY_UP", status: "open", entryPrice: 0.6, size: 10, timestamp: old });
+  const broke = risk.validate({ strategy: "creative:contrarian", marketSlug: "sol-up", action: "BUY_UP", confidence: 0.5 });
+  assert.deepStrictEqual([broke.valid, broke.rule], [false, "CASH"]);
+
+  console.log("    ✓ Sizing et limites sur l'equity réelle");
+}
+
+async function testCorrelatedExposureLimits() {
+  console.log("  Test: Limites d'exposition du portefeuille (event, catégorie, groupe, net)...");
+
+  const Portfolio = require("../src/portfolio");
+  const RiskManager = require("../src/risk-manager");
+  const PaperTrader = require("../src/paper-trader");
+  const paper = new PaperTrader();
+  const old = Date.now() - 24 * 60 * 60 * 1000;
+  const open = (strategy, market, outcomeId, action, size, category) =>
+    ({ strategy, market, outcomeId, action, size, category, entryPrice: 0.5, status: "open", timestamp: old });
+  paper.data.trades = [
+    open("baseline", "democratic-presidential-nominee-2028", "newsom", "BUY_UP", 60),
+    open("creative:contrarian", "democratic-presidential-nominee-2028", "newsom", "BUY_UP", 10),
+    open("whale_follow", "republican-presidential-nominee-2028", "vance", "BUY_UP", 50),
+    open("crypto_edge", "eth-flip", null, "BUY_UP", 190, "crypto"),
+  ];
+  // Un seul book dans l'arène, 500$ → brut 400, event 150, groupe 175, net 75, crypto 200
+  // (les trades des autres stratégies comptent dans l'exposition, pas leur capital)
+  const risk = new RiskManager(paper, { portfolio: new Portfolio({ paper, capital: 500, books: () => ["sentiment"] }) });
+  const validate = (marketSlug, outcomeId, action) =>
+    risk.validate({ strategy: "sentiment", marketSlug, outcomeId, action, confidence: 0.5 });
+
+  assert.deepStrictEqual(risk.correlationGroups("democratic-presidential-nominee-2028"), ["us-2028"]);
+  assert.deepStrictEqual(risk.correlationGroups("eth-flip"), []);
+
+  // 70$ de YES Newsom toutes stratégies confondues: plus de place pour un YES, un NO réduit le net
+  const yes = validate("democratic-presidential-nominee-2028", "newsom", "BUY_UP");
+  assert.deepStrictEqual([yes.valid, yes.rule], [false, "MAX_NET_DIRECTION"]);
+  const no = validate("democratic-presidential-nominee-2028", "newsom", "BUY_DOWN");
+  assert.deepStrictEqual([no.valid, no.size, no.adjusted], [true, 18.75, undefined]);
+
+  // 170$ sur les marchés US 2028 corrélés: un autre candidat est refusé
+  paper.data.trades.push(open("momentum_pure", "presidential-election-winner-2028", "newsom", "BUY_UP", 50));
+  const desantis = validate("republican-presidential-nominee-2028", "desantis", "BUY_UP");
+  assert.deepStrictEqual([desantis.valid, desantis.rule], [false, "MAX_CORRELATED"]);
+
+  // Catégorie crypto (enregistrée sur le trade, mots-clés du slug pour le nouveau): 10$ de marge
+  const solana = validate("solana-up-or-down", null, "BUY_UP");
+  assert.deepStrictEqual([solana.valid, solana.size, solana.adjusted], [true, 10, true]);
+  assert.ok(solana.adjustReason.includes("crypto"));
+
+  // Brut: 360$ engagés sur 400$
+  paper.data.trades.push(open("weather_edge", "nyc-temperature", null, "BUY_UP", 35));
+  const weather = validate("london-temperature", null, "BUY_UP");
+  assert.deepStrictEqual([weather.valid, weather.rule], [false, "MAX_GROSS"]);
+
+  const status = risk.getStatus();
+  assert.strictEqual(status.grossExposure, 395);
+  assert.deepStrictEqual(status.groupExposures, { "us-2028": 170 });
+  assert.strictEqual(status.categoryExposures.crypto, 190);
+  assert.strictEqual(status.categoryExposures.politics, 170);
+
+  console.log("    ✓ Expositions corrélées limitées au niveau du portefeuille");
+}
+
+async function testMultiBookExposureLimits() {
+  console.log("  Test: Limites paper sur la somme des books, trades réels sur le wallet...");
+
+  const Portfolio = require("../src/portfolio");
+  const RiskManager = require("../src/risk-manager");
+  const PaperTrader = require("../src/paper-trader");
+  const PositionManager = require("../src/position-manager");
+  const { categoryOf } = require("../src/signal-providers");
+  const paper = new PaperTrader({ persist: false });
+  const old = Date.now() - 24 * 60 * 60 * 1000;
+  const names = Array.from({ length: 13 }, (_, i) => `strategy_${i}`);
+  paper.data.trades = Array.from({ length: 20 }, (_, i) => ({
+    strategy: names[i % 13], market: `weather-city-${i}`, action: "BUY_UP", size: 25,
+    entryPrice: 0.5, status: "open", timestamp: old,
+  }));
+  const portfolio = new Portfolio({ paper, capital: 500, books: () => [...names, "creative:strategy_0"] });
+  const risk = new RiskManager(paper, { portfolio });
+
+  // 13 books de 500$: brut max 5200$, pas 400$ après 16 trades
+  assert.strictEqual(portfolio.paperEquity(), 6500, "Un capital par book, clés normalisées");
+  assert.strictEqual(risk.getStatus().portfolio, 6500);
+  const paperTrade = risk.validate({ strategy: "strategy_3", marketSlug: "fed-rate-cut", action: "BUY_UP", confidence: 0.5 });
+  assert.deepStrictEqual([paperTrade.valid, paperTrade.size], [true, 18.75]);
+
+  // Trade réel: positions suivies vs wallet de 100$ (brut 80, event 30)
+  const positions = new PositionManager({ persist: false });
+  positions.positions = {
+    "btc-up_UP": { id: "btc-up_UP", market: "btc-up", side: "UP", size: 140, costBasis: 70, entryPrice: 0.5, status: "open" },
+  };
+  const wallet = { equity: 100, cash: 30 };
+  const trade = marketSlug => ({ marketSlug, outcomeId: null, action: "BUY_UP", category: categoryOf(marketSlug) });
+  const reduced = risk.validateReal(trade("fed-rate-cut"), 18.75, wallet, positions);
+  assert.deepStrictEqual([reduced.valid, reduced.size], [true, 10], "Réduit au brut restant du wallet");
+  assert.ok(reduced.adjustReason.includes("gross"));
+  const sameEvent = risk.validateReal(trade("btc-up"), 18.75, wallet, positions);
+  assert.deepStrictEqual([sameEvent.valid, sameEvent.rule], [false, "MAX_EVENT"]);
+  assert.deepStrictEqual(risk.validateReal(trade("fed-rate-cut"), 18.75, null, positions).rule, "WALLET");
+
+  console.log("    ✓ Equity paper = somme des books, equity réelle = wallet");
+}
+
+async function testSizingEngine() {
+  console.log("  Test: Moteur de sizing (Kelly binaire, volatilité, fixe, perte max)...");
+
+  const { positionSize } = require("../src/sizing");
+  const RiskManager = require("../src/risk-manager");
+  const PaperTrader = require("../src/paper-trader");
+  const StrategyArena = require("../src/arena");
+  const { buildResult, validateResult } = require("../src/strategy-result");
+  const equity = { equity: 1000 };
+  const close = (a, b) => Math.abs(a - b) < 0.01;
+
+  // Kelly sur le payout réel: acheté à 40¢ avec 60% de chances → f* = 0.2 / 0.6
+  const kelly = positionSize({ model: "kelly", price: 0.4, probability: 0.6 }, equity);
+  assert.ok(close(kelly.size, 1000 * (0.2 / 0.6) * 0.25), `Quart de Kelly: ${kelly.size}`);
+  assert.ok(close(positionSize({ model: "kelly", price: 0.4, probability: 0.6, confidence: 0.5 }, equity).size, kelly.size / 2));
+  assert.strictEqual(positionSize({ model: "kelly", price: 0.4, probability: 0.3 }, equity).size, 0, "Pas d'edge");
+  assert.strictEqual(positionSize({ model: "kelly", price: 0.4, probability: 0.6 }, { equity: 1000, cash: 50 }).size, 50);
+
+  assert.strictEqual(positionSize({ model: "volatility", volatility: 0.01 }, equity).size, 100, "Plafond MAX_FRACTION");
+  assert.strictEqual(positionSize({ model: "volatility", volatility: 0.01, maxFraction: 0.005 }, equity).size, 5);
+  assert.strictEqual(positionSize({ confidence: 0.5 }, equity).size, 37.5, "Fixe 5% × 75%");
+  assert.strictEqual(positionSize({ model: "max_loss", stopLossPct: 0.25 }, equity).size, 80);
+  assert.strictEqual(positionSize({ model: "max_loss" }, equity).size, 20, "Sans stop: toute la mise");
+
+  const fallback = positionSize({ model: "volatility", confidence: 1 }, equity);
+  assert.deepStrictEqual([fallback.model, fallback.fallback, fallback.size], ["fixed", true, 50]);
+  assert.throws(() => positionSize({ model: "martingale" }, equity), /Unknown sizing model/);
+
+  // Schéma: modèle connu uniquement
+  assert.ok(validateResult(buildResult({ action: "BUY_UP", sizing: { model: "kelly", probability: 0.7 } })).valid);
+  assert.ok(!validateResult(buildResult({ action: "BUY_UP", sizing: { model: "martingale" } })).valid);
+
+  // Requête de l'arène: prix du côté acheté, stop du plan de sortie, ATR pour le modèle volatility
+  const arena = { signals: { getIndicators: async () => ({ values: { atr: { value: { relative: 0.02 } } } }) } };
+  const request = await StrategyArena.prototype.sizingRequest.call(arena,
+    { sizing: { model: "volatility" }, exitPlan: { stopLossPct: 0.3 } }, {}, 0.45);
+  assert.deepStrictEqual(request, { model: "volatility", price: 0.45, stopLossPct: 0.3, volatility: 0.02 });
+
+  // Risk manager: modèle demandé sur l'equity du book, rejet sans edge
+  const paper = new PaperTrader();
+  paper.data.trades = [];
+  const risk = new RiskManager(paper);
+  const sized = risk.validate({
+    strategy: "baseline", marketSlug: "sol-up", action: "BUY_UP", confidence: 0.5,
+    sizing: { model: "max_loss", stopLossPct: 0.5 },
+  });
+  assert.deepStrictEqual([sized.valid, sized.size, sized.sizing.model], [true, 20, "max_loss"]);
+  const noEdge = risk.validate({
+    strategy: "baseline", marketSlug: "sol-up", action: "BUY_UP", confidence: 0.5,
+    sizing: { model: "kelly", probability: 0.3, price: 0.5 },
+  });
+  assert.deepStrictEqual([noEdge.valid, noEdge.rule], [false, "SIZING"]);
+
+  console.log("    ✓ Un seul moteur de sizing, modèle demandé par la stratégie");
+}
+
+async function testExitRules() {
+  console.log("  Test: Règles de sortie (trailing, break-even, temps, scale-out, custom)...");
+
+  const PaperTrader = require("../src/paper-trader");
+  const PositionManager = require("../src/position-manager");
+  const { validateResult, buildResult } = require("../src/strategy-result");
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.now();
+  const noTarget = { takeProfitPct: 5, stopLossPct: 0.9 };
+  const trade = (id, exitPlan, extra = {}) => ({
+    id, market: id, strategy: "exit_test", status: "open", action: "BUY_UP",
+    entryPrice: 0.5, size: 10, timestamp: now, exitPlan: { ...noTarget, ...exitPlan }, ...extra,
+  });
+  const prices = (up, extra = {}) => ({ upPrice: up, downPrice: 1 - up, ...extra });
+
+  const paper = new PaperTrader({ persist: false });
+  paper.data.trades = [
+    trade("trail", { trailingStopPct: 0.1, scaleOut: [{ profitPct: 0.1, fraction: 0.5 }] }),
+    trade("even", { breakEvenAfterPct: 0.08 }),
+    trade("hold", { maxHoldHours: 1 }, { timestamp: now - 2 * HOUR }),
+    trade("end", { exitBeforeEndHours: 6 }),
+    trade("custom", {}),
+  ];
+  const rulesFor = t => t.market === "custom"
+    ? [{ name: "signal_flip", check: (position, ctx) => ctx.price < 0.45 ? { reason: "flip", fraction: 0.25 } : null }]
+    : [];
+  const cycle = (up, endInHours = 48) => paper.checkTakeProfits(Object.fromEntries(
+    ["trail", "even", "hold", "end", "custom"].map(slug => [slug, prices(up[slug] ?? 0.5, {
+      endDate: new Date(now + endInHours * HOUR).toISOString(),
+    })])
+  ), { rulesFor });
+  const byIdOf = book => Object.fromEntries(book.data.trades.map(t => [t.id, t]));
+  const byId = () => byIdOf(paper);
+
+  // Cycle 1: +12% → moitié vendue, break-even armé, durée max dépassée
+  let closed = cycle({ trail: 0.56, even: 0.55 });
+  assert.deepStrictEqual(closed.map(t => t.id).sort(), ["hold", "trail-1"]);
+  assert.ok(byId().hold.closeReason.startsWith("MAX_HOLD"), byId().hold.closeReason);
+  assert.deepStrictEqual([byId()["trail-1"].parentId, byId()["trail-1"].shares, byId().trail.shares], ["trail", 10, 10]);
+  assert.ok(Math.abs(byId().trail.size - 5) < 1e-9, "Le reste garde la moitié du coût");
+
+  // Cycle 2: nouveau plus haut, palier déjà vendu; sortie 3h avant la fin, règle custom partielle
+  closed = cycle({ trail: 0.6, even: 0.52, custom: 0.44 }, 3);
+  assert.deepStrictEqual(closed.map(t => t.id).sort(), ["custom-1", "end"]);
+  assert.ok(byId().end.closeReason.startsWith("BEFORE_END"));
+  assert.ok(byId()["custom-1"].closeReason.startsWith("signal_flip (flip)"));
+  assert.strictEqual(byId()["custom-1"].shares, 5, "25% des 20 shares");
+  assert.strictEqual(byId().trail.exitState.peakPrice, 0.6);
+
+  // Cycle 3: 10% sous le plus haut → trailing stop; retour au prix d'entrée → break-even
+  closed = cycle({ trail: 0.53, even: 0.5 });
+  assert.deepStrictEqual(closed.map(t => t.id).sort(), ["even", "trail"]);
+  assert.ok(byId().trail.closeReason.startsWith("TRAILING_STOP"), byId().trail.closeReason);
+  assert.ok(byId().even.closeReason.startsWith("BREAK_EVEN"), byId().even.closeReason);
+  assert.ok(Math.abs(byId().trail.pnl - 10 * 0.03) < 1e-9, "PnL du reste seulement");
+
+  // Stop sur un carnet mince: la profondeur disponible est vendue, le reste au cycle suivant
+  const thin = new PaperTrader({ persist: false });
+  thin.data.trades = [trade("thin", {})];
+  const stop = books => thin.checkTakeProfits({ thin: prices(0.04, { books: { up: books } }) });
+  closed = stop({ bids: [{ price: "0.04", size: "8" }], asks: [] });
+  assert.deepStrictEqual(closed.map(t => [t.id, t.shares]), [["thin-1", 8]]);
+  assert.ok(closed[0].closeReason.startsWith("STOP_LOSS"));
+  assert.deepStrictEqual([byIdOf(thin).thin.status, byIdOf(thin).thin.shares], ["open", 12]);
+  closed = stop({ bids: [{ price: "0.04", size: "100" }], asks: [] });
+  assert.deepStrictEqual(closed.map(t => t.id), ["thin"], "Le reste part au cycle suivant");
+
+  // Position réelle: scale-out partiel, la position reste ouverte
+  const positions = new PositionManager({ persist: false });
+  positions.positions = {
+    "btc-up_UP": {
+      id: "btc-up_UP", market: "btc-up", side: "UP", tokenId: "t-yes", size: 100, costBasis: 50,
+      entryPrice: 0.5, entryTime: now, status: "open", exitPlan: { scaleOut: [{ profitPct: 0.2, fraction: 0.5 }] },
+    },
+  };
+  const sold = [];
+  const exchange = { placeOrder: async order => { sold.push(order.size); return { success: true, orderId: "o1", status: "matched" }; } };
+  await positions.executeExits(await positions.checkAndExit({ up: 0.62, down: 0.38 }, "btc-up"), exchange);
+  const pos = positions.positions["btc-up_UP"];
+  assert.deepStrictEqual([sold, pos.status, pos.size, pos.costBasis], [[50], "open", 50, 25]);
+  assert.strictEqual((await positions.checkAndExit({ up: 0.62, down: 0.38 }, "btc-up")).length, 0, "Palier déjà vendu");
+
+  // Schéma: plans de sortie étendus
+  assert.ok(validateResult(buildResult({ action: "BUY_UP", exitPlan: { trailingStopPct: 0.1, scaleOut: [{ profitPct: 0.1, fraction: 0.5 }] } })).valid);
+  assert.ok(!validateResult(buildResult({ action: "BUY_UP", exitPlan: { scaleOut: [{ profitPct: 0.1, fraction: 2 }] } })).valid);
+
+  console.log("    ✓ Trailing stop, break-even, sorties temporelles, scale-out et règles custom");
 }
 
 // ============================================
@@ -729,6 +1756,9 @@ async function runTests() {
     ["PaperTrader: Fenêtre glissante", testPaperTraderPerformanceWindow],
     ["PaperTrader: Calcul MtM", testPaperTraderMtmCalculation],
     ["PaperTrader: Normalisation stratégies", testPaperTraderStrategyNormalization],
+    ["PaperTrader: Journal de trades", testTradeJournal],
+    ["PaperTrader: Analytics de performance", testPerformanceAnalytics],
+    ["PaperTrader: Règlement automatique", testAutoSettlement],
     
     // Arena state tests
     ["Arena: État initial", testArenaInitialState],
@@ -753,13 +1783,27 @@ async function runTests() {
     
     // Promotion logic tests
     ["Promotion: Pas de victoire si PnL=0", testNoWinWithZeroPnL],
-    ["Promotion: Edge minimum requis", testMinEdgeRequired],
+    ["Promotion: Significativité statistique", testPromotionSignificance],
+    ["Promotion: Fenêtre sur la fermeture", testClosedSamplesWindow],
+    ["Promotion: Preuves dans l'historique", testArenaPromotionEvidence],
+
+    // Strategy result schema
+    ["Stratégies: Schéma de résultat v1", testStrategyResultAdapters],
+    ["Signaux: Registre de providers", testSignalProviderRegistry],
+    ["Arène: Marché transmis au baseline", testBaselineReceivesMarket],
+    ["Arène: Plafond du wallet sur les ordres réels", testWalletCapOnlyOnRealOrders],
+    ["Signaux: Indicateurs du marché analysé", testMarketIndicators],
+    ["Risque: Equity du portfolio", testPortfolioEquity],
+    ["Risque: Expositions corrélées", testCorrelatedExposureLimits],
+    ["Risque: Limites multi-books et wallet", testMultiBookExposureLimits],
+    ["Risque: Moteur de sizing", testSizingEngine],
+    ["Positions: Règles de sortie", testExitRules],
   ];
 
   for (const [name, testFn] of tests) {
     try {
       console.log(`\n📋 ${name}`);
-      testFn();
+      await testFn();
       passed++;
     } catch (e) {
       failed++;
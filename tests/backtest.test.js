@@ -0,0 +1,385 @@
+/**
+ * Tests pour le moteur de backtest
+ *
+ * Usage: node tests/backtest.test.js
+ */
+
+const assert = require("assert");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2026, 0, 15, 12, 0, 0);
+
+/**
+ * Marché fictif proche de l'expiration, UP très bon marché
+ * (déclenche time_decay: < 24h restantes et prix < 10%)
+ */
+function makeMarket(upPrice, extra = {}) {
+  return {
+    title: "Test market",
+    slug: "test-market",
+    endDate: new Date(START + 12 * HOUR_MS).toISOString(),
+    upPrice,
+    downPrice: 1 - upPrice,
+    upToken: "111",
+    downToken: "222",
+    liquidity: 10000,
+    volume: 50000,
+    ...extra,
+  };
+}
+
+function makeSnapshots(prices) {
+  return prices.map((price, i) => ({
+    timestamp: START + i * 10 * 60 * 1000,
+    markets: { "test-market": makeMarket(price) },
+  }));
+}
+
+// ============================================
+// Tests unitaires
+// ============================================
+
+function testSimulatedClock() {
+  console.log("  Test: SimulatedClock fige Date.now() et new Date() puis les restaure...");
+
+  const SimulatedClock = require("../src/backtest/clock");
+  const clock = new SimulatedClock(1000);
+  const realNow = Date.now;
+  const RealDate = Date;
+
+  clock.install();
+  try {
+    assert.strictEqual(Date.now(), 1000, "Date.now() devrait retourner le temps simulé");
+    clock.advance(500);
+    assert.strictEqual(Date.now(), 1500, "advance() devrait avancer le temps simulé");
+    assert.strictEqual(new Date().getTime(), 1500, "new Date() devrait suivre le temps simulé");
+    assert.strictEqual(new Date(START).getTime(), START, "Une date explicite n'est pas touchée");
+    assert.ok(new Date() instanceof Date && new Date() instanceof RealDate);
+    assert.strictEqual(Date.parse("1970-01-01T00:00:01Z"), 1000, "Méthodes statiques conservées");
+    assert.strictEqual(Date(), new RealDate(1500).toString());
+  } finally {
+    clock.uninstall();
+  }
+
+  assert.strictEqual(Date.now, realNow, "Date.now devrait être restauré");
+  assert.strictEqual(Date, RealDate, "Date devrait être restauré");
+  assert.ok(Math.abs(new Date().getTime() - realNow()) < 60000, "new Date() revient à l'heure réelle");
+
+  console.log("    ✓ Horloge simulée correcte");
+}
+
+async function testReplayTransport() {
+  console.log("  Test: ReplayTransport sert Gamma/CLOB/Data depuis le snapshot...");
+
+  const ReplayTransport = require("../src/backtest/replay");
+  const replay = new ReplayTransport();
+  replay.setSnapshot({
+    timestamp: START,
+    markets: {
+      "test-market": makeMarket(0.4, {
+        books: { "111": { bids: [{ price: "0.39", size: "100" }], asks: [{ price: "0.41", size: "80" }] } },
+      }),
+    },
+    whales: { "0xabc": [{ outcome: "Yes", currentValue: 20000 }] },
+  });
+
+  const events = await (await replay.fetch("https://gamma-api.polymarket.com/events?slug=test-market")).json();
+  assert.strictEqual(events.length, 1, "Devrait retourner l'event");
+  assert.deepStrictEqual(JSON.parse(events[0].markets[0].outcomePrices), ["0.4", "0.6"]);
+
+  const book = await (await replay.fetch("https://clob.polymarket.com/book?token_id=111")).json();
+  assert.strictEqual(book.asks[0].price, "0.41", "Devrait retourner le carnet enregistré");
+
+  const positions = await (await replay.fetch("https://data-api.polymarket.com/positions?user=0xABC")).json();
+  assert.strictEqual(positions.length, 1, "Devrait retourner les positions de la whale");
+
+  const missed = await replay.fetch("https://api.alternative.me/fng/");
+  assert.strictEqual(missed.status, 503, "Source non enregistrée → 503");
+  assert.strictEqual(replay.misses["https://api.alternative.me/fng/"], 1, "Le miss devrait être compté");
+
+  console.log("    ✓ Replay transport correct");
+}
+
+function testDrawdownAndSharpe() {
+  console.log("  Test: computeDrawdown / computeSharpe...");
+
+  const { BacktestEngine } = require("../src/backtest/engine");
+  const engine = new BacktestEngine([]);
+
+  const curve = [500, 520, 490, 510, 530].map((equity, i) => ({ timestamp: i * HOUR_MS, equity }));
+  const { maxDrawdown, maxDrawdownPct } = engine.computeDrawdown(curve);
+  assert.strictEqual(maxDrawdown, 30, "Max drawdown devrait être $30 (520 → 490)");
+  assert.ok(Math.abs(maxDrawdownPct - 30 / 520) < 1e-9, "Max drawdown % relatif au pic");
+
+  const flat = [500, 500, 500].map((equity, i) => ({ timestamp: i * HOUR_MS, equity }));
+  assert.strictEqual(engine.computeSharpe(flat), 0, "Sharpe nul sans variance");
+  assert.ok(engine.computeSharpe(curve) > 0, "Sharpe positif sur une courbe gagnante");
+
+  console.log("    ✓ Métriques correctes");
+}
+
+function testFillSimulator() {
+  console.log("  Test: simulateFill traverse le carnet (partiel, frais, latence)...");
+
+  const { simulateFill } = require("../src/fill-simulator");
+  const book = {
+    bids: [{ price: "0.38", size: "50" }],
+    asks: [{ price: "0.40", size: "50" }, { price: "0.45", size: "100" }],
+  };
+  const noFriction = { TAKER_FEE_BPS: 0, LATENCY_MS: 0, LATENCY_DRIFT_BPS_PER_SEC: 0 };
+
+  // $29 → 50 shares @ 0.40 ($20) + 20 shares @ 0.45 ($9)
+  const buy = simulateFill(book, "BUY", { amount: 29 }, 0.39, noFriction);
+  assert.strictEqual(buy.levels, 2);
+  assert.ok(Math.abs(buy.shares - 70) < 1e-9, "70 shares remplies");
+  assert.ok(Math.abs(buy.avgPrice - 29 / 70) < 1e-9, "Prix moyen pondéré");
+  assert.ok(buy.slippage > 0, "Payé plus que le mid");
+
+  const sell = simulateFill(book, "SELL", { shares: 80 }, 0.39, noFriction);
+  assert.strictEqual(sell.partial, true, "Profondeur bid insuffisante");
+  assert.strictEqual(sell.shares, 50);
+
+  const withFriction = simulateFill(book, "BUY", { amount: 10 }, 0.39, { TAKER_FEE_BPS: 100, LATENCY_MS: 1000, LATENCY_DRIFT_BPS_PER_SEC: 50 });
+  assert.ok(Math.abs(withFriction.avgPrice - 0.40 * 1.005) < 1e-9, "Latence: prix décalé contre nous");
+  assert.ok(Math.abs(withFriction.fee - 0.10) < 1e-9, "Frais taker 1% du notionnel");
+
+  const noBook = simulateFill(null, "BUY", { amount: 10 }, 0.39, noFriction);
+  assert.strictEqual(noBook.simulated, false, "Sans carnet: fill au prix demandé");
+  assert.strictEqual(noBook.avgPrice, 0.39);
+
+  console.log("    ✓ Fills simulés corrects");
+}
+
+function testHistoryStore() {
+  console.log("  Test: TimeSeriesStore - requête, compaction, snapshots...");
+
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const TimeSeriesStore = require("../src/recorder/store");
+  const { loadSnapshotsFromStore } = require("../src/backtest/engine");
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+  try {
+    const store = new TimeSeriesStore(dir);
+    const books = { "111": { bids: [{ price: 0.39, size: 100 }], asks: [] } };
+
+    // 3 jours plus tôt: une minute de points → compacté en un seul point
+    const old = START - 3 * 24 * HOUR_MS;
+    [0.30, 0.35, 0.32].forEach((p, i) => store.append("test-market", { ...makeMarket(p), timestamp: old + i * 20000, books }));
+    // Dernière heure: 0.40 → 0.46
+    store.append("test-market", { ...makeMarket(0.40), timestamp: START - HOUR_MS, books });
+    store.append("test-market", { ...makeMarket(0.46), timestamp: START, books });
+
+    const change = store.getPriceChange("test-market", HOUR_MS, START);
+    assert.ok(Math.abs(change.change - 0.06) < 1e-9, "Variation sur 1h: +6%");
+
+    // negRisk: upPrice suit le candidat en tête; le drift d'un candidat suit son token YES
+    const candidates = (a, b) => [{ id: "alice", yesToken: "a-yes", yesPrice: a }, { id: "bob", yesToken: "b-yes", yesPrice: b }];
+    store.append("election", { timestamp: START - HOUR_MS, upPrice: 0.50, upToken: "a-yes", outcomes: candidates(0.50, 0.40) });
+    store.append("election", { timestamp: START, upPrice: 0.55, upToken: "b-yes", outcomes: candidates(0.45, 0.55) });
+    assert.ok(Math.abs(store.getPriceChange("election", HOUR_MS, START).change - 0.05) < 1e-9, "upPrice: saut de leader");
+    assert.ok(Math.abs(store.getPriceChange("election", HOUR_MS, START, "a-yes").change + 0.05) < 1e-9, "alice: -5%");
+    assert.ok(Math.abs(store.getPriceChange("election", HOUR_MS, START, "b-yes").change - 0.15) < 1e-9, "bob: +15%");
+    assert.strictEqual(store.getPriceChange("election", HOUR_MS, START, "c-yes"), null, "Token absent de l'historique");
+
+    const stats = store.compact(START);
+    assert.strictEqual(stats.compacted, 1, "Le vieux segment devrait être compacté");
+    const compacted = store.query("test-market", { to: START - 2 * 24 * HOUR_MS });
+    assert.strictEqual(compacted.length, 1, "Un point par tranche de 5 min");
+    assert.strictEqual(compacted[0].upHigh, 0.35);
+    assert.strictEqual(compacted[0].books, undefined, "Carnets supprimés à la compaction");
+
+    const snapshots = loadSnapshotsFromStore(store, { from: START - HOUR_MS });
+    assert.strictEqual(snapshots.length, 2, "Un snapshot par cycle d'enregistrement");
+    assert.strictEqual(snapshots[1].markets["test-market"].upPrice, 0.46);
+    assert.ok(snapshots[1].markets["test-market"].books["111"], "Carnets conservés pour le replay");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log("    ✓ Store correct");
+}
+
+// ============================================
+// Tests d'intégration
+// ============================================
+
+async function testReplayTakeProfit() {
+  console.log("  Test: Replay complet - entrée time_decay puis take profit...");
+
+  const { BacktestEngine } = require("../src/backtest/engine");
+  const realNow = Date.now;
+  const realFetch = globalThis.fetch;
+
+  // Entrée à 8%, puis hausse à 20% → take profit (cible time_decay: 15%)
+  const engine = new BacktestEngine(makeSnapshots([0.08, 0.09, 0.20]), { strategies: ["time_decay"] });
+  const report = await engine.run();
+
+  assert.strictEqual(Date.now, realNow, "Date.now devrait être restauré après le run");
+  assert.strictEqual(globalThis.fetch, realFetch, "fetch devrait être restauré après le run");
+
+  const stats = report.strategies.time_decay;
+  assert.ok(stats, "time_decay devrait être dans le rapport");
+  assert.strictEqual(stats.closedTrades, 1, "Le trade devrait être fermé par le take profit");
+  assert.strictEqual(stats.wins, 1, "Le trade devrait être gagnant");
+  assert.ok(stats.pnl > 0, "PnL devrait être positif");
+  assert.strictEqual(stats.equityCurve.length, 3, "Un point d'equity par snapshot");
+  assert.strictEqual(report.snapshots, 3);
+
+  console.log(`    ✓ time_decay: ${stats.trades} trade(s), PnL +$${stats.pnl.toFixed(2)}`);
+}
+
+async function testReplaySettlesResolvedMarket() {
+  console.log("  Test: Replay - marché résolu réglé à 1/0...");
+
+  const { BacktestEngine } = require("../src/backtest/engine");
+  const snapshots = makeSnapshots([0.08, 0.07]);
+  snapshots.push({
+    timestamp: START + 30 * 60 * 1000,
+    markets: { "test-market": makeMarket(0, { closed: true, outcome: "DOWN" }) },
+  });
+
+  const engine = new BacktestEngine(snapshots, { strategies: ["time_decay"] });
+  const report = await engine.run();
+  const stats = report.strategies.time_decay;
+
+  assert.strictEqual(stats.openTrades, 0, "Aucun trade ne devrait rester ouvert");
+  assert.strictEqual(stats.wins, 0, "BUY_UP sur un marché résolu DOWN est perdant");
+  assert.ok(stats.realizedPnL < 0, "PnL réalisé négatif");
+  assert.ok(stats.maxDrawdown > 0, "Drawdown enregistré");
+
+  console.log("    ✓ Résolution appliquée");
+}
+
+async function testReplayFillsAgainstBooks() {
+  console.log("  Test: Replay avec carnets - entrée à l'ask, sortie au bid...");
+
+  const { BacktestEngine } = require("../src/backtest/engine");
+  const withBook = (price, i) => ({
+    timestamp: START + i * 10 * 60 * 1000,
+    markets: {
+      "test-market": makeMarket(price, {
+        books: {
+          "111": {
+            bids: [{ price: String(price - 0.01), size: "5000" }],
+            asks: [{ price: String(price + 0.01), size: "5000" }],
+          },
+        },
+      }),
+    },
+  });
+
+  const midReport = await new BacktestEngine(makeSnapshots([0.08, 0.09, 0.20]), { strategies: ["time_decay"] }).run();
+  const bookReport = await new BacktestEngine([0.08, 0.09, 0.20].map(withBook), { strategies: ["time_decay"] }).run();
+
+  const mid = midReport.strategies.time_decay;
+  const real = bookReport.strategies.time_decay;
+  assert.strictEqual(real.closedTrades, 1, "Take profit exécuté dans les bids");
+  assert.ok(real.pnl < mid.pnl, "Spread + frais: PnL inférieur au fill au mid");
+  assert.ok(real.pnl > 0, "Toujours gagnant");
+
+  console.log(`    ✓ PnL mid +$${mid.pnl.toFixed(2)} → carnet +$${real.pnl.toFixed(2)}`);
+}
+
+async function testMultiOutcomeMarket() {
+  console.log("  Test: Marché negRisk - outcome ciblé, réglé par outcome gagnant...");
+
+  const { BacktestEngine } = require("../src/backtest/engine");
+  const { fetchMarket } = require("../src/lib/gamma");
+  const ReplayTransport = require("../src/backtest/replay");
+
+  const outcome = (id, yesPrice, i) => ({
+    id, name: id.toUpperCase(), conditionId: `0x${i}`,
+    yesPrice, noPrice: 1 - yesPrice, yesToken: `${i}1`, noToken: `${i}2`,
+  });
+  const makeEvent = (extra = {}) => makeMarket(0.60, {
+    negRisk: true,
+    primaryOutcome: "cand-a",
+    outcomes: [outcome("cand-a", 0.60, 1), outcome("cand-b", 0.08, 2), outcome("cand-c", 0.01, 3)],
+    ...extra,
+  });
+
+  // Gamma: un sous-marché par candidat, prix principaux = leader
+  const replay = new ReplayTransport();
+  replay.setSnapshot({ timestamp: START, markets: { "test-market": makeEvent() } });
+  replay.install();
+  let market;
+  try {
+    market = await fetchMarket("test-market");
+  } finally {
+    replay.uninstall();
+  }
+  assert.strictEqual(market.negRisk, true);
+  assert.strictEqual(market.outcomes.length, 3, "Tous les candidats exposés");
+  assert.strictEqual(market.primaryOutcome, "cand-a", "Outcome principal = leader");
+  assert.strictEqual(market.outcomes[1].yesToken, "21", "Tokens propres à chaque outcome");
+
+  // time_decay achète le YES du candidat à 8% (cand-c sous MIN_YES_PRICE n'est pas analysé)
+  const snapshots = [
+    { timestamp: START, markets: { "test-market": makeEvent() } },
+    { timestamp: START + HOUR_MS, markets: { "test-market": makeEvent({ closed: true, outcome: "cand-b" }) } },
+  ];
+  const engine = new BacktestEngine(snapshots, { strategies: ["time_decay"] });
+  const report = await engine.run();
+  const trade = engine.books.time_decay.paper.data.trades[0];
+
+  assert.ok(trade, "Un trade devrait être pris");
+  assert.strictEqual(trade.outcomeId, "cand-b", "Trade sur l'outcome ciblé");
+  assert.strictEqual(trade.entryPrice, 0.08, "Prix de l'outcome, pas du leader");
+  assert.strictEqual(report.strategies.time_decay.wins, 1, "cand-b gagne → YES gagnant");
+
+  console.log("    ✓ Multi-outcome correct");
+}
+
+// ============================================
+// Runner
+// ============================================
+
+async function runTests() {
+  console.log("\n════════════════════════════════════════════════════════════");
+  console.log("🧪 TESTS - Backtest Engine");
+  console.log("════════════════════════════════════════════════════════════\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ["Clock: Date.now et new Date() simulés", testSimulatedClock],
+    ["Replay: Transport", testReplayTransport],
+    ["Metrics: Drawdown & Sharpe", testDrawdownAndSharpe],
+    ["Fills: Walk the book", testFillSimulator],
+    ["Recorder: Store historique", testHistoryStore],
+    ["Intégration: Take profit", testReplayTakeProfit],
+    ["Intégration: Marché résolu", testReplaySettlesResolvedMarket],
+    ["Intégration: Fills sur carnets", testReplayFillsAgainstBooks],
+    ["Intégration: Multi-outcome", testMultiOutcomeMarket],
+  ];
+
+  for (const [name, testFn] of tests) {
+    try {
+      console.log(`\n📋 ${name}`);
+      await testFn();
+      passed++;
+    } catch (e) {
+      failed++;
+      console.log(`    ❌ FAILED: ${e.message}`);
+      if (e.stack) {
+        console.log(`       ${e.stack.split("\n")[1]}`);
+      }
+    }
+  }
+
+  console.log("\n════════════════════════════════════════════════════════════");
+  console.log(`📊 Résultats: ${passed} passed, ${failed} failed`);
+  console.log("════════════════════════════════════════════════════════════\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(e => {
+  console.error("Test runner error:", e);
+  process.exit(1);
+});
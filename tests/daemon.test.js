@@ -0,0 +1,196 @@
+/**
+ * Tests pour le daemon (Scheduler + jobs)
+ *
+ * Usage: node tests/daemon.test.js
+ */
+
+const assert = require("assert");
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================
+// Tests unitaires
+// ============================================
+
+async function testOverlapProtection() {
+  console.log("  Test: un job encore en cours saute ses échéances...");
+
+  const { Scheduler } = require("../src/daemon");
+  const scheduler = new Scheduler();
+  let concurrent = 0;
+  let maxConcurrent = 0;
+
+  const job = scheduler.add("slow", 10, async () => {
+    concurrent++;
+    maxConcurrent = Math.max(maxConcurrent, concurrent);
+    await sleep(45);
+    concurrent--;
+  });
+
+  scheduler.start();
+  await sleep(100);
+  await scheduler.stop(1000);
+
+  assert.strictEqual(maxConcurrent, 1, "Jamais deux exécutions simultanées");
+  assert.ok(job.runs >= 2, `Le job devrait tourner plusieurs fois (${job.runs})`);
+  assert.ok(job.skipped >= 2, `Les échéances pendant l'exécution devraient être sautées (${job.skipped})`);
+}
+
+async function testGroupLockAndErrors() {
+  console.log("  Test: verrou de groupe (le job en attente passe ensuite), une erreur n'arrête pas le job...");
+
+  const { Scheduler } = require("../src/daemon");
+  const scheduler = new Scheduler();
+  let trading = 0;
+  let overlap = false;
+
+  const trade = async () => {
+    if (trading > 0) overlap = true;
+    trading++;
+    await sleep(20);
+    trading--;
+  };
+  const compete = scheduler.add("compete", 15, trade, { group: "trading" });
+  const exits = scheduler.add("exits", 15, trade, { group: "trading" });
+
+  let failures = 0;
+  const failing = scheduler.add("failing", 15, async () => {
+    failures++;
+    throw new Error("boom");
+  });
+
+  assert.strictEqual(scheduler.add("disabled", 0, trade), null, "Intervalle 0 = job désactivé");
+
+  const errorLog = console.error;
+  console.error = () => {};
+  try {
+    scheduler.start();
+    await sleep(120);
+    await scheduler.stop(1000);
+  } finally {
+    console.error = errorLog;
+  }
+
+  assert.strictEqual(overlap, false, "compete et exits ne doivent jamais se chevaucher");
+  assert.ok(compete.runs > 0 && exits.runs > 0, "Les deux jobs du groupe devraient tourner");
+  assert.ok(Math.abs(compete.runs - exits.runs) <= 1, "Le job en attente passe dès que le verrou est libéré");
+  assert.ok(failures >= 2, "Le job en erreur est relancé");
+  assert.strictEqual(failing.lastError, "boom");
+  assert.strictEqual(scheduler.getStatus().length, 3);
+}
+
+async function testGracefulStop() {
+  console.log("  Test: stop() attend le job en cours, puis plus rien ne tourne...");
+
+  const { Scheduler } = require("../src/daemon");
+  const scheduler = new Scheduler();
+  let finished = false;
+  let runs = 0;
+
+  scheduler.add("cycle", 10, async () => {
+    runs++;
+    await sleep(40);
+    finished = true;
+  });
+
+  scheduler.start();
+  await sleep(5);
+  assert.strictEqual(await scheduler.stop(1000), true, "Le job en cours se termine dans le délai");
+  assert.strictEqual(finished, true, "stop() doit attendre la fin du job");
+
+  const runsAtStop = runs;
+  await sleep(40);
+  assert.strictEqual(runs, runsAtStop, "Aucun job lancé après stop()");
+
+  // Délai dépassé: stop() rend la main quand même
+  const stuck = new Scheduler();
+  stuck.add("stuck", 10, () => sleep(200));
+  stuck.start();
+  await sleep(5);
+  assert.strictEqual(await stuck.stop(20), false, "Timeout d'arrêt dépassé");
+}
+
+async function testDaemonJobs() {
+  console.log("  Test: les jobs du daemon partagent un trader et une arène...");
+
+  const Daemon = require("../src/daemon");
+  const calls = [];
+  const market = { slug: "test-market", title: "Test", upPrice: 0.5, downPrice: 0.5 };
+
+  const trader = {
+    exchange: { enforceKillSwitch: async () => false },
+    positions: { getSummary: () => ({ open: [{ market: "a" }, { market: "b" }, { market: "a" }] }) },
+    orders: { active: () => [] },
+    refresh: () => calls.push("trader.refresh"),
+    getMarket: async slug => ({ ...market, slug }),
+    monitorPositions: async m => calls.push(`monitor:${m.slug}`),
+  };
+  const arena = {
+    activeMarkets: { default: "default-market" },
+    refresh: () => calls.push("arena.refresh"),
+    runCompetition: async (slug, data, realTrader) => {
+      assert.strictEqual(realTrader, trader, "L'arène reçoit le trader partagé");
+      calls.push(`compete:${slug}`);
+    },
+  };
+
+  const daemon = new Daemon({ trader, arena, settings: { JITTER_PCT: 0 } });
+  await daemon.compete();
+  await daemon.monitorExits();
+
+  assert.deepStrictEqual(calls, [
+    "arena.refresh",
+    "trader.refresh",
+    "compete:default-market",
+    "trader.refresh",
+    "monitor:a",
+    "monitor:b",
+  ]);
+}
+
+// ============================================
+// Runner
+// ============================================
+
+async function runTests() {
+  console.log("\n════════════════════════════════════════════════════════════");
+  console.log("🧪 TESTS - Daemon");
+  console.log("════════════════════════════════════════════════════════════\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ["Scheduler: Overlap", testOverlapProtection],
+    ["Scheduler: Verrou de groupe & erreurs", testGroupLockAndErrors],
+    ["Scheduler: Arrêt propre", testGracefulStop],
+    ["Daemon: Jobs", testDaemonJobs],
+  ];
+
+  for (const [name, testFn] of tests) {
+    try {
+      console.log(`\n📋 ${name}`);
+      await testFn();
+      passed++;
+    } catch (e) {
+      failed++;
+      console.log(`    ❌ FAILED: ${e.message}`);
+      if (e.stack) {
+        console.log(`       ${e.stack.split("\n")[1]}`);
+      }
+    }
+  }
+
+  console.log("\n════════════════════════════════════════════════════════════");
+  console.log(`📊 Résultats: ${passed} passed, ${failed} failed`);
+  console.log("════════════════════════════════════════════════════════════\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(e => {
+  console.error("Test runner error:", e);
+  process.exit(1);
+});
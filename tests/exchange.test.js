@@ -0,0 +1,466 @@
+/**
+ * Tests pour la couche exchange (SimulatedExchange + WhaleTrader)
+ *
+ * Usage: node tests/exchange.test.js
+ */
+
+const assert = require("assert");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const UP_TOKEN = "111";
+
+function makeBook() {
+  return {
+    bids: [{ price: "0.38", size: "100" }, { price: "0.37", size: "200" }],
+    asks: [{ price: "0.40", size: "50" }, { price: "0.42", size: "100" }],
+  };
+}
+
+// ============================================
+// Tests unitaires
+// ============================================
+
+async function testWalksBookAndRests() {
+  console.log("  Test: BUY traverse le carnet, le reste repose puis se remplit...");
+
+  const { SimulatedExchange } = require("../src/exchange");
+  const exchange = new SimulatedExchange({ balance: 100, books: { [UP_TOKEN]: makeBook() } });
+
+  // 80 shares @ 0.41 limite: 50 remplies à 0.40, 30 au repos (0.42 ne croise pas)
+  const result = await exchange.placeOrder({ tokenId: UP_TOKEN, side: "BUY", price: 0.41, size: 80 });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.status, "partial");
+  assert.strictEqual(result.filled, 50);
+  assert.ok(Math.abs(result.avgPrice - 0.40) < 1e-9, "Prix moyen = niveau pris");
+  assert.ok(Math.abs(await exchange.getBalance() - (100 - 50 * 0.40 - 30 * 0.41)) < 1e-9, "Cash du reste bloqué au prix limite");
+
+  const open = await exchange.getOpenOrders();
+  assert.strictEqual(open.length, 1, "Le reste devrait reposer");
+
+  // Nouveau carnet qui croise → l'ordre au repos se remplit
+  exchange.setBook(UP_TOKEN, { bids: [], asks: [{ price: "0.39", size: "100" }] });
+  assert.strictEqual((await exchange.getOpenOrders()).length, 0, "Ordre rempli au nouveau carnet");
+
+  const [position] = await exchange.getPositions();
+  assert.strictEqual(position.size, 80);
+  assert.ok(Math.abs(position.avgPrice - (50 * 0.40 + 30 * 0.39) / 80) < 1e-9);
+
+  console.log("    ✓ Matching correct");
+}
+
+async function testRejectsAndCancels() {
+  console.log("  Test: rejets (cash, shares) et annulation...");
+
+  const { SimulatedExchange } = require("../src/exchange");
+  const exchange = new SimulatedExchange({ balance: 10, books: { [UP_TOKEN]: makeBook() } });
+
+  const tooBig = await exchange.placeOrder({ tokenId: UP_TOKEN, side: "BUY", price: 0.40, size: 100 });
+  assert.strictEqual(tooBig.success, false, "Cash insuffisant → rejet");
+
+  const naked = await exchange.placeOrder({ tokenId: UP_TOKEN, side: "SELL", price: 0.38, size: 5 });
+  assert.strictEqual(naked.success, false, "Vente sans position → rejet");
+
+  const resting = await exchange.placeOrder({ tokenId: UP_TOKEN, side: "BUY", price: 0.30, size: 20 });
+  assert.strictEqual(resting.status, "open");
+  assert.strictEqual(await exchange.getBalance(), 4, "6$ bloqués");
+
+  const results = await exchange.cancelAll();
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(await exchange.getBalance(), 10, "Cash rendu à l'annulation");
+
+  console.log("    ✓ Rejets et annulation corrects");
+}
+
+async function testExecutionGuard() {
+  console.log("  Test: ExecutionGuard - PAPER_ONLY, fréquence, perte du jour, kill switch...");
+
+  const os = require("os");
+  const fs = require("fs");
+  const path = require("path");
+  const { SimulatedExchange, GuardedExchange, PolymarketExchange } = require("../src/exchange");
+  const ExecutionGuard = require("../src/execution-guard");
+  const { Wallet } = require("ethers");
+
+  const killFile = path.join(os.tmpdir(), `guard-test-${process.pid}-KILL`);
+  const settings = { MAX_DAILY_LOSS: 5, MAX_DRAWDOWN_PCT: 0.5, MAX_ORDERS_PER_HOUR: 3 };
+  const makeGuard = () => new ExecutionGuard({ persist: false, killFile, settings, paperOnly: true });
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    // PAPER_ONLY: exchange réel refusé, simulé autorisé
+    const paperOnly = await makeGuard().check({ name: "polymarket" }, { side: "BUY" });
+    assert.strictEqual(paperOnly.allowed, false);
+    assert.ok(/PAPER_ONLY/.test(paperOnly.reason));
+
+    // Fréquence: 3 ordres/heure max
+    const busy = new GuardedExchange(new SimulatedExchange({ balance: 100, books: { [UP_TOKEN]: makeBook() } }), makeGuard());
+    for (let i = 0; i < 3; i++) {
+      assert.ok((await busy.placeOrder({ tokenId: UP_TOKEN, side: "BUY", price: 0.30, size: 1 })).success);
+    }
+    const limited = await busy.placeOrder({ tokenId: UP_TOKEN, side: "BUY", price: 0.30, size: 1 });
+    assert.strictEqual(limited.blocked, true, "4e ordre de l'heure bloqué");
+
+    // Perte réalisée > limite → kill switch, ordres au repos annulés, tout est bloqué
+    const inner = new SimulatedExchange({ balance: 100, books: { [UP_TOKEN]: makeBook() } });
+    const guarded = new GuardedExchange(inner, makeGuard());
+    await guarded.placeOrder({ tokenId: UP_TOKEN, side: "BUY", price: 0.40, size: 50 });
+    await guarded.placeOrder({ tokenId: UP_TOKEN, side: "BUY", price: 0.20, size: 10 }); // au repos
+    inner.setBook(UP_TOKEN, { bids: [{ price: "0.25", size: "100" }], asks: [{ price: "0.30", size: "100" }] });
+    await guarded.placeOrder({ tokenId: UP_TOKEN, side: "SELL", price: 0.25, size: 50 }); // -$7.50
+
+    assert.ok(guarded.guard.state.killed, "Kill switch déclenché par la perte du jour");
+    assert.strictEqual((await inner.getOpenOrders()).length, 0, "Ordres ouverts annulés");
+    const afterKill = await guarded.placeOrder({ tokenId: UP_TOKEN, side: "SELL", price: 0.25, size: 1 });
+    assert.strictEqual(afterKill.blocked, true, "Même les sorties sont bloquées jusqu'au reset");
+
+    // Kill switch par fichier, levé seulement par reset manuel
+    const guard = makeGuard();
+    fs.writeFileSync(killFile, "");
+    assert.strictEqual((await guard.check(inner, { side: "BUY" })).allowed, false);
+    guard.reset();
+    assert.ok(!fs.existsSync(killFile), "Reset supprime le fichier");
+    assert.strictEqual((await guard.check(inner, { side: "SELL" })).allowed, true);
+
+    // Positions illisibles: erreur, jamais [] (qui compterait comme un drawdown)
+    const polymarket = new PolymarketExchange({ privateKey: Wallet.createRandom().privateKey });
+    const realFetch = global.fetch;
+    try {
+      global.fetch = async () => ({ ok: false, status: 502, json: async () => ({}) });
+      await assert.rejects(polymarket.getPositions(), /502/);
+      global.fetch = async () => ({ ok: true, json: async () => ({ error: "rate limited" }) });
+      await assert.rejects(polymarket.getPositions(), /rate limited/);
+    } finally {
+      global.fetch = realFetch;
+    }
+
+    const error = console.error;
+    console.error = () => {};
+    try {
+      const blind = makeGuard();
+      blind.account("simulated").equityPeak = 200;
+      const flaky = { name: "simulated", getBalance: async () => 100, getPositions: () => polymarket.getPositions(), cancelAll: async () => [] };
+      global.fetch = async () => ({ ok: false, status: 502, json: async () => ({}) });
+      const check = await blind.check(flaky, { side: "BUY" });
+      assert.strictEqual(check.allowed, false);
+      assert.ok(/Equity unavailable/.test(check.reason), check.reason);
+      assert.strictEqual(blind.state.killed, null, "Pas de kill switch sur une equity inconnue");
+    } finally {
+      global.fetch = realFetch;
+      console.error = error;
+    }
+  } finally {
+    console.log = log;
+    if (fs.existsSync(killFile)) fs.unlinkSync(killFile);
+  }
+
+  console.log("    ✓ Guard appliqué sur le chemin d'exécution");
+}
+
+// ============================================
+// Tests d'intégration
+// ============================================
+
+async function testTraderEndToEnd() {
+  console.log("  Test: WhaleTrader - entrée puis take profit sur l'exchange simulé...");
+
+  const { SimulatedExchange } = require("../src/exchange");
+  const WhaleTrader = require("../src/trader");
+  const PositionManager = require("../src/position-manager");
+  const PaperTrader = require("../src/paper-trader");
+
+  const exchange = new SimulatedExchange({ balance: 100, books: { [UP_TOKEN]: makeBook() } });
+  const trader = new WhaleTrader({
+    exchange,
+    positions: new PositionManager({ persist: false }),
+    paper: new PaperTrader({ persist: false }),
+  });
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await trader.initialize();
+    const order = await trader.placeOrder(UP_TOKEN, "UP", 0.40, 10, "test-market");
+    assert.ok(order?.success, "Ordre accepté");
+
+    const [position] = await exchange.getPositions();
+    assert.strictEqual(position.size, 24, "floor($10 / 0.408) = 24 shares");
+
+    // Le prix monte au-dessus du take profit → vente dans les bids
+    exchange.setBook(UP_TOKEN, { bids: [{ price: "0.60", size: "100" }], asks: [{ price: "0.62", size: "100" }] });
+    const exits = await trader.monitorPositions({ upPrice: 0.60, downPrice: 0.40 });
+    assert.strictEqual(exits.length, 1, "Take profit déclenché");
+    assert.strictEqual(exits[0].success, true);
+  } finally {
+    console.log = log;
+  }
+
+  assert.strictEqual((await exchange.getPositions()).length, 0, "Position soldée");
+  assert.ok(await exchange.getBalance() > 100, "Trade gagnant");
+
+  console.log("    ✓ Cycle complet sans wallet ni réseau");
+}
+
+async function testSimulatedRunKeepsOwnFiles() {
+  console.log("  Test: --sim - positions et ordres hors des fichiers du wallet réel...");
+
+  const path = require("path");
+  const { SimulatedExchange, ExchangeAdapter } = require("../src/exchange");
+  const WhaleTrader = require("../src/trader");
+  const PaperTrader = require("../src/paper-trader");
+  const files = trader => [trader.positions.store.file, trader.orders.store.file].map(f => path.basename(f));
+
+  const sim = new WhaleTrader({ exchange: new SimulatedExchange(), paper: new PaperTrader({ persist: false }) });
+  assert.deepStrictEqual(files(sim), ["sim-positions.json", "sim-orders.json"]);
+  assert.strictEqual(sim.orders.positions, sim.positions, "Fills reportés sur les positions simulées");
+
+  const live = new WhaleTrader({ exchange: new ExchangeAdapter("polymarket"), paper: new PaperTrader({ persist: false }) });
+  assert.deepStrictEqual(files(live), ["positions.json", "orders.json"]);
+
+  console.log("    ✓ Un dry run ne touche pas data/positions.json ni data/orders.json");
+}
+
+async function testOrderLifecycle() {
+  console.log("  Test: OrderTracker - fills partiels → position, ordre périmé re-pricé...");
+
+  const { SimulatedExchange } = require("../src/exchange");
+  const WhaleTrader = require("../src/trader");
+  const PositionManager = require("../src/position-manager");
+  const PaperTrader = require("../src/paper-trader");
+  const OrderTracker = require("../src/order-tracker");
+
+  const exchange = new SimulatedExchange({
+    balance: 100,
+    books: { [UP_TOKEN]: { bids: [], asks: [{ price: "0.40", size: "10" }, { price: "0.45", size: "100" }] } },
+  });
+  const positions = new PositionManager({ persist: false });
+  const orders = new OrderTracker({
+    positions,
+    persist: false,
+    settings: { TTL_MINUTES: 60, STALE_ACTION: "reprice", MAX_REPRICES: 1, MAX_REPRICE_DRIFT: 0.03, HISTORY_DAYS: 7 },
+  });
+  const trader = new WhaleTrader({ exchange, positions, orders, paper: new PaperTrader({ persist: false }) });
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    // 24 shares @ 0.408 limite: 10 remplies à 0.40, 14 au repos
+    await trader.placeOrder(UP_TOKEN, "UP", 0.40, 10, "test-market");
+    const position = positions.positions["test-market_UP"];
+    assert.strictEqual(position.status, "open", "Position ouverte dès le premier fill");
+    assert.strictEqual(position.size, 10, "Seules les shares remplies comptent");
+    assert.strictEqual(orders.active()[0].status, "partial");
+
+    // Le carnet croise: le reste se remplit au poll suivant
+    exchange.setBook(UP_TOKEN, { bids: [], asks: [{ price: "0.39", size: "100" }] });
+    await orders.poll(exchange);
+    assert.strictEqual(position.size, 24);
+    assert.ok(Math.abs(position.entryPrice - (10 * 0.40 + 14 * 0.39) / 24) < 1e-9, "Prix moyen réel des fills");
+    assert.strictEqual(orders.active().length, 0, "Ordre rempli");
+
+    // Ordre qui ne se remplit pas: périmé → annulé puis replacé au meilleur ask (dans la dérive max)
+    exchange.setBook(UP_TOKEN, { bids: [], asks: [{ price: "0.32", size: "100" }] });
+    await trader.placeOrder(UP_TOKEN, "DOWN", 0.29, 5, "test-market"); // limite 0.2958, ne croise pas
+    const pending = positions.positions["test-market_DOWN"];
+    assert.strictEqual(pending.status, "pending");
+
+    orders.settings.TTL_MINUTES = 0;
+    const stats = await orders.poll(exchange);
+    assert.strictEqual(stats.repriced, 1);
+    assert.strictEqual(pending.status, "open", "Rempli après re-pricing");
+    assert.ok(Math.abs(pending.entryPrice - 0.32) < 1e-9);
+    assert.ok(Object.values(orders.orders).some(o => o.status === "expired" && o.replacedBy), "Ancien ordre expiré et remplacé");
+  } finally {
+    console.log = log;
+  }
+
+  console.log("    ✓ Positions alignées sur les fills réels");
+}
+
+async function testGuardSeesLaterFills() {
+  console.log("  Test: fills des ordres au repos reportés au guard (coût, perte du jour)...");
+
+  const { SimulatedExchange, GuardedExchange } = require("../src/exchange");
+  const ExecutionGuard = require("../src/execution-guard");
+  const OrderTracker = require("../src/order-tracker");
+  const config = require("../src/config");
+
+  const inner = new SimulatedExchange({ balance: 100, books: { [UP_TOKEN]: makeBook() } });
+  const guard = new ExecutionGuard({
+    persist: false,
+    killFile: `/nonexistent-${process.pid}-KILL`,
+    settings: { MAX_DAILY_LOSS: 5, MAX_DRAWDOWN_PCT: 0.9, MAX_ORDERS_PER_HOUR: 10 },
+    paperOnly: true,
+  });
+  const exchange = new GuardedExchange(inner, guard);
+  const orders = new OrderTracker({ persist: false, settings: { ...config.ORDERS, TTL_MINUTES: 1e6 } });
+  const place = async params => orders.track(params, await exchange.placeOrder(params));
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    // BUY au repos (ask 0.40), rempli plus tard
+    await place({ tokenId: UP_TOKEN, side: "BUY", price: 0.35, size: 20 });
+    assert.strictEqual(guard.account("simulated").costBasis[UP_TOKEN], undefined, "Rien de rempli au placement");
+    inner.setBook(UP_TOKEN, { bids: [], asks: [{ price: "0.35", size: "100" }] });
+    await orders.poll(exchange);
+    const basis = guard.account("simulated").costBasis[UP_TOKEN];
+    assert.strictEqual(basis.size, 20);
+    assert.ok(Math.abs(basis.cost - 7) < 1e-9, "Coût de revient du fill tardif");
+
+    // SELL au repos rempli à perte: -6$ réalisés → kill switch
+    await place({ tokenId: UP_TOKEN, side: "SELL", price: 0.05, size: 20 });
+    assert.strictEqual(guard.dailyRealized("simulated"), 0);
+    inner.setBook(UP_TOKEN, { bids: [{ price: "0.05", size: "100" }], asks: [] });
+    await orders.poll(exchange);
+    assert.ok(Math.abs(guard.dailyRealized("simulated") + 6) < 1e-9, `PnL ${guard.dailyRealized("simulated")}`);
+    assert.ok(guard.state.killed, "Perte du jour vue par le breaker");
+  } finally {
+    console.log = log;
+  }
+
+  console.log("    ✓ Coût de revient et PnL réalisé suivent les fills après placement");
+}
+
+async function testSignalTripsEveryGuard() {
+  console.log("  Test: SIGUSR2 déclenche le kill switch de chaque exchange gardé du process...");
+
+  // Process séparé: le signal déclencherait sinon les guards des autres tests
+  const exchangeDir = JSON.stringify(path.join(__dirname, "../src/exchange"));
+  const guardFile = JSON.stringify(path.join(__dirname, "../src/execution-guard"));
+  const script = `
+    const { SimulatedExchange, GuardedExchange } = require(${exchangeDir});
+    const ExecutionGuard = require(${guardFile});
+    console.log = () => {};
+    const make = () => {
+      const guard = new ExecutionGuard({ persist: false, killFile: "/nonexistent-" + process.pid + "-KILL", paperOnly: true });
+      const exchange = new GuardedExchange(new SimulatedExchange({ balance: 100 }), guard);
+      exchange.cancelled = 0;
+      exchange.inner.cancelAll = async () => { exchange.cancelled++; return []; };
+      return exchange;
+    };
+    const exchanges = [make(), make()];
+    process.kill(process.pid, "SIGUSR2");
+    setTimeout(() => {
+      process.stdout.write(JSON.stringify(exchanges.map(e => ({ killed: e.guard.isKilled(), cancelled: e.cancelled }))));
+    }, 100);
+  `;
+  const output = await new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["-e", script], { stdio: ["ignore", "pipe", "inherit"] });
+    let out = "";
+    child.stdout.on("data", chunk => { out += chunk; });
+    child.on("exit", code => (code === 0 ? resolve(out) : reject(new Error(`child exited with ${code}`))));
+  });
+
+  assert.deepStrictEqual(JSON.parse(output), [
+    { killed: true, cancelled: 1 },
+    { killed: true, cancelled: 1 },
+  ], "Le trader créé en second (arène) est aussi arrêté");
+
+  console.log("    ✓ Tous les exchanges gardés arrêtés, ordres annulés");
+}
+
+async function testReconciliation() {
+  console.log("  Test: Reconciler - phantom, orphan, écart de taille, réparation...");
+
+  const { SimulatedExchange } = require("../src/exchange");
+  const PositionManager = require("../src/position-manager");
+  const Reconciler = require("../src/reconcile");
+
+  const DOWN_TOKEN = "222";
+  const exchange = new SimulatedExchange({
+    balance: 100,
+    books: { [UP_TOKEN]: makeBook(), [DOWN_TOKEN]: { bids: [{ price: "0.58", size: "100" }], asks: [{ price: "0.60", size: "100" }] } },
+  });
+  const positions = new PositionManager({ persist: false });
+  const settings = { SIZE_TOLERANCE: 1, MIN_VALUE: 1 };
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    // On-chain: 20 UP (local dit 10) + 10 DOWN inconnus; local: une position "fantôme"
+    await exchange.placeOrder({ tokenId: UP_TOKEN, side: "BUY", price: 0.40, size: 20, outcome: "UP", market: "m" });
+    await exchange.placeOrder({ tokenId: DOWN_TOKEN, side: "BUY", price: 0.60, size: 10, outcome: "DOWN", market: "m" });
+    positions.addPosition({ market: "m", side: "UP", tokenId: UP_TOKEN, entryPrice: 0.40, size: 10, costBasis: 4, takeProfit: 0.5, stopLoss: 0.3 });
+    positions.addPosition({ market: "other", side: "UP", tokenId: "333", entryPrice: 0.5, size: 5, costBasis: 2.5, takeProfit: 0.6, stopLoss: 0.4 });
+
+    const reconciler = new Reconciler({ exchange, positions, settings });
+    const report = await reconciler.run();
+    const types = report.issues.map(i => i.type).sort();
+    assert.deepStrictEqual(types, ["orphan", "phantom", "size_mismatch"]);
+    assert.strictEqual(report.ok, false);
+    assert.ok(JSON.parse(JSON.stringify(report)).issues.length === 3, "Rapport sérialisable en JSON");
+
+    const repaired = await reconciler.run({ repair: true });
+    assert.strictEqual(repaired.summary.repaired, 3);
+    assert.strictEqual(positions.positions["m_UP"].size, 20, "Taille alignée sur l'on-chain");
+    assert.strictEqual(positions.positions["other_UP"].status, "closed", "Fantôme fermé");
+    assert.strictEqual(positions.positions["m_DOWN"].size, 10, "Orphelin adopté");
+
+    assert.strictEqual((await reconciler.run()).ok, true, "Plus de dérive après réparation");
+
+    // Positions illisibles: pas de rapport, rien de fermé par --repair
+    const flaky = Object.create(exchange);
+    flaky.getPositions = async () => { throw new Error("Data API error: 502"); };
+    await assert.rejects(new Reconciler({ exchange: flaky, positions, settings }).run({ repair: true }), /aborted: Data API error: 502/);
+    assert.strictEqual(positions.positions["m_UP"].status, "open", "Position réelle toujours suivie");
+    assert.strictEqual(positions.positions["m_DOWN"].status, "open");
+  } finally {
+    console.log = log;
+  }
+
+  console.log("    ✓ Dérives détectées et réparées");
+}
+
+// ============================================
+// Runner
+// ============================================
+
+async function runTests() {
+  console.log("\n════════════════════════════════════════════════════════════");
+  console.log("🧪 TESTS - Exchange Adapter");
+  console.log("════════════════════════════════════════════════════════════\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ["Simulated: Matching", testWalksBookAndRests],
+    ["Simulated: Rejets & annulation", testRejectsAndCancels],
+    ["Guard: Kill switch & limites", testExecutionGuard],
+    ["Intégration: WhaleTrader", testTraderEndToEnd],
+    ["Intégration: Fichiers du dry run", testSimulatedRunKeepsOwnFiles],
+    ["Intégration: Cycle de vie des ordres", testOrderLifecycle],
+    ["Intégration: Fills tardifs vus par le guard", testGuardSeesLaterFills],
+    ["Intégration: SIGUSR2 sur tous les guards", testSignalTripsEveryGuard],
+    ["Intégration: Réconciliation", testReconciliation],
+  ];
+
+  for (const [name, testFn] of tests) {
+    try {
+      console.log(`\n📋 ${name}`);
+      await testFn();
+      passed++;
+    } catch (e) {
+      failed++;
+      console.log(`    ❌ FAILED: ${e.message}`);
+      if (e.stack) {
+        console.log(`       ${e.stack.split("\n")[1]}`);
+      }
+    }
+  }
+
+  console.log("\n════════════════════════════════════════════════════════════");
+  console.log(`📊 Résultats: ${passed} passed, ${failed} failed`);
+  console.log("════════════════════════════════════════════════════════════\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(e => {
+  console.error("Test runner error:", e);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+/**
+ * Lance toutes les suites (tests/*.test.js), chacune dans son process,
+ * même si une suite précédente échoue. Code de sortie 1 si une suite échoue.
+ *
+ * Usage: node tests/run-all.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const suites = fs.readdirSync(__dirname).filter(f => f.endsWith(".test.js")).sort();
+const failed = [];
+
+for (const suite of suites) {
+  const run = spawnSync(process.execPath, [path.join(__dirname, suite)], { stdio: "inherit" });
+  if (run.status !== 0) failed.push(`${suite} (${run.signal || `exit ${run.status}`})`);
+}
+
+console.log("\n════════════════════════════════════════════════════════════");
+console.log(`📊 Suites: ${suites.length - failed.length} passed, ${failed.length} failed`);
+for (const suite of failed) console.log(`   ❌ ${suite}`);
+console.log("════════════════════════════════════════════════════════════\n");
+
+process.exit(failed.length > 0 ? 1 : 0);
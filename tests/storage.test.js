@@ -0,0 +1,268 @@
+/**
+ * Tests pour la couche de stockage (src/storage.js)
+ *
+ * Usage: node tests/storage.test.js
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const SETTINGS = { BACKEND: "json", SQLITE_FILE: "state.db", LOCK_TIMEOUT_MS: 5000, LOCK_STALE_MS: 30000 };
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+}
+
+// ============================================
+// Tests unitaires
+// ============================================
+
+async function testAtomicWritesAndCorruption() {
+  console.log("  Test: écriture atomique, fichier corrompu mis de côté...");
+
+  const Storage = require("../src/storage");
+  const dir = tempDir();
+  try {
+    const storage = new Storage({ dir, settings: SETTINGS });
+    const doc = storage.open("trades.json", { defaults: () => ({ trades: [] }) });
+
+    assert.deepStrictEqual(doc.load(), { trades: [] }, "Document absent → defaults");
+    doc.save({ trades: [1, 2] });
+    assert.deepStrictEqual(doc.load(), { trades: [1, 2] });
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ["trades.json"], "Ni .tmp ni .lock laissés derrière");
+
+    // JSON tronqué (ancien writeFileSync interrompu) → sauvegardé puis defaults
+    fs.writeFileSync(path.join(dir, "trades.json"), '{"trades": [1,');
+    const errorLog = console.error;
+    console.error = () => {};
+    try {
+      assert.deepStrictEqual(doc.load(), { trades: [] });
+    } finally {
+      console.error = errorLog;
+    }
+    assert.ok(fs.readdirSync(dir).some(f => f.startsWith("trades.json.corrupt-")), "Le fichier corrompu est conservé");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testMigrations() {
+  console.log("  Test: migrations jouées une fois, version stockée à part...");
+
+  const Storage = require("../src/storage");
+  const dir = tempDir();
+  try {
+    const storage = new Storage({ dir, settings: SETTINGS });
+    fs.writeFileSync(path.join(dir, "positions.json"), JSON.stringify({ a: { size: 1 } }));
+
+    let runs = 0;
+    const schema = {
+      version: 2,
+      migrations: {
+        1: data => { runs++; for (const [id, p] of Object.entries(data)) p.id = id; },
+        2: data => { runs++; return { ...data, b: { id: "b", size: 0 } }; },
+      },
+    };
+
+    const log = console.log;
+    console.log = () => {};
+    let data;
+    try {
+      data = storage.open("positions.json", schema).load();
+    } finally {
+      console.log = log;
+    }
+    assert.deepStrictEqual(data, { a: { size: 1, id: "a" }, b: { id: "b", size: 0 } });
+    assert.strictEqual(runs, 2);
+
+    // Format du fichier inchangé (pas de champ de version dedans)
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, "positions.json"), "utf8")), data);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, "storage-meta.json"), "utf8"))["positions.json"], 2);
+
+    storage.open("positions.json", schema).load();
+    assert.strictEqual(runs, 2, "Déjà migré: rien à rejouer");
+
+    // Code plus ancien que les données: refus plutôt qu'écrasement
+    assert.throws(() => storage.open("positions.json", { version: 1 }).load(), /schema v2/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testLocks() {
+  console.log("  Test: verrou réentrant, verrou d'un process mort cassé, timeout...");
+
+  const Storage = require("../src/storage");
+  const { StorageError } = Storage;
+  const dir = tempDir();
+  try {
+    const storage = new Storage({ dir, settings: SETTINGS });
+    const doc = storage.open("state.json", { defaults: () => ({ n: 0 }) });
+    const lockFile = path.join(dir, "state.json.lock");
+
+    // update() → save() dans le même process: pas de deadlock
+    doc.update(data => {
+      data.n++;
+      doc.save(data);
+    });
+    assert.strictEqual(doc.load().n, 1);
+    assert.strictEqual(fs.existsSync(lockFile), false, "Verrou libéré");
+
+    // Verrou laissé par un process mort
+    const dead = spawn(process.execPath, ["-e", ""]);
+    await new Promise(resolve => dead.on("exit", resolve));
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: dead.pid, at: Date.now() }));
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      doc.update(data => { data.n++; });
+    } finally {
+      console.warn = warn;
+    }
+    assert.strictEqual(doc.load().n, 2, "Le verrou orphelin est cassé");
+
+    // Verrou tenu par un process vivant → timeout
+    const busy = new Storage({ dir, settings: { ...SETTINGS, LOCK_TIMEOUT_MS: 100 } }).open("state.json");
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid, at: Date.now() }));
+    assert.throws(() => busy.save({ n: 99 }), StorageError);
+    fs.unlinkSync(lockFile);
+    assert.strictEqual(doc.load().n, 2, "Rien d'écrit sans le verrou");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testConcurrentProcesses() {
+  console.log("  Test: deux process qui incrémentent le même document ne perdent rien...");
+
+  const dir = tempDir();
+  try {
+    const script = `
+      const Storage = require(${JSON.stringify(path.join(__dirname, "../src/storage"))});
+      const storage = new Storage({ dir: ${JSON.stringify(dir)}, settings: ${JSON.stringify(SETTINGS)} });
+      const doc = storage.open("counter.json", { defaults: () => ({ n: 0, writers: [] }) });
+      for (let i = 0; i < 50; i++) doc.update(data => { data.n++; data.writers.push(process.pid); });
+    `;
+    const run = () => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ["-e", script], { stdio: "inherit" });
+      child.on("exit", code => (code === 0 ? resolve() : reject(new Error(`child exited with ${code}`))));
+    });
+    await Promise.all([run(), run()]);
+
+    const data = JSON.parse(fs.readFileSync(path.join(dir, "counter.json"), "utf8"));
+    assert.strictEqual(data.n, 100, "Aucune mise à jour perdue");
+    assert.strictEqual(data.writers.length, 100);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testConcurrentWritersMerge() {
+  console.log("  Test: deux instances (daemon + CLI) sur les mêmes trades/positions/ordres ne s'écrasent pas...");
+
+  const PaperTrader = require("../src/paper-trader");
+  const PositionManager = require("../src/position-manager");
+  const OrderTracker = require("../src/order-tracker");
+  const dir = tempDir();
+  const open = (id, extra = {}) => ({
+    id, market: "btc-up", strategy: "creative:whale_copy", action: "BUY_UP",
+    entryPrice: 0.5, size: 10, status: "open", timestamp: Date.now(), ...extra,
+  });
+  try {
+    // Trades paper: chaque instance a lu le fichier avant l'écriture de l'autre
+    const file = path.join(dir, "paper-trades.json");
+    new PaperTrader({ file }).save();
+    const daemon = new PaperTrader({ file });
+    const cli = new PaperTrader({ file });
+    daemon.data.trades.push(open("t1"));
+    daemon.save();
+    cli.data.trades.push(open("t2"));
+    cli.save();
+    assert.deepStrictEqual(new PaperTrader({ file }).data.trades.map(t => t.id).sort(), ["t1", "t2"]);
+
+    daemon.exitTrade(daemon.data.trades.find(t => t.id === "t1"), 0.6, "TAKE_PROFIT");
+    daemon.save();
+    cli.exitTrade(cli.data.trades.find(t => t.id === "t2"), 0.4, "STOP_LOSS");
+    cli.save();
+    const book = new PaperTrader({ file }).data;
+    assert.deepStrictEqual(book.trades.map(t => [t.id, t.status]).sort(), [["t1", "closed"], ["t2", "closed"]]);
+    assert.strictEqual(book.performance.whale_copy.trades, 2, "Compteurs additionnés");
+    assert.strictEqual(book.performance.whale_copy.wins, 1);
+
+    // Positions: un ajout et une suppression concurrents
+    const positionsFile = path.join(dir, "positions.json");
+    const settle = new PositionManager({ file: positionsFile });
+    const trader = new PositionManager({ file: positionsFile });
+    settle.addPosition({ market: "btc-up", side: "UP", tokenId: "t-yes", entryPrice: 0.5, size: 20, costBasis: 10 });
+    trader.addPosition({ market: "eth-up", side: "DOWN", tokenId: "t-no", entryPrice: 0.4, size: 10, costBasis: 4 });
+    settle.positions = settle.loadPositions();
+    settle.positions["btc-up_UP"].status = "closed";
+    settle.clearClosed();
+    trader.positions["eth-up_DOWN"].stopLoss = 0.3;
+    trader.savePositions();
+    const positions = new PositionManager({ file: positionsFile }).positions;
+    assert.deepStrictEqual(Object.keys(positions), ["eth-up_DOWN"], "La suppression n'est pas annulée par l'autre instance");
+    assert.strictEqual(positions["eth-up_DOWN"].stopLoss, 0.3);
+
+    // Ordres
+    const ordersFile = path.join(dir, "orders.json");
+    const a = new OrderTracker({ file: ordersFile });
+    const b = new OrderTracker({ file: ordersFile });
+    a.track({ tokenId: "t-yes", side: "BUY", price: 0.5, size: 10 }, { success: true, orderId: "o1", status: "live" });
+    b.track({ tokenId: "t-no", side: "BUY", price: 0.4, size: 10 }, { success: true, orderId: "o2", status: "live" });
+    assert.deepStrictEqual(Object.keys(new OrderTracker({ file: ordersFile }).orders).sort(), ["o1", "o2"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================
+// Runner
+// ============================================
+
+async function runTests() {
+  console.log("\n════════════════════════════════════════════════════════════");
+  console.log("🧪 TESTS - Storage");
+  console.log("════════════════════════════════════════════════════════════\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ["JSON: Écriture atomique & corruption", testAtomicWritesAndCorruption],
+    ["JSON: Migrations", testMigrations],
+    ["JSON: Verrous", testLocks],
+    ["Intégration: Process concurrents", testConcurrentProcesses],
+    ["Intégration: Trades, positions et ordres fusionnés", testConcurrentWritersMerge],
+  ];
+
+  for (const [name, testFn] of tests) {
+    try {
+      console.log(`\n📋 ${name}`);
+      await testFn();
+      passed++;
+    } catch (e) {
+      failed++;
+      console.log(`    ❌ FAILED: ${e.message}`);
+      if (e.stack) {
+        console.log(`       ${e.stack.split("\n")[1]}`);
+      }
+    }
+  }
+
+  console.log("\n════════════════════════════════════════════════════════════");
+  console.log(`📊 Résultats: ${passed} passed, ${failed} failed`);
+  console.log("════════════════════════════════════════════════════════════\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(e => {
+  console.error("Test runner error:", e);
+  process.exit(1);
+});
@@ -0,0 +1,550 @@
+/**
+ * Tests pour le registre de whales (src/whales/registry.js) et le flux
+ * (src/whales/flow.js)
+ *
+ * Usage: node tests/whales.test.js
+ */
+
+const assert = require("assert");
+
+const SETTINGS = {
+  LEADERBOARD_PERIOD: "MONTH",
+  LEADERBOARD_LIMIT: 25,
+  ACTIVITY_MIN_USD: 5000,
+  ACTIVITY_TRADES: 500,
+  MAX_TRACKED: 60,
+  MAX_ACTIVE: 12,
+  LOOKBACK_DAYS: 90,
+  CLOSED_POSITIONS_PAGES: 20,
+  RESOLVED_PRICE: 0.99,
+  PRIOR_POSITIONS: 20,
+  SKILL_SCALE: 5,
+  MIN_WEIGHT: 0.3,
+  MAX_WEIGHT: 2.0,
+  MIN_RESOLVED: 10,
+  ACTIVATE_WEIGHT: 1.0,
+  RETIRE_WEIGHT: 0.6,
+  MIN_POSITION_FRACTION: 0.5,
+  MIN_POSITION_FLOOR: 500,
+  MIN_POSITION_CAP: 50000,
+  HISTORY_LIMIT: 3,
+  REQUEST_DELAY_MS: 0,
+};
+
+// n positions résolues achetées à `price`, dont `wins` gagnées
+function resolvedPositions(n, wins, price, cost = 2000) {
+  return Array.from({ length: n }, (_, i) => {
+    const won = i < wins;
+    const shares = cost / price;
+    return {
+      conditionId: `c${i}`,
+      avgPrice: price,
+      cost,
+      realizedPnl: won ? shares - cost : -cost,
+      curPrice: won ? 1 : 0,
+      timestamp: Date.now() - i * 60 * 60 * 1000,
+    };
+  });
+}
+
+// ============================================
+// Tests unitaires
+// ============================================
+
+async function testTrackRecordAndScore() {
+  console.log("  Test: track record, calibration et poids rétréci vers 1...");
+
+  const { trackRecord, scoreWhale } = require("../src/whales/registry");
+
+  // 20 positions à 50%, 14 gagnées: edge = 0.7 - 0.5 = 20%
+  const positions = resolvedPositions(20, 14, 0.5);
+  positions.push({ conditionId: "sold", avgPrice: 0.4, cost: 8000, realizedPnl: 300, curPrice: 0.55, timestamp: Date.now() });
+  const stats = trackRecord(positions, SETTINGS);
+
+  assert.strictEqual(stats.positions, 21);
+  assert.strictEqual(stats.resolved, 20, "La position revendue avant résolution ne compte pas pour la calibration");
+  assert.ok(Math.abs(stats.edge - 0.2) < 1e-9, `edge ${stats.edge}`);
+  assert.ok(Math.abs(stats.brier - 0.25) < 1e-9, "Prix payé 0.5 → Brier 0.25");
+  assert.strictEqual(stats.winRate, 15 / 21);
+  assert.strictEqual(stats.medianCost, 2000);
+
+  // 20 résolues, prior 20 → moitié de l'edge: 1 + 5 × 0.2 × 0.5 = 1.5
+  const score = scoreWhale(stats, SETTINGS);
+  assert.strictEqual(score.weight, 1.5);
+  assert.strictEqual(score.minPosition, 1000, "Moitié de la position médiane");
+
+  // Edge positif mais PnL réalisé négatif: pas de bonus
+  const loser = { ...stats, realizedPnl: -500 };
+  assert.strictEqual(scoreWhale(loser, SETTINGS).weight, 1);
+
+  // Aucune position: poids neutre, minPosition inchangé
+  const empty = scoreWhale(trackRecord([], SETTINGS), SETTINGS);
+  assert.strictEqual(empty.weight, 1);
+  assert.strictEqual(empty.minPosition, null);
+
+  console.log("    ✓ PnL, win rate, edge, Brier et poids corrects");
+}
+
+async function testClosedPositionsMostRecent() {
+  console.log("  Test: positions fermées triées par date et paginées jusqu'au lookback...");
+
+  const dataApi = require("../src/whales/data-api");
+  const DAY = 24 * 60 * 60 * 1000;
+  const NOW = Date.now();
+
+  // Pages de 2 positions, de la plus récente à la plus ancienne
+  const closed = [1, 10, 40, 80, 100, 120].map(d => ({ conditionId: `c${d}`, avgPrice: 0.5, curPrice: 1, timestamp: (NOW - d * DAY) / 1000 }));
+  const urls = [];
+  const realFetch = global.fetch;
+  global.fetch = async url => {
+    urls.push(url);
+    const offset = parseInt(new URL(url).searchParams.get("offset"));
+    return { ok: true, json: async () => closed.slice(offset, offset + 2) };
+  };
+  try {
+    const positions = await dataApi.fetchClosedPositions("0xa", { since: NOW - 90 * DAY, limit: 2, maxPages: 10 });
+    assert.ok(urls.every(u => u.includes("sortBy=TIMESTAMP&sortDirection=DESC")), "Tri explicite par date");
+    assert.strictEqual(urls.length, 3, "Arrêt à la page qui dépasse le lookback");
+    assert.deepStrictEqual(positions.map(p => p.conditionId), ["c1", "c10", "c40", "c80", "c100", "c120"]);
+  } finally {
+    global.fetch = realFetch;
+  }
+
+  console.log("    ✓ Échantillon le plus récent, borné au lookback");
+}
+
+async function testDiscoveryAndReweighting() {
+  console.log("  Test: découverte, activation des candidats, retrait des perdants...");
+
+  const config = require("../src/config");
+  const WhaleRegistry = require("../src/whales/registry");
+
+  const seeded = Object.keys(config.WHALES)[0];
+  const records = {
+    "0xsharp": resolvedPositions(30, 24, 0.55),      // edge 25%
+    "0xactivity": resolvedPositions(4, 4, 0.5),       // trop peu de résolutions
+    [seeded]: resolvedPositions(30, 6, 0.6),          // edge -40%
+  };
+  const api = {
+    fetchLeaderboard: async () => [
+      { address: "0xsharp", name: "sharp", pnl: 50000 },
+      { address: "0xloser", name: "loser", pnl: -2000 },
+      { address: seeded, name: "already", pnl: 1000 },
+    ],
+    fetchMarketActivity: async conditionId => (conditionId === "cond-a"
+      ? [{ address: "0xactivity", name: "big", usd: 12000 }, { address: "0xsmall", usd: 300 }]
+      : []),
+    fetchClosedPositions: async address => records[address] || [],
+  };
+
+  const registry = new WhaleRegistry({ persist: false, api, settings: SETTINGS });
+  assert.strictEqual(registry.state.whales[seeded].status, "active", "config.WHALES sert de liste initiale");
+
+  const added = await registry.discover([{ conditionId: "cond-a", outcomes: [{ conditionId: "cond-a" }] }]);
+  assert.deepStrictEqual(added.sort(), ["0xactivity", "0xsharp"], "Leaderboard en gain + gros trade, sans doublon");
+  assert.strictEqual(registry.state.whales["0xsharp"].source, "leaderboard");
+  assert.strictEqual(registry.state.whales["0xactivity"].status, "candidate");
+
+  await registry.update();
+  await registry.update();
+
+  const sharp = registry.state.whales["0xsharp"];
+  assert.strictEqual(sharp.status, "active", "Track record suffisant et positif");
+  assert.ok(sharp.weight > 1.5, `Poids selon l'edge (${sharp.weight})`);
+  assert.strictEqual(registry.state.whales["0xactivity"].status, "candidate", "Pas assez de positions résolues");
+  assert.strictEqual(registry.state.whales[seeded].status, "retired");
+  assert.strictEqual(registry.state.whales[seeded].weight, SETTINGS.MIN_WEIGHT);
+  assert.strictEqual(sharp.history.length, 2, "Un point d'historique par mise à jour");
+
+  for (let i = 0; i < 3; i++) await registry.update();
+  assert.strictEqual(sharp.history.length, SETTINGS.HISTORY_LIMIT, "Historique borné");
+
+  const active = registry.active();
+  assert.deepStrictEqual(active["0xsharp"], { name: "sharp", weight: sharp.weight, minPosition: sharp.minPosition });
+  assert.ok(!(seeded in active), "Un whale retiré ne vote plus");
+
+  // MAX_ACTIVE: seuls les meilleurs poids
+  const capped = new WhaleRegistry({ persist: false, api, settings: { ...SETTINGS, MAX_ACTIVE: 1 } });
+  capped.state = registry.state;
+  assert.deepStrictEqual(Object.keys(capped.active()), ["0xsharp"]);
+
+  console.log("    ✓ Candidats découverts, poids et statuts selon le track record");
+}
+
+async function testDiscoveryAfterRetirements() {
+  console.log("  Test: MAX_TRACKED atteint, les wallets retirés laissent la place...");
+
+  const config = require("../src/config");
+  const WhaleRegistry = require("../src/whales/registry");
+
+  const seeded = Object.keys(config.WHALES);
+  const records = Object.fromEntries(seeded.map(address => [address, resolvedPositions(30, 6, 0.6)]));
+  records["0xw1"] = resolvedPositions(30, 24, 0.55);
+  records["0xw2"] = resolvedPositions(30, 24, 0.55);
+  let leaders = ["0xw1", "0xw2"];
+  const api = {
+    fetchLeaderboard: async () => leaders.map(address => ({ address, name: address.slice(2), pnl: 10000 })),
+    fetchMarketActivity: async () => [],
+    fetchClosedPositions: async address => records[address] || [],
+  };
+
+  const registry = new WhaleRegistry({ persist: false, api, settings: { ...SETTINGS, MAX_TRACKED: seeded.length + 2 } });
+  assert.deepStrictEqual(await registry.discover(), ["0xw1", "0xw2"]);
+  await registry.update();
+  assert.strictEqual(registry.state.whales["0xw1"].status, "active");
+  seeded.forEach(address => assert.strictEqual(registry.state.whales[address].status, "retired"));
+
+  // Registre plein, aucun wallet retiré hors config: pas de place
+  leaders = ["0xw3"];
+  assert.deepStrictEqual(await registry.discover(), []);
+
+  // 0xw1 se met à perdre → retiré, sa place revient au nouveau candidat
+  records["0xw1"] = resolvedPositions(30, 3, 0.6);
+  await registry.update();
+  assert.strictEqual(registry.state.whales["0xw1"].status, "retired");
+  assert.deepStrictEqual(await registry.discover(), ["0xw3"]);
+  assert.ok(!registry.state.whales["0xw1"], "Le wallet retiré est retiré du registre");
+  assert.strictEqual(registry.state.whales["0xw3"].status, "candidate");
+  seeded.forEach(address => assert.ok(registry.state.whales[address], "Les wallets de config.WHALES restent"));
+  assert.strictEqual(registry.addresses().length, seeded.length + 2);
+
+  console.log("    ✓ Découverte possible après des retraits, registre borné");
+}
+
+async function testMarketWhaleConsensus() {
+  console.log("  Test: consensus whale par marché et par outcome, poids du registre...");
+
+  const SignalAggregator = require("../src/signals");
+  const { outcomeView } = require("../src/lib/outcomes");
+
+  const whales = {
+    active: () => ({
+      "0xa": { name: "a", weight: 2, minPosition: 1000 },
+      "0xb": { name: "b", weight: 0.5, minPosition: 1000 },
+      "0xc": { name: "c", weight: 1, minPosition: 1000 },
+    }),
+  };
+  const election = {
+    slug: "election",
+    title: "Election",
+    negRisk: true,
+    primaryOutcome: "alice",
+    outcomes: [
+      { id: "alice", name: "Alice", conditionId: "cond-alice", yesToken: "alice-yes", noToken: "alice-no" },
+      { id: "bob", name: "Bob", conditionId: "cond-bob", yesToken: "bob-yes", noToken: "bob-no" },
+    ],
+  };
+  const holdings = {
+    // Par token
+    "0xa": [
+      { asset: "alice-yes", conditionId: "cond-alice", outcome: "Yes", currentValue: 5000, curPrice: 0.6 },
+      { asset: "other", conditionId: "cond-btc", title: "Bitcoin Up or Down", outcome: "Up", currentValue: 9000, curPrice: 0.5 },
+    ],
+    // Par conditionId + outcomeIndex (NO d'Alice), plus une position sous minPosition
+    "0xb": [
+      { conditionId: "cond-alice", outcomeIndex: 1, outcome: "No", currentValue: 5000, curPrice: 0.4 },
+      { asset: "alice-no", conditionId: "cond-alice", outcome: "No", currentValue: 200, curPrice: 0.4 },
+    ],
+    "0xc": [{ asset: "bob-no", conditionId: "cond-bob", outcome: "No", currentValue: 3000, curPrice: 0.7 }],
+  };
+
+  const realFetch = globalThis.fetch;
+  let requests = 0;
+  globalThis.fetch = async url => {
+    requests++;
+    return new Response(JSON.stringify(holdings[new URL(url).searchParams.get("user")] || []));
+  };
+  try {
+    const aggregator = new SignalAggregator({ whales });
+    aggregator.rateLimitMs = 0;
+
+    const positions = await aggregator.getWhalePositions(election);
+    assert.strictEqual(positions.length, 3, "Ni le marché bitcoin ni la position sous minPosition");
+
+    // Vue de l'outcome Alice: seuls ses YES/NO votent
+    const alice = await aggregator.getWhaleConsensus(outcomeView(election, "alice"));
+    assert.strictEqual(alice.whaleCount, 2);
+    assert.strictEqual(alice.outcomeId, "alice");
+    assert.ok(Math.abs(alice.score - 0.6) < 1e-9, `(2 - 0.5) / 2.5 (${alice.score})`);
+    assert.ok(alice.details.includes("election [Alice]"), alice.details);
+
+    const bob = await aggregator.getWhaleConsensus(outcomeView(election, "bob"));
+    assert.strictEqual(bob.score, -1, "Un seul whale, sur le NO de Bob");
+
+    // Marché entier: outcome principal (leader)
+    const event = await aggregator.getWhaleConsensus(election);
+    assert.strictEqual(event.outcomeId, "alice");
+    assert.strictEqual(requests, 3, "Positions des whales en cache pour tous les marchés");
+
+    // Marché binaire: tous les holders du marché votent
+    const binary = { slug: "btc-up", conditionId: "cond-btc", upToken: "other", downToken: "other-no", outcomes: [] };
+    const btc = await aggregator.getWhaleConsensus(binary);
+    assert.strictEqual(btc.whaleCount, 1);
+    assert.strictEqual(btc.score, 1);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+
+  console.log("    ✓ Consensus rattaché au marché / outcome par token et conditionId");
+}
+
+async function testWhaleHoldingsPaging() {
+  console.log("  Test: positions des whales paginées par valeur décroissante...");
+
+  const config = require("../src/config");
+  const SignalAggregator = require("../src/signals");
+
+  const whales = {
+    active: () => ({
+      "0xa": { name: "a", weight: 1, minPosition: 1000 },
+      "0xb": { name: "b", weight: 1, minPosition: 1000 },
+    }),
+  };
+  // Pages de 2: le marché tradé n'est qu'en 2e page pour a
+  const holdings = {
+    "0xa": [
+      { asset: "other-1", currentValue: 90000 },
+      { asset: "other-2", currentValue: 50000 },
+      { asset: "alice-yes", currentValue: 5000 },
+      { asset: "other-3", currentValue: 800 },
+      { asset: "other-4", currentValue: 500 },
+    ],
+    "0xb": [{ asset: "alice-no", currentValue: 3000 }, { asset: "other-5", currentValue: 200 }, { asset: "other-6", currentValue: 100 }],
+  };
+
+  const realFetch = globalThis.fetch;
+  const urls = [];
+  globalThis.fetch = async url => {
+    urls.push(url);
+    const params = new URL(url).searchParams;
+    const offset = parseInt(params.get("offset"));
+    return new Response(JSON.stringify((holdings[params.get("user")] || []).slice(offset, offset + parseInt(params.get("limit")))));
+  };
+  try {
+    const aggregator = new SignalAggregator({ whales, settings: { ...config.SIGNALS, POSITIONS_PAGE_SIZE: 2 } });
+    aggregator.rateLimitMs = 0;
+
+    const positions = await aggregator.getWhalePositions({ slug: "alice", conditionId: "cond-alice", upToken: "alice-yes", downToken: "alice-no", outcomes: [] });
+    assert.deepStrictEqual(positions.map(p => [p.whale, p.side]), [["a", "UP"], ["b", "DOWN"]]);
+
+    const params = new URL(urls[0]).searchParams;
+    assert.deepStrictEqual(
+      ["limit", "offset", "sizeThreshold", "sortBy", "sortDirection"].map(k => params.get(k)),
+      ["2", "0", String(config.SIGNALS.POSITIONS_SIZE_THRESHOLD), "CURRENT", "DESC"]
+    );
+    const pages = user => urls.filter(u => new URL(u).searchParams.get("user") === user).length;
+    assert.strictEqual(pages("0xa"), 2, "Arrêt une fois sous minPosition");
+    assert.strictEqual(pages("0xb"), 1);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+
+  console.log("    ✓ Marché tradé trouvé au-delà de la première page");
+}
+
+async function testWhaleFlow() {
+  console.log("  Test: flux net par fenêtre, entrée fraîche, alerte de sortie...");
+
+  const WhaleFlow = require("../src/whales/flow");
+  const { outcomeView } = require("../src/lib/outcomes");
+
+  const NOW = Date.UTC(2026, 0, 15, 12);
+  const HOUR = 60 * 60 * 1000;
+  const settings = {
+    WINDOWS_HOURS: [1, 6, 24],
+    WINDOW_WEIGHTS: [0.5, 0.3, 0.2],
+    ACTIVITY_PAGE_SIZE: 500,
+    ACTIVITY_MAX_PAGES: 10,
+    CACHE_SECONDS: 60,
+    FRESH_HOURS: 6,
+    ENTRY_BOOST: 1.5,
+    EXIT_MIN_USD: 2000,
+    EXIT_FRACTION: 0.5,
+    FULL_CONFIDENCE_USD: 50000,
+  };
+  const whales = {
+    active: () => ({
+      "0xa": { name: "a", weight: 1, minPosition: 1000 },
+      "0xb": { name: "b", weight: 1, minPosition: 1000 },
+    }),
+  };
+  const trade = (address, side, asset, usd, hoursAgo, type = "TRADE") =>
+    ({ address, type, side, asset, usd, timestamp: NOW - hoursAgo * HOUR });
+  const activity = {
+    "cond-alice": [
+      trade("0xa", "BUY", "alice-yes", 10000, 2),      // entrée fraîche sur le YES
+      trade("0xa", "SELL", "alice-no", 1500, 0.5),     // vendre le NO pousse aussi UP
+      trade("0xb", "BUY", "alice-yes", 8000, 20),      // ancien achat...
+      trade("0xb", "SELL", "alice-yes", 6000, 0.2),    // ...revendu: alerte de sortie
+      trade("0xc", "BUY", "alice-no", 90000, 1),       // wallet non suivi
+      trade("0xa", "BUY", "alice-no", 5000, 30),       // hors fenêtre
+      trade("0xa", "SELL", "alice-yes", 5000, 0.1, "REDEEM"), // pas un trade
+    ],
+  };
+  let requests = 0;
+  const api = { fetchMarketActivity: async conditionId => { requests++; return activity[conditionId] || []; } };
+
+  const flow = new WhaleFlow({ whales, api, settings, now: () => NOW });
+  const election = {
+    slug: "election",
+    negRisk: true,
+    primaryOutcome: "alice",
+    outcomes: [
+      { id: "alice", name: "Alice", conditionId: "cond-alice", yesToken: "alice-yes", noToken: "alice-no" },
+      { id: "bob", name: "Bob", conditionId: "cond-bob", yesToken: "bob-yes", noToken: "bob-no" },
+    ],
+  };
+
+  const result = await flow.analyze(outcomeView(election, "alice"));
+  assert.strictEqual(result.outcomeId, "alice");
+  assert.deepStrictEqual(result.netFlow, { "1h": -4500, "6h": 5500, "24h": 13500 });
+  assert.deepStrictEqual(result.grossFlow, { "1h": 7500, "6h": 17500, "24h": 25500 });
+
+  // a (frais, ×1.5): net 1500/11500/11500 ; b: net -6000/-6000/2000
+  const num = 1.5 * (0.5 * 1500 + 0.3 * 11500 + 0.2 * 11500) + (0.5 * -6000 + 0.3 * -6000 + 0.2 * 2000);
+  const den = 1.5 * (0.5 * 1500 + 0.3 * 11500 + 0.2 * 11500) + (0.5 * 6000 + 0.3 * 6000 + 0.2 * 14000);
+  assert.ok(Math.abs(result.score - num / den) < 1e-9, `score ${result.score}`);
+  assert.ok(Math.abs(result.confidence - 25500 / 50000) < 1e-9, "Les deux wallets nets UP sur 24h");
+
+  const byWhale = Object.fromEntries(result.wallets.map(w => [w.whale, w]));
+  assert.strictEqual(byWhale.a.change, "entered");
+  assert.strictEqual(byWhale.a.fresh, true);
+  assert.strictEqual(byWhale.b.change, "exited");
+  assert.strictEqual(result.alerts.length, 1);
+  assert.deepStrictEqual(
+    { whale: result.alerts[0].whale, side: result.alerts[0].side, usd: result.alerts[0].usd },
+    { whale: "b", side: "UP", usd: 6000 }
+  );
+
+  // Même marché: activité en cache
+  await flow.analyze(outcomeView(election, "alice"));
+  assert.strictEqual(requests, 1);
+
+  // Pas d'activité des whales: neutre
+  const bob = await flow.analyze(outcomeView(election, "bob"));
+  assert.strictEqual(bob.score, 0);
+  assert.strictEqual(bob.confidence, 0);
+
+  console.log("    ✓ Flux pondéré, changements de position et sorties détectés");
+}
+
+async function testWhaleFlowTruncatedFeed() {
+  console.log("  Test: feed paginé jusqu'à l'horizon, feed tronqué...");
+
+  const WhaleFlow = require("../src/whales/flow");
+  const dataApi = require("../src/whales/data-api");
+  const { outcomeView } = require("../src/lib/outcomes");
+
+  const NOW = Date.UTC(2026, 0, 15, 12);
+  const HOUR = 60 * 60 * 1000;
+
+  // Data API: pages de 2 trades, du plus récent au plus ancien
+  const feed = [0.5, 1, 5, 20, 30, 40, 50, 60].map(h => ({ proxyWallet: "0xA", side: "BUY", usdcSize: 1000, timestamp: (NOW - h * HOUR) / 1000 }));
+  const urls = [];
+  const realFetch = global.fetch;
+  global.fetch = async url => {
+    urls.push(url);
+    const offset = parseInt(new URL(url).searchParams.get("offset"));
+    return { ok: true, json: async () => feed.slice(offset, offset + 2) };
+  };
+  try {
+    const trades = await dataApi.fetchMarketActivity("cond", 2, { since: NOW - 24 * HOUR, maxPages: 10 });
+    assert.strictEqual(urls.length, 3, "Arrêt à la page qui dépasse l'horizon");
+    assert.ok(urls.every(u => u.includes("sortBy=TIMESTAMP&sortDirection=DESC")));
+    assert.strictEqual(trades.length, 6);
+    assert.strictEqual(trades[5].timestamp, NOW - 40 * HOUR);
+
+    urls.length = 0;
+    await dataApi.fetchMarketActivity("cond", 2, { since: NOW - 24 * HOUR, maxPages: 1 });
+    assert.strictEqual(urls.length, 1, "Plafond de pages");
+  } finally {
+    global.fetch = realFetch;
+  }
+
+  // Flux: 8 trades (2 pages de 4, le plafond) qui ne remontent qu'à 3h
+  const settings = {
+    WINDOWS_HOURS: [1, 6, 24],
+    WINDOW_WEIGHTS: [0.5, 0.3, 0.2],
+    ACTIVITY_PAGE_SIZE: 4,
+    ACTIVITY_MAX_PAGES: 2,
+    CACHE_SECONDS: 60,
+    FRESH_HOURS: 6,
+    ENTRY_BOOST: 1.5,
+    EXIT_MIN_USD: 2000,
+    EXIT_FRACTION: 0.5,
+    FULL_CONFIDENCE_USD: 50000,
+  };
+  const whales = { active: () => ({ "0xa": { name: "a", weight: 1, minPosition: 1000 } }) };
+  const activity = [0.2, 0.5, 0.8, 1.2, 1.5, 2, 2.5, 3].map(h =>
+    ({ address: "0xa", type: "TRADE", side: "BUY", asset: "alice-yes", usd: 2000, timestamp: NOW - h * HOUR }));
+  let request = null;
+  const api = { fetchMarketActivity: async (conditionId, limit, options) => { request = { limit, ...options }; return activity; } };
+
+  const flow = new WhaleFlow({ whales, api, settings, now: () => NOW });
+  const election = {
+    slug: "election",
+    negRisk: true,
+    primaryOutcome: "alice",
+    outcomes: [{ id: "alice", name: "Alice", conditionId: "cond-alice", yesToken: "alice-yes", noToken: "alice-no" }],
+  };
+
+  const result = await flow.analyze(outcomeView(election, "alice"));
+  assert.deepStrictEqual(request, { limit: 4, since: NOW - 24 * HOUR, maxPages: 2 });
+  assert.strictEqual(result.coverage, 3 / 24);
+  assert.ok(Math.abs(result.confidence - (16000 / 50000) * (3 / 24)) < 1e-9, `confidence ${result.confidence}`);
+  assert.strictEqual(result.wallets[0].fresh, false, "Achats antérieurs invisibles: pas d'entrée fraîche");
+  assert.ok(result.details.includes("feed covers only 3.0h of 24h"), result.details);
+
+  console.log("    ✓ Pagination bornée à l'horizon, confiance réduite sur un feed tronqué");
+}
+
+// ============================================
+// Runner
+// ============================================
+
+async function runTests() {
+  console.log("\n════════════════════════════════════════════════════════════");
+  console.log("🧪 TESTS - Whale Registry");
+  console.log("════════════════════════════════════════════════════════════\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ["Whales: Track record et poids", testTrackRecordAndScore],
+    ["Whales: Positions fermées récentes", testClosedPositionsMostRecent],
+    ["Whales: Découverte et repondération", testDiscoveryAndReweighting],
+    ["Whales: Découverte après des retraits", testDiscoveryAfterRetirements],
+    ["Whales: Consensus par marché / outcome", testMarketWhaleConsensus],
+    ["Whales: Positions paginées", testWhaleHoldingsPaging],
+    ["Whales: Flux achats / ventes", testWhaleFlow],
+    ["Whales: Flux sur un feed tronqué", testWhaleFlowTruncatedFeed],
+  ];
+
+  for (const [name, testFn] of tests) {
+    try {
+      console.log(`\n📋 ${name}`);
+      await testFn();
+      passed++;
+    } catch (e) {
+      failed++;
+      console.log(`    ❌ FAILED: ${e.message}`);
+      if (e.stack) {
+        console.log(`       ${e.stack.split("\n")[1]}`);
+      }
+    }
+  }
+
+  console.log("\n════════════════════════════════════════════════════════════");
+  console.log(`📊 Résultats: ${passed} passed, ${failed} failed`);
+  console.log("════════════════════════════════════════════════════════════\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(e => {
+  console.error("Test runner error:", e);
+  process.exit(1);
+});